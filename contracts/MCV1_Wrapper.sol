@@ -43,6 +43,20 @@ contract MCV1_Wrapper {
         royalty = reserveAmount * 3 / 1000; // Buy tax of V1 is 0.3%
     }
 
+    /**
+     * @dev Get the number of tokens to mint for a given reserve amount, using `getMintReward` of V1.
+     * @param token The address of the token.
+     * @param reserveAmount The reserve amount to spend, including the royalty.
+     * @return tokensToMint The number of tokens to mint.
+     * @return reserveUsed The reserve amount used (V1 always spends the full amount).
+     * @return royalty The royalty amount included in the reserve amount.
+     */
+    function getTokensForReserve(address token, uint256 reserveAmount) external view _checkBondExists(token)
+        returns (uint256 tokensToMint, uint256 reserveUsed, uint256 royalty) {
+        (tokensToMint, royalty) = BOND.getMintReward(token, reserveAmount);
+        reserveUsed = reserveAmount;
+    }
+
     /**
      * @dev Get the refund amount and royalty for a given token and the number of tokens to burn.
      * @param token The address of the token.
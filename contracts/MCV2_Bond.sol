@@ -2,102 +2,40 @@
 
 pragma solidity =0.8.20;
 
-import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import {MCV2_Royalty} from "./MCV2_Royalty.sol";
-import {MCV2_Token} from "./MCV2_Token.sol";
-import {MCV2_MultiToken} from "./MCV2_MultiToken.sol";
+import {MCV2_BondStorage} from "./MCV2_BondStorage.sol";
 import {MCV2_ICommonToken} from "./lib/MCV2_ICommonToken.sol";
 import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title MintClub Bond V2
  * @dev Providing liquidity for MintClubV2 tokens with a bonding curve.
  */
-contract MCV2_Bond is MCV2_Royalty {
+contract MCV2_Bond is MCV2_BondStorage {
     using SafeERC20 for IERC20;
 
-    // Error messages
-    error MCV2_Bond__InvalidTokenCreationParams(string reason);
-    error MCV2_Bond__InvalidReserveToken(string reason);
-    error MCV2_Bond__InvalidStepParams(string reason);
-    error MCV2_Bond__TokenSymbolAlreadyExists();
-    error MCV2_Bond__TokenNotFound();
-    error MCV2_Bond__ExceedMaxSupply();
-    error MCV2_Bond__SlippageLimitExceeded();
-    error MCV2_Bond__InvalidTokenAmount();
-    error MCV2_Bond__ExceedTotalSupply();
-    error MCV2_Bond__InvalidCurrentSupply();
-    error MCV2_Bond__PermissionDenied();
-    error MCV2_Bond__InvalidCreatorAddress();
-    error MCV2_BOND__InvalidPaginationParameters();
-
-    uint256 private constant MIN_UINT8_LENGTH = 31; // uint8 = 32 bits
-    uint256 private constant MIN_STRING_LENGTH = 95; // empty string = 64 bits, 1 character = 96 bits
-
-    uint256 private immutable MAX_STEPS;
-
-    /**
-     * @dev ERC20 Token implementation contract
-     * We use "EIP-1167: Minimal Proxy Contract" in order to save gas cost for each token deployment
-     * REF: https://github.com/optionality/clone-factory
-     */
-    address private immutable TOKEN_IMPLEMENTATION;
-    address private immutable MULTI_TOKEN_IMPLEMENTATION;
-
-    struct Bond {
-        address creator;
-        uint16 royalty; // immutable - range: [0, 5000] - 0.00% ~ 50.00%
-        uint40 createdAt; // immutable
-        address reserveToken; // immutable
-        uint256 reserveBalance;
-        BondStep[] steps; // immutable
-    }
-
-    // Use uint128 to save storage cost & prevent integer overflow when calculating range * price
-    struct BondStep {
-        uint128 rangeTo;
-        uint128 price; // multiplied by 10**18 for decimals
-    }
-
-    // Optional on-chain metadata for the token
-    struct MetaData {
-        string logo;
-        string website;
-    }
-
-    mapping (address => Bond) public tokenBond;
-    mapping (address => MetaData) public tokenMetaData;
-    address[] public tokens; // Array of all created tokens
-
-    event TokenCreated(address indexed token, string name, string symbol, address indexed reserveToken);
-    event MultiTokenCreated(address indexed token, string name, string symbol, string uri, address indexed reserveToken);
-    event Mint(address indexed token, address indexed user, uint256 amountMinted, address indexed reserveToken, uint256 reserveAmount);
-    event Burn(address indexed token, address indexed user, uint256 amountBurned, address indexed reserveToken, uint256 refundAmount);
-    event BondCreatorUpdated(address indexed token, address indexed creator);
-    event TokenMetaDataUpdated(address indexed token, string logo, string website);
+    // Functions split out for the contract size limit, run on the storage of this contract (see MCV2_BondExtension)
+    address private immutable EXTENSION;
 
     // MARK: - Constructor
 
     /**
      * @dev Initializes the MCV2_Bond contract.
-     * @param tokenImplementation The address of the token implementation contract.
-     * @param multiTokenImplementation The address of the multi-token implementation contract.
+     * @param extension The address of the MCV2_BondExtension contract, deployed beforehand.
      * @param protocolBeneficiary_ The address of the protocol beneficiary.
-     * @param maxSteps The maximum number of steps allowed in a bond.
+     * @param creationFee_ The fee to create a token.
      */
     constructor(
-        address tokenImplementation,
-        address multiTokenImplementation,
+        address extension,
         address protocolBeneficiary_,
-        uint256 creationFee_,
-        uint256 maxSteps
-    ) MCV2_Royalty(protocolBeneficiary_, creationFee_, msg.sender) {
-        TOKEN_IMPLEMENTATION = tokenImplementation;
-        MULTI_TOKEN_IMPLEMENTATION = multiTokenImplementation;
-        MAX_STEPS = maxSteps;
+        uint256 creationFee_
+    ) MCV2_BondStorage(protocolBeneficiary_, creationFee_, msg.sender) {
+        // A delegatecall to an address without code succeeds, so every extension function would silently do nothing
+        if (extension.code.length == 0) revert MCV2_Bond__InvalidExtension();
+        EXTENSION = extension;
     }
 
     modifier _checkBondExists(address token) {
@@ -107,225 +45,128 @@ contract MCV2_Bond is MCV2_Royalty {
 
     // MARK: - Factory
 
-    // Use structs to avoid stack too deep error
-    struct TokenParams {
-        string name;
-        string symbol;
-    }
-
-    struct MultiTokenParams {
-        string name;
-        string symbol;
-        string uri;
+    /**
+     * @dev See {MCV2_BondExtension-createToken}.
+     */
+    function createToken(TokenParams calldata, BondParams calldata) external payable returns (address) {
+        _delegateToExtension();
     }
 
-    struct BondParams {
-        uint16 royalty;
-        address reserveToken;
-        uint128 maxSupply;
-        uint128[] stepRanges;
-        uint128[] stepPrices;
+    /**
+     * @dev See {MCV2_BondExtension-createMultiToken}.
+     */
+    function createMultiToken(MultiTokenParams calldata, BondParams calldata) external payable returns (address) {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Validates the token creation parameters.
-     * @param tp The token parameters.
+     * @dev See {MCV2_BondExtension-createTokenWithDeadline}.
      */
-    function _validateTokenParams(TokenParams calldata tp) pure private {
-        if (bytes(tp.name).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('name');
-        if (bytes(tp.symbol).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('symbol');
+    function createTokenWithDeadline(TokenParams calldata, BondParams calldata, uint256) external payable returns (address) {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Validates the multi-token creation parameters.
-     * @param tp The multi-token parameters.
+     * @dev See {MCV2_BondExtension-createMultiTokenWithDeadline}.
      */
-    function _validateMultiTokenParams(MultiTokenParams calldata tp) pure private {
-        if (bytes(tp.name).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('name');
-        if (bytes(tp.symbol).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('symbol');
-        if (bytes(tp.uri).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('uri');
+    function createMultiTokenWithDeadline(MultiTokenParams calldata, BondParams calldata, uint256)
+        external payable returns (address)
+    {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Checks if the contract has the method with the minimum length of the return data.
-     * @param implementation The address of the contract implementation.
-     * @param method The name of the method to check.
-     * @param minLength The minimum length of the return data.
-     * @return A boolean indicating whether the method exists.
+     * @dev See {MCV2_BondExtension-createTokenWithPresale}.
      */
-    function _checkMethodExists(address implementation, string memory method, uint256 minLength) private view returns (bool) {
-        (bool success, bytes memory data) = implementation.staticcall(abi.encodeWithSignature(method));
-        return success && data.length > minLength;
+    function createTokenWithPresale(TokenParams calldata, BondParams calldata, Presale calldata, uint256)
+        external payable returns (address)
+    {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Validates the bond parameters.
-     * @param bp The bond parameters.
+     * @dev See {MCV2_BondExtension-createMultiTokenWithPresale}.
      */
-    function _validateBondParams(BondParams calldata bp) view private {
-        if (bp.royalty > MAX_ROYALTY_RANGE) revert MCV2_Bond__InvalidTokenCreationParams('royalty');
+    function createMultiTokenWithPresale(MultiTokenParams calldata, BondParams calldata, Presale calldata, uint256)
+        external payable returns (address)
+    {
+        _delegateToExtension();
+    }
 
-        // Check if the reserveToken is compatible with IERC20Metadata
-        address r = bp.reserveToken;
-        if (r == address(0)) revert MCV2_Bond__InvalidTokenCreationParams('reserveToken');
-        if(!_checkMethodExists(r, "decimals()", MIN_UINT8_LENGTH)) revert MCV2_Bond__InvalidReserveToken('decimals');
-        if(!_checkMethodExists(r, "name()", MIN_STRING_LENGTH)) revert MCV2_Bond__InvalidReserveToken('name');
-        if(!_checkMethodExists(r, "symbol()", MIN_STRING_LENGTH)) revert MCV2_Bond__InvalidReserveToken('symbol');
+    // MARK: - Creator only functions
 
-        if (bp.maxSupply == 0) revert MCV2_Bond__InvalidTokenCreationParams('maxSupply');
-        if (bp.stepRanges.length == 0 || bp.stepRanges.length > MAX_STEPS) revert MCV2_Bond__InvalidStepParams('INVALID_STEP_LENGTH');
-        if (bp.stepRanges.length != bp.stepPrices.length) revert MCV2_Bond__InvalidStepParams('STEP_LENGTH_DO_NOT_MATCH');
-        // Last value or the rangeTo must be the same as the maxSupply
-        if (bp.stepRanges[bp.stepRanges.length - 1] != bp.maxSupply) revert MCV2_Bond__InvalidStepParams('MAX_SUPPLY_MISMATCH');
+    /**
+     * @dev See {MCV2_BondExtension-updateBondCreator}.
+     */
+    function updateBondCreator(address, address) external {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Sets the bond parameters for a token.
-     * @param token The address of the token.
-     * @param bp The bond parameters.
+     * @dev See {MCV2_BondExtension-updateTradingStartTimes}.
      */
-    function _setBond(address token, BondParams calldata bp) private {
-        // Set token bond data
-        Bond storage bond = tokenBond[token];
-        bond.creator = _msgSender();
-        bond.royalty = bp.royalty;
-        bond.createdAt = uint40(block.timestamp);
-        bond.reserveToken = bp.reserveToken;
-
-        uint256 multiFactor = 10**IERC20Metadata(token).decimals();
-
-        for (uint256 i = 0; i < bp.stepRanges.length; ++i) {
-            uint256 stepRange = bp.stepRanges[i];
-            uint256 stepPrice = bp.stepPrices[i];
-
-            if (stepRange == 0) {
-                revert MCV2_Bond__InvalidStepParams('STEP_CANNOT_BE_ZERO');
-            } else if (stepPrice > 0 && stepRange * stepPrice < multiFactor) {
-                // To minimize rounding errors, the product of the range and price must be at least multiFactor (1e18 for ERC20, 1 for ERC1155).
-                revert MCV2_Bond__InvalidStepParams('STEP_RANG_OR_PRICE_TOO_SMALL');
-            }
-
-            // Ranges and prices must be strictly increasing
-            if (i > 0) {
-                if (stepRange <= bp.stepRanges[i - 1]) revert MCV2_Bond__InvalidStepParams('DECREASING_RANGE');
-                if (stepPrice <= bp.stepPrices[i - 1]) revert MCV2_Bond__InvalidStepParams('DECREASING_PRICE');
-            }
-
-            bond.steps.push(BondStep({
-                rangeTo: uint128(stepRange),
-                price: uint128(stepPrice)
-            }));
-        }
+    function updateTradingStartTimes(address, uint40, uint40) external {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Clones the implementation contract with a unique symbol.
-     * @param implementation The address of the implementation contract.
-     * @param symbol The symbol of the token.
-     * @return The address of the cloned token contract.
+     * @dev See {MCV2_BondExtension-updateMintLimits}.
      */
-    function _clone(address implementation, string calldata symbol) private returns (address) {
-        // Uniqueness of symbols on this network is guaranteed by the deterministic contract address
-        bytes32 salt = keccak256(abi.encodePacked(address(this), symbol));
-
-        // NOTE: This check might not be necessary as the clone would fail with an 'ERC1167: create2 failed'
-        // error anyway, and the collision is nearly impossible (one in 2^160).
-        // However, we retain this check to provide a clearer error message, albeit at the expense of an additional gas cost.
-        address predicted = Clones.predictDeterministicAddress(implementation, salt);
-        if (exists(predicted)) revert MCV2_Bond__TokenSymbolAlreadyExists();
-
-        return Clones.cloneDeterministic(implementation, salt);
+    function updateMintLimits(address, uint104, uint104, uint40) external {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Creates a new token with the given parameters.
-     * @param tp The token parameters.
-     * @param bp The bond parameters.
-     * @return The address of the newly created token.
+     * @dev See {MCV2_BondExtension-updateTokenMetaData}.
      */
-    function createToken(TokenParams calldata tp, BondParams calldata bp) external payable returns (address) {
-        _validateTokenParams(tp);
-        _validateBondParams(bp);
-        _collectCreationFee(msg.value);
-
-        address token = _clone(TOKEN_IMPLEMENTATION, tp.symbol);
-        MCV2_Token newToken = MCV2_Token(token);
-        newToken.init(tp.name, tp.symbol);
-        tokens.push(token);
-
-        _setBond(token, bp);
-
-        emit TokenCreated(token, tp.name, tp.symbol, bp.reserveToken);
-
-        // Send free tokens to the creator if a free minting range exists
-        if (bp.stepPrices[0] == 0) {
-            newToken.mintByBond(_msgSender(), bp.stepRanges[0]);
-        }
-
-        return token;
+    function updateTokenMetaData(address, string calldata, string calldata) external {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Creates a new multi-token with the given parameters.
-     * @param tp The multi-token parameters.
-     * @param bp The bond parameters.
-     * @return The address of the newly created multi-token.
+     * @dev See {MCV2_BondExtension-updateRoyaltySplit}.
      */
-    function createMultiToken(MultiTokenParams calldata tp, BondParams calldata bp) external payable returns (address) {
-        _validateMultiTokenParams(tp);
-        _validateBondParams(bp);
-        _collectCreationFee(msg.value);
-
-        address token = _clone(MULTI_TOKEN_IMPLEMENTATION, tp.symbol);
-        MCV2_MultiToken newToken = MCV2_MultiToken(token);
-        newToken.init(tp.name, tp.symbol, tp.uri);
-        tokens.push(token);
-
-        _setBond(token, bp);
-
-        emit MultiTokenCreated(token, tp.name, tp.symbol, tp.uri, bp.reserveToken);
+    function updateRoyaltySplit(address, address[] calldata, uint16[] calldata) external {
+        _delegateToExtension();
+    }
 
-        // Send free tokens to the creator if a free minting range exists
-        if (bp.stepPrices[0] == 0) {
-            newToken.mintByBond(_msgSender(), bp.stepRanges[0]);
-        }
+    // MARK: - Owner only functions
 
-        return token;
+    /**
+     * @dev See {MCV2_BondExtension-queueParameterChange}.
+     */
+    function queueParameterChange(Parameter, address, uint256) external {
+        _delegateToExtension();
     }
 
-    // MARK: - Creator only functions
+    /**
+     * @dev See {MCV2_BondExtension-cancelParameterChange}.
+     */
+    function cancelParameterChange(Parameter, address) external {
+        _delegateToExtension();
+    }
 
     /**
-     * @dev Updates the bond creator address for a token.
-     * @param token The address of the token.
-     * @param creator The new creator address.
+     * @dev See {MCV2_BondExtension-executeParameterChange}.
      */
-    function updateBondCreator(address token, address creator) external {
-        Bond storage bond = tokenBond[token];
-        if (bond.creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+    function executeParameterChange(Parameter, address) external {
+        _delegateToExtension();
+    }
 
-        // null address is not allowed, use dEaD address instead
-        if (creator == address(0)) revert MCV2_Bond__InvalidCreatorAddress();
-        bond.creator = creator;
+    // MARK: - Royalties
 
-        emit BondCreatorUpdated(token, creator);
+    /**
+     * @dev See {MCV2_Royalty-claimRoyalties}.
+     */
+    function claimRoyalties(address) external override {
+        _delegateToExtension();
     }
 
     /**
-     * @dev Updates the on-chain metadata for a token.
-     * @param token The address of the token.
-     * @param logo The new logo URL.
-     * @param website The new website URL.
+     * @dev See {MCV2_Royalty-burnRoyalties}.
      */
-    function updateTokenMetaData(address token, string calldata logo, string calldata website) external {
-        Bond storage bond = tokenBond[token];
-        if (bond.creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
-
-        MetaData storage metaData = tokenMetaData[token];
-        metaData.logo = logo;
-        metaData.website = website;
-
-        emit TokenMetaDataUpdated(token, logo, website);
+    function burnRoyalties(address) external override {
+        _delegateToExtension();
     }
 
     // MARK: - Mint
@@ -351,7 +192,7 @@ contract MCV2_Bond is MCV2_Royalty {
      * @param token The address of the token.
      * @param tokensToMint The number of tokens to mint.
      * @return reserveAmount The reserve amount required to mint the specified number of tokens.
-     * @return royalty The royalty amount to be added to the reserve amount.
+     * @return royalty The royalty amount (`mintRoyalty`) to be added to the reserve amount.
      */
     function getReserveForToken(address token, uint256 tokensToMint) public view _checkBondExists(token)
         returns (uint256 reserveAmount, uint256 royalty)
@@ -393,35 +234,350 @@ contract MCV2_Bond is MCV2_Royalty {
 
         if (reserveToBond == 0 || tokensLeft > 0) revert MCV2_Bond__InvalidTokenAmount(); // can never happen
 
-        royalty = _getRoyalty(reserveToBond, bond.royalty);
+        royalty = _getRoyalty(reserveToBond, bond.mintRoyalty);
         reserveAmount = reserveToBond + royalty;
     }
 
+    /**
+     * @dev Calculates the maximum number of tokens that can be minted with a given reserve amount, including the royalty.
+     * It inverts the step walk of `getReserveForToken` (including the ceiling on each step), so minting `tokensToMint`
+     * costs exactly `reserveUsed`, which can be slightly less than `reserveAmount` due to rounding.
+     * @param token The address of the token.
+     * @param reserveAmount The reserve amount to spend, including the royalty.
+     * @return tokensToMint The maximum number of tokens that can be minted.
+     * @return reserveUsed The reserve amount required to mint `tokensToMint`, including the royalty.
+     * @return royalty The royalty amount (`mintRoyalty`) included in `reserveUsed`.
+     */
+    function getTokensForReserve(address token, uint256 reserveAmount) public view _checkBondExists(token)
+        returns (uint256 tokensToMint, uint256 reserveUsed, uint256 royalty)
+    {
+        if (reserveAmount == 0) revert MCV2_Bond__InvalidReserveAmount();
+
+        Bond memory bond = tokenBond[token];
+        BondStep[] memory steps = bond.steps;
+
+        MCV2_ICommonToken t = MCV2_ICommonToken(token);
+        uint256 currentSupply = t.totalSupply();
+
+        if (currentSupply >= maxSupply(token)) revert MCV2_Bond__ExceedMaxSupply();
+
+        // The maximum reserveToBond where reserveToBond + royalty <= reserveAmount (+1 as the royalty is floored)
+        uint256 budget = reserveAmount * RATIO_BASE / (RATIO_BASE + bond.mintRoyalty);
+        if (budget + 1 + _getRoyalty(budget + 1, bond.mintRoyalty) <= reserveAmount) ++budget;
+
+        uint256 multiFactor = 10**t.decimals(); // 1 or 18
+        uint256 reserveToBond = 0;
+        for (uint256 i = getCurrentStep(token, currentSupply); i < steps.length; ++i) {
+            BondStep memory step = steps[i];
+            uint256 supplyLeft = step.rangeTo - currentSupply;
+            if (supplyLeft == 0) continue;
+
+            // ensure reserve is calculated with ceiling, same as getReserveForToken
+            uint256 stepReserve = Math.ceilDiv(supplyLeft * step.price, multiFactor);
+            if (reserveToBond + stepReserve <= budget) {
+                reserveToBond += stepReserve;
+                tokensToMint += supplyLeft;
+                currentSupply += supplyLeft;
+            } else {
+                // The most tokens of this step whose ceiled reserve fits in the budget left (step.price > 0 here)
+                supplyLeft = (budget - reserveToBond) * multiFactor / step.price;
+                if (supplyLeft > 0) {
+                    reserveToBond += Math.ceilDiv(supplyLeft * step.price, multiFactor);
+                    tokensToMint += supplyLeft;
+                }
+                break;
+            }
+        }
+
+        if (tokensToMint == 0 || reserveToBond == 0) revert MCV2_Bond__InvalidReserveAmount(); // too small to mint any token
+
+        royalty = _getRoyalty(reserveToBond, bond.mintRoyalty);
+        reserveUsed = reserveToBond + royalty;
+    }
+
+    /**
+     * @dev Same as `getReserveForToken`, but adds the referral fee of `mintWithReferral` to the reserve amount.
+     * The referral fee is taken on the reserve to the bond (excluding the royalty), like the royalty.
+     * @param referralFee The referral fee in basis points, up to `maxReferralFee`.
+     * @return reserveAmount The reserve amount required to mint, including the royalty and the referral fee.
+     * @return royalty The royalty amount (`mintRoyalty`) included in `reserveAmount`.
+     * @return referralFeeAmount The referral fee amount included in `reserveAmount`.
+     */
+    function getReserveForTokenWithReferral(address token, uint256 tokensToMint, uint16 referralFee) public view
+        returns (uint256 reserveAmount, uint256 royalty, uint256 referralFeeAmount)
+    {
+        if (referralFee > maxReferralFee) revert MCV2_Bond__InvalidReferralFee();
+
+        (reserveAmount, royalty) = getReserveForToken(token, tokensToMint);
+        referralFeeAmount = _getRoyalty(reserveAmount - royalty, referralFee);
+        reserveAmount += referralFeeAmount;
+    }
+
+    /**
+     * @dev Adds the royalty of a trade, crediting the creator cut to the beneficiaries of the royalty split if any.
+     * Each beneficiary gets its share rounded down, and the last one also gets the remainder,
+     * so the creator cut is always credited in full.
+     * @param token The address of the token.
+     * @param bond The bond of the token.
+     * @param royalty The royalty amount to be added.
+     */
+    function _addBondRoyalty(address token, Bond storage bond, uint256 royalty) private {
+        RoyaltySplit[] storage split = tokenRoyaltySplit[token];
+        uint256 count = split.length;
+        if (count == 0) return _addRoyalty(bond.creator, bond.reserveToken, royalty);
+
+        address reserveToken = bond.reserveToken;
+        uint256 creatorCut = _addProtocolCut(reserveToken, royalty);
+        uint256 creatorCutLeft = creatorCut;
+        for (uint256 i = 0; i < count - 1; ++i) {
+            uint256 amount = creatorCut * split[i].share / RATIO_BASE;
+            userTokenRoyaltyBalance[split[i].beneficiary][reserveToken] += amount;
+            creatorCutLeft -= amount;
+        }
+        userTokenRoyaltyBalance[split[count - 1].beneficiary][reserveToken] += creatorCutLeft;
+    }
+
+    /**
+     * @dev Credits the referral fee of a trade to the referrer, claimable with `claimRoyalties` (no protocol cut).
+     * Nothing is credited (and the referrer isn't checked) if no fee is charged.
+     * @param token The address of the token traded.
+     * @param referrer The address of the referrer.
+     * @param amount The referral fee amount.
+     */
+    function _addReferralFee(address token, address referrer, uint256 amount) private {
+        if (amount == 0) return;
+        if (referrer == address(0)) revert MCV2_Bond__InvalidReferrer();
+
+        address reserveToken = tokenBond[token].reserveToken;
+        userTokenRoyaltyBalance[referrer][reserveToken] += amount;
+
+        emit ReferralFeePaid(token, referrer, reserveToken, amount);
+    }
+
+    /**
+     * @dev Checks a mint against the limits of the token and counts it for the wallet if needed.
+     * @param token The address of the token to mint.
+     * @param user The wallet minting the tokens.
+     * @param tokensToMint The amount of tokens to mint.
+     */
+    function _checkMintLimits(address token, address user, uint256 tokensToMint) private {
+        MintLimits memory limits = tokenMintLimits[token];
+        if (limits.maxTokensPerTx != 0 && tokensToMint > limits.maxTokensPerTx) revert MCV2_Bond__ExceedMaxMintPerTx();
+        if (limits.maxTokensPerWallet == 0 && limits.mintInterval == 0) return;
+
+        WalletMints storage mints = walletMints[token][user];
+        if (block.timestamp < uint256(mints.lastMintAt) + limits.mintInterval) revert MCV2_Bond__MintIntervalNotPassed();
+
+        uint256 minted = mints.minted + tokensToMint;
+        if (limits.maxTokensPerWallet != 0 && minted > limits.maxTokensPerWallet) revert MCV2_Bond__ExceedMaxMintPerWallet();
+
+        mints.minted = uint216(minted);
+        mints.lastMintAt = uint40(block.timestamp);
+    }
+
+    /**
+     * @dev Reverts if the token is in its presale, where only `mintWithPresaleProof` can mint.
+     * @param token The address of the token to mint.
+     */
+    function _checkPresaleEnded(address token) private view {
+        if (block.timestamp < tokenPresale[token].endTime) revert MCV2_Bond__PresaleActive();
+    }
+
+    /**
+     * @dev Transfers the reserve from the user, updates the reserve and royalty balances and mints the tokens to the receiver.
+     * For native reserves, `msg.value` must cover `reserveAmount` and the excess is refunded to the user.
+     * @param token The address of the token to mint.
+     * @param tokensToMint The amount of tokens to mint.
+     * @param reserveAmount The reserve amount to transfer from the user, including the royalty and the referral fee.
+     * @param royalty The royalty amount included in `reserveAmount`.
+     * @param referralFee The referral fee amount included in `reserveAmount`, credited by the caller.
+     * @param receiver The address to receive the minted tokens.
+     */
+    function _mint(address token, uint256 tokensToMint, uint256 reserveAmount, uint256 royalty, uint256 referralFee, address receiver)
+        private
+    {
+        if (receiver == address(0)) revert MCV2_Bond__InvalidReceiver();
+
+        Bond storage bond = tokenBond[token];
+        if (block.timestamp < bond.mintStartTime) revert MCV2_Bond__MintNotStarted();
+        address user = _msgSender();
+        _checkMintLimits(token, user, tokensToMint);
+
+        // Transfer reserve tokens (the native coin is already sent with the transaction)
+        bool isNative = bond.reserveToken == NATIVE_TOKEN;
+        if (isNative) {
+            if (msg.value < reserveAmount) revert MCV2_Bond__InvalidNativeAmount();
+        } else {
+            if (msg.value != 0) revert MCV2_Bond__InvalidNativeAmount();
+            IERC20(bond.reserveToken).safeTransferFrom(user, address(this), reserveAmount);
+        }
+
+        // Update reserve & fee balances
+        bond.reserveBalance += reserveAmount - royalty - referralFee;
+        _addBondRoyalty(token, bond, royalty);
+
+        // Mint reward tokens to the receiver
+        MCV2_ICommonToken(token).mintByBond(receiver, tokensToMint);
+
+        emit Mint(token, user, receiver, tokensToMint, bond.reserveToken, reserveAmount);
+
+        if (isNative && msg.value > reserveAmount) _transferReserve(NATIVE_TOKEN, user, msg.value - reserveAmount);
+    }
+
     /**
      * @dev Mint new tokens by depositing reserve tokens.
      * @param token The address of the token to mint.
      * @param tokensToMint The amount of tokens to mint.
      * @param maxReserveAmount The maximum reserve amount allowed for the minting operation.
      */
-    function mint(address token, uint256 tokensToMint, uint256 maxReserveAmount) external {
+    function mint(address token, uint256 tokensToMint, uint256 maxReserveAmount) external payable {
+        mintTo(token, tokensToMint, maxReserveAmount, _msgSender());
+    }
+
+    /**
+     * @dev Mint new tokens to the receiver by depositing reserve tokens from the caller.
+     * @param token The address of the token to mint.
+     * @param tokensToMint The amount of tokens to mint.
+     * @param maxReserveAmount The maximum reserve amount allowed for the minting operation.
+     * @param receiver The address to receive the minted tokens.
+     */
+    function mintTo(address token, uint256 tokensToMint, uint256 maxReserveAmount, address receiver) public payable {
+        _checkPresaleEnded(token);
+
         (uint256 reserveAmount, uint256 royalty) = getReserveForToken(token, tokensToMint);
         if (reserveAmount > maxReserveAmount) revert MCV2_Bond__SlippageLimitExceeded();
 
-        Bond storage bond = tokenBond[token];
-        address user = _msgSender();
+        _mint(token, tokensToMint, reserveAmount, royalty, 0, receiver);
+    }
 
-        // Transfer reserve tokens
-        IERC20 reserveToken = IERC20(bond.reserveToken);
-        reserveToken.safeTransferFrom(user, address(this), reserveAmount);
+    /**
+     * @dev Same as `mintTo`, but reverts if the transaction is executed after the deadline,
+     * so a transaction stuck in the mempool cannot execute on a curve that moved within the slippage bound.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function mintWithDeadline(address token, uint256 tokensToMint, uint256 maxReserveAmount, address receiver, uint256 deadline)
+        external payable _checkDeadline(deadline)
+    {
+        mintTo(token, tokensToMint, maxReserveAmount, receiver);
+    }
 
-        // Update reserve & fee balances
-        bond.reserveBalance += reserveAmount - royalty;
-        _addRoyalty(bond.creator, bond.reserveToken, royalty);
+    /**
+     * @dev Same as `mintWithDeadline`, but adds a referral fee to the reserve amount, credited to the referrer
+     * (see `getReserveForTokenWithReferral`). `maxReserveAmount` includes the referral fee.
+     * @param referrer The address to credit the referral fee to, e.g. the front-end or wallet routing the trade.
+     * @param referralFee The referral fee in basis points, up to `maxReferralFee`.
+     */
+    function mintWithReferral(
+        address token,
+        uint256 tokensToMint,
+        uint256 maxReserveAmount,
+        address receiver,
+        uint256 deadline,
+        address referrer,
+        uint16 referralFee
+    ) external payable _checkDeadline(deadline) {
+        _checkPresaleEnded(token);
+
+        (uint256 reserveAmount, uint256 royalty, uint256 referralFeeAmount) =
+            getReserveForTokenWithReferral(token, tokensToMint, referralFee);
+        if (reserveAmount > maxReserveAmount) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _addReferralFee(token, referrer, referralFeeAmount);
+        _mint(token, tokensToMint, reserveAmount, royalty, referralFeeAmount, receiver);
+    }
+
+    /**
+     * @dev Same as `mintWithDeadline`, but lets a wallet in the presale Merkle tree of the token mint during the presale,
+     * up to `maxMintPerWallet` tokens in total (receivers aside). The proof is ignored once minting is public.
+     * @param proof The Merkle proof of the caller, built like the proofs of MerkleDistributor.
+     */
+    function mintWithPresaleProof(
+        address token,
+        uint256 tokensToMint,
+        uint256 maxReserveAmount,
+        address receiver,
+        uint256 deadline,
+        bytes32[] calldata proof
+    ) external payable _checkDeadline(deadline) {
+        Presale storage presale = tokenPresale[token];
+        if (block.timestamp < presale.endTime) {
+            address user = _msgSender();
+            if (!MerkleProof.verifyCalldata(proof, presale.merkleRoot, keccak256(abi.encodePacked(user)))) {
+                revert MCV2_Bond__InvalidPresaleProof();
+            }
+
+            uint256 minted = presaleMinted[token][user] + tokensToMint;
+            if (presale.maxMintPerWallet != 0 && minted > presale.maxMintPerWallet) revert MCV2_Bond__ExceedPresaleLimit();
+            presaleMinted[token][user] = minted;
+        }
+
+        (uint256 reserveAmount, uint256 royalty) = getReserveForToken(token, tokensToMint);
+        if (reserveAmount > maxReserveAmount) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _mint(token, tokensToMint, reserveAmount, royalty, 0, receiver);
+    }
 
-        // Mint reward tokens to the user
-        MCV2_ICommonToken(token).mintByBond(user, tokensToMint);
+    /**
+     * @dev Same as `mintWithDeadline`, but approves the reserve token with an EIP-2612 permit signed by the caller
+     * for `maxReserveAmount`, so the first mint doesn't need a separate approval (ERC20 reserves only).
+     * A failing permit is ignored, as it may have been front-run, and the mint goes through if the allowance suffices.
+     * @param deadline The latest block timestamp to execute at, also the deadline of the permit.
+     * @param v The recovery byte of the permit signature.
+     * @param r The first 32 bytes of the permit signature.
+     * @param s The second 32 bytes of the permit signature.
+     */
+    function mintWithPermit(
+        address token,
+        uint256 tokensToMint,
+        uint256 maxReserveAmount,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external _checkDeadline(deadline) _checkBondExists(token) {
+        try IERC20Permit(tokenBond[token].reserveToken).permit(_msgSender(), address(this), maxReserveAmount, deadline, v, r, s) {} catch {}
 
-        emit Mint(token, user, tokensToMint, bond.reserveToken, reserveAmount);
+        mintTo(token, tokensToMint, maxReserveAmount, receiver);
+    }
+
+    /**
+     * @dev Mint the maximum amount of tokens affordable with a fixed reserve amount.
+     * Only the reserve required for the minted tokens is transferred (see `getTokensForReserve`).
+     * @param token The address of the token to mint.
+     * @param reserveAmount The reserve amount to spend, including the royalty.
+     * @param minTokensOut The minimum amount of tokens to mint.
+     * @return tokensToMint The amount of tokens minted.
+     */
+    function mintWithReserveAmount(address token, uint256 reserveAmount, uint256 minTokensOut) external payable returns (uint256) {
+        return mintWithReserveAmountTo(token, reserveAmount, minTokensOut, _msgSender());
+    }
+
+    /**
+     * @dev Same as `mintWithReserveAmount`, but mints the tokens to the receiver.
+     * @param receiver The address to receive the minted tokens.
+     */
+    function mintWithReserveAmountTo(address token, uint256 reserveAmount, uint256 minTokensOut, address receiver)
+        public payable returns (uint256 tokensToMint)
+    {
+        _checkPresaleEnded(token);
+
+        uint256 reserveUsed;
+        uint256 royalty;
+        (tokensToMint, reserveUsed, royalty) = getTokensForReserve(token, reserveAmount);
+        if (tokensToMint < minTokensOut) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _mint(token, tokensToMint, reserveUsed, royalty, 0, receiver);
+    }
+
+    /**
+     * @dev Same as `mintWithReserveAmountTo`, but reverts if the transaction is executed after the deadline.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function mintWithReserveAmountWithDeadline(address token, uint256 reserveAmount, uint256 minTokensOut, address receiver, uint256 deadline)
+        external payable _checkDeadline(deadline) returns (uint256)
+    {
+        return mintWithReserveAmountTo(token, reserveAmount, minTokensOut, receiver);
     }
 
     // MARK: - Burn
@@ -431,7 +587,7 @@ contract MCV2_Bond is MCV2_Royalty {
      * @param token The address of the token.
      * @param tokensToBurn The amount of tokens to burn.
      * @return refundAmount The amount to be refunded.
-     * @return royalty The royalty amount.
+     * @return royalty The royalty amount (`burnRoyalty`).
      */
     function getRefundForTokens(address token, uint256 tokensToBurn) public view _checkBondExists(token)
         returns (uint256 refundAmount, uint256 royalty)
@@ -465,35 +621,273 @@ contract MCV2_Bond is MCV2_Royalty {
 
         if (tokensLeft > 0) revert MCV2_Bond__InvalidTokenAmount(); // can never happen
 
-        royalty = _getRoyalty(reserveFromBond, bond.royalty);
+        royalty = _getRoyalty(reserveFromBond, bond.burnRoyalty);
         refundAmount = reserveFromBond - royalty;
     }
 
     /**
-     * @dev Burns a specified amount of tokens and refunds the user with reserve tokens.
+     * @dev Same as `getRefundForTokens`, but deducts the referral fee of `burnWithReferral` from the refund amount.
+     * The referral fee is taken on the reserve from the bond (including the royalty), like the royalty.
+     * @param referralFee The referral fee in basis points, up to `maxReferralFee`.
+     * @return refundAmount The amount to be refunded, after the royalty and the referral fee.
+     * @return royalty The royalty amount (`burnRoyalty`).
+     * @return referralFeeAmount The referral fee amount.
+     */
+    function getRefundForTokensWithReferral(address token, uint256 tokensToBurn, uint16 referralFee) public view
+        returns (uint256 refundAmount, uint256 royalty, uint256 referralFeeAmount)
+    {
+        if (referralFee > maxReferralFee) revert MCV2_Bond__InvalidReferralFee();
+
+        (refundAmount, royalty) = getRefundForTokens(token, tokensToBurn);
+        referralFeeAmount = _getRoyalty(refundAmount + royalty, referralFee);
+        refundAmount -= referralFeeAmount;
+    }
+
+    /**
+     * @dev Calculates the minimum number of tokens to burn for a given refund amount, after the royalty.
+     * It walks the steps in reverse like `getRefundForTokens` (including the flooring on each step).
+     * @param token The address of the token.
+     * @param refundAmount The refund amount to receive, after the royalty.
+     * @return tokensToBurn The minimum number of tokens to burn.
+     * @return royalty The royalty amount (`burnRoyalty`) of burning `tokensToBurn`.
+     */
+    function getTokensForRefund(address token, uint256 refundAmount) public view _checkBondExists(token)
+        returns (uint256 tokensToBurn, uint256 royalty)
+    {
+        if (refundAmount == 0) revert MCV2_Bond__InvalidReserveAmount();
+
+        Bond memory bond = tokenBond[token];
+        BondStep[] memory steps = bond.steps;
+
+        // The minimum reserveFromBond where reserveFromBond - royalty >= refundAmount
+        // (up to 2 less than the ceiling as the royalty is floored and at most 50%)
+        uint256 target = Math.ceilDiv(refundAmount * RATIO_BASE, RATIO_BASE - bond.burnRoyalty);
+        while (target - 1 - _getRoyalty(target - 1, bond.burnRoyalty) >= refundAmount) --target;
+
+        MCV2_ICommonToken t = MCV2_ICommonToken(token);
+        uint256 currentSupply = t.totalSupply();
+        uint256 multiFactor = 10**t.decimals();
+        uint256 reserveFromBond;
+        uint256 i = getCurrentStep(token, currentSupply);
+        while (true) {
+            uint256 supplyLeft = i == 0 ? currentSupply : currentSupply - steps[i - 1].rangeTo;
+            uint256 stepRefund = (supplyLeft * steps[i].price) / multiFactor;
+
+            if (reserveFromBond + stepRefund < target) {
+                if (i == 0) revert MCV2_Bond__ExceedTotalSupply(); // burning the whole supply is not enough
+
+                reserveFromBond += stepRefund;
+                tokensToBurn += supplyLeft;
+                currentSupply -= supplyLeft;
+                --i;
+            } else {
+                // The fewest tokens of this step whose floored refund covers the rest (steps[i].price > 0 here)
+                supplyLeft = Math.ceilDiv((target - reserveFromBond) * multiFactor, steps[i].price);
+                reserveFromBond += (supplyLeft * steps[i].price) / multiFactor;
+                tokensToBurn += supplyLeft;
+                break;
+            }
+        }
+
+        royalty = _getRoyalty(reserveFromBond, bond.burnRoyalty);
+    }
+
+    /**
+     * @dev Burns the tokens from the user, updates the reserve and royalty balances and transfers the refund to the receiver.
      * @param token The address of the token to burn.
      * @param tokensToBurn The amount of tokens to burn.
-     * @param minRefund The minimum refund amount required.
+     * @param refundAmount The refund amount to transfer to the receiver.
+     * @param royalty The royalty amount to deduct from the reserve balance, on top of the refund.
+     * @param referralFee The referral fee amount to deduct from the reserve balance, on top of the refund, credited by the caller.
+     * @param receiver The address to receive the refund.
      */
-    function burn(address token, uint256 tokensToBurn, uint256 minRefund) external {
-        (uint256 refundAmount, uint256 royalty) = getRefundForTokens(token, tokensToBurn);
-        if (refundAmount < minRefund) revert MCV2_Bond__SlippageLimitExceeded();
+    function _burn(address token, uint256 tokensToBurn, uint256 refundAmount, uint256 royalty, uint256 referralFee, address receiver)
+        private
+    {
+        if (receiver == address(0)) revert MCV2_Bond__InvalidReceiver();
 
         Bond storage bond = tokenBond[token];
+        if (block.timestamp < bond.burnStartTime) revert MCV2_Bond__BurnNotStarted();
         address user = _msgSender();
 
         // Burn tokens from the user
         MCV2_ICommonToken(token).burnByBond(user, tokensToBurn);
 
         // Update reserve & fee balances
-        bond.reserveBalance -= (refundAmount + royalty);
-        _addRoyalty(bond.creator, bond.reserveToken, royalty);
+        bond.reserveBalance -= (refundAmount + royalty + referralFee);
+        _addBondRoyalty(token, bond, royalty);
+
+        // Emitted before the transfer, as a native refund calls the receiver, which can trade on the bond again
+        emit Burn(token, user, receiver, tokensToBurn, bond.reserveToken, refundAmount);
+
+        // Transfer reserve tokens to the receiver
+        _transferReserve(bond.reserveToken, receiver, refundAmount);
+    }
+
+    /**
+     * @dev Burns a specified amount of tokens and refunds the user with reserve tokens.
+     * @param token The address of the token to burn.
+     * @param tokensToBurn The amount of tokens to burn.
+     * @param minRefund The minimum refund amount required.
+     */
+    function burn(address token, uint256 tokensToBurn, uint256 minRefund) external {
+        burnTo(token, tokensToBurn, minRefund, _msgSender());
+    }
 
-        // Transfer reserve tokens to the user
-        IERC20 reserveToken = IERC20(bond.reserveToken);
-        reserveToken.safeTransfer(user, refundAmount);
+    /**
+     * @dev Burns a specified amount of tokens from the caller and refunds the receiver with reserve tokens.
+     * @param token The address of the token to burn.
+     * @param tokensToBurn The amount of tokens to burn.
+     * @param minRefund The minimum refund amount required.
+     * @param receiver The address to receive the refund.
+     */
+    function burnTo(address token, uint256 tokensToBurn, uint256 minRefund, address receiver) public {
+        (uint256 refundAmount, uint256 royalty) = getRefundForTokens(token, tokensToBurn);
+        if (refundAmount < minRefund) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _burn(token, tokensToBurn, refundAmount, royalty, 0, receiver);
+    }
 
-        emit Burn(token, user, tokensToBurn, bond.reserveToken, refundAmount);
+    /**
+     * @dev Same as `burnTo`, but reverts if the transaction is executed after the deadline.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function burnWithDeadline(address token, uint256 tokensToBurn, uint256 minRefund, address receiver, uint256 deadline)
+        external _checkDeadline(deadline)
+    {
+        burnTo(token, tokensToBurn, minRefund, receiver);
+    }
+
+    /**
+     * @dev Same as `burnWithDeadline`, but deducts a referral fee from the refund amount, credited to the referrer
+     * (see `getRefundForTokensWithReferral`). `minRefund` is after the referral fee.
+     * @param referrer The address to credit the referral fee to, e.g. the front-end or wallet routing the trade.
+     * @param referralFee The referral fee in basis points, up to `maxReferralFee`.
+     */
+    function burnWithReferral(
+        address token,
+        uint256 tokensToBurn,
+        uint256 minRefund,
+        address receiver,
+        uint256 deadline,
+        address referrer,
+        uint16 referralFee
+    ) external _checkDeadline(deadline) {
+        (uint256 refundAmount, uint256 royalty, uint256 referralFeeAmount) =
+            getRefundForTokensWithReferral(token, tokensToBurn, referralFee);
+        if (refundAmount < minRefund) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _addReferralFee(token, referrer, referralFeeAmount);
+        _burn(token, tokensToBurn, refundAmount, royalty, referralFeeAmount, receiver);
+    }
+
+    /**
+     * @dev Same as `burnWithDeadline`, but approves the bond token with an EIP-2612 permit signed by the caller
+     * for `tokensToBurn`, so the first burn doesn't need a separate approval (MCV2_Token only).
+     * A failing permit is ignored, as it may have been front-run, and the burn goes through if the allowance suffices.
+     * @param deadline The latest block timestamp to execute at, also the deadline of the permit.
+     * @param v The recovery byte of the permit signature.
+     * @param r The first 32 bytes of the permit signature.
+     * @param s The second 32 bytes of the permit signature.
+     */
+    function burnWithPermit(
+        address token,
+        uint256 tokensToBurn,
+        uint256 minRefund,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external _checkDeadline(deadline) _checkBondExists(token) {
+        try IERC20Permit(token).permit(_msgSender(), address(this), tokensToBurn, deadline, v, r, s) {} catch {}
+
+        burnTo(token, tokensToBurn, minRefund, receiver);
+    }
+
+    /**
+     * @dev Burns the minimum amount of tokens to refund exactly `refundAmount` to the user.
+     * Burning `tokensToBurn` can be worth slightly more than `refundAmount` due to the token granularity,
+     * and the difference stays in the reserve balance, so the bond never pays out more than the step integral.
+     * @param token The address of the token to burn.
+     * @param refundAmount The exact refund amount to receive, after the royalty.
+     * @param maxTokensIn The maximum amount of tokens to burn.
+     * @return tokensToBurn The amount of tokens burned.
+     */
+    function burnForRefund(address token, uint256 refundAmount, uint256 maxTokensIn) external returns (uint256) {
+        return burnForRefundTo(token, refundAmount, maxTokensIn, _msgSender());
+    }
+
+    /**
+     * @dev Same as `burnForRefund`, but transfers the refund to the receiver.
+     * @param receiver The address to receive the refund.
+     */
+    function burnForRefundTo(address token, uint256 refundAmount, uint256 maxTokensIn, address receiver)
+        public returns (uint256 tokensToBurn)
+    {
+        uint256 royalty;
+        (tokensToBurn, royalty) = getTokensForRefund(token, refundAmount);
+        if (tokensToBurn > maxTokensIn) revert MCV2_Bond__SlippageLimitExceeded();
+
+        _burn(token, tokensToBurn, refundAmount, royalty, 0, receiver);
+    }
+
+    /**
+     * @dev Same as `burnForRefundTo`, but reverts if the transaction is executed after the deadline.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function burnForRefundWithDeadline(address token, uint256 refundAmount, uint256 maxTokensIn, address receiver, uint256 deadline)
+        external _checkDeadline(deadline) returns (uint256)
+    {
+        return burnForRefundTo(token, refundAmount, maxTokensIn, receiver);
+    }
+
+    // MARK: - Extension
+
+    /**
+     * @dev Runs the current call on MCV2_BondExtension with the storage of this contract, and returns or reverts with its result.
+     * Only called from functions with the same signature as the MCV2_BondExtension function to run.
+     */
+    function _delegateToExtension() private {
+        address extension = EXTENSION;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) { revert(0, returndatasize()) }
+            return(0, returndatasize())
+        }
+    }
+
+    /**
+     * @dev Same as `_delegateToExtension`, for view functions of MCV2_BondExtension.
+     * A view cannot delegatecall, so the call is sent to `delegateView` of this contract with a staticcall,
+     * which keeps the extension function from modifying the state.
+     */
+    function _delegateViewToExtension() private view {
+        (bool success, bytes memory result) = address(this).staticcall(abi.encodeCall(this.delegateView, (msg.data)));
+        assembly {
+            if iszero(success) { revert(add(result, 32), mload(result)) }
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Runs `data` on MCV2_BondExtension with the storage of this contract, and returns or reverts with its result.
+     * Only callable by this contract, from the staticcall of `_delegateViewToExtension`.
+     * @param data The calldata of the view function to run.
+     */
+    function delegateView(bytes calldata data) external {
+        if (msg.sender != address(this)) revert MCV2_Bond__PermissionDenied();
+
+        address extension = EXTENSION;
+        assembly {
+            calldatacopy(0, data.offset, data.length)
+            let success := delegatecall(gas(), extension, 0, data.length, 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) { revert(0, returndatasize()) }
+            return(0, returndatasize())
+        }
     }
 
     // MARK: - Utility functions
@@ -516,12 +910,38 @@ contract MCV2_Bond is MCV2_Royalty {
     }
 
     /**
-     * @dev Returns the steps of a token in the bond.
-     * @param token The address of the token.
-     * @return The steps of the token in the bond.
+     * @dev See {MCV2_Royalty-getRoyaltyInfo}.
      */
-    function getSteps(address token) external view returns (BondStep[] memory) {
-        return tokenBond[token].steps;
+    function getRoyaltyInfo(address, address) external view override returns (uint256, uint256) {
+        _delegateViewToExtension();
+    }
+
+    /**
+     * @dev See {MCV2_Royalty-getParameterChange}.
+     */
+    function getParameterChange(Parameter, address) external view override returns (ParameterChange memory) {
+        _delegateViewToExtension();
+    }
+
+    /**
+     * @dev See {MCV2_BondExtension-getSteps}.
+     */
+    function getSteps(address) external view returns (BondStep[] memory) {
+        _delegateViewToExtension();
+    }
+
+    /**
+     * @dev See {MCV2_BondExtension-getRoyaltySplit}.
+     */
+    function getRoyaltySplit(address) external view returns (RoyaltySplit[] memory) {
+        _delegateViewToExtension();
+    }
+
+    /**
+     * @dev See {MCV2_BondExtension-getMintAllowance}.
+     */
+    function getMintAllowance(address, address) external view returns (uint256, uint256) {
+        _delegateViewToExtension();
     }
 
     /**
@@ -549,155 +969,32 @@ contract MCV2_Bond is MCV2_Royalty {
         return tokenBond[token].steps[tokenBond[token].steps.length - 1].rangeTo;
     }
 
-    struct BondInfo {
-        address creator;
-        address token;
-        uint8 decimals;
-        string symbol;
-        string name;
-        string logo;
-        string website;
-        uint40 createdAt;
-        uint128 currentSupply;
-        uint128 maxSupply;
-        uint128 currentPrice;
-        address reserveToken;
-        uint8 reserveDecimals;
-        string reserveSymbol;
-        string reserveName;
-        uint256 reserveBalance;
-    }
-    function _getBondInfo(address token) private view returns(BondInfo memory info) {
-        MCV2_ICommonToken t = MCV2_ICommonToken(token);
-        Bond memory bond = tokenBond[token];
-        MetaData memory metaData = tokenMetaData[token];
-        IERC20Metadata r = IERC20Metadata(bond.reserveToken);
-
-        info = BondInfo({
-            creator: bond.creator,
-            token: token,
-            decimals: t.decimals(),
-            symbol: t.symbol(),
-            name: t.name(),
-            logo: metaData.logo,
-            website: metaData.website,
-            createdAt: bond.createdAt,
-            currentSupply: uint128(t.totalSupply()),
-            maxSupply: maxSupply(token),
-            currentPrice: currentPrice(token),
-            reserveToken: bond.reserveToken,
-            reserveDecimals: r.decimals(),
-            reserveSymbol: r.symbol(),
-            reserveName: r.name(),
-            reserveBalance: bond.reserveBalance
-        });
-    }
-    /**
-     * @dev Get all tokens and their bond parameters in the range where start <= id < stop.
-     * @param start The starting index of the range.
-     * @param stop The ending index of the range.
-     * @return info An array of BondInfo structs containing the bond parameters for each token in the range.
-     */
-    function getList(uint256 start, uint256 stop) external view returns(BondInfo[] memory info) {
-        if (start >= stop || stop - start > 1000) revert MCV2_BOND__InvalidPaginationParameters();
-
-        unchecked {
-            uint256 tokensLength = tokens.length;
-            if (stop > tokensLength) {
-                stop = tokensLength;
-            }
-
-            uint256 arrayLength = stop - start;
-            info = new BondInfo[](arrayLength);
-
-            uint256 j;
-            for (uint256 i = start; i < stop; ++i) {
-                info[j++] = _getBondInfo(tokens[i]);
-            }
-        }
+    /**
+     * @dev See {MCV2_BondExtension-getList}.
+     */
+    function getList(uint256, uint256) external view returns(BondInfo[] memory) {
+        _delegateViewToExtension();
     }
 
-    struct BondDetail {
-        uint16 royalty;
-        BondInfo info;
-        BondStep[] steps;
-    }
     /**
-     * @dev Retrieves the details of a bond token.
-     * @param token The address of the bond token.
-     * @return detail The BondDetail struct containing the royalty, bond info, and steps of the bond token.
+     * @dev See {MCV2_BondExtension-getDetail}.
      */
-    function getDetail(address token) external view returns(BondDetail memory detail) {
-        Bond memory bond = tokenBond[token];
-        detail = BondDetail({
-            royalty: bond.royalty,
-            info: _getBondInfo(token),
-            steps: bond.steps
-        });
+    function getDetail(address) external view returns(BondDetail memory) {
+        _delegateViewToExtension();
     }
 
     /**
-     * @dev Get tokens filtered by reserve token in the range where start <= id < stop
-     * @param reserveToken The address of the reserve token
-     * @param start The starting index of the range
-     * @param stop The ending index of the range
-     * @return addresses An array of addresses representing the filtered tokens
+     * @dev See {MCV2_BondExtension-getTokensByReserveToken}.
      */
-    function getTokensByReserveToken(address reserveToken, uint256 start, uint256 stop) external view returns (address[] memory addresses) {
-        if (start >= stop || stop - start > 10000) revert MCV2_BOND__InvalidPaginationParameters();
-
-        unchecked {
-            uint256 tokensLength = tokens.length;
-            if (stop > tokensLength) {
-                stop = tokensLength;
-            }
-
-            uint256 count;
-            for (uint256 i = start; i < stop; ++i) {
-                if (tokenBond[tokens[i]].reserveToken == reserveToken) ++count;
-            }
-            addresses = new address[](count);
-
-            uint256 j = 0;
-            for (uint256 i = start; i < stop; ++i) {
-                if (tokenBond[tokens[i]].reserveToken == reserveToken){
-                    addresses[j++] = tokens[i];
-                    if (j == count) break;
-                }
-            }
-        }
+    function getTokensByReserveToken(address, uint256, uint256) external view returns (address[] memory) {
+        _delegateViewToExtension();
     }
 
     /**
-     * @dev Get tokens filtered by creator address in the range where start <= id < stop
-     * @param creator The address of the token creator
-     * @param start The starting index of the range
-     * @param stop The ending index of the range (exclusive)
-     * @return addresses An array of token addresses filtered by creator address
+     * @dev See {MCV2_BondExtension-getTokensByCreator}.
      */
-    function getTokensByCreator(address creator, uint256 start, uint256 stop) external view returns (address[] memory addresses) {
-        if (start >= stop || stop - start > 10000) revert MCV2_BOND__InvalidPaginationParameters();
-
-        unchecked {
-            uint256 tokensLength = tokens.length;
-            if (stop > tokensLength) {
-                stop = tokensLength;
-            }
-
-            uint256 count;
-            for (uint256 i = start; i < stop; ++i) {
-                if (tokenBond[tokens[i]].creator == creator) ++count;
-            }
-            addresses = new address[](count);
-
-            uint256 j = 0;
-            for (uint256 i = start; i < stop; ++i) {
-                if (tokenBond[tokens[i]].creator == creator) {
-                    addresses[j++] = tokens[i];
-                    if (j == count) break;
-                }
-            }
-        }
+    function getTokensByCreator(address, uint256, uint256) external view returns (address[] memory) {
+        _delegateViewToExtension();
     }
 
     function version() external pure returns (string memory) {
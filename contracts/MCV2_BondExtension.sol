@@ -0,0 +1,680 @@
+// SPDX-License-Identifier: BSD-3-Clause
+
+pragma solidity =0.8.20;
+
+import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {MCV2_BondStorage} from "./MCV2_BondStorage.sol";
+import {MCV2_Token} from "./MCV2_Token.sol";
+import {MCV2_MultiToken} from "./MCV2_MultiToken.sol";
+import {MCV2_Bond} from "./MCV2_Bond.sol";
+import {MCV2_ICommonToken} from "./lib/MCV2_ICommonToken.sol";
+
+/**
+ * @title MCV2_BondExtension
+ * @dev Functions of MCV2_Bond split out to keep MCV2_Bond under the contract size limit: the token factory, settings and
+ * the list views.
+ * This contract is deployed before MCV2_Bond, which takes its address and forwards these functions to it with a delegatecall,
+ * so they run on the storage of MCV2_Bond and are called on the bond like any other function.
+ * The storage of this contract itself is never used.
+ */
+contract MCV2_BondExtension is MCV2_BondStorage {
+    error MCV2_BondExtension__DelegateCallOnly();
+
+    uint256 private constant MIN_UINT8_LENGTH = 31; // uint8 = 32 bits
+    uint256 private constant MIN_STRING_LENGTH = 95; // empty string = 64 bits, 1 character = 96 bits
+    uint256 private constant MAX_ROYALTY_BENEFICIARIES = 10;
+
+    // Reserve metadata reported in BondInfo for the native coin (NATIVE_TOKEN), which has no ERC20 metadata
+    string private constant NATIVE_NAME = "Native Token";
+    string private constant NATIVE_SYMBOL = "NATIVE";
+
+    uint256 private immutable MAX_STEPS;
+
+    // The address of this contract, as opposed to address(this) of MCV2_Bond when called with a delegatecall
+    address private immutable SELF;
+
+    /**
+     * @dev ERC20 Token implementation contract
+     * We use "EIP-1167: Minimal Proxy Contract" in order to save gas cost for each token deployment
+     * REF: https://github.com/optionality/clone-factory
+     */
+    address private immutable TOKEN_IMPLEMENTATION;
+    address private immutable MULTI_TOKEN_IMPLEMENTATION;
+
+    /**
+     * @dev Initializes the MCV2_BondExtension contract.
+     * @param tokenImplementation The address of the token implementation contract.
+     * @param multiTokenImplementation The address of the multi-token implementation contract.
+     * @param maxSteps The maximum number of steps allowed in a bond.
+     */
+    constructor(address tokenImplementation, address multiTokenImplementation, uint256 maxSteps)
+        MCV2_BondStorage(address(0), 0, msg.sender)
+    {
+        TOKEN_IMPLEMENTATION = tokenImplementation;
+        MULTI_TOKEN_IMPLEMENTATION = multiTokenImplementation;
+        MAX_STEPS = maxSteps;
+        SELF = address(this);
+    }
+
+    /**
+     * @dev Reverts on direct calls, which would run on the unused storage of this contract instead of MCV2_Bond
+     * (e.g. creating tokens the bond doesn't know about).
+     */
+    modifier onlyDelegateCall() {
+        if (address(this) == SELF) revert MCV2_BondExtension__DelegateCallOnly();
+        _;
+    }
+
+    // MARK: - Factory
+
+    /**
+     * @dev Validates the token creation parameters.
+     * @param tp The token parameters.
+     */
+    function _validateTokenParams(TokenParams calldata tp) pure private {
+        if (bytes(tp.name).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('name');
+        if (bytes(tp.symbol).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('symbol');
+    }
+
+    /**
+     * @dev Validates the multi-token creation parameters.
+     * @param tp The multi-token parameters.
+     */
+    function _validateMultiTokenParams(MultiTokenParams calldata tp) pure private {
+        if (bytes(tp.name).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('name');
+        if (bytes(tp.symbol).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('symbol');
+        if (bytes(tp.uri).length == 0) revert MCV2_Bond__InvalidTokenCreationParams('uri');
+    }
+
+    /**
+     * @dev Checks if the contract has the method with the minimum length of the return data.
+     * @param implementation The address of the contract implementation.
+     * @param method The name of the method to check.
+     * @param minLength The minimum length of the return data.
+     * @return A boolean indicating whether the method exists.
+     */
+    function _checkMethodExists(address implementation, string memory method, uint256 minLength) private view returns (bool) {
+        (bool success, bytes memory data) = implementation.staticcall(abi.encodeWithSignature(method));
+        return success && data.length > minLength;
+    }
+
+    /**
+     * @dev Validates the bond parameters.
+     * @param bp The bond parameters.
+     */
+    function _validateBondParams(BondParams calldata bp) view private {
+        if (bp.mintRoyalty > MAX_ROYALTY_RANGE) revert MCV2_Bond__InvalidTokenCreationParams('mintRoyalty');
+        if (bp.burnRoyalty > MAX_ROYALTY_RANGE) revert MCV2_Bond__InvalidTokenCreationParams('burnRoyalty');
+
+        // Check if the reserveToken is compatible with IERC20Metadata (unless it's the native coin)
+        address r = bp.reserveToken;
+        if (r == address(0)) revert MCV2_Bond__InvalidTokenCreationParams('reserveToken');
+        if (r != NATIVE_TOKEN) {
+            if(!_checkMethodExists(r, "decimals()", MIN_UINT8_LENGTH)) revert MCV2_Bond__InvalidReserveToken('decimals');
+            if(!_checkMethodExists(r, "name()", MIN_STRING_LENGTH)) revert MCV2_Bond__InvalidReserveToken('name');
+            if(!_checkMethodExists(r, "symbol()", MIN_STRING_LENGTH)) revert MCV2_Bond__InvalidReserveToken('symbol');
+        }
+
+        if (bp.maxSupply == 0) revert MCV2_Bond__InvalidTokenCreationParams('maxSupply');
+        if (bp.stepRanges.length == 0 || bp.stepRanges.length > MAX_STEPS) revert MCV2_Bond__InvalidStepParams('INVALID_STEP_LENGTH');
+        if (bp.stepRanges.length != bp.stepPrices.length) revert MCV2_Bond__InvalidStepParams('STEP_LENGTH_DO_NOT_MATCH');
+        // Last value or the rangeTo must be the same as the maxSupply
+        if (bp.stepRanges[bp.stepRanges.length - 1] != bp.maxSupply) revert MCV2_Bond__InvalidStepParams('MAX_SUPPLY_MISMATCH');
+
+        if (_burnStartsAfterMint(bp.mintStartTime, bp.burnStartTime)) revert MCV2_Bond__InvalidTokenCreationParams('burnStartTime');
+    }
+
+    /**
+     * @dev Checks if burning would open after minting, which would lock in everyone who mints before it.
+     * A past mint start time (or 0) opens minting at once.
+     */
+    function _burnStartsAfterMint(uint40 mintStartTime, uint40 burnStartTime) private view returns (bool) {
+        return burnStartTime > block.timestamp && burnStartTime > mintStartTime;
+    }
+
+    /**
+     * @dev Sets the bond parameters for a token.
+     * @param token The address of the token.
+     * @param bp The bond parameters.
+     */
+    function _setBond(address token, BondParams calldata bp) private {
+        // Set token bond data
+        Bond storage bond = tokenBond[token];
+        bond.creator = _msgSender();
+        bond.mintRoyalty = bp.mintRoyalty;
+        bond.burnRoyalty = bp.burnRoyalty;
+        bond.createdAt = uint40(block.timestamp);
+        bond.reserveToken = bp.reserveToken;
+        bond.mintStartTime = bp.mintStartTime;
+        bond.burnStartTime = bp.burnStartTime;
+
+        uint256 multiFactor = 10**IERC20Metadata(token).decimals();
+
+        for (uint256 i = 0; i < bp.stepRanges.length; ++i) {
+            uint256 stepRange = bp.stepRanges[i];
+            uint256 stepPrice = bp.stepPrices[i];
+
+            if (stepRange == 0) {
+                revert MCV2_Bond__InvalidStepParams('STEP_CANNOT_BE_ZERO');
+            } else if (stepPrice > 0 && stepRange * stepPrice < multiFactor) {
+                // To minimize rounding errors, the product of the range and price must be at least multiFactor (1e18 for ERC20, 1 for ERC1155).
+                revert MCV2_Bond__InvalidStepParams('STEP_RANG_OR_PRICE_TOO_SMALL');
+            }
+
+            // Ranges and prices must be strictly increasing
+            if (i > 0) {
+                if (stepRange <= bp.stepRanges[i - 1]) revert MCV2_Bond__InvalidStepParams('DECREASING_RANGE');
+                if (stepPrice <= bp.stepPrices[i - 1]) revert MCV2_Bond__InvalidStepParams('DECREASING_PRICE');
+            }
+
+            bond.steps.push(BondStep({
+                rangeTo: uint128(stepRange),
+                price: uint128(stepPrice)
+            }));
+        }
+    }
+
+    /**
+     * @dev Clones the implementation contract with a unique symbol.
+     * @param implementation The address of the implementation contract.
+     * @param symbol The symbol of the token.
+     * @return The address of the cloned token contract.
+     */
+    function _clone(address implementation, string calldata symbol) private returns (address) {
+        // Uniqueness of symbols on this network is guaranteed by the deterministic contract address
+        bytes32 salt = keccak256(abi.encodePacked(address(this), symbol));
+
+        // NOTE: This check might not be necessary as the clone would fail with an 'ERC1167: create2 failed'
+        // error anyway, and the collision is nearly impossible (one in 2^160).
+        // However, we retain this check to provide a clearer error message, albeit at the expense of an additional gas cost.
+        address predicted = Clones.predictDeterministicAddress(implementation, salt);
+        if (tokenBond[predicted].reserveToken != address(0)) revert MCV2_Bond__TokenSymbolAlreadyExists();
+
+        return Clones.cloneDeterministic(implementation, salt);
+    }
+
+    /**
+     * @dev Creates a new token with the given parameters.
+     * @param tp The token parameters.
+     * @param bp The bond parameters.
+     * @return The address of the newly created token.
+     */
+    function createToken(TokenParams calldata tp, BondParams calldata bp) public payable onlyDelegateCall returns (address) {
+        _validateTokenParams(tp);
+        _validateBondParams(bp);
+        _collectCreationFee(msg.value);
+
+        address token = _clone(TOKEN_IMPLEMENTATION, tp.symbol);
+        MCV2_Token newToken = MCV2_Token(token);
+        newToken.init(tp.name, tp.symbol);
+        tokens.push(token);
+
+        _setBond(token, bp);
+
+        emit TokenCreated(token, tp.name, tp.symbol, bp.reserveToken);
+
+        // Send free tokens to the creator if a free minting range exists
+        if (bp.stepPrices[0] == 0) {
+            newToken.mintByBond(_msgSender(), bp.stepRanges[0]);
+        }
+
+        return token;
+    }
+
+    /**
+     * @dev Creates a new multi-token with the given parameters.
+     * @param tp The multi-token parameters.
+     * @param bp The bond parameters.
+     * @return The address of the newly created multi-token.
+     */
+    function createMultiToken(MultiTokenParams calldata tp, BondParams calldata bp) public payable onlyDelegateCall returns (address) {
+        _validateMultiTokenParams(tp);
+        _validateBondParams(bp);
+        _collectCreationFee(msg.value);
+
+        address token = _clone(MULTI_TOKEN_IMPLEMENTATION, tp.symbol);
+        MCV2_MultiToken newToken = MCV2_MultiToken(token);
+        newToken.init(tp.name, tp.symbol, tp.uri);
+        tokens.push(token);
+
+        _setBond(token, bp);
+
+        emit MultiTokenCreated(token, tp.name, tp.symbol, tp.uri, bp.reserveToken);
+
+        // Send free tokens to the creator if a free minting range exists
+        if (bp.stepPrices[0] == 0) {
+            newToken.mintByBond(_msgSender(), bp.stepRanges[0]);
+        }
+
+        return token;
+    }
+
+    /**
+     * @dev Same as `createToken`, but reverts if the transaction is executed after the deadline.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function createTokenWithDeadline(TokenParams calldata tp, BondParams calldata bp, uint256 deadline)
+        external payable onlyDelegateCall _checkDeadline(deadline) returns (address)
+    {
+        return createToken(tp, bp);
+    }
+
+    /**
+     * @dev Same as `createMultiToken`, but reverts if the transaction is executed after the deadline.
+     * @param deadline The latest block timestamp to execute at.
+     */
+    function createMultiTokenWithDeadline(MultiTokenParams calldata tp, BondParams calldata bp, uint256 deadline)
+        external payable onlyDelegateCall _checkDeadline(deadline) returns (address)
+    {
+        return createMultiToken(tp, bp);
+    }
+
+    /**
+     * @dev Sets the presale of a newly created token.
+     * @param token The address of the token.
+     * @param presale The presale parameters.
+     */
+    function _setPresale(address token, Presale calldata presale) private {
+        if (presale.merkleRoot == bytes32(0)) revert MCV2_Bond__InvalidTokenCreationParams('presaleMerkleRoot');
+        if (presale.endTime <= block.timestamp) revert MCV2_Bond__InvalidTokenCreationParams('presaleEndTime');
+
+        tokenPresale[token] = presale;
+
+        emit PresaleCreated(token, presale.merkleRoot, presale.endTime, presale.maxMintPerWallet);
+    }
+
+    /**
+     * @dev Same as `createTokenWithDeadline`, but only wallets in the presale Merkle tree can mint
+     * (with `mintWithPresaleProof`) until the presale ends, so snipers cannot buy the first steps at launch.
+     * @param presale The presale parameters.
+     */
+    function createTokenWithPresale(TokenParams calldata tp, BondParams calldata bp, Presale calldata presale, uint256 deadline)
+        external payable onlyDelegateCall _checkDeadline(deadline) returns (address token)
+    {
+        token = createToken(tp, bp);
+        _setPresale(token, presale);
+    }
+
+    /**
+     * @dev Same as `createMultiTokenWithDeadline`, with a presale (see `createTokenWithPresale`).
+     * @param presale The presale parameters.
+     */
+    function createMultiTokenWithPresale(MultiTokenParams calldata tp, BondParams calldata bp, Presale calldata presale, uint256 deadline)
+        external payable onlyDelegateCall _checkDeadline(deadline) returns (address token)
+    {
+        token = createMultiToken(tp, bp);
+        _setPresale(token, presale);
+    }
+
+    // MARK: - Creator only functions
+
+    /**
+     * @dev Updates the bond creator address for a token.
+     * The royalty split is reset, so the new creator (e.g. the dEaD address to give up the royalty) gets the whole creator royalty.
+     * @param token The address of the token.
+     * @param creator The new creator address.
+     */
+    function updateBondCreator(address token, address creator) external onlyDelegateCall {
+        Bond storage bond = tokenBond[token];
+        if (bond.creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+
+        // null address is not allowed, use dEaD address instead
+        if (creator == address(0)) revert MCV2_Bond__InvalidCreatorAddress();
+        bond.creator = creator;
+
+        emit BondCreatorUpdated(token, creator);
+
+        if (tokenRoyaltySplit[token].length > 0) {
+            delete tokenRoyaltySplit[token];
+            emit RoyaltySplitUpdated(token, new address[](0), new uint16[](0));
+        }
+    }
+
+    /**
+     * @dev Updates when minting and burning open for a token, e.g. to postpone a launch.
+     * Each start time can only be changed while it is still in the future, and a past timestamp (or 0) opens trading at once.
+     * Burning can't open after minting, so holders are never locked in.
+     * @param token The address of the token.
+     * @param mintStartTime The new mint start time.
+     * @param burnStartTime The new burn start time.
+     */
+    function updateTradingStartTimes(address token, uint40 mintStartTime, uint40 burnStartTime) external onlyDelegateCall {
+        Bond storage bond = tokenBond[token];
+        if (bond.creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+
+        if (mintStartTime != bond.mintStartTime) {
+            if (bond.mintStartTime <= block.timestamp) revert MCV2_Bond__TradingStartTimePassed();
+            bond.mintStartTime = mintStartTime;
+        }
+        if (burnStartTime != bond.burnStartTime) {
+            if (bond.burnStartTime <= block.timestamp) revert MCV2_Bond__TradingStartTimePassed();
+            bond.burnStartTime = burnStartTime;
+        }
+        if (_burnStartsAfterMint(bond.mintStartTime, bond.burnStartTime)) revert MCV2_Bond__BurnStartsAfterMint();
+
+        emit TradingStartTimesUpdated(token, mintStartTime, burnStartTime);
+    }
+
+    /**
+     * @dev Updates the anti-bot limits on the mints of a token, 0 for no limit.
+     * Each wallet is the caller of the mint, so a contract minting for its users counts as one wallet (MCV2_BondRouter refuses to mint tokens with a wallet cap or interval).
+     * Mints are only counted per wallet while `maxTokensPerWallet` or `mintInterval` is set,
+     * so set the limits before trading opens (see `mintStartTime`) to count every mint.
+     * @param token The address of the token.
+     * @param maxTokensPerTx The max tokens minted in one transaction.
+     * @param maxTokensPerWallet The max tokens minted by each wallet in total, including mints counted under earlier limits.
+     * @param mintInterval The min seconds between two mints of a wallet.
+     */
+    function updateMintLimits(address token, uint104 maxTokensPerTx, uint104 maxTokensPerWallet, uint40 mintInterval) external onlyDelegateCall {
+        if (tokenBond[token].creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+
+        tokenMintLimits[token] = MintLimits({
+            maxTokensPerTx: maxTokensPerTx,
+            maxTokensPerWallet: maxTokensPerWallet,
+            mintInterval: mintInterval
+        });
+
+        emit MintLimitsUpdated(token, maxTokensPerTx, maxTokensPerWallet, mintInterval);
+    }
+
+    /**
+     * @dev Updates the on-chain metadata for a token.
+     * @param token The address of the token.
+     * @param logo The new logo URL.
+     * @param website The new website URL.
+     */
+    function updateTokenMetaData(address token, string calldata logo, string calldata website) external onlyDelegateCall {
+        Bond storage bond = tokenBond[token];
+        if (bond.creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+
+        MetaData storage metaData = tokenMetaData[token];
+        metaData.logo = logo;
+        metaData.website = website;
+
+        emit TokenMetaDataUpdated(token, logo, website);
+    }
+
+    /**
+     * @dev Splits the creator royalty of a token among beneficiaries, pro rata to their shares.
+     * Empty arrays remove the split, and the creator gets the whole creator royalty again.
+     * @param token The address of the token.
+     * @param beneficiaries The addresses to credit the creator royalty to.
+     * @param shares The share of each beneficiary in basis points, summing to RATIO_BASE (100.00%).
+     */
+    function updateRoyaltySplit(address token, address[] calldata beneficiaries, uint16[] calldata shares) external onlyDelegateCall {
+        if (tokenBond[token].creator != _msgSender()) revert MCV2_Bond__PermissionDenied(); // This will also check the existence of the bond
+
+        uint256 count = beneficiaries.length;
+        if (count > MAX_ROYALTY_BENEFICIARIES) revert MCV2_Bond__InvalidRoyaltySplit('TOO_MANY_BENEFICIARIES');
+        if (count != shares.length) revert MCV2_Bond__InvalidRoyaltySplit('LENGTH_DO_NOT_MATCH');
+
+        delete tokenRoyaltySplit[token];
+        RoyaltySplit[] storage split = tokenRoyaltySplit[token];
+
+        uint256 totalShare;
+        for (uint256 i = 0; i < count; ++i) {
+            // null address is not allowed, use dEaD address instead
+            if (beneficiaries[i] == address(0)) revert MCV2_Bond__InvalidRoyaltySplit('INVALID_BENEFICIARY');
+            if (shares[i] == 0) revert MCV2_Bond__InvalidRoyaltySplit('SHARE_CANNOT_BE_ZERO');
+
+            totalShare += shares[i];
+            split.push(RoyaltySplit({ beneficiary: beneficiaries[i], share: shares[i] }));
+        }
+        if (count > 0 && totalShare != RATIO_BASE) revert MCV2_Bond__InvalidRoyaltySplit('INVALID_TOTAL_SHARE');
+
+        emit RoyaltySplitUpdated(token, beneficiaries, shares);
+    }
+
+    // MARK: - Owner only functions
+
+    /**
+     * @dev Queues a change of a protocol parameter, executable with `executeParameterChange` after PARAMETER_CHANGE_DELAY.
+     * Queuing a parameter again replaces its queued change and restarts the delay.
+     * @param parameter The parameter to change.
+     * @param reserveToken The reserve token to override the protocol cut for,
+     * address(0) for the default protocol cut and the other parameters.
+     * @param value The protocol cut in basis points of the royalty (up to MAX_PROTOCOL_CUT, or NO_OVERRIDE to remove
+     * the override of a reserve token), the protocol beneficiary address, the creation fee or the maximum referral fee
+     * integrators can charge on `mintWithReferral` and `burnWithReferral` (in basis points up to MAX_ROYALTY_RANGE, 0 disables them).
+     */
+    function queueParameterChange(Parameter parameter, address reserveToken, uint256 value) external onlyDelegateCall onlyOwner {
+        if (parameter == Parameter.PROTOCOL_CUT) {
+            if (value > MAX_PROTOCOL_CUT && (value != NO_OVERRIDE || reserveToken == address(0))) revert MCV2_Royalty__InvalidParameterChange();
+        } else {
+            if (reserveToken != address(0)) revert MCV2_Royalty__InvalidParameterChange();
+            if (parameter == Parameter.PROTOCOL_BENEFICIARY && (value == 0 || value > type(uint160).max)) {
+                revert MCV2_Royalty__InvalidParameterChange();
+            }
+            if (parameter == Parameter.MAX_REFERRAL_FEE && value > MAX_ROYALTY_RANGE) revert MCV2_Royalty__InvalidParameterChange();
+        }
+
+        uint40 executableAt = uint40(block.timestamp + PARAMETER_CHANGE_DELAY);
+        parameterChanges[_parameterChangeId(parameter, reserveToken)] = ParameterChange({ value: value, executableAt: executableAt });
+
+        emit ParameterChangeQueued(parameter, reserveToken, value, executableAt);
+    }
+
+    /**
+     * @dev Cancels the queued change of a protocol parameter.
+     * @param parameter The parameter of the queued change.
+     * @param reserveToken The reserve token of a protocol cut override, address(0) otherwise.
+     */
+    function cancelParameterChange(Parameter parameter, address reserveToken) external onlyDelegateCall onlyOwner {
+        bytes32 changeId = _parameterChangeId(parameter, reserveToken);
+        if (parameterChanges[changeId].executableAt == 0) revert MCV2_Royalty__ParameterChangeNotQueued();
+        delete parameterChanges[changeId];
+
+        emit ParameterChangeCancelled(parameter, reserveToken);
+    }
+
+    /**
+     * @dev Applies the queued change of a protocol parameter once PARAMETER_CHANGE_DELAY has passed.
+     * @param parameter The parameter of the queued change.
+     * @param reserveToken The reserve token of a protocol cut override, address(0) otherwise.
+     */
+    function executeParameterChange(Parameter parameter, address reserveToken) external onlyDelegateCall onlyOwner {
+        bytes32 changeId = _parameterChangeId(parameter, reserveToken);
+        ParameterChange memory change = parameterChanges[changeId];
+        if (change.executableAt == 0) revert MCV2_Royalty__ParameterChangeNotQueued();
+        if (block.timestamp < change.executableAt) revert MCV2_Royalty__ParameterChangeNotReady();
+        delete parameterChanges[changeId];
+
+        uint256 value = change.value;
+        if (parameter == Parameter.PROTOCOL_CUT) {
+            if (reserveToken == address(0)) {
+                protocolCut = uint16(value);
+            } else if (value == NO_OVERRIDE) {
+                delete reserveProtocolCut[reserveToken];
+            } else {
+                reserveProtocolCut[reserveToken] = ProtocolCutOverride({ isSet: true, cut: uint16(value) });
+            }
+            emit ProtocolCutUpdated(reserveToken, value);
+        } else if (parameter == Parameter.PROTOCOL_BENEFICIARY) {
+            protocolBeneficiary = address(uint160(value));
+            emit ProtocolBeneficiaryUpdated(protocolBeneficiary);
+        } else if (parameter == Parameter.CREATION_FEE) {
+            creationFee = value;
+            emit CreationFeeUpdated(value);
+        } else {
+            maxReferralFee = uint16(value);
+            emit MaxReferralFeeUpdated(uint16(value));
+        }
+    }
+
+    // MARK: - Views
+
+    /**
+     * @dev Returns the steps of a token in the bond.
+     * @param token The address of the token.
+     * @return The steps of the token in the bond.
+     */
+    function getSteps(address token) external view onlyDelegateCall returns (BondStep[] memory) {
+        return tokenBond[token].steps;
+    }
+
+    /**
+     * @dev Returns the royalty split of a token, empty if the creator gets the whole creator royalty.
+     * @param token The address of the token.
+     * @return The beneficiaries of the creator royalty and their shares in basis points.
+     */
+    function getRoyaltySplit(address token) external view onlyDelegateCall returns (RoyaltySplit[] memory) {
+        return tokenRoyaltySplit[token];
+    }
+
+    /**
+     * @dev Returns what a wallet can mint under the mint limits of a token (see `updateMintLimits`).
+     * @param token The address of the token.
+     * @param wallet The wallet minting the tokens.
+     * @return maxTokens The max tokens the wallet can mint in one transaction, type(uint256).max without a limit.
+     * @return nextMintAt The earliest timestamp the wallet can mint at, 0 if it can mint now.
+     */
+    function getMintAllowance(address token, address wallet) external view onlyDelegateCall
+        returns (uint256 maxTokens, uint256 nextMintAt)
+    {
+        MintLimits memory limits = tokenMintLimits[token];
+        WalletMints memory mints = walletMints[token][wallet];
+
+        maxTokens = limits.maxTokensPerTx == 0 ? type(uint256).max : limits.maxTokensPerTx;
+        if (limits.maxTokensPerWallet != 0) {
+            uint256 left = mints.minted < limits.maxTokensPerWallet ? limits.maxTokensPerWallet - mints.minted : 0;
+            if (left < maxTokens) maxTokens = left;
+        }
+
+        nextMintAt = uint256(mints.lastMintAt) + limits.mintInterval;
+        if (limits.mintInterval == 0 || nextMintAt <= block.timestamp) nextMintAt = 0;
+    }
+
+    function _getBondInfo(address token) private view returns(BondInfo memory info) {
+        MCV2_Bond bond_ = MCV2_Bond(address(this)); // The bond, as views run with a delegatecall too
+        MCV2_ICommonToken t = MCV2_ICommonToken(token);
+        Bond memory bond = tokenBond[token];
+        MetaData memory metaData = tokenMetaData[token];
+        IERC20Metadata r = IERC20Metadata(bond.reserveToken);
+        bool isNative = bond.reserveToken == NATIVE_TOKEN;
+
+        info = BondInfo({
+            creator: bond.creator,
+            token: token,
+            decimals: t.decimals(),
+            symbol: t.symbol(),
+            name: t.name(),
+            logo: metaData.logo,
+            website: metaData.website,
+            createdAt: bond.createdAt,
+            mintStartTime: bond.mintStartTime,
+            burnStartTime: bond.burnStartTime,
+            currentSupply: uint128(t.totalSupply()),
+            maxSupply: bond_.maxSupply(token),
+            currentPrice: bond_.currentPrice(token),
+            reserveToken: bond.reserveToken,
+            reserveDecimals: isNative ? 18 : r.decimals(),
+            reserveSymbol: isNative ? NATIVE_SYMBOL : r.symbol(),
+            reserveName: isNative ? NATIVE_NAME : r.name(),
+            reserveBalance: bond.reserveBalance
+        });
+    }
+    /**
+     * @dev Get all tokens and their bond parameters in the range where start <= id < stop.
+     * @param start The starting index of the range.
+     * @param stop The ending index of the range.
+     * @return info An array of BondInfo structs containing the bond parameters for each token in the range.
+     */
+    function getList(uint256 start, uint256 stop) external view onlyDelegateCall returns(BondInfo[] memory info) {
+        if (start >= stop || stop - start > 1000) revert MCV2_BOND__InvalidPaginationParameters();
+
+        unchecked {
+            uint256 tokensLength = tokens.length;
+            if (stop > tokensLength) {
+                stop = tokensLength;
+            }
+
+            uint256 arrayLength = stop - start;
+            info = new BondInfo[](arrayLength);
+
+            uint256 j;
+            for (uint256 i = start; i < stop; ++i) {
+                info[j++] = _getBondInfo(tokens[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Retrieves the details of a bond token.
+     * @param token The address of the bond token.
+     * @return detail The BondDetail struct containing the mint and burn royalties, bond info, and steps of the bond token.
+     */
+    function getDetail(address token) external view onlyDelegateCall returns(BondDetail memory detail) {
+        Bond memory bond = tokenBond[token];
+        detail = BondDetail({
+            mintRoyalty: bond.mintRoyalty,
+            burnRoyalty: bond.burnRoyalty,
+            info: _getBondInfo(token),
+            steps: bond.steps
+        });
+    }
+
+    /**
+     * @dev Get tokens filtered by reserve token in the range where start <= id < stop
+     * @param reserveToken The address of the reserve token
+     * @param start The starting index of the range
+     * @param stop The ending index of the range
+     * @return addresses An array of addresses representing the filtered tokens
+     */
+    function getTokensByReserveToken(address reserveToken, uint256 start, uint256 stop) external view onlyDelegateCall returns (address[] memory addresses) {
+        if (start >= stop || stop - start > 10000) revert MCV2_BOND__InvalidPaginationParameters();
+
+        unchecked {
+            uint256 tokensLength = tokens.length;
+            if (stop > tokensLength) {
+                stop = tokensLength;
+            }
+
+            uint256 count;
+            for (uint256 i = start; i < stop; ++i) {
+                if (tokenBond[tokens[i]].reserveToken == reserveToken) ++count;
+            }
+            addresses = new address[](count);
+
+            uint256 j = 0;
+            for (uint256 i = start; i < stop; ++i) {
+                if (tokenBond[tokens[i]].reserveToken == reserveToken){
+                    addresses[j++] = tokens[i];
+                    if (j == count) break;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Get tokens filtered by creator address in the range where start <= id < stop
+     * @param creator The address of the token creator
+     * @param start The starting index of the range
+     * @param stop The ending index of the range (exclusive)
+     * @return addresses An array of token addresses filtered by creator address
+     */
+    function getTokensByCreator(address creator, uint256 start, uint256 stop) external view onlyDelegateCall returns (address[] memory addresses) {
+        if (start >= stop || stop - start > 10000) revert MCV2_BOND__InvalidPaginationParameters();
+
+        unchecked {
+            uint256 tokensLength = tokens.length;
+            if (stop > tokensLength) {
+                stop = tokensLength;
+            }
+
+            uint256 count;
+            for (uint256 i = start; i < stop; ++i) {
+                if (tokenBond[tokens[i]].creator == creator) ++count;
+            }
+            addresses = new address[](count);
+
+            uint256 j = 0;
+            for (uint256 i = start; i < stop; ++i) {
+                if (tokenBond[tokens[i]].creator == creator) {
+                    addresses[j++] = tokens[i];
+                    if (j == count) break;
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: BSD-3-Clause
+
+pragma solidity =0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC1155} from "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {MCV2_Bond} from "./MCV2_Bond.sol";
+import {MCV2_ICommonToken} from "./lib/MCV2_ICommonToken.sol";
+
+/**
+ * @title MCV2_BondRouter
+ * @dev Swaps between bond tokens in a single transaction with one end-to-end slippage bound.
+ * A path is a list of tokens where each hop either burns a bond token into its reserve token (`path[i + 1]` is the
+ * reserve of `path[i]`) or mints a bond token with its reserve token (`path[i]` is the reserve of `path[i + 1]`).
+ * e.g. [A, R, B] sells A for B sharing the reserve R, and [A, R, B, C] also mints C whose reserve is B.
+ */
+contract MCV2_BondRouter {
+    using SafeERC20 for IERC20;
+
+    error MCV2_BondRouter__InvalidPath(uint256 index);
+    error MCV2_BondRouter__InvalidAmount();
+    error MCV2_BondRouter__InvalidReceiver();
+    error MCV2_BondRouter__SlippageLimitExceeded();
+    error MCV2_BondRouter__DeadlineExpired();
+    error MCV2_BondRouter__NativeTransferFailed();
+    error MCV2_BondRouter__PermissionDenied();
+    error MCV2_BondRouter__MintLimited(uint256 index);
+
+    event Swap(address indexed user, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, address receiver);
+
+    MCV2_Bond public immutable BOND;
+    address private immutable NATIVE_TOKEN;
+
+    constructor(address bond) {
+        BOND = MCV2_Bond(bond);
+        NATIVE_TOKEN = BOND.NATIVE_TOKEN();
+    }
+
+    // MARK: - Quote
+
+    /**
+     * @dev Returns whether the hop from `from` to `to` burns `from` (true) or mints `to` (false).
+     * Reverts on a mint hop into a token with per-wallet mint limits (see `_checkMintLimits`).
+     */
+    function _isBurnHop(address from, address to, uint256 index) private view returns (bool) {
+        (,,,, address fromReserve,,,) = BOND.tokenBond(from);
+        if (fromReserve == to && to != address(0)) return true;
+
+        (,,,, address toReserve,,,) = BOND.tokenBond(to);
+        if (toReserve == from && from != address(0)) {
+            _checkMintLimits(to, index);
+            return false;
+        }
+
+        revert MCV2_BondRouter__InvalidPath(index);
+    }
+
+    /**
+     * @dev The bond counts a wallet cap and a mint interval on the caller of the mint, so all users of the router would
+     * share a single allowance. Tokens with either limit have to be minted on the bond directly.
+     */
+    function _checkMintLimits(address token, uint256 index) private view {
+        (, uint104 maxTokensPerWallet, uint40 mintInterval) = BOND.tokenMintLimits(token);
+        if (maxTokensPerWallet != 0 || mintInterval != 0) revert MCV2_BondRouter__MintLimited(index);
+    }
+
+    /**
+     * @dev Quotes a swap by chaining `getRefundForTokens` on burn hops and `getTokensForReserve` on mint hops.
+     * Each mint hop leaves the rounding dust of `getTokensForReserve` (refunded to the caller on swap).
+     * Every hop is quoted on the current state, so a path visiting the same bond token twice is not quoted exactly.
+     * @param path The token path (see the contract description).
+     * @param amountIn The amount of `path[0]` to swap.
+     * @return amounts The amount of each token of the path, `amounts[path.length - 1]` is the output.
+     */
+    function getAmountsOut(address[] calldata path, uint256 amountIn) public view returns (uint256[] memory amounts) {
+        if (path.length < 2) revert MCV2_BondRouter__InvalidPath(0);
+        if (amountIn == 0) revert MCV2_BondRouter__InvalidAmount();
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; ++i) {
+            if (_isBurnHop(path[i], path[i + 1], i)) {
+                (amounts[i + 1], ) = BOND.getRefundForTokens(path[i], amounts[i]);
+            } else {
+                (amounts[i + 1], , ) = BOND.getTokensForReserve(path[i + 1], amounts[i]);
+            }
+        }
+    }
+
+    // MARK: - Swap
+
+    /**
+     * @dev Swaps `amountIn` of `path[0]` for `path[path.length - 1]`, sent to the receiver.
+     * The caller approves `path[0]` to this contract (operator approval for an ERC1155 bond token),
+     * or sends `amountIn` as value if `path[0]` is the native coin (NATIVE_TOKEN).
+     * @param path The token path (see the contract description).
+     * @param amountIn The amount of `path[0]` to swap.
+     * @param minOut The minimum amount of `path[path.length - 1]` to receive.
+     * @param receiver The address to receive the output.
+     * @param deadline The latest block timestamp to execute at.
+     * @return amountOut The amount of `path[path.length - 1]` received.
+     */
+    function swap(address[] calldata path, uint256 amountIn, uint256 minOut, address receiver, uint256 deadline)
+        external payable returns (uint256 amountOut)
+    {
+        if (block.timestamp > deadline) revert MCV2_BondRouter__DeadlineExpired();
+        if (receiver == address(0)) revert MCV2_BondRouter__InvalidReceiver();
+        if (path.length < 2) revert MCV2_BondRouter__InvalidPath(0);
+        if (amountIn == 0) revert MCV2_BondRouter__InvalidAmount();
+
+        _pull(path[0], amountIn);
+
+        amountOut = amountIn;
+        uint256 lastHop = path.length - 2;
+        for (uint256 i = 0; i <= lastHop; ++i) {
+            address to = i == lastHop ? receiver : address(this);
+            if (_isBurnHop(path[i], path[i + 1], i)) {
+                amountOut = _burn(path[i], amountOut, to);
+            } else {
+                amountOut = _mint(path[i + 1], path[i], amountOut, to);
+            }
+        }
+
+        if (amountOut < minOut) revert MCV2_BondRouter__SlippageLimitExceeded();
+
+        emit Swap(msg.sender, path[0], path[lastHop + 1], amountIn, amountOut, receiver);
+    }
+
+    function _burn(address token, uint256 tokensToBurn, address to) private returns (uint256 refundAmount) {
+        (refundAmount, ) = BOND.getRefundForTokens(token, tokensToBurn);
+
+        // MCV2_Token.burnByBond spends the allowance of the bond, MCV2_MultiToken.burnByBond requires an operator approval
+        if (_isMultiToken(token)) {
+            if (!IERC1155(token).isApprovedForAll(address(this), address(BOND))) {
+                IERC1155(token).setApprovalForAll(address(BOND), true);
+            }
+        } else {
+            IERC20(token).forceApprove(address(BOND), tokensToBurn);
+        }
+
+        BOND.burnTo(token, tokensToBurn, refundAmount, to);
+    }
+
+    function _mint(address token, address reserveToken, uint256 reserveAmount, address to) private returns (uint256 tokensToMint) {
+        uint256 reserveUsed;
+        (tokensToMint, reserveUsed, ) = BOND.getTokensForReserve(token, reserveAmount);
+
+        if (reserveToken == NATIVE_TOKEN) {
+            BOND.mintWithReserveAmountTo{value: reserveUsed}(token, reserveUsed, tokensToMint, to);
+        } else {
+            IERC20(reserveToken).forceApprove(address(BOND), reserveUsed);
+            BOND.mintWithReserveAmountTo(token, reserveUsed, tokensToMint, to);
+        }
+
+        // Refund the rounding dust of the reserve to the caller
+        if (reserveAmount > reserveUsed) _send(reserveToken, msg.sender, reserveAmount - reserveUsed);
+    }
+
+    // MARK: - Transfers
+
+    // MCV2_MultiToken has 0 decimals, any other token with 0 decimals is not a bond token
+    function _isMultiToken(address token) private view returns (bool) {
+        return BOND.exists(token) && MCV2_ICommonToken(token).decimals() == 0;
+    }
+
+    function _pull(address token, uint256 amount) private {
+        if (token == NATIVE_TOKEN) {
+            if (msg.value != amount) revert MCV2_BondRouter__InvalidAmount();
+            return;
+        }
+        if (msg.value != 0) revert MCV2_BondRouter__InvalidAmount();
+
+        if (_isMultiToken(token)) {
+            IERC1155(token).safeTransferFrom(msg.sender, address(this), 0, amount, "");
+        } else {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    function _send(address token, address to, uint256 amount) private {
+        if (token == NATIVE_TOKEN) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert MCV2_BondRouter__NativeTransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    // MARK: - Receivers
+
+    // Refunds of burn hops with a native reserve
+    receive() external payable {
+        if (msg.sender != address(BOND)) revert MCV2_BondRouter__PermissionDenied();
+    }
+
+    function onERC1155Received(address, address, uint256, uint256, bytes memory) external pure returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+}
@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: BSD-3-Clause
+
+pragma solidity =0.8.20;
+
+import {MCV2_Royalty} from "./MCV2_Royalty.sol";
+
+/**
+ * @title MCV2_BondStorage
+ * @dev Storage, structs, errors and events shared by MCV2_Bond and MCV2_BondExtension.
+ * MCV2_BondExtension runs on the storage of MCV2_Bond (delegatecall), so both must inherit the same storage layout
+ * from this contract and never declare state variables of their own (immutables and constants are fine).
+ */
+abstract contract MCV2_BondStorage is MCV2_Royalty {
+    // Error messages
+    error MCV2_Bond__InvalidTokenCreationParams(string reason);
+    error MCV2_Bond__InvalidReserveToken(string reason);
+    error MCV2_Bond__InvalidStepParams(string reason);
+    error MCV2_Bond__TokenSymbolAlreadyExists();
+    error MCV2_Bond__TokenNotFound();
+    error MCV2_Bond__ExceedMaxSupply();
+    error MCV2_Bond__SlippageLimitExceeded();
+    error MCV2_Bond__InvalidTokenAmount();
+    error MCV2_Bond__InvalidReserveAmount();
+    error MCV2_Bond__ExceedTotalSupply();
+    error MCV2_Bond__InvalidCurrentSupply();
+    error MCV2_Bond__PermissionDenied();
+    error MCV2_Bond__InvalidCreatorAddress();
+    error MCV2_Bond__InvalidReceiver();
+    error MCV2_Bond__InvalidNativeAmount();
+    error MCV2_Bond__DeadlineExpired();
+    error MCV2_Bond__InvalidRoyaltySplit(string reason);
+    error MCV2_Bond__InvalidReferralFee();
+    error MCV2_Bond__InvalidReferrer();
+    error MCV2_Bond__PresaleActive();
+    error MCV2_Bond__InvalidPresaleProof();
+    error MCV2_Bond__ExceedPresaleLimit();
+    error MCV2_Bond__MintNotStarted();
+    error MCV2_Bond__BurnNotStarted();
+    error MCV2_Bond__TradingStartTimePassed();
+    error MCV2_Bond__BurnStartsAfterMint();
+    error MCV2_Bond__ExceedMaxMintPerTx();
+    error MCV2_Bond__ExceedMaxMintPerWallet();
+    error MCV2_Bond__MintIntervalNotPassed();
+    error MCV2_Bond__InvalidExtension();
+    error MCV2_BOND__InvalidPaginationParameters();
+
+    struct Bond {
+        address creator;
+        uint16 mintRoyalty; // immutable - range: [0, 5000] - 0.00% ~ 50.00%
+        uint16 burnRoyalty; // immutable - range: [0, 5000] - 0.00% ~ 50.00%
+        uint40 createdAt; // immutable
+        address reserveToken; // immutable
+        uint40 mintStartTime; // Minting is open from this timestamp on, the creator can update it until then
+        uint40 burnStartTime; // Burning is open from this timestamp on, the creator can update it until then (never later than minting)
+        uint256 reserveBalance;
+        BondStep[] steps; // immutable
+    }
+
+    // Use uint128 to save storage cost & prevent integer overflow when calculating range * price
+    struct BondStep {
+        uint128 rangeTo;
+        uint128 price; // multiplied by 10**18 for decimals
+    }
+
+    // Optional on-chain metadata for the token
+    struct MetaData {
+        string logo;
+        string website;
+    }
+
+    // A beneficiary of the creator royalty with its share in basis points
+    struct RoyaltySplit {
+        address beneficiary;
+        uint16 share;
+    }
+
+    // Allowlist phase of a new bond, during which only wallets in the Merkle tree can mint
+    struct Presale {
+        bytes32 merkleRoot; // Leaves: keccak256(abi.encodePacked(wallet)), same as MerkleDistributor
+        uint40 endTime; // Minting is public from this timestamp on
+        uint128 maxMintPerWallet; // Max tokens minted by each wallet during the presale, 0 for no cap
+    }
+
+    // Anti-bot limits on mints set by the creator, 0 for no limit (packed in a single slot)
+    struct MintLimits {
+        uint104 maxTokensPerTx;
+        uint104 maxTokensPerWallet; // Cumulative tokens minted by each wallet while wallet mints are tracked, never reset
+        uint40 mintInterval; // Min seconds between two mints of a wallet
+    }
+
+    // Mints of a wallet, only tracked while the bond has a per-wallet limit or a mint interval
+    struct WalletMints {
+        uint216 minted;
+        uint40 lastMintAt;
+    }
+
+    // Token and bond details returned by `getList` and `getDetail`
+    struct BondInfo {
+        address creator;
+        address token;
+        uint8 decimals;
+        string symbol;
+        string name;
+        string logo;
+        string website;
+        uint40 createdAt;
+        uint40 mintStartTime;
+        uint40 burnStartTime;
+        uint128 currentSupply;
+        uint128 maxSupply;
+        uint128 currentPrice;
+        address reserveToken;
+        uint8 reserveDecimals;
+        string reserveSymbol;
+        string reserveName;
+        uint256 reserveBalance;
+    }
+
+    struct BondDetail {
+        uint16 mintRoyalty;
+        uint16 burnRoyalty;
+        BondInfo info;
+        BondStep[] steps;
+    }
+
+    // Use structs to avoid stack too deep error
+    struct TokenParams {
+        string name;
+        string symbol;
+    }
+
+    struct MultiTokenParams {
+        string name;
+        string symbol;
+        string uri;
+    }
+
+    struct BondParams {
+        uint16 mintRoyalty;
+        uint16 burnRoyalty;
+        address reserveToken;
+        uint128 maxSupply;
+        uint128[] stepRanges;
+        uint128[] stepPrices;
+        uint40 mintStartTime; // 0 to open on creation
+        uint40 burnStartTime; // 0 to open on creation, can't be later than mintStartTime
+    }
+
+    mapping (address => Bond) public tokenBond;
+    mapping (address => MetaData) public tokenMetaData;
+    address[] public tokens; // Array of all created tokens
+    mapping (address => RoyaltySplit[]) internal tokenRoyaltySplit; // The creator gets the whole creator royalty if empty
+    uint16 public maxReferralFee; // range: [0, 5000] - 0.00% ~ 50.00%, the cap of the referral fee on trades (timelocked, see MAX_REFERRAL_FEE)
+    mapping (address => Presale) public tokenPresale; // immutable - endTime is 0 without a presale
+    mapping (address => mapping (address => uint256)) public presaleMinted; // Token => Wallet => Tokens minted during the presale
+    mapping (address => MintLimits) public tokenMintLimits;
+    mapping (address => mapping (address => WalletMints)) internal walletMints; // Token => Wallet => Mints
+
+    event TokenCreated(address indexed token, string name, string symbol, address indexed reserveToken);
+    event MultiTokenCreated(address indexed token, string name, string symbol, string uri, address indexed reserveToken);
+    event Mint(address indexed token, address indexed user, address receiver, uint256 amountMinted, address indexed reserveToken, uint256 reserveAmount);
+    event Burn(address indexed token, address indexed user, address receiver, uint256 amountBurned, address indexed reserveToken, uint256 refundAmount);
+    event BondCreatorUpdated(address indexed token, address indexed creator);
+    event TokenMetaDataUpdated(address indexed token, string logo, string website);
+    event RoyaltySplitUpdated(address indexed token, address[] beneficiaries, uint16[] shares);
+    event ReferralFeePaid(address indexed token, address indexed referrer, address indexed reserveToken, uint256 amount);
+    event MaxReferralFeeUpdated(uint16 maxReferralFee);
+    event MintLimitsUpdated(address indexed token, uint104 maxTokensPerTx, uint104 maxTokensPerWallet, uint40 mintInterval);
+    event TradingStartTimesUpdated(address indexed token, uint40 mintStartTime, uint40 burnStartTime);
+    event PresaleCreated(address indexed token, bytes32 merkleRoot, uint40 endTime, uint128 maxMintPerWallet);
+
+    constructor(address protocolBeneficiary_, uint256 creationFee_, address msgSender)
+        MCV2_Royalty(protocolBeneficiary_, creationFee_, msgSender) {}
+
+    modifier _checkDeadline(uint256 deadline) {
+        if (block.timestamp > deadline) revert MCV2_Bond__DeadlineExpired();
+        _;
+    }
+}
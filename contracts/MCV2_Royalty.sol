@@ -16,12 +16,24 @@ abstract contract MCV2_Royalty is Ownable {
     error MCV2_Royalty__NothingToClaim();
     error MCV2_Royalty__InvalidCreationFee();
     error MCV2_Royalty__CreationFeeTransactionFailed();
+    error MCV2_Royalty__NativeTransferFailed();
+    error MCV2_Royalty__InvalidParameterChange();
+    error MCV2_Royalty__ParameterChangeNotQueued();
+    error MCV2_Royalty__ParameterChangeNotReady();
 
-    uint256 private constant RATIO_BASE = 10000; // 100.00%
-    uint256 private constant PROTOCOL_CUT = 2000;
+    uint256 internal constant RATIO_BASE = 10000; // 100.00%
     uint256 internal constant MAX_ROYALTY_RANGE = 5000; // The max is set at 50% to offer flexibility in tokenomics
+    uint256 private constant INITIAL_PROTOCOL_CUT = 2000; // 20% of the royalty
+    uint256 internal constant MAX_PROTOCOL_CUT = 5000; // 50% of the royalty
+
+    // Owner parameter changes are queued and can only be executed after this delay, so creators can see them coming
+    uint256 public constant PARAMETER_CHANGE_DELAY = 3 days;
+    // Queued as the protocol cut of a reserve token to remove its override, so the default protocol cut applies again
+    uint256 public constant NO_OVERRIDE = type(uint256).max;
 
     address public constant BURN_ADDRESS = address(0x000000000000000000000000000000000000dEaD);
+    // Reserve token address for the native coin of the chain (e.g. ETH), held by the bond as is
+    address public constant NATIVE_TOKEN = address(0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE);
     address public protocolBeneficiary;
     uint256 public creationFee;
 
@@ -29,8 +41,27 @@ abstract contract MCV2_Royalty is Ownable {
     mapping(address => mapping(address => uint256)) public userTokenRoyaltyBalance;
     mapping(address => mapping(address => uint256)) public userTokenRoyaltyClaimed; // INFO
 
+    enum Parameter { PROTOCOL_CUT, PROTOCOL_BENEFICIARY, CREATION_FEE, MAX_REFERRAL_FEE }
+
+    struct ParameterChange {
+        uint256 value;
+        uint40 executableAt; // 0 if no change is queued
+    }
+
+    struct ProtocolCutOverride {
+        bool isSet;
+        uint16 cut;
+    }
+
+    uint16 public protocolCut; // The default protocol cut of the royalty - range: [0, 5000] - 0.00% ~ 50.00%
+    mapping(address => ProtocolCutOverride) internal reserveProtocolCut; // ReserveToken => Protocol cut override
+    mapping(bytes32 => ParameterChange) internal parameterChanges; // keccak256(abi.encode(parameter, reserveToken)) => Queued change
+
     event ProtocolBeneficiaryUpdated(address protocolBeneficiary);
     event CreationFeeUpdated(uint256 amount);
+    event ProtocolCutUpdated(address indexed reserveToken, uint256 protocolCut);
+    event ParameterChangeQueued(Parameter indexed parameter, address indexed reserveToken, uint256 value, uint40 executableAt);
+    event ParameterChangeCancelled(Parameter indexed parameter, address indexed reserveToken);
     event RoyaltyClaimed(address indexed user, address reserveToken, uint256 amount);
 
     /**
@@ -41,22 +72,7 @@ abstract contract MCV2_Royalty is Ownable {
     constructor(address protocolBeneficiary_, uint256 creationFee_, address msgSender) Ownable(msgSender) {
         protocolBeneficiary = protocolBeneficiary_;
         creationFee = creationFee_;
-    }
-
-    /**
-     * @dev Updates the protocol beneficiary address.
-     * @param protocolBeneficiary_ The new address of the protocol beneficiary.
-     */
-    function updateProtocolBeneficiary(address protocolBeneficiary_) public onlyOwner {
-        protocolBeneficiary = protocolBeneficiary_;
-
-        emit ProtocolBeneficiaryUpdated(protocolBeneficiary_);
-    }
-
-    function updateCreationFee(uint256 amount) external onlyOwner {
-        creationFee = amount;
-
-        emit CreationFeeUpdated(amount);
+        protocolCut = uint16(INITIAL_PROTOCOL_CUT);
     }
 
     // MARK: - Internal utility functions
@@ -78,9 +94,44 @@ abstract contract MCV2_Royalty is Ownable {
      * @param royaltyAmount The royalty amount to be added.
      */
     function _addRoyalty(address beneficiary, address reserveToken, uint256 royaltyAmount) internal {
-        uint256 protocolCut = royaltyAmount * PROTOCOL_CUT / RATIO_BASE;
-        userTokenRoyaltyBalance[beneficiary][reserveToken] += royaltyAmount - protocolCut;
-        userTokenRoyaltyBalance[protocolBeneficiary][reserveToken] += protocolCut;
+        userTokenRoyaltyBalance[beneficiary][reserveToken] += _addProtocolCut(reserveToken, royaltyAmount);
+    }
+
+    /**
+     * @dev Adds the protocol cut of the royalty to the protocol beneficiary.
+     * @param reserveToken The address of the reserve token.
+     * @param royaltyAmount The royalty amount to take the cut from.
+     * @return The rest of the royalty (creator cut).
+     */
+    function _addProtocolCut(address reserveToken, uint256 royaltyAmount) internal returns (uint256) {
+        uint256 cut = royaltyAmount * getProtocolCut(reserveToken) / RATIO_BASE;
+        userTokenRoyaltyBalance[protocolBeneficiary][reserveToken] += cut;
+
+        return royaltyAmount - cut;
+    }
+
+    /**
+     * @dev Returns the key of the queued change of a parameter in `parameterChanges`.
+     * @param parameter The parameter to change.
+     * @param reserveToken The reserve token of a protocol cut override, address(0) otherwise.
+     */
+    function _parameterChangeId(Parameter parameter, address reserveToken) internal pure returns (bytes32) {
+        return keccak256(abi.encode(parameter, reserveToken));
+    }
+
+    /**
+     * @dev Transfers reserve tokens held by the contract, or the native coin if `reserveToken` is NATIVE_TOKEN.
+     * @param reserveToken The address of the reserve token.
+     * @param to The address of the recipient.
+     * @param amount The amount to transfer.
+     */
+    function _transferReserve(address reserveToken, address to, uint256 amount) internal {
+        if (reserveToken == NATIVE_TOKEN) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert MCV2_Royalty__NativeTransferFailed();
+        } else {
+            IERC20(reserveToken).safeTransfer(to, amount);
+        }
     }
 
     /**
@@ -101,7 +152,7 @@ abstract contract MCV2_Royalty is Ownable {
      * @dev Claims the accumulated royalties for a specific reserve token.
      * @param reserveToken The address of the reserve token.
      */
-    function claimRoyalties(address reserveToken) external {
+    function claimRoyalties(address reserveToken) external virtual {
         address msgSender = _msgSender();
         uint256 amount = userTokenRoyaltyBalance[msgSender][reserveToken];
         if (amount == 0) revert MCV2_Royalty__NothingToClaim();
@@ -109,9 +160,10 @@ abstract contract MCV2_Royalty is Ownable {
         userTokenRoyaltyBalance[msgSender][reserveToken] = 0;
         userTokenRoyaltyClaimed[msgSender][reserveToken] += amount; // INFO
 
-        IERC20(reserveToken).safeTransfer(msgSender, amount);
-
+        // Emitted before the transfer, as a native payout calls the receiver, which can trade on the bond again
         emit RoyaltyClaimed(msgSender, reserveToken, amount);
+
+        _transferReserve(reserveToken, msgSender, amount);
     }
 
     /**
@@ -119,16 +171,16 @@ abstract contract MCV2_Royalty is Ownable {
      * @dev Anyone can call this function to burn the accumulated royalties for a specific reserve token.
      * @param reserveToken The address of the reserve token.
      */
-    function burnRoyalties(address reserveToken) external {
+    function burnRoyalties(address reserveToken) external virtual {
         uint256 amount = userTokenRoyaltyBalance[BURN_ADDRESS][reserveToken];
         if (amount == 0) revert MCV2_Royalty__NothingToClaim();
 
         userTokenRoyaltyBalance[BURN_ADDRESS][reserveToken] = 0;
         userTokenRoyaltyClaimed[BURN_ADDRESS][reserveToken] += amount; // INFO
 
-        IERC20(reserveToken).safeTransfer(BURN_ADDRESS, amount);
-
         emit RoyaltyClaimed(BURN_ADDRESS, reserveToken, amount);
+
+        _transferReserve(reserveToken, BURN_ADDRESS, amount);
     }
 
     // MARK: - Utility view functions
@@ -139,7 +191,27 @@ abstract contract MCV2_Royalty is Ownable {
      * @param reserveToken The address of the reserve token.
      * @return The royalty balance and claimed amount for the wallet and reserve token.
      */
-    function getRoyaltyInfo(address wallet, address reserveToken) external view returns (uint256, uint256) {
+    function getRoyaltyInfo(address wallet, address reserveToken) external view virtual returns (uint256, uint256) {
         return (userTokenRoyaltyBalance[wallet][reserveToken], userTokenRoyaltyClaimed[wallet][reserveToken]);
     }
+
+    /**
+     * @dev Retrieves the protocol cut of the royalty for a reserve token: its override if set, otherwise `protocolCut`.
+     * @param reserveToken The address of the reserve token.
+     * @return The protocol cut in basis points of the royalty.
+     */
+    function getProtocolCut(address reserveToken) public view returns (uint16) {
+        ProtocolCutOverride memory cutOverride = reserveProtocolCut[reserveToken];
+        return cutOverride.isSet ? cutOverride.cut : protocolCut;
+    }
+
+    /**
+     * @dev Retrieves the queued change of a parameter, if any (`executableAt` is 0 otherwise).
+     * @param parameter The parameter to change.
+     * @param reserveToken The reserve token of a protocol cut override, address(0) otherwise.
+     * @return The new value and the earliest timestamp to execute the change at.
+     */
+    function getParameterChange(Parameter parameter, address reserveToken) external view virtual returns (ParameterChange memory) {
+        return parameterChanges[_parameterChangeId(parameter, reserveToken)];
+    }
 }
@@ -2,13 +2,14 @@
 
 pragma solidity =0.8.20;
 
-import {ERC20Initializable} from "./lib/ERC20Initializable.sol";
+import {ERC20PermitInitializable} from "./lib/ERC20PermitInitializable.sol";
 
 /**
  * @title MCV2_Token
  * @dev A token contract that implements a bonding curve and allows minting and burning of tokens.
+ * Supports EIP-2612 permits, with the EIP-712 domain of each clone built from the name set in `init`.
  */
-contract MCV2_Token is ERC20Initializable {
+contract MCV2_Token is ERC20PermitInitializable {
     error MCV2_Token__AlreadyInitialized();
     error MCV2_Token__PermissionDenied();
 
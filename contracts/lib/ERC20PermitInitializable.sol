@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity =0.8.20;
+
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {IERC5267} from "@openzeppelin/contracts/interfaces/IERC5267.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {MessageHashUtils} from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import {Nonces} from "@openzeppelin/contracts/utils/Nonces.sol";
+import {ERC20Initializable} from "./ERC20Initializable.sol";
+
+/**
+ * @notice A slightly modified version of ERC20Permit (from OpenZeppelin 5.0.0) for initialization pattern.
+ * Modifications are marked with the MODIFIED tag.
+ *
+ * OpenZeppelin's EIP712 caches the domain separator in immutables set by the constructor, which would be shared by
+ * every clone with the name of the implementation. The domain is built from the token name set in `init` and the
+ * address of the clone instead.
+ */
+abstract contract ERC20PermitInitializable is ERC20Initializable, IERC20Permit, IERC5267, Nonces {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    // MODIFIED: From EIP712
+    bytes32 private constant TYPE_HASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    /**
+     * @dev Permit deadline has expired.
+     */
+    error ERC2612ExpiredSignature(uint256 deadline);
+
+    /**
+     * @dev Mismatched signature.
+     */
+    error ERC2612InvalidSigner(address signer, address owner);
+
+    // MODIFIED: Removed for initialization pattern
+    // constructor(string memory name) EIP712(name, "1") {}
+
+    /**
+     * @inheritdoc IERC20Permit
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual {
+        if (block.timestamp > deadline) {
+            revert ERC2612ExpiredSignature(deadline);
+        }
+
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+
+        bytes32 hash = MessageHashUtils.toTypedDataHash(_domainSeparatorV4(), structHash); // MODIFIED
+
+        address signer = ECDSA.recover(hash, v, r, s);
+        if (signer != owner) {
+            revert ERC2612InvalidSigner(signer, owner);
+        }
+
+        _approve(owner, spender, value);
+    }
+
+    /**
+     * @inheritdoc IERC20Permit
+     */
+    function nonces(address owner) public view virtual override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    /**
+     * @inheritdoc IERC20Permit
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view virtual returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev See {IERC-5267}.
+     * MODIFIED: From EIP712, with the name of the clone
+     */
+    function eip712Domain()
+        public
+        view
+        virtual
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (
+            hex"0f", // 01111
+            _name,
+            "1",
+            block.chainid,
+            address(this),
+            bytes32(0),
+            new uint256[](0)
+        );
+    }
+
+    /**
+     * @dev Returns the domain separator for the current chain.
+     * MODIFIED: Built from `_name` on every call instead of the immutables of EIP712
+     */
+    function _domainSeparatorV4() internal view returns (bytes32) {
+        return keccak256(abi.encode(TYPE_HASH, keccak256(bytes(_name)), keccak256("1"), block.chainid, address(this)));
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: BSD-3-Clause
+pragma solidity =0.8.20;
+
+import {MCV2_Bond} from "../MCV2_Bond.sol";
+
+// Mints a bond token with the native refund or royalty it receives, calling back into the bond during a burn or a claim
+contract ReentrantReceiver {
+    MCV2_Bond public immutable BOND;
+    address public token;
+    uint256 public tokensToMint;
+
+    constructor(address bond) {
+        BOND = MCV2_Bond(bond);
+    }
+
+    function setMint(address token_, uint256 tokensToMint_) external {
+        token = token_;
+        tokensToMint = tokensToMint_;
+    }
+
+    function claimRoyalties(address reserveToken) external {
+        BOND.claimRoyalties(reserveToken);
+    }
+
+    receive() external payable {
+        // Only once, as the mint refunds the excess value to this contract
+        uint256 amount = tokensToMint;
+        if (amount == 0) return;
+
+        tokensToMint = 0;
+        BOND.mint{value: msg.value}(token, amount, type(uint256).max);
+    }
+}
@@ -1,14 +1,37 @@
 require('dotenv').config();
 require('@nomicfoundation/hardhat-toolbox');
 require("solidity-coverage");
+require('./tasks/token-address');
+require('./tasks/bond');
+require('./tasks/max-steps');
+require('./tasks/airdrop');
+require('./tasks/bond-indexer');
+require('./tasks/abi');
 
 module.exports = {
   solidity: {
-    version: '0.8.20',
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 50000
+    compilers: [
+      {
+        version: '0.8.20',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 50000
+          }
+        }
+      }
+    ],
+    overrides: {
+      // Token creation, settings and list views only, called far less than mint and burn on MCV2_Bond.
+      // A lower runs value keeps it under the 24KB contract size limit without making trades more expensive.
+      'contracts/MCV2_BondExtension.sol': {
+        version: '0.8.20',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
       }
     }
   },
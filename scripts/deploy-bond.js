@@ -1,33 +1,10 @@
 require('dotenv').config();
 const hre = require('hardhat');
-const { getMaxSteps } = require('../utils/test-utils');
-
-const PROTOCOL_BENEFIARY = process.env.PROTOCOL_BENEFIARY;
+const { deploy } = require('./utils/deploy-pipeline');
 
 async function main() {
-  const accounts = await hre.ethers.getSigners();
-  const deployer = accounts[0].address;
-  console.log(`Deploy from account: ${deployer}`);
-
-  // Reuse existing implementations
-  const tokenImplementation = '0x37F540de37afE8bDf6C722d87CB019F30e5E406a'; // base
-  const NFTImplementation = '0xbba7de9897F8bB07D5070994efE44B8c203a02A8'; // base
-
-  const MAX_STEPS = getMaxSteps(hre.network.name);
-  const bond = await hre.ethers.deployContract('MCV2_Bond', [
-    tokenImplementation, NFTImplementation, PROTOCOL_BENEFIARY, MAX_STEPS[hre.network.name]
-  ]);
-  await bond.waitForDeployment();
-  console.log(` -> MCV2_Bond contract deployed at ${bond.target}`);
-
-  console.log(`\n\nNetwork: ${hre.network.name}`);
-  console.log('```');
-  console.log(`- MCV2_Bond: ${bond.target}`);
-  console.log('```');
-
-  console.log(`
-    npx hardhat verify --network ${hre.network.name} ${bond.target} ${tokenImplementation} ${NFTImplementation} ${PROTOCOL_BENEFIARY}
-  `);
+  // Reuses existing implementations from the config or the deployment manifest
+  await deploy(hre, { contracts: ['MCV2_Token', 'MCV2_MultiToken', 'MCV2_BondExtension', 'MCV2_Bond'] });
 };
 
 main()
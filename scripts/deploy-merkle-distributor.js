@@ -1,23 +1,9 @@
 require('dotenv').config();
 const hre = require('hardhat');
+const { deploy } = require('./utils/deploy-pipeline');
 
 async function main() {
-  const accounts = await hre.ethers.getSigners();
-  const deployer = accounts[0].address;
-  console.log(`Deploy from account: ${deployer}`);
-
-  const merkleDistributor = await hre.ethers.deployContract('MerkleDistributor');
-  await merkleDistributor.waitForDeployment();
-  console.log(` -> MerkleDistributor contract deployed at ${merkleDistributor.target}`);
-
-  console.log(`\n\nNetwork: ${hre.network.name}`);
-  console.log('```');
-  console.log(`- MerkleDistributor: ${merkleDistributor.target}`);
-  console.log('```');
-
-  console.log(`
-    npx hardhat verify --network ${hre.network.name} ${merkleDistributor.target}
-  `);
+  await deploy(hre, { contracts: ['MerkleDistributor'] });
 };
 
 main()
@@ -30,7 +16,7 @@ main()
 
 /* Deploy script
 
-npx hardhat compile && npx hardhat run --network sepolia scripts/deploy-bond.js
-npx hardhat compile && npx hardhat run --network base scripts/deploy-bond.js
+npx hardhat compile && npx hardhat run --network sepolia scripts/deploy-merkle-distributor.js
+npx hardhat compile && npx hardhat run --network base scripts/deploy-merkle-distributor.js
 
 */
@@ -1,23 +1,9 @@
 require('dotenv').config();
 const hre = require('hardhat');
+const { deploy } = require('./utils/deploy-pipeline');
 
 async function main() {
-  const accounts = await hre.ethers.getSigners();
-  const deployer = accounts[0].address;
-  console.log(`Deploy from account: ${deployer}`);
-
-  const mcv1Wrapper = await hre.ethers.deployContract('MCV1_Wrapper');
-  await mcv1Wrapper.waitForDeployment();
-  console.log(` -> MCV1_Wrapper contract deployed at ${mcv1Wrapper.target}`);
-
-  console.log(`\n\nNetwork: ${hre.network.name}`);
-  console.log('```');
-  console.log(`- MCV1_Wrapper: ${mcv1Wrapper.target}`);
-  console.log('```');
-
-  console.log(`
-    npx hardhat verify --network ${hre.network.name} ${mcv1Wrapper.target}
-  `);
+  await deploy(hre, { contracts: ['MCV1_Wrapper'] });
 };
 
 main()
@@ -0,0 +1,199 @@
+/**
+ * Config-driven, resumable deploy pipeline.
+ *
+ * - Reads `deployments/config/<network>.json`
+ * - Records every deployed address, constructor args and tx hash to `deployments/<network>.json` as soon as they are known
+ * - Reuses existing contracts (listed in the config's `existing` or already recorded in the manifest with the same args)
+ * - Resumes pending deployments from their tx receipt after a partial failure (waiting for it if it isn't mined yet)
+ * - Emits the matching `hardhat verify` commands
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '../../deployments');
+const CONFIG_DIR = path.join(DEPLOYMENTS_DIR, 'config');
+exports.CONFIG_DIR = CONFIG_DIR;
+
+const DEFAULT_PENDING_TIMEOUT = 300; // 5 minutes
+const PENDING_POLL_INTERVAL = 1000; // ms
+
+// Constructor arguments of each deployable contract, resolved from the network config and the contracts deployed before it
+const CONSTRUCTOR_ARGS = {
+  MCV2_Token: () => [],
+  MCV2_MultiToken: () => [],
+  MCV2_BondExtension: (config, addresses) => [addresses.MCV2_Token, addresses.MCV2_MultiToken, config.maxSteps],
+  MCV2_Bond: (config, addresses) => [addresses.MCV2_BondExtension, config.protocolBeneficiary, config.creationFee],
+  MCV2_BondRouter: (config, addresses) => [addresses.MCV2_Bond],
+  Locker: () => [],
+  MerkleDistributor: () => [],
+  MCV1_Wrapper: () => []
+};
+exports.CONTRACTS = Object.keys(CONSTRUCTOR_ARGS);
+
+function toJSON(args) {
+  return args.map(arg => typeof arg === 'bigint' ? arg.toString() : arg);
+}
+
+function sameArgs(a, b) {
+  return JSON.stringify(toJSON(a || [])) === JSON.stringify(toJSON(b || []));
+}
+
+/**
+ * Loads the deploy config of a network.
+ * `protocolBeneficiary` falls back to the PROTOCOL_BENEFICIARY (or legacy PROTOCOL_BENEFIARY) environment variable.
+ */
+exports.loadConfig = function(network, configDir = CONFIG_DIR) {
+  const file = path.join(configDir, `${network}.json`);
+  if (!fs.existsSync(file)) throw new Error(`Deploy config not found: ${file}`);
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  config.protocolBeneficiary = config.protocolBeneficiary || process.env.PROTOCOL_BENEFICIARY || process.env.PROTOCOL_BENEFIARY;
+  config.creationFee = BigInt(config.creationFee || 0);
+  config.existing = config.existing || {};
+
+  return config;
+};
+
+exports.loadManifest = function(network, deploymentsDir = DEPLOYMENTS_DIR) {
+  const file = path.join(deploymentsDir, `${network}.json`);
+  if (!fs.existsSync(file)) return { network, chainId: null, contracts: {} };
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+exports.saveManifest = function(manifest, deploymentsDir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+  fs.writeFileSync(path.join(deploymentsDir, `${manifest.network}.json`), JSON.stringify(manifest, null, 2) + '\n');
+};
+
+/**
+ * Returns `hardhat verify` commands for the contracts deployed by this pipeline (reused contracts are skipped).
+ */
+exports.getVerifyCommands = function(manifest) {
+  return Object.entries(manifest.contracts)
+    .filter(([, c]) => c.status === 'deployed' && !c.reused)
+    .map(([, c]) => ['npx hardhat verify --network', manifest.network, c.address, ...c.args].join(' '));
+};
+
+/**
+ * Runs the deploy pipeline.
+ * @param hre The Hardhat runtime environment
+ * @param options.contracts The contracts to deploy in order (default: `contracts` in the network config)
+ * @param options.configDir The directory of the network configs
+ * @param options.deploymentsDir The directory to write the manifest to
+ * @param options.pendingTimeout Seconds to wait for a pending deployment of a previous run to be mined (default: 300)
+ * @param options.log Logger (default: console.log)
+ * @return { manifest, addresses, verifyCommands }
+ */
+exports.deploy = async function(hre, options = {}) {
+  const {
+    configDir = CONFIG_DIR,
+    deploymentsDir = DEPLOYMENTS_DIR,
+    pendingTimeout = DEFAULT_PENDING_TIMEOUT,
+    log = console.log
+  } = options;
+
+  const network = hre.network.name;
+  const config = exports.loadConfig(network, configDir);
+  const contracts = options.contracts || config.contracts;
+  const provider = hre.ethers.provider;
+
+  const [deployer] = await hre.ethers.getSigners();
+  log(`Deploy from account: ${deployer.address}`);
+
+  const manifest = exports.loadManifest(network, deploymentsDir);
+  manifest.chainId = Number((await provider.getNetwork()).chainId);
+  const save = () => exports.saveManifest(manifest, deploymentsDir);
+
+  const isDeployed = async address => address && (await provider.getCode(address)) !== '0x';
+
+  // Waits for the receipt of a pending deployment rather than sending a duplicate one
+  const waitForPending = async (name, txHash) => {
+    const deadline = Date.now() + pendingTimeout * 1000;
+    let receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) log(` -> Waiting for pending ${name} (${txHash})`);
+
+    while (!receipt && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, PENDING_POLL_INTERVAL));
+      receipt = await provider.getTransactionReceipt(txHash);
+    }
+    if (!receipt) {
+      throw new Error(`Pending ${name} deployment ${txHash} was not mined within ${pendingTimeout}s. ` +
+        `Re-run once it is mined, or remove ${name} from ${path.join(deploymentsDir, `${network}.json`)} to deploy it again if it was dropped`);
+    }
+
+    return receipt;
+  };
+
+  const addresses = {};
+  for (const name of contracts) {
+    const getArgs = CONSTRUCTOR_ARGS[name];
+    if (!getArgs) throw new Error(`Unknown contract: ${name}`);
+
+    // 1. Reuse existing contracts from the config
+    const existing = config.existing[name];
+    if (existing) {
+      if (!(await isDeployed(existing))) throw new Error(`Existing ${name} has no code at ${existing}`);
+
+      manifest.contracts[name] = { address: existing, reused: true, status: 'deployed' };
+      addresses[name] = existing;
+      save();
+      log(` -> Reusing existing ${name} at ${existing}`);
+      continue;
+    }
+
+    if (name === 'MCV2_BondExtension' && !config.maxSteps) {
+      throw new Error(`Missing maxSteps for ${network}. Run \`npx hardhat bond:max-steps --target ${network} --write\``);
+    }
+
+    const args = getArgs(config, addresses);
+    if (args.some(arg => arg === undefined || arg === null)) throw new Error(`Missing constructor arguments for ${name}`);
+
+    // 2. Resume or reuse a deployment recorded in the manifest with the same constructor args
+    const record = manifest.contracts[name];
+    if (record && !record.reused && sameArgs(record.args, args)) {
+      if (record.status === 'pending') {
+        const receipt = await waitForPending(name, record.txHash);
+        if (receipt.status === 1 && await isDeployed(receipt.contractAddress)) {
+          Object.assign(record, { address: receipt.contractAddress, blockNumber: receipt.blockNumber, status: 'deployed' });
+          addresses[name] = record.address;
+          save();
+          log(` -> Resumed pending ${name} at ${record.address}`);
+          continue;
+        }
+        log(` -> Pending ${name} failed (${record.txHash}), deploying it again`);
+      } else if (await isDeployed(record.address)) {
+        addresses[name] = record.address;
+        log(` -> Reusing deployed ${name} at ${record.address}`);
+        continue;
+      }
+    }
+
+    // 3. Deploy
+    const contract = await hre.ethers.deployContract(name, args);
+    const tx = contract.deploymentTransaction();
+    manifest.contracts[name] = { address: contract.target, args: toJSON(args), txHash: tx.hash, status: 'pending' };
+    save();
+
+    await contract.waitForDeployment();
+    const receipt = await tx.wait();
+    Object.assign(manifest.contracts[name], { blockNumber: receipt.blockNumber, status: 'deployed' });
+    addresses[name] = contract.target;
+    save();
+    log(` -> ${name} contract deployed at ${contract.target}`);
+  }
+
+  const verifyCommands = exports.getVerifyCommands({
+    ...manifest,
+    contracts: Object.fromEntries(contracts.map(name => [name, manifest.contracts[name]]))
+  });
+
+  log(`\n\nNetwork: ${network}`);
+  log('```');
+  for (const name of contracts) log(`- ${name}: ${addresses[name]}`);
+  log('```');
+  log(`\n${verifyCommands.map(cmd => `    ${cmd}`).join('\n')}\n`);
+
+  return { manifest, addresses, verifyCommands };
+};
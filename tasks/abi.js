@@ -0,0 +1,22 @@
+const { task } = require('hardhat/config');
+const fs = require('fs');
+const path = require('path');
+const { CONTRACTS } = require('../utils/abi');
+
+const ABI_DIR = path.join(__dirname, '../utils/abi');
+
+/* Usage
+
+npx hardhat abi:export
+
+*/
+task('abi:export', 'Compiles the contracts and writes the ABIs used by utils/client.js to utils/abi/')
+  .setAction(async (_, hre) => {
+    await hre.run('compile');
+
+    for (const contractName of CONTRACTS) {
+      const { abi } = await hre.artifacts.readArtifact(contractName);
+      fs.writeFileSync(path.join(ABI_DIR, `${contractName}.json`), JSON.stringify(abi, null, 2) + '\n');
+      console.log(` - utils/abi/${contractName}.json`);
+    }
+  });
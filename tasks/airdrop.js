@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const {
+  parseWalletList,
+  normalizeWallets,
+  buildAirdrop,
+  serializeWalletList,
+  computeCIDv0,
+  verifyProof
+} = require('../utils/merkle-airdrop');
+
+/* Usage
+
+npx hardhat airdrop:build --input wallets.csv --out airdrop/
+npx hardhat airdrop:verify --proofs airdrop/proofs.json
+npx hardhat airdrop:verify --proofs airdrop/proofs.json --distributor 0x... --distribution-id 0 --network localhost
+
+*/
+
+task('airdrop:build', 'Builds the Merkle root, proofs and IPFS CID of a wallet list for MerkleDistributor')
+  .addParam('input', 'The wallet list (.csv or .json)')
+  .addOptionalParam('out', 'The output directory (default: next to the input)')
+  .addFlag('skipInvalid', 'Skips invalid addresses instead of failing')
+  .setAction(async ({ input, out, skipInvalid }) => {
+    const format = /\.json$/i.test(input) ? 'json' : 'csv';
+    const entries = parseWalletList(fs.readFileSync(path.resolve(input), 'utf8'), format);
+    const { wallets, duplicates, invalid } = normalizeWallets(entries);
+
+    if (invalid.length > 0) {
+      const list = invalid.map(e => `line ${e.line}: ${e.value}`).join(', ');
+      if (!skipInvalid) throw new Error(`Invalid addresses: ${list}`);
+      console.log(`Skipped ${invalid.length} invalid addresses: ${list}`);
+    }
+    if (duplicates.length > 0) console.log(`Removed ${duplicates.length} duplicate addresses`);
+
+    const { root, walletCount, ipfsCID, proofs } = buildAirdrop(wallets);
+
+    const outDir = path.resolve(out || path.join(path.dirname(input), `${path.basename(input, path.extname(input))}-airdrop`));
+    fs.mkdirSync(outDir, { recursive: true });
+
+    // `addresses.json` must be uploaded as is, so its IPFS CID matches `ipfsCID`
+    const addressesFile = path.join(outDir, 'addresses.json');
+    const proofsFile = path.join(outDir, 'proofs.json');
+    fs.writeFileSync(addressesFile, serializeWalletList(wallets));
+    fs.writeFileSync(proofsFile, JSON.stringify({ root, walletCount, ipfsCID, proofs }, null, 2) + '\n');
+
+    console.log(`Merkle root: ${root}`);
+    console.log(`Wallet count: ${walletCount}`);
+    console.log(`IPFS CID: ${ipfsCID} (${addressesFile})`);
+    console.log(`Proofs: ${proofsFile}`);
+
+    return { root, walletCount, ipfsCID, duplicates: duplicates.length, invalid: invalid.length, addressesFile, proofsFile };
+  });
+
+task('airdrop:verify', 'Verifies a proof file against its Merkle root, and optionally against MerkleDistributor.isWhitelisted')
+  .addParam('proofs', 'The proof file generated by airdrop:build')
+  .addOptionalParam('root', 'The Merkle root to verify against (default: the root in the proof file)')
+  .addOptionalParam('addresses', 'The published wallet list to check against the IPFS CID in the proof file')
+  .addOptionalParam('distributor', 'The MerkleDistributor contract address')
+  .addOptionalParam('distributionId', 'The distribution id on the MerkleDistributor', undefined, types.int)
+  .setAction(async ({ proofs: proofsFile, root, addresses, distributor, distributionId }, hre) => {
+    const file = JSON.parse(fs.readFileSync(path.resolve(proofsFile), 'utf8'));
+    root = root || file.root;
+
+    const wallets = Object.keys(file.proofs);
+    const invalidProofs = wallets.filter(w => !verifyProof(root, w, file.proofs[w]));
+    const errors = invalidProofs.map(w => `Invalid proof for ${w}`);
+
+    if (file.walletCount !== wallets.length) errors.push(`walletCount ${file.walletCount} does not match ${wallets.length} proofs`);
+    if (addresses && computeCIDv0(fs.readFileSync(path.resolve(addresses))) !== file.ipfsCID) {
+      errors.push(`IPFS CID of ${addresses} does not match ${file.ipfsCID}`);
+    }
+
+    console.log(`Verified ${wallets.length - invalidProofs.length} / ${wallets.length} proofs against ${root}`);
+
+    let notWhitelisted = [];
+    if (distributor) {
+      if (distributionId === undefined) throw new Error('Please provide --distribution-id');
+
+      const contract = await hre.ethers.getContractAt('MerkleDistributor', distributor);
+      const distribution = await contract.distributions(distributionId);
+      if (distribution.merkleRoot !== root) errors.push(`On-chain merkleRoot ${distribution.merkleRoot} does not match ${root}`);
+      if (distribution.walletCount !== BigInt(wallets.length)) {
+        errors.push(`On-chain walletCount ${distribution.walletCount} does not match ${wallets.length} proofs`);
+      }
+
+      for (const w of wallets) {
+        if (!(await contract.isWhitelisted(distributionId, w, file.proofs[w]))) notWhitelisted.push(w);
+      }
+      errors.push(...notWhitelisted.map(w => `${w} is not whitelisted on distribution ${distributionId}`));
+
+      console.log(`Checked ${wallets.length} wallets with isWhitelisted on ${hre.network.name}: ${notWhitelisted.length} failed`);
+    }
+
+    errors.forEach(e => console.log(` - ${e}`));
+
+    return { root, walletCount: wallets.length, valid: errors.length === 0, errors, invalidProofs, notWhitelisted };
+  });
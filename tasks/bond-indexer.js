@@ -0,0 +1,57 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { loadStore, indexBond, getCandles } = require('../utils/bond-indexer');
+
+/* Usage
+
+npx hardhat bond:index --bond 0x... --store data/bond-sepolia.json --from-block 4900000 --network sepolia
+npx hardhat bond:index --bond 0x... --store data/bond-sepolia.json --confirmations 5 --network sepolia # resumes
+npx hardhat bond:candles --store data/bond-sepolia.json --token 0x... --interval 86400
+
+*/
+
+task('bond:index', 'Indexes bond events into a local JSON store, resuming from the last processed block')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('store', 'The JSON store file')
+  .addOptionalParam('fromBlock', 'The first block to index if the store is empty', 0, types.int)
+  .addOptionalParam('toBlock', 'The last block to index (default: latest)', undefined, types.int)
+  .addOptionalParam('confirmations', 'Blocks to stay behind the chain head', 0, types.int)
+  .addOptionalParam('batchSize', 'Blocks per eth_getLogs request', 2000, types.int)
+  .setAction(async ({ bond: bondAddress, store: file, fromBlock, toBlock, confirmations, batchSize }, hre) => {
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress);
+    const store = loadStore(file, bondAddress);
+    const resumedFrom = store.lastBlock;
+
+    await indexBond(bond, store, {
+      fromBlock,
+      toBlock,
+      confirmations,
+      batchSize,
+      file,
+      onBatch: ({ fromBlock, toBlock, logs }) => console.log(` - blocks ${fromBlock} ~ ${toBlock}: ${logs} logs`)
+    });
+
+    console.log(`Indexed ${hre.network.name} bond ${bondAddress}${resumedFrom !== null ? ` (resumed after block ${resumedFrom})` : ''}`);
+    console.log(` - last block: ${store.lastBlock}`);
+    console.log(` - tokens: ${Object.keys(store.tokens).length}, trades: ${store.trades.length}, royalty claims: ${store.royaltyClaims.length}`);
+    if (store.mismatches.length > 0) console.log(` - quote mismatches: ${store.mismatches.length} (see "mismatches" in the store)`);
+
+    return store;
+  });
+
+task('bond:candles', 'Prints OHLC candles of a token from a local JSON store')
+  .addParam('store', 'The JSON store file')
+  .addParam('token', 'The bond token address')
+  .addOptionalParam('interval', 'The candle interval in seconds', 3600, types.int)
+  .setAction(async ({ store: file, token, interval }) => {
+    if (!fs.existsSync(file)) throw new Error(`Store not found: ${file}`);
+
+    const store = loadStore(file);
+    const candles = getCandles(store, token, interval);
+
+    for (const c of candles) {
+      console.log(`${new Date(c.time * 1000).toISOString()} O: ${c.open} H: ${c.high} L: ${c.low} C: ${c.close} V: ${c.volume} (${c.trades} trades)`);
+    }
+
+    return candles;
+  });
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { task, types } = require('hardhat/config');
+const { generateSteps } = require('../utils/step-generator');
+const { validateCreateToken, validateCreateMultiToken } = require('../utils/bond-validator');
+const { loadConfig } = require('../scripts/utils/deploy-pipeline');
+
+const RATIO_BASE = 10000n;
+const DEFAULT_SLIPPAGE = 100; // 1.00%
+const DEFAULT_DEADLINE = 1200; // 20 minutes
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'; // MCV2_Royalty.NATIVE_TOKEN
+
+/* Usage
+
+npx hardhat bond:create --bond 0x... --curve curves/my-token.yaml --network localhost
+npx hardhat bond:create --bond 0x... --curve curves/my-token.yaml --reserve-token 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE --network localhost
+npx hardhat bond:mint --bond 0x... --token 0x... --amount 100 --network localhost
+npx hardhat bond:mint --bond 0x... --token 0x... --amount 100 --receiver 0x... --network localhost
+npx hardhat bond:burn --bond 0x... --token 0x... --amount 100 --slippage 50 --network localhost
+npx hardhat bond:burn --bond 0x... --token 0x... --amount 100 --deadline 300 --network localhost
+npx hardhat bond:claim-royalties --bond 0x... --reserve-token 0x... --network localhost
+npx hardhat bond:info --bond 0x... --token 0x... --network localhost
+
+*/
+
+/**
+ * Loads a curve definition from a JSON or YAML file.
+ * See `tasks/examples/` for the format.
+ */
+function loadCurveFile(file) {
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+}
+
+// MAX_STEPS of the bonds on the current network, as set in its deploy config unless given explicitly
+function getMaxSteps(hre, maxSteps) {
+  if (maxSteps) return maxSteps;
+
+  const config = loadConfig(hre.network.name);
+  if (!config.maxSteps) throw new Error(`maxSteps is not set in the deploy config of ${hre.network.name}. Please provide --max-steps`);
+
+  return config.maxSteps;
+}
+
+function isMultiTokenType(type = 'ERC20') {
+  const t = String(type).toUpperCase();
+  if (t !== 'ERC20' && t !== 'ERC1155') throw new Error(`Invalid token type: ${type}`);
+
+  return t === 'ERC1155';
+}
+
+function toBigIntArray(values) {
+  return (values || []).map(v => BigInt(v));
+}
+
+function applySlippage(amount, slippage, increase) {
+  const bps = BigInt(slippage);
+  return increase ? amount * (RATIO_BASE + bps) / RATIO_BASE : amount * (RATIO_BASE - bps) / RATIO_BASE;
+}
+
+function isNativeToken(reserveToken) {
+  return reserveToken.toLowerCase() === NATIVE_TOKEN.toLowerCase();
+}
+
+// Seconds after the latest block, as the local clock can be off from the chain
+async function getDeadline(hre, seconds) {
+  const { timestamp } = await hre.ethers.provider.getBlock('latest');
+  return BigInt(timestamp) + BigInt(seconds);
+}
+
+async function getReserveTokenInfo(hre, reserveToken) {
+  if (isNativeToken(reserveToken)) return { decimals: 18n, name: 'Native Token', symbol: 'NATIVE' };
+
+  const r = await hre.ethers.getContractAt('IERC20Metadata', reserveToken);
+  const [decimals, name, symbol] = await Promise.all([
+    r.decimals().catch(() => undefined),
+    r.name().catch(() => ''),
+    r.symbol().catch(() => '')
+  ]);
+
+  return { decimals, name, symbol };
+}
+
+async function getBondToken(hre, bond, tokenAddress) {
+  if (!(await bond.exists(tokenAddress))) throw new Error(`Token ${tokenAddress} does not exist on the bond`);
+
+  const erc20 = await hre.ethers.getContractAt('MCV2_Token', tokenAddress);
+  const decimals = await erc20.decimals();
+  const isMultiToken = decimals === 0n;
+  const token = isMultiToken ? await hre.ethers.getContractAt('MCV2_MultiToken', tokenAddress) : erc20;
+
+  return { token, decimals, isMultiToken };
+}
+
+task('bond:create', 'Creates a new bond token from a JSON/YAML curve definition')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('curve', 'Path to the curve definition file (.json, .yaml or .yml)')
+  .addOptionalParam('reserveToken', 'Overrides the reserve token in the curve file')
+  .addOptionalParam('maxSteps', 'MAX_STEPS of the bond, used to validate the step count before sending (default: maxSteps of the network deploy config)', undefined, types.int)
+  .addOptionalParam('deadline', 'Seconds until the transaction expires', DEFAULT_DEADLINE, types.int)
+  .setAction(async ({ bond: bondAddress, curve, reserveToken, maxSteps, deadline }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress, signer);
+    const def = loadCurveFile(curve);
+    maxSteps = getMaxSteps(hre, maxSteps);
+    const isMultiToken = isMultiTokenType(def.type);
+
+    const tp = isMultiToken ?
+      { name: def.name, symbol: def.symbol, uri: def.uri } :
+      { name: def.name, symbol: def.symbol };
+
+    const reserve = reserveToken || def.reserveToken;
+    const reserveTokenInfo = await getReserveTokenInfo(hre, reserve);
+
+    let { maxSupply, stepRanges, stepPrices } = def;
+    if (def.generator) {
+      // Generate steps from a curve formula, using human-readable amounts
+      ({ maxSupply, stepRanges, stepPrices } = generateSteps({
+        ...def.generator,
+        tokenDecimals: isMultiToken ? 0 : 18,
+        reserveDecimals: Number(reserveTokenInfo.decimals),
+        maxSteps
+      }));
+    }
+
+    const bp = {
+      // `royalty` sets both unless they are given separately
+      mintRoyalty: BigInt(def.mintRoyalty ?? def.royalty ?? 0),
+      burnRoyalty: BigInt(def.burnRoyalty ?? def.royalty ?? 0),
+      reserveToken: reserve,
+      maxSupply: BigInt(maxSupply),
+      stepRanges: toBigIntArray(stepRanges),
+      stepPrices: toBigIntArray(stepPrices),
+      // Unix timestamps, trading opens on creation by default
+      mintStartTime: BigInt(def.mintStartTime ?? 0),
+      burnStartTime: BigInt(def.burnStartTime ?? 0)
+    };
+
+    const creationFee = await bond.creationFee();
+    const validate = isMultiToken ? validateCreateMultiToken : validateCreateToken;
+    const result = validate(tp, bp, { maxSteps, reserveTokenInfo });
+    if (!result.valid) {
+      throw new Error(`Invalid curve: ${result.error}${result.reason ? `('${result.reason}')` : ''}${result.index !== undefined ? ` at step ${result.index}` : ''}`);
+    }
+
+    const method = isMultiToken ? 'createMultiTokenWithDeadline' : 'createTokenWithDeadline';
+    const tx = await bond[method](Object.values(tp), Object.values(bp), await getDeadline(hre, deadline), { value: creationFee });
+    const receipt = await tx.wait();
+
+    const eventName = isMultiToken ? 'MultiTokenCreated' : 'TokenCreated';
+    const event = receipt.logs
+      .map(log => { try { return bond.interface.parseLog(log); } catch (e) { return null; } })
+      .find(log => log && log.name === eventName);
+    const token = event.args.token;
+
+    console.log(`Created ${isMultiToken ? 'ERC1155' : 'ERC20'} token ${tp.symbol} at ${token}`);
+    console.log(` - steps: ${bp.stepRanges.length}, max supply: ${bp.maxSupply}, creation fee: ${creationFee}`);
+    console.log(` - tx: ${tx.hash}`);
+
+    return { token, txHash: tx.hash };
+  });
+
+task('bond:mint', 'Mints bond tokens, approving the reserve token if needed (or paying with the native coin)')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('token', 'The bond token address')
+  .addParam('amount', 'The amount of tokens to mint (human-readable, e.g. 1.5)')
+  .addOptionalParam('slippage', 'Max slippage in basis points', DEFAULT_SLIPPAGE, types.int)
+  .addOptionalParam('receiver', 'The address to receive the tokens (default: the signer)')
+  .addOptionalParam('deadline', 'Seconds until the transaction expires', DEFAULT_DEADLINE, types.int)
+  .setAction(async ({ bond: bondAddress, token: tokenAddress, amount, slippage, receiver, deadline }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress, signer);
+    const { decimals } = await getBondToken(hre, bond, tokenAddress);
+
+    const tokensToMint = hre.ethers.parseUnits(String(amount), decimals);
+    const [reserveAmount, royalty] = await bond.getReserveForToken(tokenAddress, tokensToMint);
+    const maxReserveAmount = applySlippage(reserveAmount, slippage, true);
+
+    // A native reserve is paid with the transaction value, the excess over `reserveAmount` is refunded by the bond
+    const { reserveToken: reserveAddress } = await bond.tokenBond(tokenAddress);
+    const overrides = {};
+    if (isNativeToken(reserveAddress)) {
+      overrides.value = maxReserveAmount;
+    } else {
+      const reserveToken = await hre.ethers.getContractAt('IERC20', reserveAddress, signer);
+      if (await reserveToken.allowance(signer.address, bondAddress) < maxReserveAmount) {
+        await (await reserveToken.approve(bondAddress, maxReserveAmount)).wait();
+        console.log(`Approved ${maxReserveAmount} of reserve token ${reserveAddress}`);
+      }
+    }
+
+    const tx = await bond.mintWithDeadline(
+      tokenAddress, tokensToMint, maxReserveAmount, receiver || signer.address, await getDeadline(hre, deadline), overrides
+    );
+    await tx.wait();
+
+    console.log(`Minted ${amount} tokens for ${reserveAmount} reserve (royalty: ${royalty}, max: ${maxReserveAmount})`);
+    if (receiver) console.log(` - receiver: ${receiver}`);
+    console.log(` - tx: ${tx.hash}`);
+
+    return { tokensToMint, reserveAmount, royalty, maxReserveAmount, txHash: tx.hash };
+  });
+
+task('bond:burn', 'Burns bond tokens for a refund, approving the bond if needed')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('token', 'The bond token address')
+  .addParam('amount', 'The amount of tokens to burn (human-readable, e.g. 1.5)')
+  .addOptionalParam('slippage', 'Max slippage in basis points', DEFAULT_SLIPPAGE, types.int)
+  .addOptionalParam('receiver', 'The address to receive the refund (default: the signer)')
+  .addOptionalParam('deadline', 'Seconds until the transaction expires', DEFAULT_DEADLINE, types.int)
+  .setAction(async ({ bond: bondAddress, token: tokenAddress, amount, slippage, receiver, deadline }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress, signer);
+    const { token, decimals, isMultiToken } = await getBondToken(hre, bond, tokenAddress);
+
+    const tokensToBurn = hre.ethers.parseUnits(String(amount), decimals);
+    const [refundAmount, royalty] = await bond.getRefundForTokens(tokenAddress, tokensToBurn);
+    const minRefund = applySlippage(refundAmount, slippage, false);
+
+    // MCV2_Token.burnByBond spends the allowance of the bond, MCV2_MultiToken.burnByBond requires an operator approval
+    if (isMultiToken) {
+      if (!(await token.isApprovedForAll(signer.address, bondAddress))) {
+        await (await token.connect(signer).setApprovalForAll(bondAddress, true)).wait();
+        console.log(`Approved the bond as an operator of ${tokenAddress}`);
+      }
+    } else if (await token.allowance(signer.address, bondAddress) < tokensToBurn) {
+      await (await token.connect(signer).approve(bondAddress, tokensToBurn)).wait();
+      console.log(`Approved ${tokensToBurn} of ${tokenAddress}`);
+    }
+
+    const tx = await bond.burnWithDeadline(tokenAddress, tokensToBurn, minRefund, receiver || signer.address, await getDeadline(hre, deadline));
+    await tx.wait();
+
+    console.log(`Burned ${amount} tokens for ${refundAmount} reserve (royalty: ${royalty}, min: ${minRefund})`);
+    if (receiver) console.log(` - receiver: ${receiver}`);
+    console.log(` - tx: ${tx.hash}`);
+
+    return { tokensToBurn, refundAmount, royalty, minRefund, txHash: tx.hash };
+  });
+
+task('bond:claim-royalties', 'Claims the accumulated royalties of the signer for a reserve token')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('reserveToken', 'The reserve token address')
+  .setAction(async ({ bond: bondAddress, reserveToken }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress, signer);
+
+    const [balance] = await bond.getRoyaltyInfo(signer.address, reserveToken);
+    if (balance === 0n) throw new Error(`Nothing to claim for ${signer.address}`);
+
+    const tx = await bond.claimRoyalties(reserveToken);
+    await tx.wait();
+
+    console.log(`Claimed ${balance} of ${reserveToken} to ${signer.address}`);
+    console.log(` - tx: ${tx.hash}`);
+
+    return { amount: balance, txHash: tx.hash };
+  });
+
+task('bond:info', 'Shows the bond details of a token')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addParam('token', 'The bond token address')
+  .setAction(async ({ bond: bondAddress, token: tokenAddress }, hre) => {
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress);
+    if (!(await bond.exists(tokenAddress))) throw new Error(`Token ${tokenAddress} does not exist on the bond`);
+
+    const { mintRoyalty, burnRoyalty, info, steps } = await bond.getDetail(tokenAddress);
+    const fmt = (v, d) => hre.ethers.formatUnits(v, d);
+
+    console.log(`${info.name} (${info.symbol}) - ${info.decimals === 0n ? 'ERC1155' : 'ERC20'} at ${info.token}`);
+    console.log(` - creator: ${info.creator}`);
+    console.log(` - royalty: ${Number(mintRoyalty) / 100}% on mint, ${Number(burnRoyalty) / 100}% on burn`);
+    console.log(` - supply: ${fmt(info.currentSupply, info.decimals)} / ${fmt(info.maxSupply, info.decimals)}`);
+    console.log(` - current price: ${fmt(info.currentPrice, info.reserveDecimals)} ${info.reserveSymbol}`);
+    console.log(` - reserve: ${fmt(info.reserveBalance, info.reserveDecimals)} ${info.reserveSymbol} (${info.reserveToken})`);
+    console.log(` - steps: ${steps.length}`);
+
+    return {
+      mintRoyalty,
+      burnRoyalty,
+      creator: info.creator,
+      currentSupply: info.currentSupply,
+      maxSupply: info.maxSupply,
+      currentPrice: info.currentPrice,
+      reserveToken: info.reserveToken,
+      reserveBalance: info.reserveBalance,
+      steps: steps.map(s => ({ rangeTo: s.rangeTo, price: s.price }))
+    };
+  });
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('hardhat/config');
+const { DEFAULT_SAMPLES, DEFAULT_MARGIN, measureStepGas, mergeFits, deriveMaxSteps } = require('../utils/max-steps');
+const { CONFIG_DIR } = require('../scripts/utils/deploy-pipeline');
+
+/* Usage
+
+npx hardhat bond:max-steps --block-gas-limit 30000000
+npx hardhat bond:max-steps --target base --write
+npx hardhat bond:max-steps --margin 4000 --samples 10,100,500 --write
+
+*/
+
+// Networks to calibrate: the given target, or every config that defines a `blockGasLimit`
+function getTargets(configDir, target, blockGasLimit) {
+  const names = target ?
+    [target] :
+    fs.readdirSync(configDir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort();
+
+  return names.map(network => {
+    const file = path.join(configDir, `${network}.json`);
+    const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+
+    return { network, file, config, blockGasLimit: target && blockGasLimit ? blockGasLimit : config?.blockGasLimit };
+  }).filter(t => t.blockGasLimit);
+}
+
+task('bond:max-steps', 'Measures the gas cost per bond step and derives a safe MAX_STEPS for a block gas limit')
+  .addOptionalParam('target', 'The network config to calibrate (default: all configs with a blockGasLimit)')
+  .addOptionalParam('blockGasLimit', 'The block gas limit to calibrate for (overrides the config)', undefined, types.int)
+  .addOptionalParam('margin', 'The safety margin in basis points of the block gas limit', DEFAULT_MARGIN, types.int)
+  .addOptionalParam('samples', 'Comma-separated step counts to measure', DEFAULT_SAMPLES.join(','))
+  .addOptionalParam('configDir', 'The directory of the deploy configs', CONFIG_DIR)
+  .addFlag('write', 'Writes the derived maxSteps to the deploy configs')
+  .setAction(async ({ target, blockGasLimit, margin, samples, configDir, write }, hre) => {
+    if (hre.network.name !== 'hardhat') {
+      throw new Error('bond:max-steps deploys test contracts, please run it on the hardhat network (use --target to pick the config)');
+    }
+
+    const targets = getTargets(configDir, target, blockGasLimit);
+    if (!target && blockGasLimit) targets.push({ network: null, blockGasLimit });
+    if (targets.length === 0) {
+      throw new Error(`No block gas limit for ${target || 'any network'}. Please provide --block-gas-limit or set blockGasLimit in the config`);
+    }
+    if (write && targets.some(t => !t.config)) throw new Error(`Deploy config not found for ${target}`);
+
+    const stepCounts = samples.split(',').map(s => parseInt(s.trim(), 10));
+    if (stepCounts.some(s => !(s > 0))) throw new Error(`Invalid samples: ${samples}`);
+
+    // ERC20 and ERC1155 tokens share MAX_STEPS, so the more expensive of the two is used
+    const erc20 = await measureStepGas(hre, { samples: stepCounts });
+    const erc1155 = await measureStepGas(hre, { samples: stepCounts, multiToken: true });
+    const fits = mergeFits(erc20.fits, erc1155.fits);
+
+    console.log('Measured gas (ERC20 / ERC1155):');
+    erc20.samples.forEach((s, i) => {
+      const m = erc1155.samples[i];
+      console.log(` - ${s.steps} steps: createToken ${s.createToken} / ${m.createToken}, mint ${s.mint} / ${m.mint}, burn ${s.burn} / ${m.burn}`);
+    });
+    console.log('Fitted gas = intercept + slope * steps:');
+    for (const [op, { intercept, slope }] of Object.entries(fits)) console.log(` - ${op}: ${intercept} + ${slope} * steps`);
+
+    const results = {};
+    for (const t of targets) {
+      const result = deriveMaxSteps(fits, t.blockGasLimit, margin);
+      results[t.network || 'custom'] = { blockGasLimit: t.blockGasLimit, margin, ...result };
+
+      console.log(`${t.network || 'custom'}: maxSteps = ${result.maxSteps} (block gas limit: ${t.blockGasLimit}, budget: ${result.gasBudget}, limited by ${result.limitedBy})`);
+      if (result.maxSteps > Math.max(...stepCounts)) {
+        console.log(` -> WARNING: extrapolated beyond the largest sample (${Math.max(...stepCounts)} steps), the actual cost may be slightly higher`);
+      }
+
+      if (write && t.config) {
+        t.config.maxSteps = result.maxSteps;
+        t.config.maxStepsCalibration = { blockGasLimit: t.blockGasLimit, margin, limitedBy: result.limitedBy, fits };
+        fs.writeFileSync(t.file, JSON.stringify(t.config, null, 2) + '\n');
+        console.log(` -> Updated ${t.file}`);
+      }
+    }
+
+    return { samples: { erc20: erc20.samples, erc1155: erc1155.samples }, fits, results };
+  });
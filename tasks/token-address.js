@@ -0,0 +1,33 @@
+const { task } = require('hardhat/config');
+const { checkSymbol, findImplementation } = require('../utils/token-address');
+
+/* Usage
+
+npx hardhat bond:check-symbol BABY --bond 0x... --network sepolia
+npx hardhat bond:check-symbol BABY --bond 0x... --multi-token --implementation 0x... --network sepolia
+
+*/
+task('bond:check-symbol', 'Predicts the token address for a symbol and checks if the symbol is available')
+  .addPositionalParam('symbol', 'The token symbol')
+  .addParam('bond', 'The MCV2_Bond contract address')
+  .addOptionalParam('implementation', 'The token implementation address (looked up from existing tokens if omitted)')
+  .addFlag('multiToken', 'Check an ERC1155 (MCV2_MultiToken) symbol instead of an ERC20 one')
+  .setAction(async ({ symbol, bond: bondAddress, implementation, multiToken }, hre) => {
+    const bond = await hre.ethers.getContractAt('MCV2_Bond', bondAddress);
+
+    if (!implementation) {
+      implementation = await findImplementation(bond, multiToken);
+      if (!implementation) {
+        throw new Error(`No ${multiToken ? 'ERC1155' : 'ERC20'} token found on the bond. Please provide --implementation`);
+      }
+    }
+
+    const result = await checkSymbol(bond, symbol, implementation);
+
+    console.log(`Network: ${hre.network.name}`);
+    console.log(`Symbol: ${result.symbol} (${multiToken ? 'ERC1155' : 'ERC20'})`);
+    console.log(`Predicted address: ${result.tokenAddress}`);
+    console.log(`Available: ${result.available}`);
+
+    return { ...result, implementation };
+  });
@@ -1,9 +1,11 @@
-const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
 const { expect } = require('chai');
 const web3 = require('web3');
 const {
   MAX_INT_256,
   NULL_ADDRESS,
+  DEAD_ADDRESS,
+  NATIVE_TOKEN,
   PROTOCOL_BENEFICIARY,
   MAX_ROYALTY_RANGE,
   getMaxSteps,
@@ -15,16 +17,19 @@ const {
   calculateRoyalty
 } = require('./utils/test-utils');
 
-const MAX_STEPS = getMaxSteps('ethereum');
+const MAX_STEPS = getMaxSteps('hardhat');
 
 const BABY_TOKEN = {
   tokenParams: { name: 'Baby Token', symbol: 'BABY' },
   bondParams: {
-    royalty: 100n, // 1%
+    mintRoyalty: 100n, // 1%
+    burnRoyalty: 100n, // 1%
     reserveToken: null, // Should be set later
     maxSupply: wei(10000000), // supply: 10M
     stepRanges: [ wei(10000), wei(100000), wei(200000), wei(500000), wei(1000000), wei(2000000), wei(5000000), wei(10000000) ],
-    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9), wei(4, 9), wei(5, 9), wei(7, 9), wei(10, 9), wei(15, 9) ]
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9), wei(4, 9), wei(5, 9), wei(7, 9), wei(10, 9), wei(15, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
   }
 };
 
@@ -36,20 +41,23 @@ describe('Bond', function () {
     const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
     await NFTImplementation.waitForDeployment();
 
-    const Bond = await ethers.deployContract('MCV2_Bond', [TokenImplementation.target, NFTImplementation.target, PROTOCOL_BENEFICIARY, 0n, MAX_STEPS]);
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
     await Bond.waitForDeployment();
 
     const BaseToken = await ethers.deployContract('TestToken', [wei(200000000, 9), 'Test Token', 'TEST', 9n]); // supply: 200M
     await BaseToken.waitForDeployment();
 
-    return [TokenImplementation, Bond, BaseToken];
+    return [TokenImplementation, Bond, BaseToken, BondExtension];
   }
 
-  let TokenImplementation, Bond, BaseToken;
+  let TokenImplementation, Bond, BaseToken, BondExtension;
   let owner, alice, bob;
 
   beforeEach(async function () {
-    [TokenImplementation, Bond, BaseToken] = await loadFixture(deployFixtures);
+    [TokenImplementation, Bond, BaseToken, BondExtension] = await loadFixture(deployFixtures);
     [owner, alice, bob] = await ethers.getSigners();
     BABY_TOKEN.bondParams.reserveToken = BaseToken.target; // set BaseToken address
   });
@@ -145,14 +153,24 @@ describe('Bond', function () {
         .withArgs('symbol');
       });
 
-      it('should check if royalty is less than the max range', async function () {
+      it('should check if the mint royalty is less than the max range', async function () {
         await expect(
           Bond.createToken(
             this.newTokenParams,
-            modifiedValues(BABY_TOKEN.bondParams, { royalty: MAX_ROYALTY_RANGE + 1n })
+            modifiedValues(BABY_TOKEN.bondParams, { mintRoyalty: MAX_ROYALTY_RANGE + 1n })
           )
         ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams')
-        .withArgs('royalty');
+        .withArgs('mintRoyalty');
+      });
+
+      it('should check if the burn royalty is less than the max range', async function () {
+        await expect(
+          Bond.createToken(
+            this.newTokenParams,
+            modifiedValues(BABY_TOKEN.bondParams, { burnRoyalty: MAX_ROYALTY_RANGE + 1n })
+          )
+        ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams')
+        .withArgs('burnRoyalty');
       });
 
       it('should check if the reserve token is valid', async function () {
@@ -314,8 +332,8 @@ describe('Bond', function () {
           this.newTokenParams,
           modifiedValues(BABY_TOKEN.bondParams, {
             maxSupply: wei(MAX_STEPS),
-            stepRanges: [...Array(1001).keys()].splice(1).map(v => wei(v)),
-            stepPrices: [...Array(1001).keys()].splice(1).map(v => wei(v))
+            stepRanges: [...Array(MAX_STEPS + 1).keys()].splice(1).map(v => wei(v)),
+            stepPrices: [...Array(MAX_STEPS + 1).keys()].splice(1).map(v => wei(v))
           })
         );
 
@@ -355,7 +373,7 @@ describe('Bond', function () {
 
       it('should send fees to the new creator', async function () {
         const tokensToMint = wei(500);
-        const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+        const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
         // { royalty: 10, creatorCut: 8, protocolCut: 2, reserveToBond: 1000, reserveRequired: 1010 }
 
         await BaseToken.transfer(alice.address, wei(1010, 9));
@@ -403,7 +421,7 @@ describe('Bond', function () {
           this.initialBaseBalance = wei(1000000, 9); // 1M BASE tokens
           this.tokensToMint = wei(500);
 
-          this.mintTest = calculateMint(this.tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          this.mintTest = calculateMint(this.tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
           // { royalty: 10, creatorCut: 8, protocolCut: 2, reserveToBond: 1000, reserveRequired: 1010 }
 
           await BaseToken.transfer(alice.address, this.initialBaseBalance);
@@ -441,10 +459,95 @@ describe('Bond', function () {
         it('should emit Mint event', async function () {
           await expect(Bond.connect(alice).mint(this.token.target, this.tokensToMint, MAX_INT_256))
             .emit(Bond, 'Mint')
-            .withArgs(this.token.target, alice.address, this.tokensToMint, BaseToken.target, this.mintTest.reserveRequired);
+            .withArgs(this.token.target, alice.address, alice.address, this.tokensToMint, BaseToken.target, this.mintTest.reserveRequired);
         });
       }); // Mint once
 
+      describe('Mint with reserve amount', function() {
+        beforeEach(async function () {
+          this.initialBaseBalance = wei(1000000, 9); // 1M BASE tokens
+          this.reserveAmount = wei(1010, 9); // 1000 to the bond + 1% royalty = 500 BABY tokens at price 2
+          this.mintTest = calculateMint(wei(500), BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
+
+          await BaseToken.transfer(alice.address, this.initialBaseBalance);
+          await BaseToken.connect(alice).approve(Bond.target, this.initialBaseBalance);
+        });
+
+        it('should return the maximum amount of tokens for the reserve amount', async function () {
+          const [tokensToMint, reserveUsed, royalty] = await Bond.getTokensForReserve(this.token.target, this.reserveAmount);
+          expect(tokensToMint).to.equal(wei(500));
+          expect(reserveUsed).to.equal(this.mintTest.reserveRequired);
+          expect(royalty).to.equal(this.mintTest.royalty);
+        });
+
+        it('should match getReserveForToken across multiple steps', async function () {
+          const reserveAmount = wei(3000000, 9) + 12345n;
+          const [tokensToMint, reserveUsed] = await Bond.getTokensForReserve(this.token.target, reserveAmount);
+
+          expect((await Bond.getReserveForToken(this.token.target, tokensToMint))[0]).to.equal(reserveUsed);
+          expect((await Bond.getReserveForToken(this.token.target, tokensToMint + 1n))[0]).to.be.gt(reserveAmount);
+        });
+
+        it('should mint tokens and transfer only the reserve used', async function () {
+          await Bond.connect(alice).mintWithReserveAmount(this.token.target, this.reserveAmount, wei(500));
+
+          expect(await this.token.balanceOf(alice.address)).to.equal(wei(500));
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(this.initialBaseBalance - this.mintTest.reserveRequired);
+          expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(this.mintTest.reserveToBond);
+          expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(this.mintTest.creatorCut);
+          expect(await Bond.userTokenRoyaltyBalance(PROTOCOL_BENEFICIARY, BaseToken.target)).to.equal(this.mintTest.protocolCut);
+        });
+
+        it('should leave the rounding dust with the user', async function () {
+          const reserveAmount = this.reserveAmount + 3n; // 3 wei more than the exact cost of 500 tokens
+          const [tokensToMint, reserveUsed] = await Bond.getTokensForReserve(this.token.target, reserveAmount);
+          await Bond.connect(alice).mintWithReserveAmount(this.token.target, reserveAmount, tokensToMint);
+
+          expect(reserveUsed).to.be.lte(reserveAmount);
+          expect(await this.token.balanceOf(alice.address)).to.equal(tokensToMint);
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(this.initialBaseBalance - reserveUsed);
+        });
+
+        it('should emit Mint event', async function () {
+          await expect(Bond.connect(alice).mintWithReserveAmount(this.token.target, this.reserveAmount, 0))
+            .emit(Bond, 'Mint')
+            .withArgs(this.token.target, alice.address, alice.address, wei(500), BaseToken.target, this.mintTest.reserveRequired);
+        });
+
+        it('should revert if the minTokensOut parameter is set more than the expected value', async function () {
+          await expect(
+            Bond.connect(alice).mintWithReserveAmount(this.token.target, this.reserveAmount, wei(500) + 1n)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+        });
+
+        it('should revert if the reserve amount is zero', async function () {
+          await expect(
+            Bond.connect(alice).mintWithReserveAmount(this.token.target, 0, 0)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReserveAmount');
+        });
+
+        it('should mint up to the max supply', async function () {
+          const maxTokensToMint = BABY_TOKEN.bondParams.maxSupply - BABY_TOKEN.bondParams.stepRanges[0];
+          await Bond.connect(alice).mintWithReserveAmount(this.token.target, this.initialBaseBalance, 0); // 1M is not enough
+          await BaseToken.transfer(alice.address, wei(200000000, 9) - this.initialBaseBalance);
+          await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+          await Bond.connect(alice).mintWithReserveAmount(this.token.target, await BaseToken.balanceOf(alice.address), 0);
+
+          expect(await this.token.totalSupply()).to.equal(BABY_TOKEN.bondParams.maxSupply);
+          expect(await this.token.balanceOf(alice.address)).to.equal(maxTokensToMint);
+
+          await expect(
+            Bond.connect(alice).mintWithReserveAmount(this.token.target, 1n, 0)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxSupply');
+        });
+
+        it('should revert if the token does not exist', async function () {
+          await expect(
+            Bond.connect(alice).mintWithReserveAmount(BaseToken.target, this.reserveAmount, 0)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__TokenNotFound');
+        });
+      }); // Mint with reserve amount
+
       describe('Massive mint & burn through multiple steps', function () {
         beforeEach(async function () {
           // Calculations: https://ipfs.io/ipfs/QmXaAwVLC8MyCKiWfy1EAsoAfuZ3Fw7nSdDebckcXkcJvJ
@@ -514,7 +617,7 @@ describe('Bond', function () {
             });
 
             it('should transfer BASE tokens to alice', async function () {
-              const { total } = calculateRoyalty(this.initial.bondReserve, BABY_TOKEN.bondParams.royalty);
+              const { total } = calculateRoyalty(this.initial.bondReserve, BABY_TOKEN.bondParams.burnRoyalty);
               const toRefund =  this.initial.bondReserve - total;
               expect(await BaseToken.balanceOf(alice.address)).to.equal(this.initial.baseBalance + toRefund);
             });
@@ -530,19 +633,19 @@ describe('Bond', function () {
 
             it('should add claimable balance to the creator', async function () {
               // mint + burn = 2
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(royalty.creatorCut);
             });
 
             it('should add claimable balance to the protocol', async function () {
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await Bond.userTokenRoyaltyBalance(PROTOCOL_BENEFICIARY, BaseToken.target)).to.equal(royalty.protocolCut);
             });
 
             it('should leave claimable royalty balance on the bond', async function () {
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await BaseToken.balanceOf(Bond.target)).to.equal(royalty.total);
             });
@@ -556,7 +659,7 @@ describe('Bond', function () {
           const initialBaseBalance = wei(1010, 9);
           const tokensToMint = wei(500);
 
-          this.mintTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          this.mintTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
           // { royalty: 10, creatorCut: 8, protocolCut: 2, reserveToBond: 1000, reserveRequired: 1010 }
 
           await BaseToken.transfer(alice.address, initialBaseBalance);
@@ -573,7 +676,7 @@ describe('Bond', function () {
           this.tokensToBurn = wei(100);
 
           // current price: wei(2)
-          this.burnTest = calculateBurn(this.tokensToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          this.burnTest = calculateBurn(this.tokensToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty);
           // { royalty: 10, creatorCut: 8, protocolCut: 2, reserveFromBond: 200, reserveToRefund: 190 }
 
           await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
@@ -617,9 +720,223 @@ describe('Bond', function () {
         it('should emit Burn event', async function () {
           await expect(Bond.connect(alice).burn(this.token.target, this.tokensToBurn, 0))
             .emit(Bond, 'Burn')
-            .withArgs(this.token.target, alice.address, this.tokensToBurn, BaseToken.target, this.burnTest.reserveToRefund);
+            .withArgs(this.token.target, alice.address, alice.address, this.tokensToBurn, BaseToken.target, this.burnTest.reserveToRefund);
         });
       }); // Burn
+
+      describe('Burn for refund amount', function () {
+        beforeEach(async function () {
+          // Mint 500 BABY tokens with 1010 BASE (fee: 10 BASE)
+          const initialBaseBalance = wei(1010, 9);
+          await BaseToken.transfer(alice.address, initialBaseBalance);
+          await BaseToken.connect(alice).approve(Bond.target, initialBaseBalance);
+          await Bond.connect(alice).mint(this.token.target, wei(500), MAX_INT_256);
+          await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+
+          this.mintTest = calculateMint(wei(500), BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
+          this.refundAmount = wei(198, 9); // 200 from the bond - 1% royalty = 100 BABY tokens at price 2
+          [this.tokensToBurn, this.royalty] = await Bond.getTokensForRefund(this.token.target, this.refundAmount);
+        });
+
+        it('should return the minimum amount of tokens for the refund amount', async function () {
+          // 0.5 gwei of BABY less than 100 BABY, as the royalty on 199.999999999 BASE is floored
+          expect(this.tokensToBurn).to.equal(wei(100) - 500000000n);
+          expect((await Bond.getRefundForTokens(this.token.target, this.tokensToBurn))[0]).to.equal(this.refundAmount);
+          expect((await Bond.getRefundForTokens(this.token.target, this.tokensToBurn - 1n))[0]).to.be.lt(this.refundAmount);
+        });
+
+        it('should match getRefundForTokens across multiple steps', async function () {
+          await BaseToken.approve(Bond.target, MAX_INT_256);
+          await Bond.mint(this.token.target, wei(1000000), MAX_INT_256);
+
+          const refundAmount = wei(2000000, 9) + 12345n;
+          const [tokensToBurn, royalty] = await Bond.getTokensForRefund(this.token.target, refundAmount);
+          const [refund, refundRoyalty] = await Bond.getRefundForTokens(this.token.target, tokensToBurn);
+
+          expect(refund).to.be.gte(refundAmount);
+          expect(royalty).to.equal(refundRoyalty);
+          expect((await Bond.getRefundForTokens(this.token.target, tokensToBurn - 1n))[0]).to.be.lt(refundAmount);
+        });
+
+        it('should burn tokens and transfer the exact refund amount', async function () {
+          const reserveBalance = (await Bond.tokenBond(this.token.target)).reserveBalance;
+          const royalty = calculateRoyalty(this.refundAmount + this.royalty, BABY_TOKEN.bondParams.burnRoyalty);
+          await Bond.connect(alice).burnForRefund(this.token.target, this.refundAmount, this.tokensToBurn);
+
+          expect(royalty.total).to.equal(this.royalty);
+          expect(await this.token.balanceOf(alice.address)).to.equal(wei(500) - this.tokensToBurn);
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(this.refundAmount);
+          expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(reserveBalance - this.refundAmount - this.royalty);
+          expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(this.mintTest.creatorCut + royalty.creatorCut);
+          expect(await Bond.userTokenRoyaltyBalance(PROTOCOL_BENEFICIARY, BaseToken.target)).to.equal(this.mintTest.protocolCut + royalty.protocolCut);
+        });
+
+        it('should emit Burn event', async function () {
+          await expect(Bond.connect(alice).burnForRefund(this.token.target, this.refundAmount, MAX_INT_256))
+            .emit(Bond, 'Burn')
+            .withArgs(this.token.target, alice.address, alice.address, this.tokensToBurn, BaseToken.target, this.refundAmount);
+        });
+
+        it('should revert if the maxTokensIn parameter is set less than the expected value', async function () {
+          await expect(
+            Bond.connect(alice).burnForRefund(this.token.target, this.refundAmount, this.tokensToBurn - 1n)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+        });
+
+        it('should revert if the refund amount is zero', async function () {
+          await expect(
+            Bond.connect(alice).burnForRefund(this.token.target, 0, MAX_INT_256)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReserveAmount');
+        });
+
+        it('should revert if burning the total supply cannot cover the refund amount', async function () {
+          const [maxRefund] = await Bond.getRefundForTokens(this.token.target, await this.token.totalSupply());
+
+          await expect(
+            Bond.connect(alice).burnForRefund(this.token.target, maxRefund + 1n, MAX_INT_256)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedTotalSupply');
+        });
+
+        it('should revert if the token does not exist', async function () {
+          await expect(
+            Bond.connect(alice).burnForRefund(BaseToken.target, this.refundAmount, MAX_INT_256)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__TokenNotFound');
+        });
+      }); // Burn for refund amount
+
+      describe('Receiver', function () {
+        beforeEach(async function () {
+          await BaseToken.transfer(alice.address, wei(2020, 9));
+          await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+          await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+
+          this.mintTest = calculateMint(wei(500), BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
+          this.burnTest = calculateBurn(wei(100), BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty);
+        });
+
+        it('should mint to the receiver with the reserve of the caller', async function () {
+          await expect(Bond.connect(alice).mintTo(this.token.target, wei(500), MAX_INT_256, bob.address))
+            .emit(Bond, 'Mint')
+            .withArgs(this.token.target, alice.address, bob.address, wei(500), BaseToken.target, this.mintTest.reserveRequired);
+
+          expect(await this.token.balanceOf(bob.address)).to.equal(wei(500));
+          expect(await this.token.balanceOf(alice.address)).to.equal(0);
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(2020, 9) - this.mintTest.reserveRequired);
+          expect(await BaseToken.balanceOf(bob.address)).to.equal(0);
+        });
+
+        it('should mint with a reserve amount to the receiver', async function () {
+          await Bond.connect(alice).mintWithReserveAmountTo(this.token.target, this.mintTest.reserveRequired, wei(500), bob.address);
+
+          expect(await this.token.balanceOf(bob.address)).to.equal(wei(500));
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(2020, 9) - this.mintTest.reserveRequired);
+        });
+
+        it('should burn the tokens of the caller and refund the receiver', async function () {
+          await Bond.connect(alice).mint(this.token.target, wei(500), MAX_INT_256);
+          const baseBalance = await BaseToken.balanceOf(alice.address);
+
+          await expect(Bond.connect(alice).burnTo(this.token.target, wei(100), 0, bob.address))
+            .emit(Bond, 'Burn')
+            .withArgs(this.token.target, alice.address, bob.address, wei(100), BaseToken.target, this.burnTest.reserveToRefund);
+
+          expect(await this.token.balanceOf(alice.address)).to.equal(wei(400));
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(baseBalance);
+          expect(await BaseToken.balanceOf(bob.address)).to.equal(this.burnTest.reserveToRefund);
+        });
+
+        it('should burn for a refund amount to the receiver', async function () {
+          await Bond.connect(alice).mint(this.token.target, wei(500), MAX_INT_256);
+          await Bond.connect(alice).burnForRefundTo(this.token.target, this.burnTest.reserveToRefund, wei(100), bob.address);
+
+          expect(await BaseToken.balanceOf(bob.address)).to.equal(this.burnTest.reserveToRefund);
+        });
+
+        it('should not allow burning the tokens of the receiver', async function () {
+          await Bond.connect(alice).mintTo(this.token.target, wei(500), MAX_INT_256, bob.address);
+          await this.token.connect(bob).approve(Bond.target, MAX_INT_256);
+
+          await expect(
+            Bond.connect(alice).burnTo(this.token.target, wei(100), 0, bob.address)
+          ).to.be.revertedWithCustomError(this.token, 'ERC20InsufficientBalance');
+        });
+
+        it('should revert if the receiver is the zero address', async function () {
+          await expect(
+            Bond.connect(alice).mintTo(this.token.target, wei(500), MAX_INT_256, NULL_ADDRESS)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReceiver');
+
+          await Bond.connect(alice).mint(this.token.target, wei(500), MAX_INT_256);
+          await expect(
+            Bond.connect(alice).burnTo(this.token.target, wei(100), 0, NULL_ADDRESS)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReceiver');
+        });
+      }); // Receiver
+
+      describe('Deadline', function () {
+        beforeEach(async function () {
+          await BaseToken.transfer(alice.address, wei(2020, 9));
+          await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+          await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+          this.deadline = BigInt(await time.latest()) + 60n;
+        });
+
+        it('should mint and burn before the deadline', async function () {
+          await Bond.connect(alice).mintWithDeadline(this.token.target, wei(500), MAX_INT_256, bob.address, this.deadline);
+          expect(await this.token.balanceOf(bob.address)).to.equal(wei(500));
+
+          await Bond.connect(alice).mint(this.token.target, wei(100), MAX_INT_256);
+          await time.setNextBlockTimestamp(this.deadline); // inclusive
+          await Bond.connect(alice).burnWithDeadline(this.token.target, wei(100), 0, alice.address, this.deadline);
+          expect(await this.token.balanceOf(alice.address)).to.equal(0);
+        });
+
+        it('should revert after the deadline', async function () {
+          await Bond.connect(alice).mint(this.token.target, wei(100), MAX_INT_256);
+          await time.increaseTo(this.deadline + 1n);
+
+          await expect(
+            Bond.connect(alice).mintWithDeadline(this.token.target, wei(500), MAX_INT_256, alice.address, this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+          await expect(
+            Bond.connect(alice).burnWithDeadline(this.token.target, wei(100), 0, alice.address, this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+        });
+
+        it('should mint with a reserve amount and burn for a refund before the deadline only', async function () {
+          const [tokensToMint, reserveUsed] = await Bond.getTokensForReserve(this.token.target, wei(1000, 9));
+          await Bond.connect(alice).mintWithReserveAmountWithDeadline(this.token.target, wei(1000, 9), 0, bob.address, this.deadline);
+          expect(await this.token.balanceOf(bob.address)).to.equal(tokensToMint);
+
+          await this.token.connect(bob).approve(Bond.target, MAX_INT_256);
+          await expect(
+            Bond.connect(bob).burnForRefundWithDeadline(this.token.target, reserveUsed / 2n, MAX_INT_256, alice.address, this.deadline)
+          ).to.changeTokenBalance(BaseToken, alice, reserveUsed / 2n);
+
+          await time.increaseTo(this.deadline + 1n);
+          await expect(
+            Bond.connect(alice).mintWithReserveAmountWithDeadline(this.token.target, wei(1000, 9), 0, alice.address, this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+          await expect(
+            Bond.connect(bob).burnForRefundWithDeadline(this.token.target, wei(1, 9), MAX_INT_256, bob.address, this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+        });
+
+        it('should create tokens before the deadline only', async function () {
+          const tp = { name: 'Deadline Token', symbol: 'DEAD' };
+          await expect(
+            Bond.createTokenWithDeadline(Object.values(tp), Object.values(BABY_TOKEN.bondParams), this.deadline)
+          ).to.emit(Bond, 'TokenCreated');
+
+          await time.increaseTo(this.deadline + 1n);
+          await expect(
+            Bond.createTokenWithDeadline(Object.values({ ...tp, symbol: 'DEAD2' }), Object.values(BABY_TOKEN.bondParams), this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+          await expect(
+            Bond.createMultiTokenWithDeadline(['Deadline NFT', 'DEADNFT', 'https://mint.club'], Object.values(BABY_TOKEN.bondParams), this.deadline)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+        });
+      }); // Deadline
     }); // Mint
 
     describe('Other Edge Cases', function() {
@@ -638,7 +955,7 @@ describe('Bond', function () {
 
         it('should revert if the minTokens parameter is set more than the expected value', async function () {
           const tokensToMint = wei(10);
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
           await expect(
             Bond.connect(alice).mint(this.token.target, tokensToMint, test.reserveRequired - 1n)
           ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
@@ -646,7 +963,7 @@ describe('Bond', function () {
 
         it('should revert if the slippage limit exceeded due to a front-run', async function () {
           const tokensToMint = wei(10);
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
 
           // front-run till the next price step (price becomes 3 after 100k tokens, 180k reserve)
           await Bond.connect(alice).mint(this.token.target, BABY_TOKEN.bondParams.stepRanges[1], MAX_INT_256);
@@ -685,7 +1002,7 @@ describe('Bond', function () {
 
         it('should revert if user try to mint more than the balance', async function () {
           const tokensToMint = wei(100);
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
           await BaseToken.connect(alice).transfer(owner.address, this.initialBaseBalance - test.reserveRequired);
           await expect(
             Bond.connect(alice).mint(this.token.target, tokensToMint + 1n, MAX_INT_256)
@@ -737,7 +1054,7 @@ describe('Bond', function () {
 
         it('should revert if the caller receives a smaller amount than minRefund', async function () {
           const burnAmount = wei(100);
-          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty);
           await this.token.connect(alice).approve(Bond.target, burnAmount);
 
           await expect(
@@ -747,7 +1064,7 @@ describe('Bond', function () {
 
         it('should revert if the slippage limit exceeded due to a front-run', async function () {
           const burnAmount = wei(100);
-          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty);
           await this.token.connect(alice).approve(Bond.target, burnAmount);
 
           // Front-run the transaction - owner rugs the pool
@@ -770,11 +1087,14 @@ describe('Bond', function () {
           symbol: 'BABY'
         },
         bondParams: {
-          royalty: 100n, // 1%
+          mintRoyalty: 100n, // 1%
+          burnRoyalty: 100n, // 1%
           reserveToken: BaseToken.target,
           maxSupply: wei(100),
           stepRanges: [wei(50), wei(100)],
-          stepPrices: [7n, 8n] // prices are extremely low to cause rounding errors
+          stepPrices: [7n, 8n], // prices are extremely low to cause rounding errors
+          mintStartTime: 0n,
+          burnStartTime: 0n
         }
       };
 
@@ -832,11 +1152,14 @@ describe('Bond', function () {
           symbol: 'BABY'
         },
         bondParams: {
-          royalty: 100n, // 1%
+          mintRoyalty: 100n, // 1%
+          burnRoyalty: 100n, // 1%
           reserveToken: BaseToken.target,
           maxSupply: wei(12, 8),
           stepRanges: [wei(11, 8), wei(12, 8)],
-          stepPrices: [wei(1, 9), wei(2, 9)]
+          stepPrices: [wei(1, 9), wei(2, 9)],
+          mintStartTime: 0n,
+          burnStartTime: 0n
         }
         // step 1 => 1.1e9 * 1e9 = 1.1e18 -> reserveToBond = Math.ceildev(1.1e18, 1e18) = 2
         // step 2 => (1.2 - 1.1)e9 * 2e9 = 0.1e18 -> reserveToBond = Math.ceildev(0.1e18, 1e18) = 1
@@ -896,11 +1219,14 @@ describe('Bond', function () {
           symbol: 'TBABY'
         },
         bondParams: {
-          royalty: 0n,
+          mintRoyalty: 0n,
+          burnRoyalty: 0n,
           reserveToken: this.TaxToken.target,
           maxSupply: wei(100),
           stepRanges: [wei(100)],
-          stepPrices: [wei(5)]
+          stepPrices: [wei(5)],
+          mintStartTime: 0n,
+          burnStartTime: 0n
         }
       };
 
@@ -949,6 +1275,349 @@ describe('Bond', function () {
     });
   }); // Edge cases: Tax Token
 
+  describe('Separate royalties', function() {
+    const SPLIT_BABY = {
+      tokenParams: { name: 'Split Baby Token', symbol: 'SBABY' },
+      bondParams: {
+        mintRoyalty: 0n,
+        burnRoyalty: 1000n, // 10%
+        reserveToken: null, // Should be set later
+        maxSupply: wei(1000),
+        stepRanges: [wei(1000)],
+        stepPrices: [wei(2, 9)],
+        mintStartTime: 0n,
+        burnStartTime: 0n
+      }
+    };
+
+    beforeEach(async function () {
+      SPLIT_BABY.bondParams.reserveToken = BaseToken.target;
+      await Bond.createToken(Object.values(SPLIT_BABY.tokenParams), Object.values(SPLIT_BABY.bondParams));
+      this.token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(0));
+
+      await BaseToken.transfer(alice.address, wei(1000, 9));
+      await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+      await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+    });
+
+    it('should store both royalties', async function () {
+      const bond = await Bond.tokenBond(this.token.target);
+      expect([bond.mintRoyalty, bond.burnRoyalty]).to.deep.equal([0n, 1000n]);
+
+      const detail = await Bond.getDetail(this.token.target);
+      expect([detail.mintRoyalty, detail.burnRoyalty]).to.deep.equal([0n, 1000n]);
+    });
+
+    it('should apply the mint royalty to mint quotes', async function () {
+      expect(await Bond.getReserveForToken(this.token.target, wei(100))).to.deep.equal([wei(200, 9), 0n]);
+      expect(await Bond.getTokensForReserve(this.token.target, wei(200, 9))).to.deep.equal([wei(100), wei(200, 9), 0n]);
+    });
+
+    it('should apply the burn royalty to burn quotes', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(100), MAX_INT_256);
+
+      const { royalty, reserveToRefund } = calculateBurn(wei(50), wei(2, 9), 1000n);
+      expect(await Bond.getRefundForTokens(this.token.target, wei(50))).to.deep.equal([reserveToRefund, royalty]);
+      expect(reserveToRefund).to.equal(wei(90, 9)); // 50 @ 2 - 10%
+
+      const [tokensToBurn, refundRoyalty] = await Bond.getTokensForRefund(this.token.target, reserveToRefund);
+      expect(refundRoyalty).to.equal(calculateBurn(tokensToBurn, wei(2, 9), 1000n).royalty);
+    });
+
+    it('should only collect royalties on burn', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(100), MAX_INT_256);
+      expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(0n);
+
+      await Bond.connect(alice).burn(this.token.target, wei(50), 0);
+      const { creatorCut, protocolCut } = calculateBurn(wei(50), wei(2, 9), 1000n);
+      expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(creatorCut);
+      expect(await Bond.userTokenRoyaltyBalance(PROTOCOL_BENEFICIARY, BaseToken.target)).to.equal(protocolCut);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(1000, 9) - wei(200, 9) + wei(90, 9));
+    });
+  }); // Separate royalties
+
+  describe('Native reserve', function() {
+    const NATIVE_BABY = {
+      tokenParams: { name: 'Native Baby Token', symbol: 'NBABY' },
+      bondParams: {
+        mintRoyalty: 100n, // 1%
+        burnRoyalty: 100n, // 1%
+        reserveToken: NATIVE_TOKEN,
+        maxSupply: wei(1000),
+        stepRanges: [wei(100), wei(1000)],
+        stepPrices: [wei(1, 16), wei(2, 16)], // 0.01 ETH, 0.02 ETH
+        mintStartTime: 0n,
+        burnStartTime: 0n
+      }
+    };
+
+    beforeEach(async function () {
+      await Bond.createToken(Object.values(NATIVE_BABY.tokenParams), Object.values(NATIVE_BABY.bondParams));
+      const Token = await ethers.getContractFactory('MCV2_Token');
+      this.token = await Token.attach(await Bond.tokens(0));
+      await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+
+      this.mintTest = calculateMint(wei(50), NATIVE_BABY.bondParams.stepPrices[0], NATIVE_BABY.bondParams.mintRoyalty);
+      this.burnTest = calculateBurn(wei(20), NATIVE_BABY.bondParams.stepPrices[0], NATIVE_BABY.bondParams.burnRoyalty);
+    });
+
+    it('should report the native reserve metadata', async function () {
+      const { info } = await Bond.getDetail(this.token.target);
+      expect(info.reserveToken).to.equal(NATIVE_TOKEN);
+      expect(info.reserveDecimals).to.equal(18);
+      expect(info.reserveName).to.equal('Native Token');
+      expect(info.reserveSymbol).to.equal('NATIVE');
+      expect(await Bond.getTokensByReserveToken(NATIVE_TOKEN, 0, 100)).to.deep.equal([this.token.target]);
+    });
+
+    it('should mint with the exact value', async function () {
+      const tx = Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+      await expect(tx).to.changeEtherBalances([alice, Bond], [-this.mintTest.reserveRequired, this.mintTest.reserveRequired]);
+      await expect(tx).emit(Bond, 'Mint')
+        .withArgs(this.token.target, alice.address, alice.address, wei(50), NATIVE_TOKEN, this.mintTest.reserveRequired);
+
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(50));
+      expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(this.mintTest.reserveToBond);
+    });
+
+    it('should refund the excess value to the caller', async function () {
+      await expect(
+        Bond.connect(alice).mintTo(this.token.target, wei(50), MAX_INT_256, bob.address, { value: wei(1) })
+      ).to.changeEtherBalances([alice, bob, Bond], [-this.mintTest.reserveRequired, 0, this.mintTest.reserveRequired]);
+
+      expect(await this.token.balanceOf(bob.address)).to.equal(wei(50));
+    });
+
+    it('should mint with a reserve amount and refund the rounding dust', async function () {
+      const reserveAmount = this.mintTest.reserveRequired + 1n;
+      const [tokensToMint, reserveUsed] = await Bond.getTokensForReserve(this.token.target, reserveAmount);
+
+      await expect(
+        Bond.connect(alice).mintWithReserveAmount(this.token.target, reserveAmount, 0, { value: reserveAmount })
+      ).to.changeEtherBalances([alice, Bond], [-reserveUsed, reserveUsed]);
+
+      expect(await this.token.balanceOf(alice.address)).to.equal(tokensToMint);
+    });
+
+    it('should revert if the value does not cover the reserve amount', async function () {
+      await expect(
+        Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired - 1n })
+      ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidNativeAmount');
+    });
+
+    it('should not accept value for an ERC20 reserve', async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      const erc20Token = await Bond.tokens(1);
+      await BaseToken.approve(Bond.target, MAX_INT_256);
+
+      await expect(
+        Bond.mint(erc20Token, wei(100), MAX_INT_256, { value: 1n })
+      ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidNativeAmount');
+    });
+
+    it('should pay out the native coin on burn', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+
+      const tx = Bond.connect(alice).burnTo(this.token.target, wei(20), 0, bob.address);
+      await expect(tx).to.changeEtherBalances([bob, Bond], [this.burnTest.reserveToRefund, -this.burnTest.reserveToRefund]);
+      await expect(tx).emit(Bond, 'Burn')
+        .withArgs(this.token.target, alice.address, bob.address, wei(20), NATIVE_TOKEN, this.burnTest.reserveToRefund);
+    });
+
+    it('should burn for a refund amount', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+
+      await expect(
+        Bond.connect(alice).burnForRefund(this.token.target, this.burnTest.reserveToRefund, wei(20))
+      ).to.changeEtherBalance(alice, this.burnTest.reserveToRefund);
+    });
+
+    it('should revert if the receiver cannot accept the native coin', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+
+      await expect(
+        Bond.connect(alice).burnTo(this.token.target, wei(20), 0, this.token.target)
+      ).to.be.revertedWithCustomError(Bond, 'MCV2_Royalty__NativeTransferFailed');
+    });
+
+    it('should claim royalties in the native coin', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+
+      const [balance] = await Bond.getRoyaltyInfo(owner.address, NATIVE_TOKEN);
+      expect(balance).to.equal(this.mintTest.creatorCut);
+      await expect(Bond.claimRoyalties(NATIVE_TOKEN)).to.changeEtherBalances([owner, Bond], [balance, -balance]);
+      expect(await Bond.getRoyaltyInfo(owner.address, NATIVE_TOKEN)).to.deep.equal([0n, balance]);
+    });
+
+    it('should burn royalties in the native coin', async function () {
+      await Bond.updateBondCreator(this.token.target, DEAD_ADDRESS);
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+
+      await expect(Bond.burnRoyalties(NATIVE_TOKEN)).to.changeEtherBalance(DEAD_ADDRESS, this.mintTest.creatorCut);
+    });
+
+    it('should keep the bond solvent after burning the whole supply', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(150), MAX_INT_256, { value: wei(10) });
+      await Bond.connect(alice).burn(this.token.target, wei(150), 0);
+
+      const [creatorBalance] = await Bond.getRoyaltyInfo(owner.address, NATIVE_TOKEN);
+      const [protocolBalance] = await Bond.getRoyaltyInfo(PROTOCOL_BENEFICIARY, NATIVE_TOKEN);
+      expect(await ethers.provider.getBalance(Bond.target)).to.equal(creatorBalance + protocolBalance);
+    });
+
+    it('should log the burn before a mint of the receiver calling back in', async function () {
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+      const receiver = await ethers.deployContract('ReentrantReceiver', [Bond.target]);
+      await receiver.setMint(this.token.target, wei(1));
+
+      const receipt = await (await Bond.connect(alice).burnTo(this.token.target, wei(20), 0, receiver.target)).wait();
+      const events = receipt.logs.map(log => Bond.interface.parseLog(log)?.name).filter(name => name === 'Mint' || name === 'Burn');
+
+      expect(events).to.deep.equal(['Burn', 'Mint']);
+      expect(await this.token.balanceOf(receiver.target)).to.equal(wei(1));
+    });
+
+    it('should log the royalty claim before a mint of the claimer calling back in', async function () {
+      const receiver = await ethers.deployContract('ReentrantReceiver', [Bond.target]);
+      await Bond.updateBondCreator(this.token.target, receiver.target);
+      await Bond.connect(alice).mint(this.token.target, wei(50), MAX_INT_256, { value: this.mintTest.reserveRequired });
+      await receiver.setMint(this.token.target, wei(1, 17));
+
+      const receipt = await (await receiver.claimRoyalties(NATIVE_TOKEN)).wait();
+      const events = receipt.logs.map(log => Bond.interface.parseLog(log)?.name).filter(name => name === 'Mint' || name === 'RoyaltyClaimed');
+
+      expect(events).to.deep.equal(['RoyaltyClaimed', 'Mint']);
+      expect(await this.token.balanceOf(receiver.target)).to.equal(wei(1, 17));
+    });
+  }); // Native reserve
+
+  describe('Permit', function () {
+    async function signPermit(signer, token, spender, value, deadline) {
+      const [name, nonce, { chainId }] = await Promise.all([token.name(), token.nonces(signer.address), ethers.provider.getNetwork()]);
+      const signature = await signer.signTypedData(
+        { name, version: '1', chainId, verifyingContract: token.target },
+        {
+          Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+          ]
+        },
+        { owner: signer.address, spender, value, nonce, deadline }
+      );
+
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory('MCV2_Token');
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      this.token = await Token.attach(await Bond.tokens(0));
+
+      // A bond token as the reserve of another bond, as the reserve token needs to support permits
+      await Bond.createToken(['Child Token', 'CHILD'], Object.values({
+        ...BABY_TOKEN.bondParams,
+        reserveToken: this.token.target,
+        stepPrices: BABY_TOKEN.bondParams.stepPrices.map((price, i) => i === 0 ? wei(1, 9) : price)
+      }));
+      this.child = await Token.attach(await Bond.tokens(1));
+
+      await BaseToken.transfer(alice.address, wei(2020, 9));
+      await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+      await Bond.connect(alice).mint(this.token.target, wei(1000), MAX_INT_256);
+      this.deadline = BigInt(await time.latest()) + 600n;
+    });
+
+    it('should use the name and address of each clone in the EIP-712 domain', async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = await this.token.eip712Domain();
+      expect(domain.name).to.equal('Baby Token');
+      expect(domain.version).to.equal('1');
+      expect(domain.chainId).to.equal(chainId);
+      expect(domain.verifyingContract).to.equal(this.token.target);
+
+      expect(await this.token.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain({
+        name: 'Baby Token', version: '1', chainId, verifyingContract: this.token.target
+      }));
+      expect(await this.child.DOMAIN_SEPARATOR()).to.not.equal(await this.token.DOMAIN_SEPARATOR());
+    });
+
+    it('should approve with a permit and increase the nonce', async function () {
+      const { v, r, s } = await signPermit(alice, this.token, bob.address, wei(10), this.deadline);
+      await this.token.permit(alice.address, bob.address, wei(10), this.deadline, v, r, s);
+
+      expect(await this.token.allowance(alice.address, bob.address)).to.equal(wei(10));
+      expect(await this.token.nonces(alice.address)).to.equal(1);
+      await expect(
+        this.token.permit(alice.address, bob.address, wei(10), this.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(this.token, 'ERC2612InvalidSigner');
+    });
+
+    it('should reject a permit signed for another clone', async function () {
+      const { v, r, s } = await signPermit(alice, this.token, bob.address, wei(10), this.deadline);
+
+      await expect(
+        this.child.permit(alice.address, bob.address, wei(10), this.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(this.child, 'ERC2612InvalidSigner');
+    });
+
+    it('should reject an expired permit', async function () {
+      const deadline = BigInt(await time.latest());
+      const { v, r, s } = await signPermit(alice, this.token, bob.address, wei(10), deadline);
+
+      await expect(
+        this.token.permit(alice.address, bob.address, wei(10), deadline, v, r, s)
+      ).to.be.revertedWithCustomError(this.token, 'ERC2612ExpiredSignature').withArgs(deadline);
+    });
+
+    it('should burn with a permit in a single transaction', async function () {
+      expect(await this.token.allowance(alice.address, Bond.target)).to.equal(0);
+      const { v, r, s } = await signPermit(alice, this.token, Bond.target, wei(100), this.deadline);
+
+      await expect(
+        Bond.connect(alice).burnWithPermit(this.token.target, wei(100), 0, alice.address, this.deadline, v, r, s)
+      ).to.emit(Bond, 'Burn');
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(900));
+      expect(await this.token.allowance(alice.address, Bond.target)).to.equal(0);
+    });
+
+    it('should mint with a permit for the reserve token', async function () {
+      const [reserveAmount] = await Bond.getReserveForToken(this.child.target, wei(100));
+      const { v, r, s } = await signPermit(alice, this.token, Bond.target, reserveAmount, this.deadline);
+
+      await Bond.connect(alice).mintWithPermit(this.child.target, wei(100), reserveAmount, bob.address, this.deadline, v, r, s);
+      expect(await this.child.balanceOf(bob.address)).to.equal(wei(100));
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(1000) - reserveAmount);
+    });
+
+    it('should still trade if the permit was front-run', async function () {
+      const { v, r, s } = await signPermit(alice, this.token, Bond.target, wei(100), this.deadline);
+      await this.token.connect(bob).permit(alice.address, Bond.target, wei(100), this.deadline, v, r, s);
+
+      await Bond.connect(alice).burnWithPermit(this.token.target, wei(100), 0, alice.address, this.deadline, v, r, s);
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(900));
+    });
+
+    it('should revert with an invalid permit and no allowance', async function () {
+      const { v, r, s } = await signPermit(bob, this.token, Bond.target, wei(100), this.deadline);
+
+      await expect(
+        Bond.connect(alice).burnWithPermit(this.token.target, wei(100), 0, alice.address, this.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(this.token, 'ERC20InsufficientAllowance');
+    });
+
+    it('should revert after the deadline', async function () {
+      const { v, r, s } = await signPermit(alice, this.token, Bond.target, wei(100), this.deadline);
+      await time.increaseTo(this.deadline + 1n);
+
+      await expect(
+        Bond.connect(alice).burnWithPermit(this.token.target, wei(100), 0, alice.address, this.deadline, v, r, s)
+      ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+    });
+  }); // Permit
+
   describe('Utility functions', function () {
     beforeEach(async function () {
       this.BaseToken2 = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 18n]);
@@ -1013,6 +1682,8 @@ describe('Bond', function () {
           'https://hunt.town/favicon-32x32.png',
           'https://hunt.town',
           (await this.tx0.getBlock()).timestamp,
+          0n, // mintStartTime
+          0n, // burnStartTime
           this.freeMint,
           BABY_TOKEN.bondParams.maxSupply,
           wei(2, 9),
@@ -1031,6 +1702,8 @@ describe('Bond', function () {
           '',
           '',
           (await this.tx1.getBlock()).timestamp,
+          0n, // mintStartTime
+          0n, // burnStartTime
           this.freeMint,
           BABY_TOKEN.bondParams.maxSupply,
           wei(2, 9),
@@ -1049,6 +1722,8 @@ describe('Bond', function () {
           '',
           '',
           (await this.tx2.getBlock()).timestamp,
+          0n, // mintStartTime
+          0n, // burnStartTime
           this.freeMint,
           BABY_TOKEN.bondParams.maxSupply,
           wei(2, 9),
@@ -1065,7 +1740,8 @@ describe('Bond', function () {
       const steps = BABY_TOKEN.bondParams.stepRanges.map((step, i) => [step, BABY_TOKEN.bondParams.stepPrices[i]]);
 
       expect(await Bond.getDetail(this.token0)).to.deep.equal([
-        BABY_TOKEN.bondParams.royalty,
+        BABY_TOKEN.bondParams.mintRoyalty,
+        BABY_TOKEN.bondParams.burnRoyalty,
         [
           alice.address,
           this.token0,
@@ -1075,6 +1751,8 @@ describe('Bond', function () {
           'https://hunt.town/favicon-32x32.png',
           'https://hunt.town',
           (await this.tx0.getBlock()).timestamp,
+          0n, // mintStartTime
+          0n, // burnStartTime
           this.freeMint,
           BABY_TOKEN.bondParams.maxSupply,
           wei(2, 9),
@@ -1088,4 +1766,37 @@ describe('Bond', function () {
       ]);
     });
   }); // Utility functions
+
+  describe('Extension', function () {
+    it('should not deploy the bond without the extension code', async function () {
+      await expect(ethers.deployContract('MCV2_Bond', [alice.address, PROTOCOL_BENEFICIARY, 0n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidExtension');
+    });
+
+    it('should not create tokens on the extension directly', async function () {
+      await expect(BondExtension.createToken(...Object.values(BABY_TOKEN))).to.be.
+        revertedWithCustomError(BondExtension, 'MCV2_BondExtension__DelegateCallOnly');
+    });
+
+    it('should not update settings on the extension directly', async function () {
+      await expect(BondExtension.updateBondCreator(BaseToken.target, alice.address)).to.be.
+        revertedWithCustomError(BondExtension, 'MCV2_BondExtension__DelegateCallOnly');
+      await expect(BondExtension.queueParameterChange(0, NULL_ADDRESS, 0n)).to.be.
+        revertedWithCustomError(BondExtension, 'MCV2_BondExtension__DelegateCallOnly');
+    });
+
+    it('should not run views on the extension directly', async function () {
+      await expect(BondExtension.getList(0, 10)).to.be.revertedWithCustomError(BondExtension, 'MCV2_BondExtension__DelegateCallOnly');
+    });
+
+    it('should only let the bond delegate views to the extension', async function () {
+      const data = BondExtension.interface.encodeFunctionData('getList', [0, 10]);
+      await expect(Bond.delegateView(data)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+    });
+
+    it('should still run the extension functions through the bond', async function () {
+      await Bond.createToken(...Object.values(BABY_TOKEN));
+      expect(await Bond.tokenCount()).to.equal(1n);
+    });
+  }); // Extension
 }); // Bond
@@ -0,0 +1,287 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  MAX_INT_256,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+const curve = require('../utils/bond-curve');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 123n, // 1.23%
+    burnRoyalty: 456n, // 4.56%
+    reserveToken: null, // Should be set later
+    maxSupply: wei(10000000), // supply: 10M
+    stepRanges: [ wei(10000), wei(100000), wei(200000), wei(500000), wei(1000000), wei(2000000), wei(5000000), wei(10000000) ],
+    stepPrices: [ 0n, 2000000001n, 3000000003n, 4000000007n, 5000000011n, 7000000013n, 10000000017n, 15000000019n ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+const MULTI_TOKEN = {
+  tokenParams: { name: 'Multi Token', symbol: 'MULTI', uri: 'https://api.hunt.town/token-metadata/buildings/0.json' },
+  bondParams: {
+    mintRoyalty: 777n, // 7.77%
+    burnRoyalty: 99n, // 0.99%
+    reserveToken: null, // Should be set later
+    maxSupply: 100n,
+    stepRanges: [ 10n, 30n, 50n, 100n ],
+    stepPrices: [ 0n, 3333333n, 5555555n, 7777777n ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('BondCurve', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000, 9), 'Test Token', 'TEST', 9n]); // supply: 200M
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  let Bond, BaseToken;
+  let owner;
+
+  beforeEach(async function () {
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    [owner] = await ethers.getSigners();
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+    MULTI_TOKEN.bondParams.reserveToken = BaseToken.target;
+  });
+
+  describe('ERC20 token', function () {
+    beforeEach(async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      const Token = await ethers.getContractFactory('MCV2_Token');
+      this.token = await Token.attach(await Bond.tokens(0));
+      this.bond = { ...BABY_TOKEN.bondParams, decimals: 18 };
+
+      await BaseToken.approve(Bond.target, MAX_INT_256);
+      await this.token.approve(Bond.target, MAX_INT_256);
+    });
+
+    it('should build the same bond from getSteps()', async function () {
+      const steps = await Bond.getSteps(this.token.target);
+      const { mintRoyalty, burnRoyalty } = await Bond.getDetail(this.token.target);
+      const fromChain = curve.normalizeBond({ steps, mintRoyalty, burnRoyalty });
+
+      expect(fromChain).to.deep.equal(curve.normalizeBond(this.bond));
+      expect(curve.maxSupply(fromChain)).to.equal(BABY_TOKEN.bondParams.maxSupply);
+    });
+
+    it('should quote mints crossing multiple steps to the wei', async function () {
+      const supply = await this.token.totalSupply();
+      for (const amount of [1n, wei(1) + 1n, wei(89999) + 7n, wei(490000) + 13n, wei(9990000)]) {
+        const [reserveAmount, royalty] = await Bond.getReserveForToken(this.token.target, amount);
+        const quote = curve.getReserveForToken(this.bond, supply, amount);
+
+        expect(quote.reserveAmount).to.equal(reserveAmount);
+        expect(quote.royalty).to.equal(royalty);
+      }
+    });
+
+    it('should quote burns crossing multiple steps to the wei', async function () {
+      await Bond.mint(this.token.target, wei(4321987) + 123n, MAX_INT_256);
+      const supply = await this.token.totalSupply();
+
+      for (const amount of [1n, wei(3) + 1n, wei(100000) + 3n, wei(3000000) + 11n, supply]) {
+        const [refundAmount, royalty] = await Bond.getRefundForTokens(this.token.target, amount);
+        const quote = curve.getRefundForTokens(this.bond, supply, amount);
+
+        expect(quote.refundAmount).to.equal(refundAmount);
+        expect(quote.royalty).to.equal(royalty);
+      }
+    });
+
+    it('should quote exact-input mints to the wei with the maximum affordable amount', async function () {
+      const supply = await this.token.totalSupply();
+      for (const reserve of [1n, 2n, wei(1, 9) + 1n, wei(180000, 9), wei(180000, 9) + 2226n, wei(5000000, 9) + 7n]) {
+        const [tokensToMint, reserveUsed, royalty] = await Bond.getTokensForReserve(this.token.target, reserve);
+        const quote = curve.getTokensForReserve(this.bond, supply, reserve);
+
+        expect(quote).to.include({ tokensToMint, reserveAmount: reserveUsed, royalty });
+        expect(reserveUsed <= reserve).to.equal(true);
+        // Minting the quoted amount costs exactly reserveUsed, and one more token is not affordable
+        expect(curve.getReserveForToken(this.bond, supply, tokensToMint).reserveAmount).to.equal(reserveUsed);
+        expect(curve.getReserveForToken(this.bond, supply, tokensToMint + 1n).reserveAmount > reserve).to.equal(true);
+      }
+
+      expect(() => curve.getTokensForReserve(this.bond, supply, 0n)).to.throw('MCV2_Bond__InvalidReserveAmount');
+      expect(() => curve.getTokensForReserve(this.bond, BABY_TOKEN.bondParams.maxSupply, 1n)).to.throw('MCV2_Bond__ExceedMaxSupply');
+    });
+
+    it('should quote exact-output burns to the wei with the minimum amount to burn', async function () {
+      await Bond.mint(this.token.target, wei(4321987) + 123n, MAX_INT_256);
+      const supply = await this.token.totalSupply();
+      const [maxRefund] = await Bond.getRefundForTokens(this.token.target, supply);
+
+      for (const refund of [1n, 2n, wei(1, 9) + 1n, wei(180000, 9) + 2226n, wei(5000000, 9) + 7n, maxRefund]) {
+        const [tokensToBurn, royalty] = await Bond.getTokensForRefund(this.token.target, refund);
+        const quote = curve.getTokensForRefund(this.bond, supply, refund);
+
+        expect(quote).to.include({ tokensToBurn, royalty });
+        // Burning the quoted amount refunds at least the target, and one less token does not
+        expect(curve.getRefundForTokens(this.bond, supply, tokensToBurn).refundAmount >= refund).to.equal(true);
+        if (tokensToBurn > 1n) {
+          expect(curve.getRefundForTokens(this.bond, supply, tokensToBurn - 1n).refundAmount < refund).to.equal(true);
+        }
+      }
+
+      expect(() => curve.getTokensForRefund(this.bond, supply, 0n)).to.throw('MCV2_Bond__InvalidReserveAmount');
+      expect(() => curve.getTokensForRefund(this.bond, supply, maxRefund + 1n)).to.throw('MCV2_Bond__ExceedTotalSupply');
+    });
+
+    it('should find the minimum burn more than 1 wei of reserve under the ceiled target with a high burn royalty', async function () {
+      // The royalty of 2 wei is floored to 0 at 47.17%, while ceil(2 / (1 - 0.4717)) = 4
+      const bond = { mintRoyalty: 0n, burnRoyalty: 4717n, stepRanges: [wei(1000)], stepPrices: [4799479643570631n], decimals: 18 };
+      await Bond.createToken(['High Royalty', 'HIGH'], [bond.mintRoyalty, bond.burnRoyalty, BaseToken.target, wei(1000), bond.stepRanges, bond.stepPrices, 0n, 0n]);
+      const token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(1));
+      await Bond.mint(token.target, 454n, MAX_INT_256);
+
+      expect(await Bond.getRefundForTokens(token.target, 454n)).to.deep.equal([2n, 0n]);
+      expect(await Bond.getTokensForRefund(token.target, 2n)).to.deep.equal([417n, 0n]);
+      expect(curve.getTokensForRefund(bond, 454n, 2n)).to.include({ tokensToBurn: 417n, royalty: 0n });
+
+      await token.approve(Bond.target, MAX_INT_256);
+      await expect(Bond.burnForRefund(token.target, 2n, 417n)).to.changeTokenBalance(BaseToken, owner, 2n);
+    });
+
+    it('should match the actual balances and royalty split after mint and burn', async function () {
+      const amounts = [wei(150000) + 1n, wei(777777) + 9n];
+      let supply = await this.token.totalSupply();
+      let creatorCut = 0n;
+      let protocolCut = 0n;
+      let reserveBalance = 0n;
+
+      for (const amount of amounts) {
+        const quote = curve.getReserveForToken(this.bond, supply, amount);
+        await Bond.mint(this.token.target, amount, quote.reserveAmount);
+        supply += amount;
+        creatorCut += quote.creatorCut;
+        protocolCut += quote.protocolCut;
+        reserveBalance += quote.reserveToBond;
+      }
+
+      const burnQuote = curve.getRefundForTokens(this.bond, supply, wei(200000) + 5n);
+      await Bond.burn(this.token.target, wei(200000) + 5n, burnQuote.refundAmount);
+      creatorCut += burnQuote.creatorCut;
+      protocolCut += burnQuote.protocolCut;
+      reserveBalance -= burnQuote.reserveFromBond;
+
+      expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(reserveBalance);
+      expect((await Bond.getRoyaltyInfo(owner.address, BaseToken.target))[0]).to.equal(creatorCut);
+      expect((await Bond.getRoyaltyInfo(PROTOCOL_BENEFICIARY, BaseToken.target))[0]).to.equal(protocolCut);
+    });
+
+    it('should match currentPrice() at step boundaries', async function () {
+      for (const amount of [0n, wei(90000) - 1n, 1n, 1n]) {
+        if (amount > 0n) await Bond.mint(this.token.target, amount, MAX_INT_256);
+        const supply = await this.token.totalSupply();
+
+        expect(curve.currentPrice(this.bond, supply)).to.equal(await Bond.currentPrice(this.token.target));
+      }
+    });
+
+    it('should throw the same errors as the contract', async function () {
+      const supply = await this.token.totalSupply();
+
+      expect(() => curve.getReserveForToken(this.bond, supply, 0n)).to.throw('MCV2_Bond__InvalidTokenAmount');
+      expect(() => curve.getReserveForToken(this.bond, supply, BABY_TOKEN.bondParams.maxSupply)).to.throw('MCV2_Bond__ExceedMaxSupply');
+      expect(() => curve.getRefundForTokens(this.bond, supply, supply + 1n)).to.throw('MCV2_Bond__ExceedTotalSupply');
+    });
+  }); // ERC20 token
+
+  describe('ERC1155 token', function () {
+    beforeEach(async function () {
+      await Bond.createMultiToken(Object.values(MULTI_TOKEN.tokenParams), Object.values(MULTI_TOKEN.bondParams));
+      const Token = await ethers.getContractFactory('MCV2_MultiToken');
+      this.token = await Token.attach(await Bond.tokens(0));
+      this.bond = { ...MULTI_TOKEN.bondParams, decimals: 0 };
+
+      await BaseToken.approve(Bond.target, MAX_INT_256);
+      await this.token.setApprovalForAll(Bond.target, true);
+    });
+
+    it('should quote every mint and burn amount to the wei', async function () {
+      await Bond.mint(this.token.target, 17n, MAX_INT_256);
+      const supply = await this.token.totalSupply();
+
+      for (let amount = 1n; amount <= MULTI_TOKEN.bondParams.maxSupply - supply; amount += 7n) {
+        const [reserveAmount, royalty] = await Bond.getReserveForToken(this.token.target, amount);
+        expect(curve.getReserveForToken(this.bond, supply, amount)).to.include({ reserveAmount, royalty });
+      }
+
+      for (let amount = 1n; amount <= supply; amount += 3n) {
+        const [refundAmount, royalty] = await Bond.getRefundForTokens(this.token.target, amount);
+        expect(curve.getRefundForTokens(this.bond, supply, amount)).to.include({ refundAmount, royalty });
+      }
+    });
+
+    it('should quote every exact-input mint to the wei', async function () {
+      await Bond.mint(this.token.target, 17n, MAX_INT_256);
+      const supply = await this.token.totalSupply();
+
+      for (let reserve = 1n; reserve <= 700000000n; reserve = reserve * 3n + 12345n) {
+        let expected;
+        try {
+          expected = await Bond.getTokensForReserve(this.token.target, reserve);
+        } catch (e) {
+          expect(() => curve.getTokensForReserve(this.bond, supply, reserve)).to.throw('MCV2_Bond__InvalidReserveAmount');
+          continue;
+        }
+        const [tokensToMint, reserveAmount, royalty] = expected;
+        expect(curve.getTokensForReserve(this.bond, supply, reserve)).to.include({ tokensToMint, reserveAmount, royalty });
+      }
+    });
+
+    it('should quote every exact-output burn to the wei', async function () {
+      await Bond.mint(this.token.target, 17n, MAX_INT_256);
+      const supply = await this.token.totalSupply();
+
+      for (let refund = 1n; refund <= 70000000n; refund = refund * 3n + 12345n) {
+        let expected;
+        try {
+          expected = await Bond.getTokensForRefund(this.token.target, refund);
+        } catch (e) {
+          expect(() => curve.getTokensForRefund(this.bond, supply, refund)).to.throw('MCV2_Bond__ExceedTotalSupply');
+          continue;
+        }
+        const [tokensToBurn, royalty] = expected;
+        expect(curve.getTokensForRefund(this.bond, supply, refund)).to.include({ tokensToBurn, royalty });
+      }
+    });
+
+    it('should apply a custom protocol cut when splitting the royalty', async function () {
+      const quote = curve.getReserveForToken({ ...this.bond, protocolCut: 0n }, 10n, 20n);
+
+      expect(quote.protocolCut).to.equal(0n);
+      expect(quote.creatorCut).to.equal(quote.royalty);
+    });
+
+    it('should apply `royalty` to both mints and burns unless they are given', function () {
+      expect(curve.normalizeBond({ ...this.bond, mintRoyalty: undefined, burnRoyalty: undefined, royalty: 300 }))
+        .to.include({ mintRoyalty: 300n, burnRoyalty: 300n });
+      expect(curve.normalizeBond({ ...this.bond, royalty: 300 }))
+        .to.include({ mintRoyalty: 777n, burnRoyalty: 99n });
+    });
+  }); // ERC1155 token
+});
@@ -0,0 +1,340 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PROTOCOL_BENEFICIARY,
+  NATIVE_TOKEN,
+  MAX_INT_256,
+  Parameter,
+  getMaxSteps,
+  changeParameter,
+  runSilently,
+  wei
+} = require('./utils/test-utils');
+const { emptyStore, loadStore, saveStore, indexBond, getCandles } = require('../utils/bond-indexer');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 100n, // 1%
+    burnRoyalty: 100n, // 1%
+    reserveToken: null, // Should be set later
+    maxSupply: wei(1000),
+    stepRanges: [ wei(100), wei(500), wei(1000) ],
+    stepPrices: [ 0n, wei(2), wei(3) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('BondIndexer', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  let Bond, BaseToken;
+  let owner, alice, bob;
+
+  // Scripted trades spread over 3 hours
+  async function runTrades() {
+    const startBlock = await ethers.provider.getBlockNumber();
+    const hour = Math.floor((await time.latest()) / 3600) * 3600 + 3600;
+
+    await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+    const token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(0));
+    await Bond.createMultiToken(['Baby NFT', 'BABYNFT', 'https://mint.club'], [0n, 0n, BaseToken.target, 10n, [10n], [wei(1)], 0n, 0n]);
+    const nft = await ethers.getContractAt('MCV2_MultiToken', await Bond.tokens(1));
+
+    for (const user of [alice, bob]) {
+      await BaseToken.transfer(user.address, wei(10000));
+      await BaseToken.connect(user).approve(Bond.target, wei(10000));
+      await token.connect(user).approve(Bond.target, wei(10000));
+    }
+
+    await time.setNextBlockTimestamp(hour + 10);
+    await Bond.connect(alice).mint(token.target, wei(300), wei(10000)); // 300 @ 2 + 1% = 606
+    await time.setNextBlockTimestamp(hour + 20);
+    await Bond.connect(bob).mint(token.target, wei(200), wei(10000)); // 100 @ 2 + 100 @ 3 = 500 + 1% = 505
+    await time.setNextBlockTimestamp(hour + 3600 + 10);
+    await Bond.connect(alice).burn(token.target, wei(150), 0n); // 100 @ 3 + 50 @ 2 = 400 - 1% = 396
+    await time.setNextBlockTimestamp(hour + 7200 + 10);
+    await Bond.connect(bob).mint(nft.target, 4n, wei(10000)); // 4 @ 1 = 4 (no royalty)
+
+    await Bond.claimRoyalties(BaseToken.target);
+    await Bond.updateBondCreator(token.target, alice.address);
+    await Bond.connect(alice).updateTokenMetaData(token.target, 'https://logo', 'https://website');
+    await Bond.connect(alice).updateRoyaltySplit(token.target, [alice.address, bob.address], [7000n, 3000n]);
+
+    return { startBlock, hour, token, nft };
+  }
+
+  beforeEach(async function () {
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    [owner, alice, bob] = await ethers.getSigners();
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+
+    Object.assign(this, await runTrades());
+    this.store = await indexBond(Bond, emptyStore(Bond.target), { fromBlock: this.startBlock });
+  });
+
+  describe('Token state', function () {
+    it('should index created tokens with the free minting range', async function () {
+      const token = this.store.tokens[this.token.target];
+
+      expect(token).to.deep.include({
+        symbol: 'BABY',
+        isMultiToken: false,
+        decimals: 18,
+        reserveToken: BaseToken.target,
+        mintRoyalty: 100,
+        burnRoyalty: 100,
+        mintCount: 2,
+        burnCount: 1
+      });
+      expect(token.steps).to.deep.equal([
+        { rangeTo: wei(100).toString(), price: '0' },
+        { rangeTo: wei(500).toString(), price: wei(2).toString() },
+        { rangeTo: wei(1000).toString(), price: wei(3).toString() }
+      ]);
+      expect(this.store.tokens[this.nft.target]).to.deep.include({ isMultiToken: true, decimals: 0, uri: 'https://mint.club', currentSupply: '4' });
+    });
+
+    it('should match the on-chain supply, reserve balance and price', async function () {
+      for (const address of [this.token.target, this.nft.target]) {
+        const token = this.store.tokens[address];
+        const { reserveBalance } = await Bond.tokenBond(address);
+
+        expect(token.currentSupply).to.equal((await ethers.getContractAt('MCV2_Token', address).then(t => t.totalSupply())).toString());
+        expect(token.reserveBalance).to.equal(reserveBalance.toString());
+        expect(token.currentPrice).to.equal((await Bond.currentPrice(address)).toString());
+      }
+      expect(this.store.tokens[this.token.target].currentSupply).to.equal(wei(450).toString());
+      expect(this.store.tokens[this.token.target].reserveBalance).to.equal(wei(700).toString()); // 600 + 500 - 400
+    });
+
+    it('should track the creator, royalty split and metadata updates', function () {
+      expect(this.store.tokens[this.token.target]).to.deep.include({ creator: alice.address, logo: 'https://logo', website: 'https://website' });
+      expect(this.store.tokens[this.token.target].royaltySplit).to.deep.equal([
+        { beneficiary: alice.address, share: 7000 },
+        { beneficiary: bob.address, share: 3000 }
+      ]);
+      expect(this.store.tokens[this.nft.target]).to.deep.include({ creator: owner.address, royaltySplit: [] });
+    });
+
+    it('should index royalty claims', function () {
+      expect(this.store.royaltyClaims.length).to.equal(1);
+      expect(this.store.royaltyClaims[0]).to.deep.include({ user: owner.address, reserveToken: BaseToken.target });
+      expect(this.store.royaltyClaims[0].amount).to.equal(((wei(6) + wei(5) + wei(4)) * 8000n / 10000n).toString()); // royalties - 20% protocol cut
+    });
+  }); // Token state
+
+  describe('Trades', function () {
+    it('should record the executed price and royalty of every trade', function () {
+      const trades = this.store.trades.filter(t => t.token === this.token.target);
+
+      expect(trades.map(t => [t.type, t.user, t.reserveAmount, t.royalty, t.price])).to.deep.equal([
+        ['mint', alice.address, wei(606).toString(), wei(6).toString(), (wei(606) / 300n).toString()],
+        ['mint', bob.address, wei(505).toString(), wei(5).toString(), (wei(505) / 200n).toString()],
+        ['burn', alice.address, wei(396).toString(), wei(4).toString(), (wei(396) / 150n).toString()]
+      ]);
+      expect(trades.map(t => t.supplyAfter)).to.deep.equal([wei(400), wei(600), wei(450)].map(String));
+    });
+
+    it('should index exact-output burns leaving the surplus in the reserve', async function () {
+      await this.nft.connect(bob).setApprovalForAll(Bond.target, true);
+      await Bond.connect(bob).burnForRefund(this.nft.target, wei(1) / 2n, 1n); // 1 token for 0.5 of its refund of 1
+
+      const store = await indexBond(Bond, this.store);
+      const token = store.tokens[this.nft.target];
+
+      expect(store.trades.at(-1)).to.deep.include({ type: 'burn', amount: '1', reserveAmount: (wei(1) / 2n).toString() });
+      expect(token.currentSupply).to.equal('3');
+      expect(token.reserveBalance).to.equal((await Bond.tokenBond(this.nft.target)).reserveBalance.toString());
+      expect(token.reserveBalance).to.equal((wei(4) - wei(1) / 2n).toString());
+    });
+
+    it('should record the receiver of trades on behalf of another address', async function () {
+      await Bond.connect(bob).mintTo(this.token.target, wei(10), wei(10000), alice.address);
+
+      const store = await indexBond(Bond, this.store);
+      expect(store.trades.at(-1)).to.deep.include({ type: 'mint', user: bob.address, receiver: alice.address, amount: wei(10).toString() });
+      expect(store.trades[0]).to.deep.include({ user: alice.address, receiver: alice.address });
+    });
+
+    it('should index the referral fee of referral trades', async function () {
+      await changeParameter(Bond, Parameter.MAX_REFERRAL_FEE, 100n);
+      const deadline = BigInt(await time.latest()) + 60n;
+      await Bond.connect(bob).mintWithReferral(this.token.target, wei(10), wei(10000), bob.address, deadline, alice.address, 100n);
+      await Bond.connect(bob).burnWithReferral(this.token.target, wei(10), 0n, bob.address, deadline, alice.address, 100n);
+
+      const store = await indexBond(Bond, this.store);
+      const token = store.tokens[this.token.target];
+
+      // 10 @ 2 = 20 + 1% royalty + 1% referral fee, and 20 - 1% royalty - 1% referral fee on the way back
+      expect(store.trades.at(-2)).to.deep.include({
+        type: 'mint', reserveAmount: (wei(204) / 10n).toString(), royalty: (wei(2) / 10n).toString(),
+        referrer: alice.address, referralFee: (wei(2) / 10n).toString()
+      });
+      expect(store.trades.at(-1)).to.deep.include({
+        type: 'burn', reserveAmount: (wei(196) / 10n).toString(), referrer: alice.address, referralFee: (wei(2) / 10n).toString()
+      });
+      expect(store.trades[0]).to.deep.include({ referrer: null, referralFee: '0' });
+      expect(token.reserveBalance).to.equal((await Bond.tokenBond(this.token.target)).reserveBalance.toString());
+      expect(token.reserveBalance).to.equal(wei(700).toString());
+    });
+
+    it('should index a native refund to a receiver calling back in', async function () {
+      const params = [0n, 0n, NATIVE_TOKEN, wei(1000), [wei(1000)], [wei(1, 16)], 0n, 0n];
+      await Bond.createToken(['Native Baby', 'NBABY'], params);
+      const native = await ethers.getContractAt('MCV2_Token', await Bond.tokens(2));
+      await Bond.connect(alice).mint(native.target, wei(50), MAX_INT_256, { value: wei(5, 17) });
+      await native.connect(alice).approve(Bond.target, MAX_INT_256);
+
+      const receiver = await ethers.deployContract('ReentrantReceiver', [Bond.target]);
+      await receiver.setMint(native.target, wei(1));
+      await Bond.connect(alice).burnTo(native.target, wei(20), 0n, receiver.target); // mints 1 with the refund of 20
+
+      const store = await indexBond(Bond, this.store);
+      const token = store.tokens[native.target];
+
+      expect(store.mismatches).to.deep.equal([]);
+      expect(store.trades.slice(-2).map(t => [t.type, t.user, t.amount])).to.deep.equal([
+        ['burn', alice.address, wei(20).toString()],
+        ['mint', receiver.target, wei(1).toString()]
+      ]);
+      expect(token.currentSupply).to.equal(wei(31).toString());
+      expect(token.reserveBalance).to.equal((await Bond.tokenBond(native.target)).reserveBalance.toString());
+    });
+
+    it('should record a quote mismatch and keep indexing', async function () {
+      this.store.tokens[this.token.target].mintRoyalty = 0; // out of sync with the bond
+      const { hash } = await Bond.connect(bob).mint(this.token.target, wei(10), wei(10000)); // 10 @ 2 + 1% = 20.2
+      await Bond.connect(bob).mint(this.nft.target, 1n, wei(10000));
+
+      const store = await indexBond(Bond, this.store);
+
+      expect(store.mismatches).to.deep.equal([{
+        token: this.token.target,
+        type: 'mint',
+        expected: wei(20).toString(),
+        actual: (wei(202) / 10n).toString(),
+        supply: wei(450).toString(),
+        blockNumber: store.trades.at(-2).blockNumber,
+        txHash: hash,
+        logIndex: store.trades.at(-2).logIndex
+      }]);
+      expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(store.tokens[this.token.target].currentSupply).to.equal(wei(460).toString());
+      expect(store.tokens[this.nft.target].currentSupply).to.equal('5');
+    });
+
+    it('should aggregate OHLC candles', function () {
+      const candles = getCandles(this.store, this.token.target);
+
+      expect(candles).to.deep.equal([
+        {
+          time: this.hour,
+          open: (wei(606) / 300n).toString(),
+          high: (wei(505) / 200n).toString(),
+          low: (wei(606) / 300n).toString(),
+          close: (wei(505) / 200n).toString(),
+          volume: wei(1111).toString(),
+          tokenVolume: wei(500).toString(),
+          trades: 2
+        },
+        {
+          time: this.hour + 3600,
+          open: (wei(396) / 150n).toString(),
+          high: (wei(396) / 150n).toString(),
+          low: (wei(396) / 150n).toString(),
+          close: (wei(396) / 150n).toString(),
+          volume: wei(396).toString(),
+          tokenVolume: wei(150).toString(),
+          trades: 1
+        }
+      ]);
+      expect(getCandles(this.store, this.token.target, 86400).length).to.equal(1);
+      expect(getCandles(this.store, this.nft.target)).to.deep.include({
+        time: this.hour + 7200, open: wei(1).toString(), high: wei(1).toString(), low: wei(1).toString(), close: wei(1).toString(),
+        volume: wei(4).toString(), tokenVolume: '4', trades: 1
+      });
+    });
+  }); // Trades
+
+  describe('Resume', function () {
+    beforeEach(function () {
+      this.file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mcv2-indexer-')), 'store.json');
+    });
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(this.file), { recursive: true, force: true });
+    });
+
+    it('should produce the same store when resumed in small batches', async function () {
+      const latest = await ethers.provider.getBlockNumber();
+      const midBlock = this.startBlock + Math.floor((latest - this.startBlock) / 2);
+
+      await indexBond(Bond, loadStore(this.file, Bond.target), { fromBlock: this.startBlock, toBlock: midBlock, batchSize: 3, file: this.file });
+      expect(loadStore(this.file).lastBlock).to.equal(midBlock);
+
+      const resumed = await indexBond(Bond, loadStore(this.file, Bond.target), { batchSize: 3, file: this.file });
+      expect(resumed).to.deep.equal(this.store);
+      expect(loadStore(this.file)).to.deep.equal(this.store);
+    });
+
+    it('should index new trades on the next run', async function () {
+      saveStore(this.store, this.file);
+      await Bond.connect(bob).mint(this.token.target, wei(10), wei(10000));
+
+      const store = await indexBond(Bond, loadStore(this.file, Bond.target));
+      expect(store.trades.length).to.equal(this.store.trades.length + 1);
+      expect(store.tokens[this.token.target].currentSupply).to.equal(wei(460).toString());
+    });
+
+    it('should stay behind the chain head with confirmations', async function () {
+      const latest = await ethers.provider.getBlockNumber();
+      const store = await indexBond(Bond, emptyStore(Bond.target), { fromBlock: this.startBlock, confirmations: 2 });
+      expect(store.lastBlock).to.equal(latest - 2);
+    });
+
+    it('should reject a store of another bond', function () {
+      saveStore(this.store, this.file);
+      expect(() => loadStore(this.file, BaseToken.target)).to.throw(`belongs to bond ${Bond.target}`);
+    });
+  }); // Resume
+
+  describe('Tasks', function () {
+    it('should index into a file and print candles', async function () {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mcv2-indexer-')), 'store.json');
+
+      try {
+        await runSilently('bond:index', { bond: Bond.target, store: file, fromBlock: this.startBlock });
+        expect(loadStore(file)).to.deep.equal(this.store);
+
+        const candles = await runSilently('bond:candles', { store: file, token: this.token.target });
+        expect(candles).to.deep.equal(getCandles(this.store, this.token.target));
+      } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      }
+    });
+  }); // Tasks
+});
@@ -0,0 +1,471 @@
+const { loadFixture, setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  PROTOCOL_BENEFICIARY,
+  DEAD_ADDRESS,
+  NATIVE_TOKEN,
+  MAX_ROYALTY_RANGE,
+  Parameter,
+  getMaxSteps,
+  changeParameter,
+  rewindChainAfterAll,
+  wei
+} = require('./utils/test-utils');
+const { createRandom, getFuzzOptions, checkProperty } = require('./utils/fuzz');
+const { getReserveForToken, getTokensForReserve, getRefundForTokens, getTokensForRefund } = require('../utils/bond-curve');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+const USER_COUNT = 4;
+const TOKEN_COUNT = 4;
+const INITIAL_RESERVE = wei(1, 40);
+const BPS = 10000n;
+
+// Random valid bond params: strictly increasing ranges and prices with `range * price >= 10**decimals`
+function randomBondParams(random, reserveToken, isMultiToken) {
+  const multiFactor = isMultiToken ? 1n : 10n**18n;
+  const stepCount = random.int(1, 6);
+  const stepRanges = [], stepPrices = [];
+
+  let range = 0n, price = 0n;
+  for (let i = 0; i < stepCount; i++) {
+    range += isMultiToken ? random.bigint(1, 50) : random.bigint(wei(1, 15), wei(1000));
+    if (i === 0 && random.bool(0.3)) {
+      price = 0n; // free minting range
+    } else {
+      price += random.bigint(1, isMultiToken ? wei(1) : wei(1, 17));
+      const minPrice = (multiFactor + range - 1n) / range;
+      if (price < minPrice) price = minPrice;
+    }
+    if (i > 0 && price <= stepPrices[i - 1]) price = stepPrices[i - 1] + 1n;
+
+    stepRanges.push(range);
+    stepPrices.push(price);
+  }
+
+  return {
+    mintRoyalty: BigInt(random.pick([0, 1, 100, 333, 5000, random.int(0, 5000)])),
+    burnRoyalty: BigInt(random.pick([0, 1, 100, 333, 5000, random.int(0, 5000)])),
+    reserveToken,
+    maxSupply: range,
+    stepRanges,
+    stepPrices,
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  };
+}
+
+// Exact (unrounded) reserve of a supply in `reserve * multiFactor` units
+function stepIntegral(steps, supply) {
+  let total = 0n, prev = 0n;
+  for (const { rangeTo, price } of steps) {
+    if (supply <= prev) break;
+    total += ((supply < rangeTo ? supply : rangeTo) - prev) * price;
+    prev = rangeTo;
+  }
+
+  return total;
+}
+
+// Amounts are either a fraction of what's available (bps) or a few wei, to hit the rounding edges
+function resolveAmount(spec, available) {
+  if (available === 0n) return 0n;
+  const amount = spec.bps !== undefined ? available * BigInt(spec.bps) / BPS : BigInt(spec.wei);
+
+  return amount === 0n ? 1n : (amount > available ? available : amount);
+}
+
+function randomAmount(random) {
+  return random.bool(0.25) ? { wei: random.int(1, 1000) } : { bps: random.int(1, 10000) };
+}
+
+describe('BondInvariants', function () {
+  rewindChainAfterAll();
+
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+    await changeParameter(Bond, Parameter.MAX_REFERRAL_FEE, MAX_ROYALTY_RANGE);
+
+    const signers = (await ethers.getSigners()).slice(0, USER_COUNT);
+    const reserves = [];
+    for (const decimals of [18n, 6n]) {
+      const reserve = await ethers.deployContract('TestToken', [INITIAL_RESERVE * BigInt(USER_COUNT), 'Reserve', 'RSV', decimals]);
+      await reserve.waitForDeployment();
+
+      for (const user of signers) {
+        if (user !== signers[0]) await reserve.transfer(user.address, INITIAL_RESERVE);
+        await reserve.connect(user).approve(Bond.target, ethers.MaxUint256);
+      }
+      reserves.push(reserve);
+    }
+    for (const user of signers) await setBalance(user.address, INITIAL_RESERVE);
+
+    return [Bond, reserves, signers];
+  }
+
+  // Tokens with random curves sharing the two reserve tokens and the native coin; some creators are set to the burn address
+  // and some split their royalty
+  async function setup(random) {
+    const [Bond, erc20Reserves, users] = await loadFixture(deployFixtures);
+    const gasPaid = new Map();
+    const reserves = [...erc20Reserves, {
+      target: NATIVE_TOKEN,
+      isNative: true,
+      // Excludes the gas paid through `send`, so the balance only changes with the reserve flows
+      balanceOf: async account => await ethers.provider.getBalance(account) + (gasPaid.get(account) ?? 0n)
+    }];
+    const tokens = [];
+
+    for (let i = 0; i < TOKEN_COUNT; i++) {
+      const isMultiToken = random.bool(0.4);
+      const reserve = reserves[i % reserves.length];
+      const bp = randomBondParams(random, reserve.target, isMultiToken);
+      const creator = random.pick(users);
+
+      if (isMultiToken) {
+        await Bond.connect(creator).createMultiToken([`Fuzz ${i}`, `FUZZ${i}`, 'https://mint.club'], Object.values(bp));
+      } else {
+        await Bond.connect(creator).createToken([`Fuzz ${i}`, `FUZZ${i}`], Object.values(bp));
+      }
+
+      const address = await Bond.tokens(i);
+      const contract = await ethers.getContractAt(isMultiToken ? 'MCV2_MultiToken' : 'MCV2_Token', address);
+      for (const user of users) {
+        if (isMultiToken) {
+          await contract.connect(user).setApprovalForAll(Bond.target, true);
+        } else {
+          await contract.connect(user).approve(Bond.target, ethers.MaxUint256);
+        }
+      }
+      if (random.bool(0.3)) {
+        await Bond.connect(creator).updateBondCreator(address, DEAD_ADDRESS);
+      } else if (random.bool(0.3)) {
+        const share = BigInt(random.int(1, 9999));
+        await Bond.connect(creator).updateRoyaltySplit(address, [creator.address, random.pick(users).address], [share, 10000n - share]);
+      }
+
+      const curve = { stepRanges: bp.stepRanges, stepPrices: bp.stepPrices, mintRoyalty: bp.mintRoyalty, burnRoyalty: bp.burnRoyalty, decimals: isMultiToken ? 0 : 18 };
+      const freeMint = bp.stepPrices[0] === 0n ? bp.stepRanges[0] : 0n;
+      tokens.push({
+        address,
+        contract,
+        isMultiToken,
+        reserve,
+        curve,
+        steps: bp.stepRanges.map((rangeTo, j) => ({ rangeTo, price: bp.stepPrices[j] })),
+        maxSupply: bp.maxSupply,
+        // Model of the bond state, updated with `utils/bond-curve.js` quotes
+        // (surplus: refunds of exact-output burns left in the reserve due to the token granularity)
+        model: { supply: freeMint, reserveBalance: 0n, roundings: 0n, surplus: 0n }
+      });
+    }
+
+    return { Bond, reserves, users, tokens, gasPaid, accounts: [...users.map(u => u.address), PROTOCOL_BENEFICIARY, DEAD_ADDRESS] };
+  }
+
+  function balanceOf(token, user) {
+    return token.isMultiToken ? token.contract.balanceOf(user, 0) : token.contract.balanceOf(user);
+  }
+
+  async function send(ctx, tx) {
+    const receipt = await (await tx).wait();
+    ctx.gasPaid.set(receipt.from, (ctx.gasPaid.get(receipt.from) ?? 0n) + receipt.gasUsed * receipt.gasPrice);
+  }
+
+  // A native reserve is paid with the transaction value, the excess is refunded
+  function payment(token, value) {
+    return token.reserve.isNative ? { value } : {};
+  }
+
+  // `referral`: { referrer, fee } to mint / burn with a referral fee
+  async function mint(ctx, token, user, amount, receiver = user, referral = null) {
+    const { reserveAmount, reserveToBond } = getReserveForToken(token.curve, token.model.supply, amount, referral?.fee);
+    const [quote] = referral ?
+      await ctx.Bond.getReserveForTokenWithReferral(token.address, amount, referral.fee) :
+      await ctx.Bond.getReserveForToken(token.address, amount);
+    expect(quote).to.equal(reserveAmount, 'getReserveForToken differs from utils/bond-curve');
+
+    const before = await token.reserve.balanceOf(user.address);
+    const overrides = payment(token, reserveAmount * 2n);
+    await send(ctx, referral ?
+      ctx.Bond.connect(user).mintWithReferral(
+        token.address, amount, reserveAmount, receiver.address, ethers.MaxUint256, referral.referrer.address, referral.fee, overrides
+      ) :
+      ctx.Bond.connect(user).mintTo(token.address, amount, reserveAmount, receiver.address, overrides));
+    expect(before - await token.reserve.balanceOf(user.address)).to.equal(reserveAmount, 'spent more than the quoted reserve');
+
+    token.model.supply += amount;
+    token.model.reserveBalance += reserveToBond;
+    token.model.roundings += BigInt(token.steps.length);
+  }
+
+  async function mintWithReserve(ctx, token, user, reserve, receiver = user) {
+    const { tokensToMint, reserveAmount, reserveToBond } = getTokensForReserve(token.curve, token.model.supply, reserve);
+    const [quote, reserveUsed] = await ctx.Bond.getTokensForReserve(token.address, reserve);
+    expect([quote, reserveUsed]).to.deep.equal([tokensToMint, reserveAmount], 'getTokensForReserve differs from utils/bond-curve');
+
+    const before = await token.reserve.balanceOf(user.address);
+    await send(ctx, ctx.Bond.connect(user).mintWithReserveAmountTo(token.address, reserve, tokensToMint, receiver.address, payment(token, reserve)));
+    expect(before - await token.reserve.balanceOf(user.address)).to.equal(reserveAmount, 'spent more than the quoted reserve');
+
+    token.model.supply += tokensToMint;
+    token.model.reserveBalance += reserveToBond;
+    token.model.roundings += BigInt(token.steps.length);
+  }
+
+  async function burn(ctx, token, user, amount, receiver = user, referral = null) {
+    const { refundAmount, reserveFromBond } = getRefundForTokens(token.curve, token.model.supply, amount, referral?.fee);
+    const [quote] = referral ?
+      await ctx.Bond.getRefundForTokensWithReferral(token.address, amount, referral.fee) :
+      await ctx.Bond.getRefundForTokens(token.address, amount);
+    expect(quote).to.equal(refundAmount, 'getRefundForTokens differs from utils/bond-curve');
+
+    await send(ctx, referral ?
+      ctx.Bond.connect(user).burnWithReferral(
+        token.address, amount, refundAmount, receiver.address, ethers.MaxUint256, referral.referrer.address, referral.fee
+      ) :
+      ctx.Bond.connect(user).burnTo(token.address, amount, refundAmount, receiver.address));
+    token.model.supply -= amount;
+    token.model.reserveBalance -= reserveFromBond;
+    token.model.roundings += BigInt(token.steps.length);
+  }
+
+  async function burnForRefund(ctx, token, user, refund, receiver = user) {
+    const { tokensToBurn, royalty, reserveFromBond } = getTokensForRefund(token.curve, token.model.supply, refund);
+    const [quote, quoteRoyalty] = await ctx.Bond.getTokensForRefund(token.address, refund);
+    expect([quote, quoteRoyalty]).to.deep.equal([tokensToBurn, royalty], 'getTokensForRefund differs from utils/bond-curve');
+
+    const before = await token.reserve.balanceOf(receiver.address);
+    await send(ctx, ctx.Bond.connect(user).burnForRefundTo(token.address, refund, tokensToBurn, receiver.address));
+    expect(await token.reserve.balanceOf(receiver.address) - before).to.equal(refund, 'refunded a different amount');
+
+    token.model.supply -= tokensToBurn;
+    token.model.reserveBalance -= refund + royalty;
+    token.model.roundings += BigInt(token.steps.length);
+    token.model.surplus += reserveFromBond - royalty - refund;
+  }
+
+  const property = {
+    setup,
+
+    generate(random) {
+      const type = random.pick(['mint', 'mint', 'mintWithReserve', 'burn', 'burn', 'burnForRefund', 'roundTrip', 'transfer', 'claim', 'burnRoyalties', 'donate']);
+      const action = { type };
+
+      if (['mint', 'mintWithReserve', 'burn', 'burnForRefund', 'roundTrip', 'transfer'].includes(type)) action.token = random.int(0, TOKEN_COUNT - 1);
+      if (['mint', 'mintWithReserve', 'burn', 'burnForRefund', 'roundTrip', 'transfer', 'claim', 'donate'].includes(type)) action.user = random.int(0, USER_COUNT - 1);
+      if (['mint', 'mintWithReserve', 'burn', 'burnForRefund', 'roundTrip', 'transfer', 'donate'].includes(type)) action.amount = randomAmount(random);
+      // The receiver of the tokens / refund for trades
+      if (['mint', 'mintWithReserve', 'burn', 'burnForRefund', 'transfer'].includes(type)) action.to = random.int(0, USER_COUNT - 1);
+      if (['claim', 'burnRoyalties'].includes(type)) action.reserve = random.int(0, 2);
+      if (type === 'donate') action.reserve = random.int(0, 1); // the bond does not accept the native coin directly
+      if (['mint', 'burn'].includes(type) && random.bool(0.3)) action.referral = { referrer: random.int(0, USER_COUNT - 1), fee: random.int(0, 5000) };
+
+      return action;
+    },
+
+    async execute(ctx, action) {
+      const token = ctx.tokens[action.token];
+      const user = ctx.users[action.user];
+      const receiver = ctx.users[action.to];
+      const referral = action.referral && { referrer: ctx.users[action.referral.referrer], fee: action.referral.fee };
+
+      switch (action.type) {
+        case 'mint': {
+          const amount = resolveAmount(action.amount, token.maxSupply - token.model.supply);
+          if (amount === 0n) return;
+
+          try {
+            getReserveForToken(token.curve, token.model.supply, amount);
+          } catch (e) {
+            // Only within the free minting range (after burning back into it), as there is no reserve to pay
+            await expect(ctx.Bond.getReserveForToken(token.address, amount)).to.be.revertedWithCustomError(ctx.Bond, e.message);
+            return;
+          }
+          await mint(ctx, token, user, amount, receiver, referral);
+          return;
+        }
+        case 'mintWithReserve': {
+          // A fraction of the reserve required to mint up to the max supply, or a few wei
+          const tokensLeft = token.maxSupply - token.model.supply;
+          if (tokensLeft === 0n) return;
+
+          const reserve = resolveAmount(action.amount, getReserveForToken(token.curve, token.model.supply, tokensLeft).reserveAmount);
+          try {
+            getTokensForReserve(token.curve, token.model.supply, reserve);
+          } catch (e) {
+            // Too small to mint a single token
+            await expect(ctx.Bond.getTokensForReserve(token.address, reserve)).to.be.revertedWithCustomError(ctx.Bond, e.message);
+            return;
+          }
+          await mintWithReserve(ctx, token, user, reserve, receiver);
+          return;
+        }
+        case 'burn': {
+          const amount = resolveAmount(action.amount, await balanceOf(token, user.address));
+          if (amount > 0n) await burn(ctx, token, user, amount, receiver, referral);
+          return;
+        }
+        case 'burnForRefund': {
+          // A fraction of the refund for the whole balance of the user, or a few wei
+          const balance = await balanceOf(token, user.address);
+          if (balance === 0n) return;
+
+          const refund = resolveAmount(action.amount, getRefundForTokens(token.curve, token.model.supply, balance).refundAmount);
+          if (refund > 0n) await burnForRefund(ctx, token, user, refund, receiver);
+          return;
+        }
+        case 'roundTrip': {
+          // A mint immediately followed by a burn of the same amount must never yield a profit
+          const amount = resolveAmount(action.amount, token.maxSupply - token.model.supply);
+          if (amount === 0n) return;
+
+          const before = await token.reserve.balanceOf(user.address);
+          await mint(ctx, token, user, amount);
+          await burn(ctx, token, user, amount);
+          expect(await token.reserve.balanceOf(user.address)).to.be.lte(before, 'mint + burn yielded a profit');
+          return;
+        }
+        case 'transfer': {
+          const amount = resolveAmount(action.amount, await balanceOf(token, user.address));
+          if (amount === 0n) return;
+
+          if (token.isMultiToken) {
+            await send(ctx, token.contract.connect(user).safeTransferFrom(user.address, receiver.address, 0, amount, '0x'));
+          } else {
+            await send(ctx, token.contract.connect(user).transfer(receiver.address, amount));
+          }
+          return;
+        }
+        case 'claim': {
+          const reserve = ctx.reserves[action.reserve];
+          if (await ctx.Bond.userTokenRoyaltyBalance(user.address, reserve.target) > 0n) {
+            await send(ctx, ctx.Bond.connect(user).claimRoyalties(reserve.target));
+          }
+          return;
+        }
+        case 'burnRoyalties': {
+          const reserve = ctx.reserves[action.reserve];
+          if (await ctx.Bond.userTokenRoyaltyBalance(DEAD_ADDRESS, reserve.target) > 0n) {
+            await send(ctx, ctx.Bond.burnRoyalties(reserve.target));
+          }
+          return;
+        }
+        case 'donate': {
+          // Reserve tokens sent to the bond directly must not break anything
+          const reserve = ctx.reserves[action.reserve];
+          await send(ctx, reserve.connect(user).transfer(ctx.Bond.target, resolveAmount(action.amount, wei(1, 6))));
+          return;
+        }
+        default:
+          throw new Error(`Unknown action: ${action.type}`);
+      }
+    },
+
+    async invariants(ctx) {
+      // Solvency: reserve balance of the bond >= Σ reserveBalance + Σ unclaimed royalties, per reserve token
+      for (const reserve of ctx.reserves) {
+        let owed = 0n;
+        for (const token of ctx.tokens.filter(t => t.reserve === reserve)) {
+          owed += (await ctx.Bond.tokenBond(token.address)).reserveBalance;
+        }
+        for (const account of ctx.accounts) {
+          owed += await ctx.Bond.userTokenRoyaltyBalance(account, reserve.target);
+        }
+
+        expect(await reserve.balanceOf(ctx.Bond.target)).to.be.gte(owed, 'bond is insolvent');
+      }
+
+      for (const token of ctx.tokens) {
+        const supply = await token.contract.totalSupply();
+        const { reserveBalance } = await ctx.Bond.tokenBond(token.address);
+        const multiFactor = token.isMultiToken ? 1n : 10n**18n;
+        const integral = stepIntegral(token.steps, supply);
+
+        expect(supply).to.equal(token.model.supply, 'supply differs from the model');
+        expect(reserveBalance).to.equal(token.model.reserveBalance, 'reserveBalance differs from utils/bond-curve');
+
+        // reserveBalance is the step integral of the supply, rounded up by at most 1 wei per processed step
+        // (+ the surplus left by exact-output burns)
+        expect(reserveBalance * multiFactor).to.be.gte(integral, 'reserveBalance is below the step integral');
+        expect(reserveBalance * multiFactor - integral).to.be.lte(
+          (token.model.roundings + token.model.surplus) * multiFactor,
+          'reserveBalance exceeds the step integral + rounding'
+        );
+      }
+    },
+
+    shrinkAction(action) {
+      const candidates = [];
+      if (action.amount?.bps > 1) candidates.push({ ...action, amount: { bps: Math.floor(action.amount.bps / 2) } });
+      if (action.amount?.wei > 1) candidates.push({ ...action, amount: { wei: Math.floor(action.amount.wei / 2) } });
+      if (action.amount?.bps !== undefined) candidates.push({ ...action, amount: { wei: 1 } });
+      if (action.user > 0) candidates.push({ ...action, user: 0 });
+      if (action.token > 0) candidates.push({ ...action, token: 0 });
+      if (action.to > 0) candidates.push({ ...action, to: 0 });
+      if (action.referral) candidates.push({ ...action, referral: undefined });
+
+      return candidates;
+    }
+  };
+
+  describe('Harness', function () {
+    it('should be deterministic for a seed', function () {
+      const a = createRandom(42), b = createRandom(42);
+      for (let i = 0; i < 10; i++) expect(a.bigint(0, wei(1))).to.equal(b.bigint(0, wei(1)));
+    });
+
+    it('should shrink a failing sequence to a minimal one', async function () {
+      // A counter that must stay below 10
+      const counter = {
+        setup: async () => ({ value: 0 }),
+        generate: random => ({ add: random.int(0, 6) }),
+        execute: async (ctx, action) => { ctx.value += action.add; },
+        invariants: async ctx => { if (ctx.value >= 10) throw new Error(`value ${ctx.value} >= 10`); },
+        shrinkAction: action => action.add > 0 ? [{ add: action.add - 1 }] : []
+      };
+
+      const error = await checkProperty(counter, { seed: 1, runs: 1, length: 30 }).catch(e => e);
+      expect(error).to.be.an('error');
+      expect(error.seed).to.equal(1);
+      // 1-minimal: removing or decrementing any action makes the sequence pass
+      expect(error.actions.reduce((sum, a) => sum + a.add, 0)).to.equal(10);
+      expect(error.actions.every(a => a.add > 0)).to.equal(true);
+      expect(error.actions.length).to.be.lte(3);
+      expect(error.message).to.include('FUZZ_SEED=1');
+    });
+
+    it('should report a broken bond invariant with a minimal sequence', async function () {
+      const broken = {
+        ...property,
+        // Pretend the bond must never hold any reserve balance
+        invariants: async ctx => {
+          for (const token of ctx.tokens) {
+            expect((await ctx.Bond.tokenBond(token.address)).reserveBalance).to.equal(0n);
+          }
+        }
+      };
+
+      const error = await checkProperty(broken, { seed: 7, runs: 1, length: 12 }).catch(e => e);
+      expect(error).to.be.an('error');
+      expect(error.actions.length).to.equal(1);
+      expect(['mint', 'mintWithReserve', 'roundTrip']).to.include(error.actions[0].type);
+    });
+  }); // Harness
+
+  describe('Solvency', function () {
+    it('should hold every invariant under random sequences of actions', async function () {
+      this.timeout(0);
+      await checkProperty(property, getFuzzOptions({ seed: 1, runs: 8, length: 25 }));
+    });
+  }); // Solvency
+});
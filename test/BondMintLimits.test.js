@@ -0,0 +1,195 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  MAX_INT_256,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+const MINT_INTERVAL = 60n; // 1 minute
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 0n,
+    burnRoyalty: 0n,
+    reserveToken: null, // Should be set later
+    maxSupply: wei(1000),
+    stepRanges: [ wei(100), wei(1000) ],
+    stepPrices: [ wei(1), wei(2) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('MintLimits', function () {
+  let Bond, BaseToken;
+  let owner, alice, bob, carol;
+
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(1000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+
+    // creator = alice
+    await Bond.connect(alice).createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+    this.token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(0));
+
+    for (const wallet of [bob, carol]) {
+      await BaseToken.transfer(wallet.address, wei(10000));
+      await BaseToken.connect(wallet).approve(Bond.target, MAX_INT_256);
+    }
+  });
+
+  function mint(wallet, token, tokensToMint) {
+    return Bond.connect(wallet).mint(token.target, tokensToMint, MAX_INT_256);
+  }
+
+  describe('Update mint limits', function () {
+    it('should have no limits by default', async function () {
+      expect(await Bond.tokenMintLimits(this.token.target)).to.deep.equal([0n, 0n, 0n]);
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([MAX_INT_256, 0n]);
+    });
+
+    it('should update the limits by the creator', async function () {
+      await expect(Bond.connect(alice).updateMintLimits(this.token.target, wei(10), wei(30), MINT_INTERVAL))
+        .to.emit(Bond, 'MintLimitsUpdated').withArgs(this.token.target, wei(10), wei(30), MINT_INTERVAL);
+
+      expect(await Bond.tokenMintLimits(this.token.target)).to.deep.equal([wei(10), wei(30), MINT_INTERVAL]);
+    });
+
+    it('should not update the limits by others', async function () {
+      await expect(Bond.connect(bob).updateMintLimits(this.token.target, wei(10), 0n, 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+    });
+  }); // Update mint limits
+
+  describe('Max tokens per transaction', function () {
+    beforeEach(async function () {
+      await Bond.connect(alice).updateMintLimits(this.token.target, wei(10), 0n, 0n);
+    });
+
+    it('should mint up to the limit in each transaction', async function () {
+      await mint(bob, this.token, wei(10));
+      await mint(bob, this.token, wei(10));
+      expect(await this.token.balanceOf(bob.address)).to.equal(wei(20));
+
+      await expect(mint(bob, this.token, wei(10) + 1n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxMintPerTx');
+    });
+
+    it('should apply to minting with a reserve amount', async function () {
+      await expect(Bond.connect(bob).mintWithReserveAmount(this.token.target, wei(11), 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxMintPerTx');
+    });
+
+    it('should report the limit as the allowance', async function () {
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([wei(10), 0n]);
+    });
+  }); // Max tokens per transaction
+
+  describe('Max tokens per wallet', function () {
+    beforeEach(async function () {
+      await Bond.connect(alice).updateMintLimits(this.token.target, 0n, wei(30), 0n);
+    });
+
+    it('should cap the tokens minted by each wallet', async function () {
+      await mint(bob, this.token, wei(20));
+      await mint(bob, this.token, wei(10));
+
+      await expect(mint(bob, this.token, 1n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxMintPerWallet');
+      await mint(carol, this.token, wei(30));
+    });
+
+    it('should count the mints of a wallet to other receivers', async function () {
+      await Bond.connect(bob).mintTo(this.token.target, wei(30), MAX_INT_256, carol.address);
+
+      await expect(mint(bob, this.token, 1n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxMintPerWallet');
+      await mint(carol, this.token, wei(30));
+    });
+
+    it('should not give the allowance back on burns', async function () {
+      await mint(bob, this.token, wei(30));
+      await this.token.connect(bob).approve(Bond.target, MAX_INT_256);
+      await Bond.connect(bob).burn(this.token.target, wei(30), 0n);
+
+      await expect(mint(bob, this.token, 1n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__ExceedMaxMintPerWallet');
+    });
+
+    it('should report the remaining allowance', async function () {
+      await mint(bob, this.token, wei(20));
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([wei(10), 0n]);
+
+      // Lowering the limit under the minted amount leaves nothing
+      await Bond.connect(alice).updateMintLimits(this.token.target, 0n, wei(5), 0n);
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([0n, 0n]);
+    });
+
+    it('should report the lower of the remaining and the per transaction limits', async function () {
+      await Bond.connect(alice).updateMintLimits(this.token.target, wei(15), wei(30), 0n);
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([wei(15), 0n]);
+
+      await mint(bob, this.token, wei(15));
+      await mint(bob, this.token, wei(10));
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([wei(5), 0n]);
+    });
+  }); // Max tokens per wallet
+
+  describe('Mint interval', function () {
+    beforeEach(async function () {
+      await Bond.connect(alice).updateMintLimits(this.token.target, 0n, 0n, MINT_INTERVAL);
+    });
+
+    it('should not let a wallet mint again before the interval', async function () {
+      await mint(bob, this.token, wei(10));
+      const lastMintAt = BigInt(await time.latest());
+
+      await expect(mint(bob, this.token, wei(10))).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__MintIntervalNotPassed');
+      await mint(carol, this.token, wei(10));
+
+      await time.setNextBlockTimestamp(lastMintAt + MINT_INTERVAL);
+      await mint(bob, this.token, wei(10));
+    });
+
+    it('should report the next mint time', async function () {
+      await mint(bob, this.token, wei(10));
+      const lastMintAt = BigInt(await time.latest());
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([MAX_INT_256, lastMintAt + MINT_INTERVAL]);
+
+      await time.increaseTo(lastMintAt + MINT_INTERVAL);
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([MAX_INT_256, 0n]);
+    });
+  }); // Mint interval
+
+  describe('Without limits', function () {
+    it('should stop counting once the limits are removed', async function () {
+      await Bond.connect(alice).updateMintLimits(this.token.target, wei(10), wei(10), MINT_INTERVAL);
+      await mint(bob, this.token, wei(10));
+
+      await Bond.connect(alice).updateMintLimits(this.token.target, 0n, 0n, 0n);
+      await mint(bob, this.token, wei(100));
+      await mint(bob, this.token, wei(100));
+      expect(await Bond.getMintAllowance(this.token.target, bob.address)).to.deep.equal([MAX_INT_256, 0n]);
+    });
+  }); // Without limits
+}); // MintLimits
@@ -16,16 +16,19 @@ const {
   ZERO_BYTES32
 } = require('./utils/test-utils');
 
-const MAX_STEPS = getMaxSteps('ethereum');
+const MAX_STEPS = getMaxSteps('hardhat');
 
 const BABY_TOKEN = {
   tokenParams: { name: 'Baby Token', symbol: 'BABY', uri: 'https://api.hunt.town/token-metadata/buildings/0.json' },
   bondParams: {
-    royalty: 500n, // 5%
+    mintRoyalty: 500n, // 5%
+    burnRoyalty: 500n, // 5%
     reserveToken: null, // Should be set later
     maxSupply: 100n,
     stepRanges: [ 10n, 30n, 50n, 100n ],
-    stepPrices: [ wei(0, 9), wei(2, 9), wei(5, 9), wei(10, 9) ]
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(5, 9), wei(10, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
   }
 };
 
@@ -37,7 +40,10 @@ describe('BondMultiToken', function () {
     const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
     await NFTImplementation.waitForDeployment();
 
-    const Bond = await ethers.deployContract('MCV2_Bond', [TokenImplementation.target, NFTImplementation.target, PROTOCOL_BENEFICIARY, 0n, MAX_STEPS]);
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
     await Bond.waitForDeployment();
 
     const BaseToken = await ethers.deployContract('TestToken', [wei(2000, 9), 'Test Token', 'TEST', 9n]); // supply: 2,000
@@ -144,14 +150,14 @@ describe('BondMultiToken', function () {
         .withArgs('symbol');
       });
 
-      it('should check if royalty is less than the max range', async function () {
+      it('should check if the burn royalty is less than the max range', async function () {
         await expect(
           Bond.createMultiToken(
             this.newTokenParams,
-            modifiedValues(BABY_TOKEN.bondParams, { royalty: MAX_ROYALTY_RANGE + 1n })
+            modifiedValues(BABY_TOKEN.bondParams, { burnRoyalty: MAX_ROYALTY_RANGE + 1n })
           )
         ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams')
-        .withArgs('royalty');
+        .withArgs('burnRoyalty');
       });
 
       it('should check if reserve token is valid', async function () {
@@ -267,8 +273,8 @@ describe('BondMultiToken', function () {
           this.newTokenParams,
           modifiedValues(BABY_TOKEN.bondParams, {
             maxSupply: MAX_STEPS,
-            stepRanges: [...Array(1001).keys()].splice(1),
-            stepPrices: [...Array(1001).keys()].splice(1)
+            stepRanges: [...Array(MAX_STEPS + 1).keys()].splice(1),
+            stepPrices: [...Array(MAX_STEPS + 1).keys()].splice(1)
           })
         );
 
@@ -276,7 +282,7 @@ describe('BondMultiToken', function () {
         const token = await Token.attach(await Bond.tokens(1));
 
         expect(await token.symbol()).to.equal('BABY2');
-        expect(await Bond.maxSupply(token.target)).to.equal(1000);
+        expect(await Bond.maxSupply(token.target)).to.equal(MAX_STEPS);
       });
     }); // Validations
 
@@ -304,7 +310,7 @@ describe('BondMultiToken', function () {
       it('should send fees to the new creator', async function () {
         // stepRanges: [ 10n, 30n, 50n, 100n ] / stepPrices: [ wei(0), wei(2), wei(5), wei(10) ]
         const tokensToMint = 20n; // requires 20 * wei(2) = 40 BASE tokens
-        const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+        const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
         // { royalty: 2, creatorCut: 1.6, protocolCut: 0.4, reserveToBond: 40, reserveRequired: 42 }
 
         await BaseToken.transfer(alice.address, test.reserveRequired);
@@ -324,7 +330,7 @@ describe('BondMultiToken', function () {
           this.tokensToMint = 15n;
 
           // stepRanges: [ 10n, 30n, 50n, 100n ] / stepPrices: [ wei(0), wei(2), wei(5), wei(10) ]
-          this.mintTest = calculateMint(this.tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          this.mintTest = calculateMint(this.tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
           // { royalty: 1.5, creatorCut: 1.2, protocolCut: 0.3, reserveToBond: 30, reserveRequired: 31.5 }
 
           await BaseToken.transfer(alice.address, this.initialBaseBalance);
@@ -361,11 +367,11 @@ describe('BondMultiToken', function () {
 
         it('should emit Mint event', async function () {
           const tokensToMint2 = 3n;
-          const mintTest2 = calculateMint(tokensToMint2, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const mintTest2 = calculateMint(tokensToMint2, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
 
           await expect(Bond.connect(alice).mint(this.token.target, tokensToMint2, mintTest2.reserveRequired))
             .emit(Bond, 'Mint')
-            .withArgs(this.token.target, alice.address, tokensToMint2, BaseToken.target, mintTest2.reserveRequired);
+            .withArgs(this.token.target, alice.address, alice.address, tokensToMint2, BaseToken.target, mintTest2.reserveRequired);
         });
       }); // Mint once
 
@@ -437,7 +443,7 @@ describe('BondMultiToken', function () {
             });
 
             it('should transfer BASE tokens to alice', async function () {
-              const { total } = calculateRoyalty(this.initial.bondReserve, BABY_TOKEN.bondParams.royalty);
+              const { total } = calculateRoyalty(this.initial.bondReserve, BABY_TOKEN.bondParams.burnRoyalty);
               const toRefund =  this.initial.bondReserve - total;
               expect(await BaseToken.balanceOf(alice.address)).to.equal(this.initial.baseBalance + toRefund);
             });
@@ -453,19 +459,19 @@ describe('BondMultiToken', function () {
 
             it('should add claimable balance to the creator', async function () {
               // mint + burn = 2
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await Bond.userTokenRoyaltyBalance(owner.address, BaseToken.target)).to.equal(royalty.creatorCut);
             });
 
             it('should add claimable balance to the protocol', async function () {
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await Bond.userTokenRoyaltyBalance(PROTOCOL_BENEFICIARY, BaseToken.target)).to.equal(royalty.protocolCut);
             });
 
             it('should leave claimable royalty balance on the bond', async function () {
-              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.royalty);
+              const royalty = calculateRoyalty(this.initial.bondReserve * 2n, BABY_TOKEN.bondParams.mintRoyalty);
 
               expect(await BaseToken.balanceOf(Bond.target)).to.equal(royalty.total);
             });
@@ -478,7 +484,7 @@ describe('BondMultiToken', function () {
           const initialBaseBalance = wei(22, 9);
           const tokensToMint = 10n;
 
-          this.mintTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          this.mintTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
           // { royalty: 1, creatorCut: 0.8, protocolCut: 0.2, reserveToBond: 20, reserveRequired: 21 }
 
           await BaseToken.transfer(alice.address, initialBaseBalance);
@@ -494,7 +500,7 @@ describe('BondMultiToken', function () {
           };
           this.tokensToBurn = 5n;
 
-          this.burnTest = calculateBurn(this.tokensToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          this.burnTest = calculateBurn(this.tokensToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty, 0n);
           // { royalty: 0.5, creatorCut: 0.4, protocolCut: 0.1, reserveFromBond: 10, reserveToRefund: 9.5 }
 
           await this.token.connect(alice).setApprovalForAll(Bond.target, true);
@@ -538,9 +544,52 @@ describe('BondMultiToken', function () {
         it('should emit Burn event', async function () {
           await expect(Bond.connect(alice).burn(this.token.target, this.tokensToBurn, 0))
             .emit(Bond, 'Burn')
-            .withArgs(this.token.target, alice.address, this.tokensToBurn, BaseToken.target, this.burnTest.reserveToRefund);
+            .withArgs(this.token.target, alice.address, alice.address, this.tokensToBurn, BaseToken.target, this.burnTest.reserveToRefund);
         });
       }); // Burn
+
+      describe('Burn for refund amount', function () {
+        beforeEach(async function () {
+          await BaseToken.transfer(alice.address, wei(22, 9));
+          await BaseToken.connect(alice).approve(Bond.target, wei(22, 9));
+          await Bond.connect(alice).mint(this.token.target, 10n, MAX_INT_256);
+          await this.token.connect(alice).setApprovalForAll(Bond.target, true);
+
+          this.initial = {
+            baseBalance: await BaseToken.balanceOf(alice.address),
+            bondReserve: (await Bond.tokenBond(this.token.target)).reserveBalance // 20
+          };
+          this.refundAmount = wei(2, 9); // 1 token refunds only 1.9 after the 5% royalty
+          this.burnTest = calculateBurn(2n, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty, 0n);
+          // { royalty: 0.2, creatorCut: 0.16, protocolCut: 0.04, reserveFromBond: 4, reserveToRefund: 3.8 }
+        });
+
+        it('should return the minimum amount of tokens for the refund amount', async function () {
+          const [tokensToBurn, royalty] = await Bond.getTokensForRefund(this.token.target, this.refundAmount);
+          expect(tokensToBurn).to.equal(2n);
+          expect(royalty).to.equal(this.burnTest.royalty);
+        });
+
+        it('should transfer the exact refund amount and keep the surplus in the reserve', async function () {
+          await Bond.connect(alice).burnForRefund(this.token.target, this.refundAmount, 2n);
+
+          expect(await this.token.balanceOf(alice.address, 0)).to.equal(8n);
+          expect(await BaseToken.balanceOf(alice.address)).to.equal(this.initial.baseBalance + this.refundAmount);
+          // The bond pays out less than the step integral of the 2 tokens burned
+          expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(
+            this.initial.bondReserve - this.refundAmount - this.burnTest.royalty
+          );
+          expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.be.gt(
+            this.initial.bondReserve - this.burnTest.reserveFromBond
+          );
+        });
+
+        it('should revert if the maxTokensIn parameter is set less than the expected value', async function () {
+          await expect(
+            Bond.connect(alice).burnForRefund(this.token.target, this.refundAmount, 1n)
+          ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+        });
+      }); // Burn for refund amount
     }); // Mint
 
     describe('Other Edge Cases', function() {
@@ -559,7 +608,7 @@ describe('BondMultiToken', function () {
 
         it('should revert if the minTokens parameter is set more than the expected value', async function () {
           const tokensToMint = 10n;
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
           await expect(
             Bond.connect(alice).mint(this.token.target, tokensToMint, test.reserveRequired - 1n)
           ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
@@ -567,7 +616,7 @@ describe('BondMultiToken', function () {
 
         it('should revert if the slippage limit exceeded due to a front-run', async function () {
           const tokensToMint = 10n;
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
 
           // front-run till the next price step
           await Bond.connect(alice).mint(this.token.target, BABY_TOKEN.bondParams.stepRanges[1], MAX_INT_256);
@@ -606,7 +655,7 @@ describe('BondMultiToken', function () {
 
         it('should revert if user try to mint more than the balance', async function () {
           const tokensToMint = 10n;
-          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const test = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty, 0n);
           await BaseToken.connect(alice).transfer(owner.address, this.initialBaseBalance - test.reserveRequired);
 
           await expect(
@@ -658,7 +707,7 @@ describe('BondMultiToken', function () {
 
         it('should revert if the caller receives a smaller amount than minRefund', async function () {
           const burnAmount = 5n;
-          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty, 0n);
           await this.token.connect(alice).setApprovalForAll(Bond.target, true);
 
           await expect(
@@ -668,7 +717,7 @@ describe('BondMultiToken', function () {
 
         it('should revert if the slippage limit exceeded due to a front-run', async function () {
           const burnAmount = 5n;
-          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty, 0n);
+          const { reserveToRefund } = calculateBurn(burnAmount, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty, 0n);
           await this.token.connect(alice).setApprovalForAll(Bond.target, true);
 
           // Front-run the transaction - owner rugs the pool
@@ -688,11 +737,14 @@ describe('BondMultiToken', function () {
       const EXTREME_BABY = {
         tokenParams: BABY_TOKEN.tokenParams,
         bondParams: {
-          royalty: 100n, // 1%
+          mintRoyalty: 100n, // 1%
+          burnRoyalty: 100n, // 1%
           reserveToken: BaseToken.target,
           maxSupply: 100n,
           stepRanges: [50n, 100n],
-          stepPrices: [7n, 8n]
+          stepPrices: [7n, 8n],
+          mintStartTime: 0n,
+          burnStartTime: 0n
         }
       };
 
@@ -0,0 +1,246 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  MAX_INT_256,
+  NATIVE_TOKEN,
+  PROTOCOL_BENEFICIARY,
+  ZERO_BYTES32,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+const { buildAirdrop } = require('../utils/merkle-airdrop');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+const PRESALE_DURATION = 3600n; // 1 hour
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 0n,
+    burnRoyalty: 0n,
+    reserveToken: null, // Should be set later
+    maxSupply: wei(1000),
+    stepRanges: [ wei(100), wei(1000) ],
+    stepPrices: [ wei(1), wei(2) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('Presale', function () {
+  let Bond, BaseToken;
+  let owner, alice, bob, carol;
+
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(1000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+
+    // alice and bob are on the allowlist, carol is not
+    this.allowlist = buildAirdrop([alice.address, bob.address]);
+    this.presale = {
+      merkleRoot: this.allowlist.root,
+      endTime: BigInt(await time.latest()) + PRESALE_DURATION,
+      maxMintPerWallet: wei(50)
+    };
+    this.deadline = BigInt(await time.latest()) + PRESALE_DURATION * 2n;
+
+    for (const wallet of [alice, bob, carol]) {
+      await BaseToken.transfer(wallet.address, wei(10000));
+      await BaseToken.connect(wallet).approve(Bond.target, MAX_INT_256);
+    }
+  });
+
+  async function createToken(presale, bondParams = BABY_TOKEN.bondParams) {
+    await Bond.createTokenWithPresale(Object.values(BABY_TOKEN.tokenParams), Object.values(bondParams), Object.values(presale), MAX_INT_256);
+    return await ethers.getContractAt('MCV2_Token', await Bond.tokens(0));
+  }
+
+  function mintWithProof(wallet, token, tokensToMint, proof) {
+    return Bond.connect(wallet).mintWithPresaleProof(token.target, tokensToMint, MAX_INT_256, wallet.address, MAX_INT_256, proof);
+  }
+
+  describe('Create token', function () {
+    it('should set the presale of the token', async function () {
+      const token = await createToken(this.presale);
+      expect(await Bond.tokenPresale(token.target)).to.deep.equal(Object.values(this.presale));
+    });
+
+    it('should emit PresaleCreated event', async function () {
+      const tx = await Bond.createTokenWithPresale(
+        Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams), Object.values(this.presale), MAX_INT_256
+      );
+      await expect(tx).to.emit(Bond, 'PresaleCreated')
+        .withArgs(await Bond.tokens(0), this.presale.merkleRoot, this.presale.endTime, this.presale.maxMintPerWallet);
+    });
+
+    it('should create a multi-token with a presale', async function () {
+      await Bond.createMultiTokenWithPresale(
+        ['Baby NFT', 'BABYNFT', 'https://example.com/{id}.json'],
+        [0n, 0n, BaseToken.target, 100n, [10n, 100n], [wei(1), wei(2)], 0n, 0n],
+        Object.values({ ...this.presale, maxMintPerWallet: 5n }),
+        MAX_INT_256
+      );
+      const token = await ethers.getContractAt('MCV2_MultiToken', await Bond.tokens(0));
+
+      await expect(Bond.connect(alice).mint(token.target, 1n, MAX_INT_256)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+      await mintWithProof(alice, token, 5n, this.allowlist.proofs[alice.address]);
+      expect(await token.balanceOf(alice.address, 0n)).to.equal(5n);
+      await expect(mintWithProof(alice, token, 1n, this.allowlist.proofs[alice.address])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__ExceedPresaleLimit');
+    });
+
+    it('should require a Merkle root', async function () {
+      await expect(createToken({ ...this.presale, merkleRoot: ZERO_BYTES32 })).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams').withArgs('presaleMerkleRoot');
+    });
+
+    it('should require an end time in the future', async function () {
+      await expect(createToken({ ...this.presale, endTime: BigInt(await time.latest()) + 1n })).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams').withArgs('presaleEndTime');
+    });
+
+    it('should check the deadline', async function () {
+      await expect(Bond.createTokenWithPresale(
+        Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams), Object.values(this.presale), await time.latest()
+      )).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+    });
+
+    it('should have no presale on tokens created without one', async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      const token = await Bond.tokens(0);
+
+      expect(await Bond.tokenPresale(token)).to.deep.equal([ZERO_BYTES32, 0n, 0n]);
+      await Bond.connect(carol).mint(token, wei(10), MAX_INT_256);
+    });
+  }); // Create token
+
+  describe('During the presale', function () {
+    beforeEach(async function () {
+      this.token = await createToken(this.presale);
+    });
+
+    it('should mint to an allowlisted wallet with its proof', async function () {
+      await expect(mintWithProof(alice, this.token, wei(10), this.allowlist.proofs[alice.address]))
+        .to.changeTokenBalances(BaseToken, [alice, Bond], [-wei(10), wei(10)]);
+
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(10));
+      expect(await Bond.presaleMinted(this.token.target, alice.address)).to.equal(wei(10));
+    });
+
+    it('should mint to another receiver, counting against the caller', async function () {
+      await Bond.connect(alice).mintWithPresaleProof(this.token.target, wei(10), MAX_INT_256, carol.address, MAX_INT_256, this.allowlist.proofs[alice.address]);
+
+      expect(await this.token.balanceOf(carol.address)).to.equal(wei(10));
+      expect(await Bond.presaleMinted(this.token.target, alice.address)).to.equal(wei(10));
+      expect(await Bond.presaleMinted(this.token.target, carol.address)).to.equal(0n);
+    });
+
+    it('should revert with an invalid proof', async function () {
+      await expect(mintWithProof(carol, this.token, wei(10), this.allowlist.proofs[alice.address])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidPresaleProof');
+      await expect(mintWithProof(carol, this.token, wei(10), [])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidPresaleProof');
+    });
+
+    it('should cap the tokens minted by each wallet', async function () {
+      await mintWithProof(alice, this.token, wei(30), this.allowlist.proofs[alice.address]);
+      await mintWithProof(alice, this.token, wei(20), this.allowlist.proofs[alice.address]);
+
+      await expect(mintWithProof(alice, this.token, 1n, this.allowlist.proofs[alice.address])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__ExceedPresaleLimit');
+      await mintWithProof(bob, this.token, wei(50), this.allowlist.proofs[bob.address]);
+    });
+
+    it('should not cap the wallets without maxMintPerWallet', async function () {
+      await Bond.createTokenWithPresale(
+        ['Uncapped', 'UNCAPPED'], Object.values(BABY_TOKEN.bondParams), Object.values({ ...this.presale, maxMintPerWallet: 0n }), MAX_INT_256
+      );
+      const token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(1));
+
+      await mintWithProof(alice, token, wei(500), this.allowlist.proofs[alice.address]);
+      expect(await token.balanceOf(alice.address)).to.equal(wei(500));
+    });
+
+    it('should check the slippage and the deadline', async function () {
+      await expect(Bond.connect(alice).mintWithPresaleProof(
+        this.token.target, wei(10), wei(10) - 1n, alice.address, MAX_INT_256, this.allowlist.proofs[alice.address]
+      )).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+
+      await expect(Bond.connect(alice).mintWithPresaleProof(
+        this.token.target, wei(10), MAX_INT_256, alice.address, await time.latest(), this.allowlist.proofs[alice.address]
+      )).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+    });
+
+    it('should block every other mint', async function () {
+      const t = this.token.target;
+      await expect(Bond.connect(alice).mint(t, wei(10), MAX_INT_256)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+      await expect(Bond.connect(alice).mintTo(t, wei(10), MAX_INT_256, alice.address)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+      await expect(Bond.connect(alice).mintWithDeadline(t, wei(10), MAX_INT_256, alice.address, this.deadline)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+      await expect(Bond.connect(alice).mintWithReserveAmount(t, wei(10), 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+      await expect(Bond.connect(alice).mintWithReferral(t, wei(10), MAX_INT_256, alice.address, this.deadline, bob.address, 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PresaleActive');
+    });
+
+    it('should let presale buyers burn', async function () {
+      await mintWithProof(alice, this.token, wei(10), this.allowlist.proofs[alice.address]);
+      await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+
+      await expect(Bond.connect(alice).burn(this.token.target, wei(10), 0n))
+        .to.changeTokenBalances(BaseToken, [alice, Bond], [wei(10), -wei(10)]);
+    });
+  }); // During the presale
+
+  describe('After the presale', function () {
+    beforeEach(async function () {
+      this.token = await createToken(this.presale);
+      await mintWithProof(alice, this.token, wei(50), this.allowlist.proofs[alice.address]);
+      await time.increaseTo(this.presale.endTime);
+    });
+
+    it('should open minting to everyone', async function () {
+      await Bond.connect(carol).mint(this.token.target, wei(10), MAX_INT_256);
+      expect(await this.token.balanceOf(carol.address)).to.equal(wei(10));
+    });
+
+    it('should ignore the proof and the cap', async function () {
+      await mintWithProof(alice, this.token, wei(10), []);
+      await mintWithProof(carol, this.token, wei(100), []);
+
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(60));
+      expect(await Bond.presaleMinted(this.token.target, alice.address)).to.equal(wei(50));
+    });
+  }); // After the presale
+
+  describe('Native reserve', function () {
+    it('should mint with the native coin during the presale', async function () {
+      const token = await createToken(this.presale, { ...BABY_TOKEN.bondParams, reserveToken: NATIVE_TOKEN });
+
+      await expect(Bond.connect(alice).mintWithPresaleProof(
+        token.target, wei(10), MAX_INT_256, alice.address, MAX_INT_256, this.allowlist.proofs[alice.address], { value: wei(11) }
+      )).to.changeEtherBalances([alice, Bond], [-wei(10), wei(10)]);
+    });
+  }); // Native reserve
+}); // Presale
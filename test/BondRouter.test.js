@@ -0,0 +1,330 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  MAX_INT_256,
+  NULL_ADDRESS,
+  NATIVE_TOKEN,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BOND_PARAMS = {
+  mintRoyalty: 100n, // 1%
+  burnRoyalty: 100n, // 1%
+  reserveToken: null, // Should be set later
+  maxSupply: wei(1000),
+  stepRanges: [ wei(500), wei(1000) ],
+  stepPrices: [ wei(1), wei(2) ],
+  mintStartTime: 0n,
+  burnStartTime: 0n
+};
+
+describe('BondRouter', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const Router = await ethers.deployContract('MCV2_BondRouter', [Bond.target]);
+    await Router.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, Router, BaseToken];
+  }
+
+  let Bond, Router, BaseToken;
+  let owner, alice, bob;
+
+  async function createToken(symbol, reserveToken) {
+    await Bond.createToken({ name: symbol, symbol }, { ...BOND_PARAMS, reserveToken });
+    return ethers.getContractAt('MCV2_Token', await Bond.tokens((await Bond.tokenCount()) - 1n));
+  }
+
+  beforeEach(async function () {
+    [Bond, Router, BaseToken] = await loadFixture(deployFixtures);
+    [owner, alice, bob] = await ethers.getSigners();
+
+    this.tokenA = await createToken('A', BaseToken.target);
+    this.tokenB = await createToken('B', BaseToken.target);
+    this.tokenC = await createToken('C', this.tokenB.target); // reserve: B
+
+    await BaseToken.transfer(alice.address, wei(10000));
+    await BaseToken.connect(alice).approve(Bond.target, MAX_INT_256);
+    await Bond.connect(alice).mint(this.tokenA.target, wei(100), MAX_INT_256); // 100 @ 1 + 1%
+    await this.tokenA.connect(alice).approve(Router.target, MAX_INT_256);
+
+    this.deadline = async () => BigInt(await time.latest()) + 600n;
+    this.swap = async (path, amountIn, minOut = 0n, receiver = alice.address, overrides = {}) =>
+      Router.connect(alice).swap(path, amountIn, minOut, receiver, await this.deadline(), overrides);
+  });
+
+  it('should set the bond', async function () {
+    expect(await Router.BOND()).to.equal(Bond.target);
+  });
+
+  describe('Quote', function () {
+    it('should chain the burn refund into the mint quote', async function () {
+      const path = [this.tokenA.target, BaseToken.target, this.tokenB.target];
+      const amounts = await Router.getAmountsOut(path, wei(50));
+
+      const [refundAmount] = await Bond.getRefundForTokens(this.tokenA.target, wei(50));
+      const [tokensToMint] = await Bond.getTokensForReserve(this.tokenB.target, refundAmount);
+      expect(amounts).to.deep.equal([wei(50), refundAmount, tokensToMint]);
+      expect(refundAmount).to.equal(wei(495, 17)); // 50 @ 1 - 1%
+    });
+
+    it('should quote a multi-hop path into a token backed by another bond token', async function () {
+      const amounts = await Router.getAmountsOut([this.tokenA.target, BaseToken.target, this.tokenB.target, this.tokenC.target], wei(50));
+
+      const [tokensOfC] = await Bond.getTokensForReserve(this.tokenC.target, amounts[2]);
+      expect(amounts[3]).to.equal(tokensOfC);
+    });
+
+    it('should revert on an invalid path', async function () {
+      await expect(Router.getAmountsOut([this.tokenA.target], wei(1)))
+        .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidPath').withArgs(0);
+      await expect(Router.getAmountsOut([this.tokenA.target, this.tokenC.target], wei(1)))
+        .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidPath').withArgs(0);
+      await expect(Router.getAmountsOut([this.tokenA.target, BaseToken.target, this.tokenC.target], wei(1)))
+        .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidPath').withArgs(1);
+      await expect(Router.getAmountsOut([BaseToken.target, NULL_ADDRESS], wei(1)))
+        .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidPath').withArgs(0);
+    });
+
+    it('should revert on a zero amount', async function () {
+      await expect(Router.getAmountsOut([this.tokenA.target, BaseToken.target], 0n))
+        .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidAmount');
+    });
+  }); // Quote
+
+  describe('Swap', function () {
+    describe('Sibling tokens', function () {
+      beforeEach(async function () {
+        this.path = [this.tokenA.target, BaseToken.target, this.tokenB.target];
+        this.amounts = await Router.getAmountsOut(this.path, wei(50));
+        [, this.reserveUsed] = await Bond.getTokensForReserve(this.tokenB.target, this.amounts[1]);
+        this.baseBalance = await BaseToken.balanceOf(alice.address);
+      });
+
+      it('should burn A and mint B with the refund, as quoted', async function () {
+        await this.swap(this.path, wei(50), this.amounts[2], bob.address);
+
+        expect(await this.tokenA.balanceOf(alice.address)).to.equal(wei(50));
+        expect(await this.tokenB.balanceOf(bob.address)).to.equal(this.amounts[2]);
+      });
+
+      it('should pay the whole refund into the mint', async function () {
+        await this.swap(this.path, wei(50));
+
+        expect(this.reserveUsed).to.equal(this.amounts[1]); // no rounding dust with 18 decimals
+        expect(await BaseToken.balanceOf(alice.address)).to.equal(this.baseBalance);
+        expect(await BaseToken.balanceOf(Router.target)).to.equal(0n);
+      });
+
+      it('should emit Swap event', async function () {
+        await expect(this.swap(this.path, wei(50), 0n, bob.address))
+          .to.emit(Router, 'Swap')
+          .withArgs(alice.address, this.tokenA.target, this.tokenB.target, wei(50), this.amounts[2], bob.address);
+      });
+
+      it('should emit Burn and Mint events of the bond with the router as the user', async function () {
+        const tx = this.swap(this.path, wei(50), 0n, bob.address);
+        await expect(tx)
+          .to.emit(Bond, 'Burn')
+          .withArgs(this.tokenA.target, Router.target, Router.target, wei(50), BaseToken.target, this.amounts[1]);
+        await expect(tx)
+          .to.emit(Bond, 'Mint')
+          .withArgs(this.tokenB.target, Router.target, bob.address, this.amounts[2], BaseToken.target, this.reserveUsed);
+      });
+
+      it('should revert if the output is below minOut', async function () {
+        await expect(this.swap(this.path, wei(50), this.amounts[2] + 1n))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__SlippageLimitExceeded');
+      });
+
+      it('should revert if the deadline has passed', async function () {
+        const deadline = BigInt(await time.latest());
+        await time.setNextBlockTimestamp(deadline + 1n);
+
+        await expect(Router.connect(alice).swap(this.path, wei(50), 0n, alice.address, deadline))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__DeadlineExpired');
+      });
+
+      it('should revert on the zero address as receiver', async function () {
+        await expect(this.swap(this.path, wei(50), 0n, NULL_ADDRESS))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidReceiver');
+      });
+
+      it('should revert if value is sent with an ERC20 input', async function () {
+        await expect(this.swap(this.path, wei(50), 0n, alice.address, { value: 1n }))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidAmount');
+      });
+
+      it('should revert without an approval of the input token', async function () {
+        await this.tokenA.connect(alice).approve(Router.target, 0n);
+        await expect(this.swap(this.path, wei(50)))
+          .to.be.revertedWithCustomError(this.tokenA, 'ERC20InsufficientAllowance');
+      });
+    }); // Sibling tokens
+
+    describe('Multi-hop', function () {
+      it('should mint a token backed by another bond token', async function () {
+        const path = [this.tokenA.target, BaseToken.target, this.tokenB.target, this.tokenC.target];
+        const amounts = await Router.getAmountsOut(path, wei(50));
+
+        await this.swap(path, wei(50), amounts[3]);
+        expect(await this.tokenC.balanceOf(alice.address)).to.equal(amounts[3]);
+        expect(await this.tokenB.balanceOf(Router.target)).to.equal(0n);
+      });
+
+      it('should send the dust of every mint hop to the caller in the reserve token of the hop', async function () {
+        const path = [this.tokenA.target, BaseToken.target, this.tokenB.target, this.tokenC.target];
+        const amounts = await Router.getAmountsOut(path, wei(50));
+        const [, reserveUsedOfC] = await Bond.getTokensForReserve(this.tokenC.target, amounts[2]);
+
+        await this.swap(path, wei(50));
+        expect(await this.tokenB.balanceOf(alice.address)).to.equal(amounts[2] - reserveUsedOfC);
+      });
+
+      it('should swap down and up the reserve chain', async function () {
+        await this.swap([this.tokenA.target, BaseToken.target, this.tokenB.target, this.tokenC.target], wei(50));
+        const balanceOfC = await this.tokenC.balanceOf(alice.address);
+        await this.tokenC.connect(alice).approve(Router.target, MAX_INT_256);
+
+        const path = [this.tokenC.target, this.tokenB.target, BaseToken.target, this.tokenA.target];
+        const amounts = await Router.getAmountsOut(path, balanceOfC);
+        await this.swap(path, balanceOfC, amounts[3]);
+
+        expect(await this.tokenC.balanceOf(alice.address)).to.equal(0n);
+        expect(await this.tokenA.balanceOf(alice.address)).to.equal(wei(50) + amounts[3]);
+      });
+
+      it('should mint from the reserve token', async function () {
+        await BaseToken.connect(alice).approve(Router.target, MAX_INT_256);
+        const path = [BaseToken.target, this.tokenB.target, this.tokenC.target];
+        const amounts = await Router.getAmountsOut(path, wei(10));
+
+        await this.swap(path, wei(10));
+        expect(await this.tokenC.balanceOf(alice.address)).to.equal(amounts[2]);
+      });
+    }); // Multi-hop
+
+    describe('ERC1155', function () {
+      beforeEach(async function () {
+        await Bond.createMultiToken(
+          { name: 'Baby NFT', symbol: 'BABYNFT', uri: 'https://mint.club' },
+          { ...BOND_PARAMS, mintRoyalty: 0n, burnRoyalty: 0n, reserveToken: BaseToken.target, maxSupply: 10n, stepRanges: [10n], stepPrices: [wei(1)] }
+        );
+        this.nft = await ethers.getContractAt('MCV2_MultiToken', await Bond.tokens(3));
+      });
+
+      it('should swap from an ERC1155 token with an operator approval', async function () {
+        await Bond.connect(alice).mint(this.nft.target, 2n, MAX_INT_256);
+        await this.nft.connect(alice).setApprovalForAll(Router.target, true);
+
+        const path = [this.nft.target, BaseToken.target, this.tokenB.target];
+        const amounts = await Router.getAmountsOut(path, 2n);
+        await this.swap(path, 2n);
+
+        expect(await this.nft.balanceOf(alice.address, 0)).to.equal(0n);
+        expect(await this.tokenB.balanceOf(alice.address)).to.equal(amounts[2]);
+      });
+
+      it('should swap into an ERC1155 token, refunding the rounding dust to the caller', async function () {
+        const baseBalance = await BaseToken.balanceOf(alice.address);
+        const path = [this.tokenA.target, BaseToken.target, this.nft.target];
+        const amounts = await Router.getAmountsOut(path, wei(5));
+        expect(amounts).to.deep.equal([wei(5), wei(495, 16), 4n]); // 5 @ 1 - 1%, 4 @ 1
+
+        await this.swap(path, wei(5), 4n, bob.address);
+        expect(await this.nft.balanceOf(bob.address, 0)).to.equal(4n);
+        expect(await BaseToken.balanceOf(alice.address)).to.equal(baseBalance + wei(95, 16));
+        expect(await BaseToken.balanceOf(Router.target)).to.equal(0n);
+      });
+    }); // ERC1155
+
+    describe('Native reserve', function () {
+      beforeEach(async function () {
+        this.nativeA = await createToken('NA', NATIVE_TOKEN);
+        this.nativeB = await createToken('NB', NATIVE_TOKEN);
+      });
+
+      it('should mint with the native coin sent as value', async function () {
+        const path = [NATIVE_TOKEN, this.nativeA.target];
+        const amounts = await Router.getAmountsOut(path, wei(10));
+
+        await expect(this.swap(path, wei(10), 0n, alice.address, { value: wei(10) }))
+          .to.changeEtherBalances([Bond, Router], [amounts[0], 0n]); // The dust is refunded to alice
+        expect(await this.nativeA.balanceOf(alice.address)).to.equal(amounts[1]);
+      });
+
+      it('should revert if the value does not match the input', async function () {
+        await expect(this.swap([NATIVE_TOKEN, this.nativeA.target], wei(10), 0n, alice.address, { value: wei(9) }))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__InvalidAmount');
+      });
+
+      it('should swap between tokens sharing the native reserve', async function () {
+        await this.swap([NATIVE_TOKEN, this.nativeA.target], wei(10), 0n, alice.address, { value: wei(10) });
+        const balance = await this.nativeA.balanceOf(alice.address);
+        await this.nativeA.connect(alice).approve(Router.target, MAX_INT_256);
+
+        const path = [this.nativeA.target, NATIVE_TOKEN, this.nativeB.target];
+        const amounts = await Router.getAmountsOut(path, balance);
+        await this.swap(path, balance, amounts[2], bob.address);
+
+        expect(await this.nativeB.balanceOf(bob.address)).to.equal(amounts[2]);
+        expect(await ethers.provider.getBalance(Router.target)).to.equal(0n);
+      });
+
+      it('should burn into the native coin for the receiver', async function () {
+        await this.swap([NATIVE_TOKEN, this.nativeA.target], wei(10), 0n, alice.address, { value: wei(10) });
+        const balance = await this.nativeA.balanceOf(alice.address);
+        await this.nativeA.connect(alice).approve(Router.target, MAX_INT_256);
+
+        const [, refundAmount] = await Router.getAmountsOut([this.nativeA.target, NATIVE_TOKEN], balance);
+        await expect(this.swap([this.nativeA.target, NATIVE_TOKEN], balance, refundAmount, bob.address))
+          .to.changeEtherBalance(bob, refundAmount);
+      });
+
+      it('should only accept the native coin from the bond', async function () {
+        await expect(owner.sendTransaction({ to: Router.target, value: 1n }))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__PermissionDenied');
+      });
+    }); // Native reserve
+
+    describe('Mint limits', function () {
+      it('should not mint a token with a wallet cap or a mint interval', async function () {
+        const path = [this.tokenA.target, BaseToken.target, this.tokenB.target, this.tokenC.target];
+
+        await Bond.updateMintLimits(this.tokenC.target, 0n, wei(100), 0n);
+        await expect(Router.getAmountsOut(path, wei(50)))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__MintLimited').withArgs(2);
+
+        await Bond.updateMintLimits(this.tokenB.target, 0n, 0n, 60n);
+        await expect(this.swap(path, wei(50)))
+          .to.be.revertedWithCustomError(Router, 'MCV2_BondRouter__MintLimited').withArgs(1);
+      });
+
+      it('should burn a limited token and mint with a per-transaction cap only', async function () {
+        await Bond.updateMintLimits(this.tokenA.target, 0n, wei(100), 60n);
+        await Bond.updateMintLimits(this.tokenB.target, wei(100), 0n, 0n);
+
+        await this.swap([this.tokenA.target, BaseToken.target, this.tokenB.target], wei(50));
+        expect(await this.tokenB.balanceOf(alice.address)).to.be.gt(0n);
+      });
+    }); // Mint limits
+  }); // Swap
+});
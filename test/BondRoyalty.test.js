@@ -1,29 +1,40 @@
-const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
 const { expect } = require('chai');
 const {
   MAX_INT_256,
+  NULL_ADDRESS,
   DEAD_ADDRESS,
+  Parameter,
   wei,
   calculateMint,
   calculateBurn,
   getMaxSteps,
   modifiedValues,
+  changeParameter,
+  rewindChainAfterAll,
 } = require('./utils/test-utils');
+const { PROTOCOL_CUT, splitRoyalty, splitCreatorCut, getReserveForToken, getRefundForTokens } = require('../utils/bond-curve');
 
-const MAX_STEPS = getMaxSteps('ethereum');
+const MAX_STEPS = getMaxSteps('hardhat');
+const PARAMETER_CHANGE_DELAY = 3n * 86400n; // 3 days
 
 const BABY_TOKEN = {
   tokenParams: { name: 'Baby Token', symbol: 'BABY' },
   bondParams: {
-    royalty: 1000n, // 10%
+    mintRoyalty: 1000n, // 10%
+    burnRoyalty: 1000n, // 10%
     reserveToken: null, // Should be set later
     maxSupply: wei(10000000), // supply: 10M
     stepRanges: [ wei(10000), wei(100000), wei(200000), wei(500000), wei(1000000), wei(2000000), wei(5000000), wei(10000000) ],
-    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9), wei(4, 9), wei(5, 9), wei(7, 9), wei(10, 9), wei(15, 9) ]
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9), wei(4, 9), wei(5, 9), wei(7, 9), wei(10, 9), wei(15, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
   }
 };
 
 describe('Royalty', function () {
+  rewindChainAfterAll();
+
   let Bond, BaseToken;
   let owner, alice, bob, carol, beneficiary;
 
@@ -34,7 +45,10 @@ describe('Royalty', function () {
     const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
     await NFTImplementation.waitForDeployment();
 
-    const Bond = await ethers.deployContract('MCV2_Bond', [TokenImplementation.target, NFTImplementation.target, beneficiary.address, 0n, MAX_STEPS]);
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, beneficiary.address, 0n]);
     await Bond.waitForDeployment();
 
     const BaseToken = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 9n]); // supply: 200M
@@ -59,15 +73,31 @@ describe('Royalty', function () {
       expect((await Bond.protocolBeneficiary())).to.equal(beneficiary.address);
     });
 
-    it('should be able to update protocol beneficiary by the deployer', async function () {
-      await Bond.connect(owner).updateProtocolBeneficiary(bob.address);
+    it('should be able to update protocol beneficiary by the deployer after the timelock', async function () {
+      await changeParameter(Bond, Parameter.PROTOCOL_BENEFICIARY, bob.address);
       expect((await Bond.protocolBeneficiary())).to.equal(bob.address);
     });
 
+    it('should emit ProtocolBeneficiaryUpdated event', async function () {
+      await Bond.queueParameterChange(Parameter.PROTOCOL_BENEFICIARY, NULL_ADDRESS, bob.address);
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await expect(Bond.executeParameterChange(Parameter.PROTOCOL_BENEFICIARY, NULL_ADDRESS))
+        .to.emit(Bond, 'ProtocolBeneficiaryUpdated').withArgs(bob.address);
+    });
+
     it('should not be able to update protocol beneficiary by non-owner', async function () {
-      await expect(Bond.connect(alice).updateProtocolBeneficiary(bob.address)).to.be.
+      await expect(Bond.connect(alice).queueParameterChange(Parameter.PROTOCOL_BENEFICIARY, NULL_ADDRESS, bob.address)).to.be.
         revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
     });
+
+    it('should not be able to queue an invalid protocol beneficiary', async function () {
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_BENEFICIARY, NULL_ADDRESS, 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_BENEFICIARY, NULL_ADDRESS, 2n ** 160n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_BENEFICIARY, BaseToken.target, bob.address)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+    });
   });
 
   describe('Update creation fee by deployer', function () {
@@ -76,23 +106,26 @@ describe('Royalty', function () {
     });
 
     it('should emit CreationFeeUpdated event', async function () {
-      await expect(Bond.connect(owner).updateCreationFee(wei(3))).to.emit(Bond, 'CreationFeeUpdated').withArgs(wei(3));
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3));
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await expect(Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS))
+        .to.emit(Bond, 'CreationFeeUpdated').withArgs(wei(3));
     });
 
-    it('should be able to update creation fee by the deployer', async function () {
-      await Bond.connect(owner).updateCreationFee(wei(3));
+    it('should be able to update creation fee by the deployer after the timelock', async function () {
+      await changeParameter(Bond, Parameter.CREATION_FEE, wei(3));
       expect((await Bond.creationFee())).to.equal(wei(3));
     });
 
     it('should not be able to update creation fee by non-owner', async function () {
-      await expect(Bond.connect(alice).updateCreationFee(wei(3))).to.be.
+      await expect(Bond.connect(alice).queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3))).to.be.
         revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
     });
 
     describe('With creation fee', function() {
       beforeEach(async function () {
         this.creationFee = wei(2, 15); // 0.002 ETH
-        await Bond.connect(owner).updateCreationFee(this.creationFee);
+        await changeParameter(Bond, Parameter.CREATION_FEE, this.creationFee);
       });
 
       it('should collect creation fee if exists', async function () {
@@ -118,10 +151,165 @@ describe('Royalty', function () {
     }); // With creation fee
   }); // Update creation fee by deployer
 
+  describe('Parameter change timelock', function () {
+    it('should queue a change executable after the delay', async function () {
+      const executableAt = BigInt(await time.latest()) + 1n + PARAMETER_CHANGE_DELAY;
+      await expect(Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3)))
+        .to.emit(Bond, 'ParameterChangeQueued').withArgs(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3), executableAt);
+
+      expect(await Bond.getParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.deep.equal([wei(3), executableAt]);
+      expect(await Bond.creationFee()).to.equal(0n);
+    });
+
+    it('should not execute a change before the delay', async function () {
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3));
+      await time.increase(PARAMETER_CHANGE_DELAY - 2n);
+
+      await expect(Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotReady');
+    });
+
+    it('should clear the change once executed', async function () {
+      await changeParameter(Bond, Parameter.CREATION_FEE, wei(3));
+
+      expect(await Bond.getParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.deep.equal([0n, 0n]);
+      await expect(Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotQueued');
+    });
+
+    it('should restart the delay when queued again', async function () {
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3));
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(4));
+
+      await expect(Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotReady');
+
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS);
+      expect(await Bond.creationFee()).to.equal(wei(4));
+    });
+
+    it('should cancel a queued change', async function () {
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3));
+      await expect(Bond.cancelParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS))
+        .to.emit(Bond, 'ParameterChangeCancelled').withArgs(Parameter.CREATION_FEE, NULL_ADDRESS);
+
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await expect(Bond.executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotQueued');
+      await expect(Bond.cancelParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotQueued');
+    });
+
+    it('should only let the owner cancel or execute a change', async function () {
+      await Bond.queueParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS, wei(3));
+      await time.increase(PARAMETER_CHANGE_DELAY);
+
+      await expect(Bond.connect(alice).cancelParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
+      await expect(Bond.connect(alice).executeParameterChange(Parameter.CREATION_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
+    });
+
+    it('should keep the queued changes of each parameter and reserve token apart', async function () {
+      await Bond.queueParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS, 1000n);
+      await Bond.queueParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target, 3000n);
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await Bond.executeParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target);
+
+      expect(await Bond.protocolCut()).to.equal(PROTOCOL_CUT);
+      expect((await Bond.getParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS)).value).to.equal(1000n);
+    });
+  }); // Parameter change timelock
+
+  describe('Protocol cut', function () {
+    const TOKENS = wei(500);
+
+    // Mints TOKENS at 2 gwei -> royalty: 100 gwei, and returns the protocol cut credited
+    async function mintProtocolCut() {
+      const before = await Bond.userTokenRoyaltyBalance(beneficiary.address, BaseToken.target);
+      await Bond.mint(this.token.target, TOKENS, MAX_INT_256);
+      return await Bond.userTokenRoyaltyBalance(beneficiary.address, BaseToken.target) - before;
+    }
+
+    beforeEach(async function () {
+      await BaseToken.approve(Bond.target, MAX_INT_256);
+      this.mintProtocolCut = mintProtocolCut.bind(this);
+    });
+
+    it('should have the initial protocol cut for every reserve token', async function () {
+      expect(await Bond.protocolCut()).to.equal(PROTOCOL_CUT);
+      expect(await Bond.getProtocolCut(BaseToken.target)).to.equal(PROTOCOL_CUT);
+      expect(await this.mintProtocolCut()).to.equal(wei(20, 9));
+    });
+
+    it('should update the default protocol cut', async function () {
+      await Bond.queueParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS, 3000n);
+      await time.increase(PARAMETER_CHANGE_DELAY);
+      await expect(Bond.executeParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS))
+        .to.emit(Bond, 'ProtocolCutUpdated').withArgs(NULL_ADDRESS, 3000n);
+
+      expect(await Bond.getProtocolCut(BaseToken.target)).to.equal(3000n);
+      expect(await this.mintProtocolCut()).to.equal(wei(30, 9));
+      expect(await Bond.userTokenRoyaltyBalance(alice.address, BaseToken.target)).to.equal(wei(70, 9));
+    });
+
+    it('should override the protocol cut of a reserve token only', async function () {
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, 0n, BaseToken.target);
+
+      expect(await Bond.protocolCut()).to.equal(PROTOCOL_CUT);
+      expect(await Bond.getProtocolCut(BaseToken.target)).to.equal(0n);
+      expect(await Bond.getProtocolCut(DEAD_ADDRESS)).to.equal(PROTOCOL_CUT);
+      expect(await this.mintProtocolCut()).to.equal(0n);
+    });
+
+    it('should keep the override over a new default protocol cut', async function () {
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, 5000n, BaseToken.target);
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, 1000n);
+
+      expect(await Bond.getProtocolCut(BaseToken.target)).to.equal(5000n);
+      expect(await this.mintProtocolCut()).to.equal(wei(50, 9));
+    });
+
+    it('should remove the override with NO_OVERRIDE', async function () {
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, 0n, BaseToken.target);
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, await Bond.NO_OVERRIDE(), BaseToken.target);
+
+      expect(await Bond.getProtocolCut(BaseToken.target)).to.equal(PROTOCOL_CUT);
+      expect(await this.mintProtocolCut()).to.equal(wei(20, 9));
+    });
+
+    it('should match utils/bond-curve with the protocol cut of the bond', async function () {
+      await changeParameter(Bond, Parameter.PROTOCOL_CUT, 3500n, BaseToken.target);
+
+      const quote = getReserveForToken({
+        ...BABY_TOKEN.bondParams,
+        protocolCut: await Bond.getProtocolCut(BaseToken.target)
+      }, wei(10000), TOKENS);
+      expect(await this.mintProtocolCut()).to.equal(quote.protocolCut);
+    });
+
+    it('should not queue a protocol cut over the max', async function () {
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS, 5001n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target, 5001n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      // The default protocol cut has no override to remove
+      await expect(Bond.queueParameterChange(Parameter.PROTOCOL_CUT, NULL_ADDRESS, await Bond.NO_OVERRIDE())).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+    });
+
+    it('should not update the protocol cut by non-owner', async function () {
+      await expect(Bond.connect(alice).queueParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target, 0n)).to.be.
+        revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
+    });
+  }); // Protocol cut
+
   describe('Mint royalty', function () {
     beforeEach(async function () {
       const tokensToMint = wei(500);
-      this.buyTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+      this.buyTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
       // { royalty: 100, creatorCut: 80, protocolCut: 20, reserveToBond: 1000, reserveRequired: 1100 }
 
       await BaseToken.transfer(bob.address, this.buyTest.reserveRequired);
@@ -144,7 +332,7 @@ describe('Royalty', function () {
     describe('Burn royalty', function () {
       beforeEach(async function () {
         const amountToBurn = wei(100);
-        this.sellTest = calculateBurn(amountToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+        this.sellTest = calculateBurn(amountToBurn, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.burnRoyalty);
         // { royalty: 10, creatorCut: 8, protocolCut: 2, reserveFromBond: 200, reserveToRefund: 190 }
 
         await this.token.connect(bob).approve(Bond.target, amountToBurn);
@@ -199,7 +387,7 @@ describe('Royalty', function () {
   describe('Give up royalty', function () {
     beforeEach(async function () {
       const tokensToMint = wei(500);
-      this.buyTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.royalty);
+      this.buyTest = calculateMint(tokensToMint, BABY_TOKEN.bondParams.stepPrices[1], BABY_TOKEN.bondParams.mintRoyalty);
       // { royalty: 100, creatorCut: 80, protocolCut: 20, reserveToBond: 1000, reserveRequired: 1100 }
 
       await BaseToken.transfer(bob.address, this.buyTest.reserveRequired);
@@ -225,4 +413,307 @@ describe('Royalty', function () {
       expect(await BaseToken.balanceOf(DEAD_ADDRESS)).to.equal(royaltyToClaim);
     });
   }); // Give up royalty
+
+  describe('Royalty split', function () {
+    const SHARES = [3333n, 3333n, 3334n];
+
+    beforeEach(async function () {
+      this.beneficiaries = [alice.address, bob.address, carol.address];
+      await BaseToken.approve(Bond.target, MAX_INT_256); // owner trades, so the beneficiaries only receive royalties
+    });
+
+    it('should be empty by default', async function () {
+      expect(await Bond.getRoyaltySplit(this.token.target)).to.deep.equal([]);
+    });
+
+    it('should update the split and emit RoyaltySplitUpdated', async function () {
+      await expect(Bond.connect(alice).updateRoyaltySplit(this.token.target, this.beneficiaries, SHARES))
+        .to.emit(Bond, 'RoyaltySplitUpdated').withArgs(this.token.target, this.beneficiaries, SHARES);
+
+      expect(await Bond.getRoyaltySplit(this.token.target)).to.deep.equal(this.beneficiaries.map((b, i) => [b, SHARES[i]]));
+    });
+
+    it('should only be updated by the creator', async function () {
+      await expect(Bond.connect(bob).updateRoyaltySplit(this.token.target, this.beneficiaries, SHARES)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+    });
+
+    it('should revert on a token without bond', async function () {
+      await expect(Bond.connect(alice).updateRoyaltySplit(BaseToken.target, this.beneficiaries, SHARES)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+    });
+
+    it('should validate the beneficiaries and shares', async function () {
+      const update = (beneficiaries, shares) => Bond.connect(alice).updateRoyaltySplit(this.token.target, beneficiaries, shares);
+      const wallets = Array.from({ length: 11 }, () => ethers.Wallet.createRandom().address);
+
+      await expect(update(wallets, Array(11).fill(909n))).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('TOO_MANY_BENEFICIARIES');
+      await expect(update(this.beneficiaries, [5000n, 5000n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('LENGTH_DO_NOT_MATCH');
+      await expect(update([alice.address, ethers.ZeroAddress], [5000n, 5000n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('INVALID_BENEFICIARY');
+      await expect(update([alice.address, bob.address], [10000n, 0n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('SHARE_CANNOT_BE_ZERO');
+      await expect(update([alice.address, bob.address], [5000n, 4999n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('INVALID_TOTAL_SHARE');
+      await expect(update([alice.address, bob.address], [5000n, 5001n])).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidRoyaltySplit').withArgs('INVALID_TOTAL_SHARE');
+    });
+
+    it('should allow up to 10 beneficiaries', async function () {
+      const wallets = Array.from({ length: 10 }, () => ethers.Wallet.createRandom().address);
+      await Bond.connect(alice).updateRoyaltySplit(this.token.target, wallets, Array(10).fill(1000n));
+
+      expect((await Bond.getRoyaltySplit(this.token.target)).length).to.equal(10);
+    });
+
+    describe('Credit', function () {
+      beforeEach(async function () {
+        await Bond.connect(alice).updateRoyaltySplit(this.token.target, this.beneficiaries, SHARES);
+
+        // reserveToBond: 666,666,666,667 -> royalty: 66,666,666,666 -> creator cut: 53,333,333,333 (not divisible by the shares)
+        const tokensToMint = 333333333333333333333n;
+        const [, royalty] = await Bond.getReserveForToken(this.token.target, tokensToMint);
+        this.royalty = royalty;
+        this.cuts = splitRoyalty(royalty);
+        await Bond.mint(this.token.target, tokensToMint, MAX_INT_256);
+      });
+
+      it('should credit the creator cut pro rata with the remainder to the last beneficiary', async function () {
+        const expected = splitCreatorCut(this.cuts.creatorCut, this.beneficiaries.map((b, i) => ({ beneficiary: b, share: SHARES[i] })));
+        expect(expected.map(e => e.amount)).to.deep.equal([17775999999n, 17775999999n, 17781333335n]);
+
+        for (const { beneficiary, amount } of expected) {
+          expect(await Bond.userTokenRoyaltyBalance(beneficiary, BaseToken.target)).to.equal(amount);
+        }
+      });
+
+      it('should still add the protocol cut to the protocol beneficiary', async function () {
+        expect(await Bond.userTokenRoyaltyBalance(beneficiary.address, BaseToken.target)).to.equal(this.cuts.protocolCut);
+      });
+
+      it('should credit the burn royalty with the split', async function () {
+        const [, royalty] = await Bond.getRefundForTokens(this.token.target, wei(100));
+        await this.token.approve(Bond.target, wei(100));
+        await Bond.burn(this.token.target, wei(100), 0n);
+
+        const burnCut = splitRoyalty(royalty).creatorCut;
+        expect(await Bond.userTokenRoyaltyBalance(bob.address, BaseToken.target)).to.equal(17775999999n + burnCut * 3333n / 10000n);
+      });
+
+      it('should let each beneficiary claim its share', async function () {
+        await Bond.connect(carol).claimRoyalties(BaseToken.target);
+        expect(await BaseToken.balanceOf(carol.address)).to.equal(17781333335n);
+      });
+
+      it('should credit the creator again after removing the split', async function () {
+        await expect(Bond.connect(alice).updateRoyaltySplit(this.token.target, [], []))
+          .to.emit(Bond, 'RoyaltySplitUpdated').withArgs(this.token.target, [], []);
+        expect(await Bond.getRoyaltySplit(this.token.target)).to.deep.equal([]);
+
+        await Bond.mint(this.token.target, 333333333333333333333n, MAX_INT_256);
+        expect(await Bond.userTokenRoyaltyBalance(alice.address, BaseToken.target)).to.equal(17775999999n + this.cuts.creatorCut);
+        expect(await Bond.userTokenRoyaltyBalance(bob.address, BaseToken.target)).to.equal(17775999999n);
+      });
+    }); // Credit
+
+    describe('Creator update', function () {
+      beforeEach(async function () {
+        await Bond.connect(alice).updateRoyaltySplit(this.token.target, this.beneficiaries, SHARES);
+      });
+
+      it('should reset the split so the new creator gets the whole creator cut', async function () {
+        await expect(Bond.connect(alice).updateBondCreator(this.token.target, DEAD_ADDRESS))
+          .to.emit(Bond, 'RoyaltySplitUpdated').withArgs(this.token.target, [], []);
+        expect(await Bond.getRoyaltySplit(this.token.target)).to.deep.equal([]);
+
+        const [, royalty] = await Bond.getReserveForToken(this.token.target, wei(500));
+        await Bond.mint(this.token.target, wei(500), MAX_INT_256);
+        expect(await Bond.userTokenRoyaltyBalance(DEAD_ADDRESS, BaseToken.target)).to.equal(splitRoyalty(royalty).creatorCut);
+      });
+
+      it('should not emit RoyaltySplitUpdated without a split', async function () {
+        await Bond.connect(alice).updateRoyaltySplit(this.token.target, [], []);
+        await expect(Bond.connect(alice).updateBondCreator(this.token.target, bob.address)).not.to.emit(Bond, 'RoyaltySplitUpdated');
+      });
+
+      it('should let the new creator update the split instead of the previous one', async function () {
+        await Bond.connect(alice).updateBondCreator(this.token.target, bob.address);
+
+        await expect(Bond.connect(alice).updateRoyaltySplit(this.token.target, this.beneficiaries, SHARES)).to.be.
+          revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+        await Bond.connect(bob).updateRoyaltySplit(this.token.target, [bob.address, carol.address], [5000n, 5000n]);
+        expect((await Bond.getRoyaltySplit(this.token.target)).length).to.equal(2);
+      });
+    }); // Creator update
+  }); // Royalty split
+
+  describe('Referral fee', function () {
+    const REFERRAL_FEE = 100n; // 1%
+
+    // 100 tokens @ 2 gwei: reserveToBond 200 gwei -> royalty 20 gwei (10%), referral fee 2 gwei (1%)
+    const TOKENS = wei(100);
+    const REFERRAL_FEE_AMOUNT = wei(2, 9);
+
+    beforeEach(async function () {
+      await changeParameter(Bond, Parameter.MAX_REFERRAL_FEE, 200n);
+      await BaseToken.approve(Bond.target, MAX_INT_256);
+      await this.token.approve(Bond.target, MAX_INT_256);
+      this.deadline = BigInt(await time.latest()) + 60n;
+      this.bond = { ...BABY_TOKEN.bondParams, decimals: 18 };
+    });
+
+    it('should update the max referral fee through the timelock', async function () {
+      await Bond.queueParameterChange(Parameter.MAX_REFERRAL_FEE, NULL_ADDRESS, 5000n);
+      await expect(Bond.executeParameterChange(Parameter.MAX_REFERRAL_FEE, NULL_ADDRESS)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__ParameterChangeNotReady');
+      expect(await Bond.maxReferralFee()).to.equal(200n);
+
+      await time.increase(await Bond.PARAMETER_CHANGE_DELAY());
+      await expect(Bond.executeParameterChange(Parameter.MAX_REFERRAL_FEE, NULL_ADDRESS))
+        .to.emit(Bond, 'MaxReferralFeeUpdated').withArgs(5000n);
+      expect(await Bond.maxReferralFee()).to.equal(5000n);
+    });
+
+    it('should only queue a max referral fee up to 50% by the owner', async function () {
+      await expect(Bond.queueParameterChange(Parameter.MAX_REFERRAL_FEE, NULL_ADDRESS, 5001n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      await expect(Bond.queueParameterChange(Parameter.MAX_REFERRAL_FEE, BaseToken.target, 100n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Royalty__InvalidParameterChange');
+      await expect(Bond.connect(alice).queueParameterChange(Parameter.MAX_REFERRAL_FEE, NULL_ADDRESS, 0n)).to.be.
+        revertedWithCustomError(Bond, 'OwnableUnauthorizedAccount');
+    });
+
+    it('should quote the referral fee on top of the mint royalty, same as utils/bond-curve', async function () {
+      expect(await Bond.getReserveForTokenWithReferral(this.token.target, TOKENS, REFERRAL_FEE))
+        .to.deep.equal([wei(222, 9), wei(20, 9), REFERRAL_FEE_AMOUNT]);
+
+      const quote = getReserveForToken(this.bond, wei(10000), TOKENS, REFERRAL_FEE);
+      expect([quote.reserveAmount, quote.royalty, quote.referralFee]).to.deep.equal([wei(222, 9), wei(20, 9), REFERRAL_FEE_AMOUNT]);
+    });
+
+    it('should quote the referral fee on top of the burn royalty, same as utils/bond-curve', async function () {
+      await Bond.mint(this.token.target, TOKENS, MAX_INT_256);
+
+      expect(await Bond.getRefundForTokensWithReferral(this.token.target, TOKENS, REFERRAL_FEE))
+        .to.deep.equal([wei(178, 9), wei(20, 9), REFERRAL_FEE_AMOUNT]);
+
+      const quote = getRefundForTokens(this.bond, wei(10100), TOKENS, REFERRAL_FEE);
+      expect([quote.refundAmount, quote.royalty, quote.referralFee]).to.deep.equal([wei(178, 9), wei(20, 9), REFERRAL_FEE_AMOUNT]);
+    });
+
+    it('should not quote a referral fee over the max', async function () {
+      await expect(Bond.getReserveForTokenWithReferral(this.token.target, TOKENS, 201n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferralFee');
+      await expect(Bond.getRefundForTokensWithReferral(this.token.target, TOKENS, 201n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferralFee');
+    });
+
+    describe('Mint', function () {
+      it('should charge the referral fee on top of the reserve amount', async function () {
+        await expect(
+          Bond.mintWithReferral(this.token.target, TOKENS, wei(222, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE)
+        ).to.changeTokenBalances(BaseToken, [owner, Bond], [-wei(222, 9), wei(222, 9)]);
+      });
+
+      it('should emit ReferralFeePaid and Mint with the referral fee', async function () {
+        await expect(Bond.mintWithReferral(this.token.target, TOKENS, wei(222, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE))
+          .to.emit(Bond, 'ReferralFeePaid').withArgs(this.token.target, carol.address, BaseToken.target, REFERRAL_FEE_AMOUNT)
+          .and.to.emit(Bond, 'Mint').withArgs(this.token.target, owner.address, owner.address, TOKENS, BaseToken.target, wei(222, 9));
+      });
+
+      it('should credit the whole referral fee to the referrer without changing the royalty or reserve', async function () {
+        await Bond.mintWithReferral(this.token.target, TOKENS, wei(222, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE);
+
+        const { creatorCut, protocolCut } = splitRoyalty(wei(20, 9));
+        expect(await Bond.userTokenRoyaltyBalance(carol.address, BaseToken.target)).to.equal(REFERRAL_FEE_AMOUNT);
+        expect(await Bond.userTokenRoyaltyBalance(alice.address, BaseToken.target)).to.equal(creatorCut);
+        expect(await Bond.userTokenRoyaltyBalance(beneficiary.address, BaseToken.target)).to.equal(protocolCut);
+        expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(wei(200, 9));
+      });
+
+      it('should let the referrer claim the referral fee', async function () {
+        await Bond.mintWithReferral(this.token.target, TOKENS, wei(222, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE);
+
+        await expect(Bond.connect(carol).claimRoyalties(BaseToken.target))
+          .to.changeTokenBalances(BaseToken, [carol, Bond], [REFERRAL_FEE_AMOUNT, -REFERRAL_FEE_AMOUNT]);
+      });
+
+      it('should include the referral fee in the slippage check', async function () {
+        await expect(
+          Bond.mintWithReferral(this.token.target, TOKENS, wei(222, 9) - 1n, owner.address, this.deadline, carol.address, REFERRAL_FEE)
+        ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+      });
+
+      it('should revert without a referrer, over the max fee or after the deadline', async function () {
+        const mint = (referrer, referralFee, deadline) =>
+          Bond.mintWithReferral(this.token.target, TOKENS, MAX_INT_256, owner.address, deadline, referrer, referralFee);
+
+        await expect(mint(ethers.ZeroAddress, REFERRAL_FEE, this.deadline)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferrer');
+        await expect(mint(carol.address, 201n, this.deadline)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferralFee');
+        await expect(mint(carol.address, REFERRAL_FEE, BigInt(await time.latest()))).to.be.
+          revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+      });
+
+      it('should not credit or emit a zero referral fee, with or without a referrer', async function () {
+        for (const referrer of [carol.address, ethers.ZeroAddress]) {
+          await expect(Bond.mintWithReferral(this.token.target, TOKENS, wei(220, 9), owner.address, this.deadline, referrer, 0n))
+            .to.emit(Bond, 'Mint').withArgs(this.token.target, owner.address, owner.address, TOKENS, BaseToken.target, wei(220, 9))
+            .and.not.to.emit(Bond, 'ReferralFeePaid');
+        }
+        expect(await Bond.userTokenRoyaltyBalance(carol.address, BaseToken.target)).to.equal(0n);
+      });
+    }); // Mint
+
+    describe('Burn', function () {
+      beforeEach(async function () {
+        await Bond.mint(this.token.target, TOKENS, MAX_INT_256);
+      });
+
+      it('should deduct the referral fee from the refund', async function () {
+        await expect(
+          Bond.burnWithReferral(this.token.target, TOKENS, wei(178, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE)
+        ).to.changeTokenBalances(BaseToken, [owner, Bond], [wei(178, 9), -wei(178, 9)]);
+      });
+
+      it('should emit ReferralFeePaid and Burn with the referral fee', async function () {
+        await expect(Bond.burnWithReferral(this.token.target, TOKENS, wei(178, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE))
+          .to.emit(Bond, 'ReferralFeePaid').withArgs(this.token.target, carol.address, BaseToken.target, REFERRAL_FEE_AMOUNT)
+          .and.to.emit(Bond, 'Burn').withArgs(this.token.target, owner.address, owner.address, TOKENS, BaseToken.target, wei(178, 9));
+      });
+
+      it('should credit the referral fee and empty the reserve balance', async function () {
+        await Bond.burnWithReferral(this.token.target, TOKENS, wei(178, 9), owner.address, this.deadline, carol.address, REFERRAL_FEE);
+
+        expect(await Bond.userTokenRoyaltyBalance(carol.address, BaseToken.target)).to.equal(REFERRAL_FEE_AMOUNT);
+        expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(0n);
+
+        // Every royalty and referral fee is still claimable from the bond
+        const royalties = await Promise.all([alice, beneficiary, carol].map(w => Bond.userTokenRoyaltyBalance(w.address, BaseToken.target)));
+        expect(await BaseToken.balanceOf(Bond.target)).to.equal(royalties.reduce((a, b) => a + b, 0n));
+      });
+
+      it('should include the referral fee in the slippage check', async function () {
+        await expect(
+          Bond.burnWithReferral(this.token.target, TOKENS, wei(178, 9) + 1n, owner.address, this.deadline, carol.address, REFERRAL_FEE)
+        ).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__SlippageLimitExceeded');
+      });
+
+      it('should revert without a referrer or over the max fee', async function () {
+        const burn = (referrer, referralFee) =>
+          Bond.burnWithReferral(this.token.target, TOKENS, 0n, owner.address, this.deadline, referrer, referralFee);
+
+        await expect(burn(ethers.ZeroAddress, REFERRAL_FEE)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferrer');
+        await expect(burn(carol.address, 201n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__InvalidReferralFee');
+      });
+
+      it('should not credit or emit a zero referral fee, with or without a referrer', async function () {
+        await expect(Bond.burnWithReferral(this.token.target, TOKENS, wei(180, 9), owner.address, this.deadline, ethers.ZeroAddress, 0n))
+          .to.emit(Bond, 'Burn').withArgs(this.token.target, owner.address, owner.address, TOKENS, BaseToken.target, wei(180, 9))
+          .and.not.to.emit(Bond, 'ReferralFeePaid');
+        expect((await Bond.tokenBond(this.token.target)).reserveBalance).to.equal(0n);
+      });
+    }); // Burn
+  }); // Referral fee
 }); // Royalty
\ No newline at end of file
@@ -0,0 +1,197 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  NATIVE_TOKEN,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  runSilently,
+  wei
+} = require('./utils/test-utils');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+const ERC20_CURVE = path.join(__dirname, '../tasks/examples/baby-token.json');
+const ERC1155_CURVE = path.join(__dirname, '../tasks/examples/sigmoid-nft.yaml');
+
+describe('BondTasks', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, wei(1, 15)]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 18n]); // supply: 200M
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  let Bond, BaseToken;
+  let owner;
+
+  beforeEach(async function () {
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    [owner] = await ethers.getSigners();
+  });
+
+  describe('ERC20 token', function () {
+    beforeEach(async function () {
+      const { token } = await runSilently('bond:create', { bond: Bond.target, curve: ERC20_CURVE, reserveToken: BaseToken.target });
+      this.token = await ethers.getContractAt('MCV2_Token', token);
+    });
+
+    it('should create the token from a JSON file and pay the creation fee', async function () {
+      expect(await Bond.tokens(0)).to.equal(this.token.target);
+      expect(await this.token.symbol()).to.equal('BABY');
+      expect(await ethers.provider.getBalance(PROTOCOL_BENEFICIARY)).to.equal(wei(1, 15));
+    });
+
+    it('should mint with an approval and a slippage bound', async function () {
+      const result = await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100', slippage: 50 });
+
+      expect(result.tokensToMint).to.equal(wei(100));
+      expect(result.reserveAmount).to.equal(wei(202)); // 100 * 2 + 1% mint royalty
+      expect(result.maxReserveAmount).to.equal(wei(202) * 10050n / 10000n);
+      expect(await this.token.balanceOf(owner.address)).to.equal(wei(10100)); // 10,000 free tokens + 100
+      expect(await BaseToken.balanceOf(Bond.target)).to.equal(wei(202));
+    });
+
+    it('should burn with an approval and a slippage bound', async function () {
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100' });
+      const result = await runSilently('bond:burn', { bond: Bond.target, token: this.token.target, amount: '50' });
+
+      expect(result.refundAmount).to.equal(wei(97)); // 50 * 2 - 3% burn royalty
+      expect(result.minRefund).to.equal(wei(97) * 9900n / 10000n);
+      expect(await this.token.balanceOf(owner.address)).to.equal(wei(10050));
+    });
+
+    it('should mint and burn on behalf of a receiver', async function () {
+      const [, alice] = await ethers.getSigners();
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100', receiver: alice.address });
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(100));
+
+      const baseBalance = await BaseToken.balanceOf(owner.address);
+      await runSilently('bond:burn', { bond: Bond.target, token: this.token.target, amount: '50', receiver: alice.address });
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(97)); // 50 * 2 - 3% burn royalty
+      expect(await BaseToken.balanceOf(owner.address)).to.equal(baseBalance);
+    });
+
+    it('should send trades with a deadline', async function () {
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100', deadline: 60 });
+      expect(await this.token.balanceOf(owner.address)).to.equal(wei(10100));
+
+      // The next block is at least 1 second after the latest one
+      await expect(runSilently('bond:burn', { bond: Bond.target, token: this.token.target, amount: '50', deadline: 0 }))
+        .to.be.revertedWithCustomError(Bond, 'MCV2_Bond__DeadlineExpired');
+    });
+
+    it('should claim royalties', async function () {
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100' });
+      const balanceBefore = await BaseToken.balanceOf(owner.address);
+      const result = await runSilently('bond:claim-royalties', { bond: Bond.target, reserveToken: BaseToken.target });
+
+      expect(result.amount).to.equal(wei(16, 17)); // 80% of 2
+      expect(await BaseToken.balanceOf(owner.address)).to.equal(balanceBefore + wei(16, 17));
+    });
+
+    it('should fail to claim if there is nothing to claim', async function () {
+      await expect(runSilently('bond:claim-royalties', { bond: Bond.target, reserveToken: BaseToken.target }))
+        .to.be.rejectedWith('Nothing to claim');
+    });
+
+    it('should show the bond info', async function () {
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '100' });
+      const info = await runSilently('bond:info', { bond: Bond.target, token: this.token.target });
+
+      expect(info.creator).to.equal(owner.address);
+      expect(info.mintRoyalty).to.equal(100n);
+      expect(info.burnRoyalty).to.equal(300n);
+      expect(info.currentSupply).to.equal(wei(10100));
+      expect(info.reserveBalance).to.equal(wei(200));
+      expect(info.steps.length).to.equal(8);
+    });
+
+    it('should reject an invalid curve before sending a transaction', async function () {
+      const file = path.join(os.tmpdir(), `invalid-curve-${Date.now()}.json`);
+      const def = JSON.parse(fs.readFileSync(ERC20_CURVE, 'utf8'));
+      fs.writeFileSync(file, JSON.stringify({ ...def, symbol: 'BABY2', stepPrices: [...def.stepPrices].reverse() }));
+
+      try {
+        await expect(runSilently('bond:create', { bond: Bond.target, curve: file, reserveToken: BaseToken.target }))
+          .to.be.rejectedWith("MCV2_Bond__InvalidStepParams('DECREASING_PRICE') at step 1");
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should reject unknown tokens', async function () {
+      await expect(runSilently('bond:mint', { bond: Bond.target, token: BaseToken.target, amount: '1' }))
+        .to.be.rejectedWith('does not exist on the bond');
+    });
+  }); // ERC20 token
+
+  describe('ERC1155 token', function () {
+    beforeEach(async function () {
+      const { token } = await runSilently('bond:create', { bond: Bond.target, curve: ERC1155_CURVE, reserveToken: BaseToken.target, maxSteps: MAX_STEPS });
+      this.token = await ethers.getContractAt('MCV2_MultiToken', token);
+    });
+
+    it('should create the token from generated steps in a YAML file', async function () {
+      expect(await this.token.symbol()).to.equal('SIGNFT');
+      expect(await Bond.maxSupply(this.token.target)).to.equal(1000n);
+      expect((await Bond.getSteps(this.token.target)).length).to.equal(100);
+    });
+
+    it('should mint and burn with setApprovalForAll', async function () {
+      await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '15' });
+      expect(await this.token.balanceOf(owner.address, 0)).to.equal(15n);
+
+      await runSilently('bond:burn', { bond: Bond.target, token: this.token.target, amount: '5' });
+      expect(await this.token.balanceOf(owner.address, 0)).to.equal(10n);
+      expect(await this.token.isApprovedForAll(owner.address, Bond.target)).to.equal(true);
+    });
+
+    it('should limit the generated steps to the maxSteps of the network deploy config by default', async function () {
+      const file = path.join(os.tmpdir(), `too-many-steps-${Date.now()}.json`);
+      fs.writeFileSync(file, JSON.stringify({
+        type: 'ERC1155', name: 'Fine NFT', symbol: 'FINENFT', uri: 'https://mint.club',
+        generator: { curve: 'linear', maxSupply: 1000, startPrice: 1, endPrice: 100, stepCount: MAX_STEPS + 1 }
+      }));
+
+      try {
+        await expect(runSilently('bond:create', { bond: Bond.target, curve: file, reserveToken: BaseToken.target }))
+          .to.be.rejectedWith(`stepCount exceeds the max steps (${MAX_STEPS})`);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  }); // ERC1155 token
+
+  describe('Native reserve', function () {
+    beforeEach(async function () {
+      const { token } = await runSilently('bond:create', { bond: Bond.target, curve: ERC1155_CURVE, reserveToken: NATIVE_TOKEN });
+      this.token = await ethers.getContractAt('MCV2_MultiToken', token);
+    });
+
+    it('should mint with the native coin and burn for a native refund', async function () {
+      const { reserveAmount } = await runSilently('bond:mint', { bond: Bond.target, token: this.token.target, amount: '15' });
+      expect(await this.token.balanceOf(owner.address, 0)).to.equal(15n);
+      expect(await ethers.provider.getBalance(Bond.target)).to.equal(reserveAmount); // the slippage margin is refunded
+
+      const { refundAmount } = await runSilently('bond:burn', { bond: Bond.target, token: this.token.target, amount: '5' });
+      expect(await ethers.provider.getBalance(Bond.target)).to.equal(reserveAmount - refundAmount);
+
+      const info = await runSilently('bond:info', { bond: Bond.target, token: this.token.target });
+      expect(info.reserveToken).to.equal(NATIVE_TOKEN);
+    });
+  }); // Native reserve
+});
@@ -0,0 +1,199 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  MAX_INT_256,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+const ONE_DAY = 86400n;
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 0n,
+    burnRoyalty: 0n,
+    reserveToken: null, // Should be set later
+    maxSupply: wei(1000),
+    stepRanges: [ wei(100), wei(1000) ],
+    stepPrices: [ 0n, wei(1) ],
+    mintStartTime: 0n, // Should be set later
+    burnStartTime: 0n // Should be set later
+  }
+};
+
+describe('TradingStart', function () {
+  let Bond, BaseToken;
+  let owner, alice, bob;
+
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(1000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+
+    // alice creates the token, burning opens in a day and minting in two days
+    const now = BigInt(await time.latest());
+    this.mintStartTime = now + ONE_DAY * 2n;
+    this.burnStartTime = now + ONE_DAY;
+    await Bond.connect(alice).createToken(Object.values(BABY_TOKEN.tokenParams), Object.values({
+      ...BABY_TOKEN.bondParams,
+      mintStartTime: this.mintStartTime,
+      burnStartTime: this.burnStartTime
+    }));
+    this.token = await ethers.getContractAt('MCV2_Token', await Bond.tokens(0));
+
+    await BaseToken.transfer(bob.address, wei(10000));
+    await BaseToken.connect(bob).approve(Bond.target, MAX_INT_256);
+    await this.token.connect(bob).approve(Bond.target, MAX_INT_256);
+    await this.token.connect(alice).approve(Bond.target, MAX_INT_256);
+  });
+
+  describe('Create token', function () {
+    it('should store the start times', async function () {
+      const bond = await Bond.tokenBond(this.token.target);
+      expect(bond.mintStartTime).to.equal(this.mintStartTime);
+      expect(bond.burnStartTime).to.equal(this.burnStartTime);
+    });
+
+    it('should return the start times in the bond info', async function () {
+      const { info } = await Bond.getDetail(this.token.target);
+      expect(info.mintStartTime).to.equal(this.mintStartTime);
+      expect(info.burnStartTime).to.equal(this.burnStartTime);
+
+      const [listed] = await Bond.getList(0, 1);
+      expect(listed.mintStartTime).to.equal(this.mintStartTime);
+    });
+
+    it('should still mint the free range to the creator', async function () {
+      expect(await this.token.balanceOf(alice.address)).to.equal(wei(100));
+    });
+
+    it('should not let burning open after minting', async function () {
+      const now = BigInt(await time.latest());
+      const create = (symbol, mintStartTime, burnStartTime) => Bond.connect(alice).createToken(
+        ['Locked Token', symbol], Object.values({ ...BABY_TOKEN.bondParams, mintStartTime, burnStartTime })
+      );
+
+      await expect(create('LOCKED', now + ONE_DAY, now + ONE_DAY * 2n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams').withArgs('burnStartTime');
+      await expect(create('LOCKED', 0n, now + ONE_DAY)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__InvalidTokenCreationParams').withArgs('burnStartTime');
+
+      await create('SAME', now + ONE_DAY, now + ONE_DAY);
+    });
+  }); // Create token
+
+  describe('Before the start times', function () {
+    it('should not mint before the mint start time', async function () {
+      const t = this.token.target;
+      await expect(Bond.connect(bob).mint(t, wei(10), MAX_INT_256)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__MintNotStarted');
+      await expect(Bond.connect(bob).mintWithReserveAmount(t, wei(10), 0n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__MintNotStarted');
+    });
+
+    it('should mint from the mint start time on', async function () {
+      await time.setNextBlockTimestamp(this.mintStartTime);
+      await Bond.connect(bob).mint(this.token.target, wei(10), MAX_INT_256);
+      expect(await this.token.balanceOf(bob.address)).to.equal(wei(10));
+    });
+
+    it('should not burn before the burn start time', async function () {
+      // Only the creator holds tokens (the free range) before minting opens
+      await expect(Bond.connect(alice).burn(this.token.target, wei(10), 0n)).to.be.revertedWithCustomError(Bond, 'MCV2_Bond__BurnNotStarted');
+    });
+
+    it('should burn from the burn start time on', async function () {
+      await time.setNextBlockTimestamp(this.burnStartTime);
+      await expect(Bond.connect(alice).burn(this.token.target, wei(10), 0n))
+        .to.changeTokenBalance(this.token, alice, -wei(10));
+    });
+
+    it('should let holders burn as soon as minting opens', async function () {
+      await time.increaseTo(this.mintStartTime);
+      await Bond.connect(bob).mint(this.token.target, wei(10), MAX_INT_256);
+
+      await expect(Bond.connect(bob).burn(this.token.target, wei(10), 0n))
+        .to.changeTokenBalances(BaseToken, [bob, Bond], [wei(10), -wei(10)]);
+    });
+  }); // Before the start times
+
+  describe('Update start times', function () {
+    it('should let the creator postpone the start times', async function () {
+      const mintStartTime = this.mintStartTime + ONE_DAY;
+      const burnStartTime = this.burnStartTime + ONE_DAY;
+      await expect(Bond.connect(alice).updateTradingStartTimes(this.token.target, mintStartTime, burnStartTime))
+        .to.emit(Bond, 'TradingStartTimesUpdated').withArgs(this.token.target, mintStartTime, burnStartTime);
+
+      const bond = await Bond.tokenBond(this.token.target);
+      expect([bond.mintStartTime, bond.burnStartTime]).to.deep.equal([mintStartTime, burnStartTime]);
+
+      await time.increaseTo(this.mintStartTime);
+      await expect(Bond.connect(bob).mint(this.token.target, wei(10), MAX_INT_256)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__MintNotStarted');
+    });
+
+    it('should open trading at once with 0', async function () {
+      await Bond.connect(alice).updateTradingStartTimes(this.token.target, 0n, 0n);
+
+      await Bond.connect(bob).mint(this.token.target, wei(10), MAX_INT_256);
+      await Bond.connect(bob).burn(this.token.target, wei(10), 0n);
+    });
+
+    it('should not update a start time that has passed', async function () {
+      await time.increaseTo(this.burnStartTime);
+
+      await expect(Bond.connect(alice).updateTradingStartTimes(this.token.target, this.mintStartTime, this.burnStartTime + 60n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__TradingStartTimePassed');
+
+      // The mint start time is still in the future
+      await Bond.connect(alice).updateTradingStartTimes(this.token.target, this.mintStartTime + ONE_DAY, this.burnStartTime);
+      expect((await Bond.tokenBond(this.token.target)).mintStartTime).to.equal(this.mintStartTime + ONE_DAY);
+    });
+
+    it('should not let burning open after minting', async function () {
+      const t = this.token.target;
+      await expect(Bond.connect(alice).updateTradingStartTimes(t, this.mintStartTime, this.mintStartTime + 1n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__BurnStartsAfterMint');
+      await expect(Bond.connect(alice).updateTradingStartTimes(t, this.burnStartTime - 1n, this.burnStartTime)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__BurnStartsAfterMint');
+      await expect(Bond.connect(alice).updateTradingStartTimes(t, 0n, this.burnStartTime)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__BurnStartsAfterMint');
+
+      await Bond.connect(alice).updateTradingStartTimes(t, this.mintStartTime, this.mintStartTime);
+      expect((await Bond.tokenBond(t)).burnStartTime).to.equal(this.mintStartTime);
+    });
+
+    it('should not update the start times of a token opened on creation', async function () {
+      await Bond.connect(alice).createToken(['Open Token', 'OPEN'], Object.values(BABY_TOKEN.bondParams));
+      const token = await Bond.tokens(1);
+
+      await expect(Bond.connect(alice).updateTradingStartTimes(token, this.mintStartTime, 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__TradingStartTimePassed');
+    });
+
+    it('should only let the creator update the start times', async function () {
+      await expect(Bond.connect(bob).updateTradingStartTimes(this.token.target, 0n, 0n)).to.be.
+        revertedWithCustomError(Bond, 'MCV2_Bond__PermissionDenied');
+    });
+  }); // Update start times
+}); // TradingStart
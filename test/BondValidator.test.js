@@ -0,0 +1,245 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  NULL_ADDRESS,
+  ZERO_BYTES32,
+  MAX_INT_256,
+  NATIVE_TOKEN,
+  PROTOCOL_BENEFICIARY,
+  MAX_ROYALTY_RANGE,
+  Parameter,
+  getMaxSteps,
+  changeParameter,
+  wei
+} = require('./utils/test-utils');
+const { validateCreateToken, validateCreateMultiToken } = require('../utils/bond-validator');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 100n, // 1%
+    burnRoyalty: 100n, // 1%
+    reserveToken: null, // Should be set later
+    maxSupply: wei(10000000), // supply: 10M
+    stepRanges: [ wei(10000), wei(100000), wei(200000), wei(500000), wei(1000000), wei(2000000), wei(5000000), wei(10000000) ],
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9), wei(4, 9), wei(5, 9), wei(7, 9), wei(10, 9), wei(15, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+const MULTI_TOKEN = {
+  tokenParams: { name: 'Multi Token', symbol: 'MULTI', uri: 'https://api.hunt.town/token-metadata/buildings/0.json' },
+  bondParams: {
+    mintRoyalty: 500n, // 5%
+    burnRoyalty: 500n, // 5%
+    reserveToken: null, // Should be set later
+    maxSupply: 100n,
+    stepRanges: [ 10n, 30n, 50n, 100n ],
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(5, 9), wei(10, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('BondValidator', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000, 9), 'Test Token', 'TEST', 9n]); // supply: 200M
+    await BaseToken.waitForDeployment();
+
+    return [TokenImplementation, NFTImplementation, Bond, BaseToken];
+  }
+
+  let TokenImplementation, NFTImplementation, Bond, BaseToken;
+
+  beforeEach(async function () {
+    [TokenImplementation, NFTImplementation, Bond, BaseToken] = await loadFixture(deployFixtures);
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+    MULTI_TOKEN.bondParams.reserveToken = BaseToken.target;
+  });
+
+  async function expectSameRevert(result, tx) {
+    expect(result.valid).to.equal(false);
+    if (result.reason) {
+      await expect(tx).to.be.revertedWithCustomError(Bond, result.error).withArgs(result.reason);
+    } else {
+      await expect(tx).to.be.revertedWithCustomError(Bond, result.error);
+    }
+  }
+
+  describe('createToken', function () {
+    const INVALID_CASES = [
+      ['name', { name: '' }, {}, 'name'],
+      ['symbol', { symbol: '' }, {}, 'symbol'],
+      ['mint royalty', {}, { mintRoyalty: MAX_ROYALTY_RANGE + 1n }, 'mintRoyalty'],
+      ['burn royalty', {}, { burnRoyalty: MAX_ROYALTY_RANGE + 1n }, 'burnRoyalty'],
+      ['reserve token', {}, { reserveToken: NULL_ADDRESS }, 'reserveToken'],
+      ['max supply', {}, { maxSupply: 0n }, 'maxSupply'],
+      ['empty steps', {}, { stepRanges: [], stepPrices: [] }, 'INVALID_STEP_LENGTH'],
+      ['too many steps', {}, { stepRanges: [...Array(MAX_STEPS + 1).keys()].map(v => BigInt(v + 1)), stepPrices: [] }, 'INVALID_STEP_LENGTH'],
+      ['step length', {}, { stepRanges: [100n, 200n], stepPrices: [1n] }, 'STEP_LENGTH_DO_NOT_MATCH'],
+      ['max supply mismatch', {}, { stepRanges: [100n, 200n], stepPrices: [1n, 2n] }, 'MAX_SUPPLY_MISMATCH', 1],
+      ['zero step', {}, { stepRanges: [0n, wei(10000000)], stepPrices: [1n, 2n] }, 'STEP_CANNOT_BE_ZERO', 0],
+      ['decreasing range', {}, { stepRanges: [wei(2), wei(1), wei(10000000)], stepPrices: [1n, 2n, 3n] }, 'DECREASING_RANGE', 1],
+      ['decreasing price', {}, { stepRanges: [wei(1), wei(2), wei(10000000)], stepPrices: [1n, 3n, 2n] }, 'DECREASING_PRICE', 2],
+      ['range * price', {}, { stepRanges: [1n, wei(10000000)], stepPrices: [1n, 2n] }, 'STEP_RANG_OR_PRICE_TOO_SMALL', 0]
+    ];
+
+    for (const [name, tokenOverrides, bondOverrides, reason, index] of INVALID_CASES) {
+      it(`should return the same revert reason as the contract: ${name}`, async function () {
+        const tp = { ...BABY_TOKEN.tokenParams, ...tokenOverrides };
+        const bp = { ...BABY_TOKEN.bondParams, ...bondOverrides };
+        const result = validateCreateToken(tp, bp, { maxSteps: MAX_STEPS });
+
+        expect(result.reason).to.equal(reason);
+        expect(result.index).to.equal(index);
+        await expectSameRevert(result, Bond.createToken(Object.values(tp), Object.values(bp)));
+      });
+    }
+
+    it('should validate the reserve token interface if its metadata is given', async function () {
+      const r2 = await ethers.deployContract('TestToken', [wei(200000000), '', 'TEST', 18n]);
+      await r2.waitForDeployment();
+      const bp = { ...BABY_TOKEN.bondParams, reserveToken: r2.target };
+
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, bp, {
+        maxSteps: MAX_STEPS,
+        reserveTokenInfo: { decimals: 18, name: '', symbol: 'TEST' }
+      });
+      expect(result.reason).to.equal('name');
+      await expectSameRevert(result, Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(bp)));
+    });
+
+    it('should skip the reserve token interface checks for the native coin', async function () {
+      const bp = { ...BABY_TOKEN.bondParams, reserveToken: NATIVE_TOKEN };
+
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, bp, {
+        maxSteps: MAX_STEPS,
+        reserveTokenInfo: { decimals: undefined, name: '', symbol: '' }
+      });
+      expect(result.valid).to.equal(true);
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(bp));
+    });
+
+    it('should check the creation fee', async function () {
+      await changeParameter(Bond, Parameter.CREATION_FEE, wei(1));
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, {
+        maxSteps: MAX_STEPS,
+        creationFee: await Bond.creationFee(),
+        value: 0n
+      });
+
+      expect(result.error).to.equal('MCV2_Royalty__InvalidCreationFee');
+      await expectSameRevert(result, Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams)));
+    });
+
+    it('should check the presale params', async function () {
+      const timestamp = BigInt(await time.latest()) + 1n; // of the next block
+      const createWithPresale = presale => Bond.createTokenWithPresale(
+        Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams), Object.values(presale), MAX_INT_256
+      );
+
+      const noRoot = { merkleRoot: ZERO_BYTES32, endTime: timestamp + 60n, maxMintPerWallet: 0n };
+      let result = validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, { maxSteps: MAX_STEPS, presale: noRoot, timestamp });
+      expect(result.reason).to.equal('presaleMerkleRoot');
+      await expectSameRevert(result, createWithPresale(noRoot));
+
+      const ended = { merkleRoot: ethers.id('root'), endTime: timestamp + 1n, maxMintPerWallet: 0n };
+      result = validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, { maxSteps: MAX_STEPS, presale: ended, timestamp: timestamp + 1n });
+      expect(result.reason).to.equal('presaleEndTime');
+      await expectSameRevert(result, createWithPresale(ended));
+    });
+
+    it('should not let burning open after minting', async function () {
+      const timestamp = BigInt(await time.latest()) + 1n; // of the next block
+      const bp = { ...BABY_TOKEN.bondParams, mintStartTime: timestamp + 60n, burnStartTime: timestamp + 120n };
+
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, bp, { maxSteps: MAX_STEPS, timestamp });
+      expect(result.reason).to.equal('burnStartTime');
+      await expectSameRevert(result, Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(bp)));
+
+      const opened = { ...bp, mintStartTime: 0n };
+      expect(validateCreateToken(BABY_TOKEN.tokenParams, opened, { maxSteps: MAX_STEPS, timestamp }).reason).to.equal('burnStartTime');
+      expect(validateCreateToken(BABY_TOKEN.tokenParams, { ...bp, burnStartTime: bp.mintStartTime }, { maxSteps: MAX_STEPS, timestamp }).valid).to.equal(true);
+    });
+
+    it('should predict the token address of valid params', async function () {
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, {
+        maxSteps: MAX_STEPS,
+        bond: Bond.target,
+        implementation: TokenImplementation.target,
+        existingTokens: []
+      });
+      expect(result).to.deep.equal({ valid: true, tokenAddress: result.tokenAddress });
+
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      expect(await Bond.tokens(0)).to.equal(result.tokenAddress);
+    });
+
+    it('should predict symbol collisions', async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+
+      const result = validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, {
+        maxSteps: MAX_STEPS,
+        bond: Bond.target,
+        implementation: TokenImplementation.target,
+        existingTokens: [await Bond.tokens(0)]
+      });
+      expect(result.error).to.equal('MCV2_Bond__TokenSymbolAlreadyExists');
+      await expectSameRevert(result, Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams)));
+    });
+
+    it('should pass valid params', function () {
+      expect(validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, { maxSteps: MAX_STEPS })).to.deep.equal({ valid: true });
+    });
+
+    it('should require maxSteps', function () {
+      expect(() => validateCreateToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams, {})).to.throw('maxSteps is required');
+    });
+  }); // createToken
+
+  describe('createMultiToken', function () {
+    it('should check the uri', async function () {
+      const tp = { ...MULTI_TOKEN.tokenParams, uri: '' };
+      const result = validateCreateMultiToken(tp, MULTI_TOKEN.bondParams, { maxSteps: MAX_STEPS });
+
+      expect(result.reason).to.equal('uri');
+      await expectSameRevert(result, Bond.createMultiToken(Object.values(tp), Object.values(MULTI_TOKEN.bondParams)));
+    });
+
+    it('should use a multiFactor of 1 for the step checks', async function () {
+      const bp = { ...MULTI_TOKEN.bondParams, stepPrices: [0n, 1n, 2n, 3n] };
+
+      expect(validateCreateToken(MULTI_TOKEN.tokenParams, bp, { maxSteps: MAX_STEPS }).reason).to.equal('STEP_RANG_OR_PRICE_TOO_SMALL');
+      expect(validateCreateMultiToken(MULTI_TOKEN.tokenParams, bp, { maxSteps: MAX_STEPS }).valid).to.equal(true);
+      await Bond.createMultiToken(Object.values(MULTI_TOKEN.tokenParams), Object.values(bp));
+    });
+
+    it('should predict symbol collisions with the multi-token implementation', async function () {
+      await Bond.createMultiToken(Object.values(MULTI_TOKEN.tokenParams), Object.values(MULTI_TOKEN.bondParams));
+
+      const result = validateCreateMultiToken(MULTI_TOKEN.tokenParams, MULTI_TOKEN.bondParams, {
+        maxSteps: MAX_STEPS,
+        bond: Bond.target,
+        implementation: NFTImplementation.target,
+        existingTokens: [await Bond.tokens(0)]
+      });
+      expect(result.error).to.equal('MCV2_Bond__TokenSymbolAlreadyExists');
+      await expectSameRevert(result, Bond.createMultiToken(Object.values(MULTI_TOKEN.tokenParams), Object.values(MULTI_TOKEN.bondParams)));
+    });
+  }); // createMultiToken
+});
@@ -0,0 +1,562 @@
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const { Interface } = require('ethers');
+const {
+  NATIVE_TOKEN,
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+const { CONTRACTS, getAbi, errors, ContractError, decodeError, parseError } = require('../utils/contract-errors');
+const { Parameter, createClient, applySlippage } = require('../utils/client');
+const { buildAirdrop } = require('../utils/merkle-airdrop');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 100n, // 1%
+    burnRoyalty: 100n, // 1%
+    reserveToken: null, // Should be set later
+    maxSupply: wei(1000),
+    stepRanges: [ wei(100), wei(500), wei(1000) ],
+    stepPrices: [ 0n, wei(2), wei(3) ]
+  }
+};
+
+async function expectError(promise, ErrorClass) {
+  try {
+    await promise;
+  } catch (e) {
+    expect(e).to.be.instanceOf(ErrorClass);
+    expect(e).to.be.instanceOf(ContractError);
+    return e;
+  }
+  expect.fail(`Expected ${ErrorClass.name}`);
+}
+
+describe('Client', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const Router = await ethers.deployContract('MCV2_BondRouter', [Bond.target]);
+    await Router.waitForDeployment();
+
+    const Locker = await ethers.deployContract('Locker');
+    await Locker.waitForDeployment();
+
+    const Distributor = await ethers.deployContract('MerkleDistributor');
+    await Distributor.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000), 'Test Token', 'TEST', 18n]);
+    await BaseToken.waitForDeployment();
+
+    return [Bond, Router, Locker, Distributor, BaseToken];
+  }
+
+  let Bond, Router, Locker, Distributor, BaseToken;
+  let owner, alice, bob;
+
+  beforeEach(async function () {
+    [Bond, Router, Locker, Distributor, BaseToken] = await loadFixture(deployFixtures);
+    [owner, alice, bob] = await ethers.getSigners();
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+
+    const addresses = { bond: Bond.target, router: Router.target, locker: Locker.target, distributor: Distributor.target };
+    this.client = createClient(owner, addresses);
+    this.aliceClient = createClient(alice, addresses);
+  });
+
+  describe('Errors', function () {
+    it('should ship the ABIs of the compiled contracts', async function () {
+      for (const contractName of CONTRACTS) {
+        expect(getAbi(contractName), contractName).to.deep.equal((await artifacts.readArtifact(contractName)).abi);
+      }
+    });
+
+    it('should define a typed error for every custom error of the contracts', function () {
+      for (const contractName of CONTRACTS) {
+        new Interface(getAbi(contractName)).forEachError(fragment => {
+          expect(errors[fragment.name], fragment.name).to.be.a('function');
+          expect(errors[fragment.name].name).to.equal(fragment.name);
+        });
+      }
+      expect(errors).to.include.keys('MCV2_Bond__InvalidStepParams', 'MCV2_Royalty__NothingToClaim', 'LockUp__InvalidParams', 'MerkleDistributor__InvalidProof', 'MCV1_Wrapper__TokenNotFound');
+    });
+
+    it('should decode revert data with its string parameters', function () {
+      const data = new Interface(getAbi('MCV2_Bond')).encodeErrorResult('MCV2_Bond__InvalidStepParams', ['DECREASING_RANGE']);
+      const error = decodeError(data);
+
+      expect(error).to.be.instanceOf(errors.MCV2_Bond__InvalidStepParams);
+      expect(error.message).to.equal('MCV2_Bond__InvalidStepParams("DECREASING_RANGE")');
+      expect(error.params).to.deep.equal({ reason: 'DECREASING_RANGE' });
+      expect(error.signature).to.equal('MCV2_Bond__InvalidStepParams(string)');
+      expect(error.data).to.equal(data);
+    });
+
+    it('should leave unknown errors as they are', function () {
+      const original = new Error('network error');
+
+      expect(decodeError('0x12345678')).to.equal(null);
+      expect(decodeError(undefined)).to.equal(null);
+      expect(parseError(original)).to.equal(original);
+    });
+  }); // Errors
+
+  describe('Bond', function () {
+    beforeEach(async function () {
+      ({ token: this.token } = await this.client.bond.createToken(BABY_TOKEN.tokenParams, BABY_TOKEN.bondParams));
+      ({ token: this.nft } = await this.client.bond.createMultiToken(
+        { name: 'Baby NFT', symbol: 'BABYNFT', uri: 'https://mint.club' },
+        { mintRoyalty: 0n, burnRoyalty: 0n, reserveToken: BaseToken.target, maxSupply: 10n, stepRanges: [10n], stepPrices: [wei(1)] }
+      ));
+      await BaseToken.transfer(alice.address, wei(10000));
+    });
+
+    it('should map the bond detail into a plain object with BigInt fields', async function () {
+      const detail = await this.client.bond.getDetail(this.token);
+
+      expect(Object.getPrototypeOf(detail)).to.equal(Object.prototype);
+      expect(detail).to.include({ mintRoyalty: 100n, burnRoyalty: 100n });
+      expect(detail.info).to.deep.include({
+        creator: owner.address,
+        token: this.token,
+        decimals: 18n,
+        symbol: 'BABY',
+        currentSupply: wei(100), // free minting range
+        maxSupply: wei(1000),
+        currentPrice: wei(2),
+        reserveToken: BaseToken.target,
+        reserveDecimals: 18n,
+        reserveBalance: 0n
+      });
+      expect(detail.steps).to.deep.equal([
+        { rangeTo: wei(100), price: 0n },
+        { rangeTo: wei(500), price: wei(2) },
+        { rangeTo: wei(1000), price: wei(3) }
+      ]);
+
+      const list = await this.client.bond.getList(0, 10);
+      expect(list.map(i => i.symbol)).to.deep.equal(['BABY', 'BABYNFT']);
+      expect(list[0]).to.deep.equal(detail.info);
+    });
+
+    it('should mint with slippage, approving the reserve token', async function () {
+      const { reserveAmount, royalty } = await this.aliceClient.bond.quoteMint(this.token, wei(100));
+      expect(reserveAmount).to.equal(wei(202)); // 100 @ 2 + 1%
+      expect(royalty).to.equal(wei(2));
+
+      const result = await this.aliceClient.bond.mint(this.token, wei(100), { slippage: 50 });
+      expect(result.maxReserveAmount).to.equal(applySlippage(wei(202), 50, true));
+      expect(result.receipt.status).to.equal(1);
+
+      const token = await ethers.getContractAt('MCV2_Token', this.token);
+      expect(await token.balanceOf(alice.address)).to.equal(wei(100));
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10000) - wei(202));
+    });
+
+    it('should mint with a fixed reserve amount', async function () {
+      const quote = await this.aliceClient.bond.quoteMintWithReserve(this.token, wei(202));
+      expect(quote).to.deep.equal({ tokensToMint: wei(100), reserveUsed: wei(202), royalty: wei(2) });
+
+      const result = await this.aliceClient.bond.mintWithReserveAmount(this.token, wei(202));
+      expect(result.minTokensOut).to.equal(applySlippage(wei(100), 100, false));
+
+      const token = await ethers.getContractAt('MCV2_Token', this.token);
+      expect(await token.balanceOf(alice.address)).to.equal(wei(100));
+      await expectError(this.aliceClient.bond.mintWithReserveAmount(this.token, 0n), errors.MCV2_Bond__InvalidReserveAmount);
+    });
+
+    it('should burn ERC20 and ERC1155 tokens, approving the bond', async function () {
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      await this.aliceClient.bond.mint(this.nft, 5n);
+
+      const { refundAmount } = await this.aliceClient.bond.quoteBurn(this.token, wei(100));
+      expect(refundAmount).to.equal(wei(198)); // 100 @ 2 - 1%
+
+      await this.aliceClient.bond.burn(this.token, wei(100));
+      await this.aliceClient.bond.burn(this.nft, 5n);
+
+      const nft = await ethers.getContractAt('MCV2_MultiToken', this.nft);
+      expect(await nft.balanceOf(alice.address, 0)).to.equal(0n);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10000) - wei(202) + wei(198));
+    });
+
+    it('should burn for a fixed refund amount, approving the bond', async function () {
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      await this.aliceClient.bond.mint(this.nft, 1n);
+
+      const quote = await this.aliceClient.bond.quoteBurnForRefund(this.token, wei(198));
+      expect(quote).to.deep.equal({ tokensToBurn: wei(100), royalty: wei(2) }); // 100 @ 2 - 1%
+
+      const result = await this.aliceClient.bond.burnForRefund(this.token, wei(198));
+      expect(result.maxTokensIn).to.equal(applySlippage(wei(100), 100, true));
+      await this.aliceClient.bond.burnForRefund(this.nft, wei(1) / 2n); // 1 token, the rest stays in the reserve
+
+      const nft = await ethers.getContractAt('MCV2_MultiToken', this.nft);
+      expect(await nft.balanceOf(alice.address, 0)).to.equal(0n);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10000) - wei(202) - wei(1) + wei(198) + wei(1) / 2n);
+      await expectError(this.aliceClient.bond.burnForRefund(this.token, wei(1)), errors.MCV2_Bond__ExceedTotalSupply);
+    });
+
+    it('should mint and burn on behalf of a receiver', async function () {
+      await this.aliceClient.bond.mint(this.token, wei(100), { receiver: bob.address });
+      await this.aliceClient.bond.mintWithReserveAmount(this.token, wei(202), { receiver: bob.address });
+
+      const token = await ethers.getContractAt('MCV2_Token', this.token);
+      expect(await token.balanceOf(bob.address)).to.equal(wei(200));
+
+      const bobClient = createClient(bob, { bond: Bond.target });
+      await bobClient.bond.burn(this.token, wei(100), { receiver: alice.address });
+      await bobClient.bond.burnForRefund(this.token, wei(198), { receiver: alice.address });
+      expect(await token.balanceOf(bob.address)).to.equal(0n);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10000) - wei(202) * 2n + wei(198) * 2n);
+    });
+
+    it('should send mints, burns and creations with a deadline', async function () {
+      // Relative to the latest block when sending, i.e. the block before the trade
+      const blockBefore = async receipt => BigInt((await ethers.provider.getBlock(receipt.blockNumber - 1)).timestamp);
+
+      const { receipt, deadline } = await this.aliceClient.bond.mint(this.token, wei(100));
+      expect(deadline).to.equal(await blockBefore(receipt) + 1200n);
+
+      const shortClient = createClient(alice, { bond: Bond.target }, { deadline: 60 });
+      const result = await shortClient.bond.burn(this.token, wei(50));
+      expect(result.deadline).to.equal(await blockBefore(result.receipt) + 60n);
+
+      const exactInput = await shortClient.bond.mintWithReserveAmount(this.token, wei(202));
+      expect(exactInput.deadline).to.equal(await blockBefore(exactInput.receipt) + 60n);
+      const exactOutput = await shortClient.bond.burnForRefund(this.token, wei(99));
+      expect(exactOutput.deadline).to.equal(await blockBefore(exactOutput.receipt) + 60n);
+
+      // The next block is at least 1 second after the latest one
+      await expectError(shortClient.bond.burn(this.token, wei(50), { deadline: 0 }), errors.MCV2_Bond__DeadlineExpired);
+      await expectError(shortClient.bond.mintWithReserveAmount(this.token, wei(202), { deadline: 0 }), errors.MCV2_Bond__DeadlineExpired);
+      await expectError(shortClient.bond.burnForRefund(this.token, wei(99), { deadline: 0 }), errors.MCV2_Bond__DeadlineExpired);
+      await expectError(
+        this.client.bond.createToken({ name: 'Late', symbol: 'LATE' }, BABY_TOKEN.bondParams, { deadline: 0 }),
+        errors.MCV2_Bond__DeadlineExpired
+      );
+    });
+
+    it('should mint and burn with permits instead of approvals', async function () {
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      const token = await ethers.getContractAt('MCV2_Token', this.token);
+
+      // A bond token as the reserve token, as TestToken does not support permits
+      const { token: child } = await this.client.bond.createToken(
+        { name: 'Child Token', symbol: 'CHILD' },
+        { ...BABY_TOKEN.bondParams, reserveToken: this.token, stepPrices: [wei(1, 17), wei(2, 17), wei(3, 17)] }
+      );
+      const { receipt } = await this.aliceClient.bond.mint(child, wei(10), { permit: true });
+      expect(receipt.logs.some(log => log.address === this.token && token.interface.parseLog(log)?.name === 'Approval')).to.equal(true);
+      expect(await (await ethers.getContractAt('MCV2_Token', child)).balanceOf(alice.address)).to.equal(wei(10));
+
+      const result = await this.aliceClient.bond.burn(this.token, wei(50), { permit: true });
+      expect(result.refundAmount).to.equal(wei(99)); // 50 @ 2 - 1%
+      expect(await token.nonces(alice.address)).to.equal(2);
+      expect(await token.allowance(alice.address, Bond.target)).to.equal(0);
+    });
+
+    it('should mint with the native coin and refund the excess', async function () {
+      const { token } = await this.client.bond.createToken(
+        { name: 'Native Baby', symbol: 'NBABY' },
+        { ...BABY_TOKEN.bondParams, reserveToken: NATIVE_TOKEN }
+      );
+      expect((await this.client.bond.getDetail(token)).info).to.deep.include({ reserveToken: NATIVE_TOKEN, reserveDecimals: 18n, reserveSymbol: 'NATIVE' });
+
+      // Sends maxReserveAmount along, only wei(202) is kept
+      const balance = await ethers.provider.getBalance(alice.address);
+      const { receipt, maxReserveAmount } = await this.aliceClient.bond.mint(token, wei(100));
+      expect(maxReserveAmount).to.equal(applySlippage(wei(202), 100, true));
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(balance - wei(202) - receipt.gasUsed * receipt.gasPrice);
+
+      await this.aliceClient.bond.mintWithReserveAmount(token, wei(202), { receiver: bob.address });
+      expect(await ethers.provider.getBalance(Bond.target)).to.equal(wei(202) * 2n);
+
+      await this.aliceClient.bond.burn(token, wei(100), { receiver: bob.address });
+      expect(await ethers.provider.getBalance(Bond.target)).to.equal(wei(202) * 2n - wei(198));
+      const erc20 = await ethers.getContractAt('MCV2_Token', token);
+      expect(await erc20.balanceOf(bob.address)).to.equal(wei(100));
+    });
+
+    it('should throw typed errors', async function () {
+      const error = await expectError(
+        this.client.bond.createToken({ name: 'Bad', symbol: 'BAD' }, { ...BABY_TOKEN.bondParams, stepRanges: [wei(500), wei(100), wei(1000)] }),
+        errors.MCV2_Bond__InvalidStepParams
+      );
+      expect(error.params.reason).to.equal('DECREASING_RANGE');
+      expect(error.cause).to.exist;
+
+      await expectError(this.aliceClient.bond.mint(this.token, wei(100), { maxReserveAmount: wei(201) }), errors.MCV2_Bond__SlippageLimitExceeded);
+      await expectError(this.client.bond.quoteMint(this.token, wei(1000)), errors.MCV2_Bond__ExceedMaxSupply);
+      await expectError(this.client.bond.getList(10, 0), errors.MCV2_BOND__InvalidPaginationParameters);
+    });
+
+    it('should decode errors bubbling up from other contracts', async function () {
+      // The client approves the reserve token, so mint without it
+      const error = await expectError(
+        this.aliceClient.bond.contract.mint(this.token, wei(100), wei(1000)).catch(e => { throw parseError(e); }),
+        errors.ERC20InsufficientAllowance
+      );
+      expect(error.params).to.deep.equal({ spender: Bond.target, allowance: 0n, needed: wei(202) });
+    });
+
+    it('should read and claim royalties', async function () {
+      await this.aliceClient.bond.mint(this.token, wei(100));
+
+      expect(await this.client.bond.getRoyaltyInfo(owner.address, BaseToken.target)).to.deep.equal({ balance: wei(2) * 8000n / 10000n, claimed: 0n });
+      await this.client.bond.claimRoyalties(BaseToken.target);
+      expect(await this.client.bond.getRoyaltyInfo(owner.address, BaseToken.target)).to.deep.equal({ balance: 0n, claimed: wei(2) * 8000n / 10000n });
+
+      await expectError(this.client.bond.claimRoyalties(BaseToken.target), errors.MCV2_Royalty__NothingToClaim);
+    });
+
+    it('should update and read the royalty split', async function () {
+      const split = [{ beneficiary: owner.address, share: 7500n }, { beneficiary: bob.address, share: 2500n }];
+      await this.client.bond.updateRoyaltySplit(this.token, split);
+      expect(await this.client.bond.getRoyaltySplit(this.token)).to.deep.equal(split);
+
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      expect((await this.client.bond.getRoyaltyInfo(bob.address, BaseToken.target)).balance).to.equal(wei(2) * 8000n / 10000n * 2500n / 10000n);
+
+      const error = await expectError(this.client.bond.updateRoyaltySplit(this.token, [split[0]]), errors.MCV2_Bond__InvalidRoyaltySplit);
+      expect(error.params.reason).to.equal('INVALID_TOTAL_SHARE');
+    });
+
+    it('should mint and burn with a referral fee', async function () {
+      await this.client.bond.queueParameterChange(Parameter.MAX_REFERRAL_FEE, 100n);
+      await time.increase(3n * 86400n);
+      await this.client.bond.executeParameterChange(Parameter.MAX_REFERRAL_FEE);
+      expect(await this.client.bond.maxReferralFee()).to.equal(100n);
+
+      const quote = await this.aliceClient.bond.quoteMint(this.token, wei(100), 100n);
+      expect(quote).to.deep.equal({ reserveAmount: wei(204), royalty: wei(2), referralFee: wei(2) }); // 100 @ 2 + 1% + 1%
+
+      const minted = await this.aliceClient.bond.mint(this.token, wei(100), { referrer: bob.address, referralFee: 100n });
+      expect(minted.referralFee).to.equal(wei(2));
+      expect((await this.client.bond.getRoyaltyInfo(bob.address, BaseToken.target)).balance).to.equal(wei(2));
+
+      const burned = await this.aliceClient.bond.burn(this.token, wei(100), { referrer: bob.address, referralFee: 100n });
+      expect(burned.refundAmount).to.equal(wei(196)); // 100 @ 2 - 1% - 1%
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10000) - wei(204) + wei(196));
+      expect((await this.client.bond.getRoyaltyInfo(bob.address, BaseToken.target)).balance).to.equal(wei(4));
+
+      await expectError(this.aliceClient.bond.quoteMint(this.token, wei(100), 101n), errors.MCV2_Bond__InvalidReferralFee);
+    });
+
+    it('should schedule and update the trading start times', async function () {
+      const mintStartTime = BigInt(await time.latest()) + 3600n;
+      const { token } = await this.client.bond.createToken({ name: 'Scheduled', symbol: 'LATER' }, { ...BABY_TOKEN.bondParams, mintStartTime });
+      expect((await this.client.bond.getDetail(token)).info).to.include({ mintStartTime, burnStartTime: 0n });
+
+      await expectError(this.aliceClient.bond.mint(token, wei(100)), errors.MCV2_Bond__MintNotStarted);
+      await this.client.bond.updateTradingStartTimes(token, 0n, 0n);
+      await this.aliceClient.bond.mint(token, wei(100));
+      await expectError(this.client.bond.updateTradingStartTimes(token, mintStartTime, 0n), errors.MCV2_Bond__TradingStartTimePassed);
+    });
+
+    it('should set the mint limits and report the mint allowance', async function () {
+      await this.client.bond.updateMintLimits(this.token, { maxTokensPerWallet: wei(150), mintInterval: 60n });
+      expect(await this.client.bond.getMintLimits(this.token)).to.deep.equal({ maxTokensPerTx: 0n, maxTokensPerWallet: wei(150), mintInterval: 60n });
+
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      const nextMintAt = BigInt(await time.latest()) + 60n;
+      expect(await this.client.bond.getMintAllowance(this.token, alice.address)).to.deep.equal({ maxTokens: wei(50), nextMintAt });
+      await expectError(this.aliceClient.bond.mint(this.token, wei(10)), errors.MCV2_Bond__MintIntervalNotPassed);
+
+      await time.increaseTo(nextMintAt);
+      await expectError(this.aliceClient.bond.mint(this.token, wei(51)), errors.MCV2_Bond__ExceedMaxMintPerWallet);
+      await expectError(this.aliceClient.bond.updateMintLimits(this.token, {}), errors.MCV2_Bond__PermissionDenied);
+    });
+
+    it('should create a presale token and mint with the allowlist', async function () {
+      const allowlist = [alice.address, bob.address];
+      const presale = { merkleRoot: buildAirdrop(allowlist).root, endTime: BigInt(await time.latest()) + 3600n, maxMintPerWallet: wei(100) };
+      const { token } = await this.client.bond.createToken({ name: 'Presale Token', symbol: 'PRESALE' }, BABY_TOKEN.bondParams, { presale });
+      expect(await this.client.bond.getPresale(token)).to.deep.equal(presale);
+
+      await expectError(this.aliceClient.bond.mint(token, wei(100)), errors.MCV2_Bond__PresaleActive);
+      await this.aliceClient.bond.mint(token, wei(100), { allowlist });
+      expect(await this.client.bond.presaleMinted(token, alice.address)).to.equal(wei(100));
+      await expectError(this.aliceClient.bond.mint(token, 1n, { allowlist }), errors.MCV2_Bond__ExceedPresaleLimit);
+      await expectError(this.client.bond.mint(token, 1n, { allowlist }), errors.MCV2_Bond__InvalidPresaleProof);
+    });
+
+    it('should queue and execute protocol parameter changes', async function () {
+      await this.client.bond.queueParameterChange(Parameter.PROTOCOL_CUT, 5000n, BaseToken.target);
+      const change = await this.client.bond.getParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target);
+      expect(change).to.deep.equal({ value: 5000n, executableAt: BigInt(await time.latest()) + 3n * 86400n });
+
+      await expectError(this.client.bond.executeParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target), errors.MCV2_Royalty__ParameterChangeNotReady);
+      await time.increaseTo(change.executableAt);
+      await this.client.bond.executeParameterChange(Parameter.PROTOCOL_CUT, BaseToken.target);
+      expect(await this.client.bond.getProtocolCut(BaseToken.target)).to.equal(5000n);
+
+      await this.aliceClient.bond.mint(this.token, wei(100));
+      expect((await this.client.bond.getRoyaltyInfo(PROTOCOL_BENEFICIARY, BaseToken.target)).balance).to.equal(wei(1));
+
+      await this.client.bond.queueParameterChange(Parameter.CREATION_FEE, wei(1));
+      await this.client.bond.cancelParameterChange(Parameter.CREATION_FEE);
+      await expectError(this.client.bond.executeParameterChange(Parameter.CREATION_FEE), errors.MCV2_Royalty__ParameterChangeNotQueued);
+      await expectError(this.aliceClient.bond.queueParameterChange(Parameter.CREATION_FEE, wei(1)), errors.OwnableUnauthorizedAccount);
+    });
+  }); // Bond
+
+  describe('Router', function () {
+    beforeEach(async function () {
+      const bondParams = { ...BABY_TOKEN.bondParams, mintRoyalty: 0n, burnRoyalty: 0n, stepPrices: [ wei(1), wei(2), wei(3) ] };
+      ({ token: this.tokenA } = await this.client.bond.createToken({ name: 'Token A', symbol: 'A' }, bondParams));
+      ({ token: this.tokenB } = await this.client.bond.createToken({ name: 'Token B', symbol: 'B' }, bondParams));
+      ({ token: this.tokenC } = await this.client.bond.createToken({ name: 'Token C', symbol: 'C' }, { ...bondParams, reserveToken: this.tokenB }));
+      ({ token: this.nft } = await this.client.bond.createMultiToken(
+        { name: 'Baby NFT', symbol: 'BABYNFT', uri: 'https://mint.club' },
+        { mintRoyalty: 0n, burnRoyalty: 0n, reserveToken: BaseToken.target, maxSupply: 10n, stepRanges: [10n], stepPrices: [wei(1)] }
+      ));
+
+      await BaseToken.transfer(alice.address, wei(10000));
+      await this.aliceClient.bond.mint(this.tokenA, wei(100)); // 100 @ 1
+    });
+
+    it('should find the path through the closest shared reserve', async function () {
+      const { router } = this.aliceClient;
+      expect(await router.findPath(this.tokenA, this.tokenB)).to.deep.equal([this.tokenA, BaseToken.target, this.tokenB]);
+      expect(await router.findPath(this.tokenA, this.tokenC)).to.deep.equal([this.tokenA, BaseToken.target, this.tokenB, this.tokenC]);
+      expect(await router.findPath(this.tokenC, this.tokenB)).to.deep.equal([this.tokenC, this.tokenB]);
+      expect(await router.findPath(BaseToken.target, this.tokenC)).to.deep.equal([BaseToken.target, this.tokenB, this.tokenC]);
+
+      await expect(router.findPath(this.tokenA, this.tokenA)).to.be.rejectedWith('No swap path');
+      await expect(router.findPath(this.tokenA, NATIVE_TOKEN)).to.be.rejectedWith('No swap path');
+    });
+
+    it('should not route mints of tokens with per-wallet mint limits', async function () {
+      const { router } = this.aliceClient;
+      await this.client.bond.updateMintLimits(this.tokenB, { mintInterval: 60n });
+
+      await expect(router.findPath(this.tokenA, this.tokenC)).to.be.rejectedWith('per-wallet mint limits');
+      expect(await router.findPath(this.tokenC, this.tokenA)).to.deep.equal([this.tokenC, this.tokenB, BaseToken.target, this.tokenA]);
+
+      const error = await expectError(router.quoteSwap([this.tokenA, BaseToken.target, this.tokenB], wei(1)), errors.MCV2_BondRouter__MintLimited);
+      expect(error.params).to.deep.equal({ index: 1n });
+    });
+
+    it('should swap with slippage, approving the input token', async function () {
+      const path = await this.aliceClient.router.findPath(this.tokenA, this.tokenC);
+      const { amounts, amountOut } = await this.aliceClient.router.quoteSwap(path, wei(50));
+      expect(amounts).to.deep.equal([wei(50), wei(50), wei(50), wei(50)]); // 50 @ 1 on every curve
+      expect(amountOut).to.equal(wei(50));
+
+      const result = await this.aliceClient.router.swap(path, wei(50), { slippage: 50, receiver: bob.address });
+      expect(result.minOut).to.equal(applySlippage(wei(50), 50, false));
+      expect(result.deadline).to.be.a('bigint');
+
+      const [tokenA, tokenC] = await Promise.all([this.tokenA, this.tokenC].map(t => ethers.getContractAt('MCV2_Token', t)));
+      expect(await tokenA.balanceOf(alice.address)).to.equal(wei(50));
+      expect(await tokenC.balanceOf(bob.address)).to.equal(wei(50));
+    });
+
+    it('should swap ERC1155 tokens, approving the router as an operator', async function () {
+      await this.aliceClient.bond.mint(this.nft, 2n);
+
+      await this.aliceClient.router.swap([this.nft, BaseToken.target, this.tokenB], 2n);
+      const tokenB = await ethers.getContractAt('MCV2_Token', this.tokenB);
+      expect(await tokenB.balanceOf(alice.address)).to.equal(wei(2));
+    });
+
+    it('should throw typed errors', async function () {
+      await expectError(
+        this.aliceClient.router.swap([this.tokenA, BaseToken.target, this.tokenB], wei(50), { minOut: wei(51) }),
+        errors.MCV2_BondRouter__SlippageLimitExceeded
+      );
+      const error = await expectError(this.aliceClient.router.quoteSwap([this.tokenA, this.tokenC], wei(1)), errors.MCV2_BondRouter__InvalidPath);
+      expect(error.params).to.deep.equal({ index: 0n });
+    });
+  }); // Router
+
+  describe('Locker', function () {
+    it('should lock up and unlock, approving the token', async function () {
+      const unlockTime = (await time.latest()) + 3600;
+      const { lockUpId } = await this.client.locker.createLockUp({
+        token: BaseToken.target, isERC20: true, amount: wei(100), unlockTime, receiver: alice.address, title: 'Team'
+      });
+
+      expect(lockUpId).to.equal(0n);
+      expect(await this.client.locker.getLockUp(lockUpId)).to.deep.equal({
+        token: BaseToken.target, isERC20: true, unlockTime: BigInt(unlockTime), unlocked: false, amount: wei(100), receiver: alice.address, title: 'Team'
+      });
+      expect(await this.client.locker.getLockUpIdsByReceiver(alice.address, 0, 10)).to.deep.equal([0n]);
+
+      await expectError(this.aliceClient.locker.unlock(lockUpId), errors.LockUp__NotYetUnlocked);
+      await time.increaseTo(unlockTime);
+      await this.aliceClient.locker.unlock(lockUpId);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(100));
+    });
+
+    it('should throw typed errors with their parameters', async function () {
+      const error = await expectError(
+        this.client.locker.createLockUp({ token: BaseToken.target, isERC20: true, amount: wei(100), unlockTime: 1, receiver: alice.address }),
+        errors.LockUp__InvalidParams
+      );
+      expect(error.params).to.deep.equal({ param: 'unlockTime' });
+      expect(error.message).to.equal('LockUp__InvalidParams("unlockTime")');
+    });
+  }); // Locker
+
+  describe('MerkleDistributor', function () {
+    beforeEach(async function () {
+      this.wallets = [alice.address, bob.address];
+      const { root, ipfsCID } = buildAirdrop(this.wallets);
+
+      ({ distributionId: this.distributionId } = await this.client.distributor.createDistribution({
+        token: BaseToken.target,
+        isERC20: true,
+        amountPerClaim: wei(10),
+        walletCount: 2,
+        startTime: 0,
+        endTime: (await time.latest()) + 3600,
+        merkleRoot: root,
+        title: 'Airdrop',
+        ipfsCID
+      }));
+      this.root = root;
+    });
+
+    it('should map the distribution', async function () {
+      expect(await this.client.distributor.getDistribution(this.distributionId)).to.deep.include({
+        token: BaseToken.target,
+        isERC20: true,
+        walletCount: 2n,
+        claimedCount: 0n,
+        amountPerClaim: wei(10),
+        owner: owner.address,
+        merkleRoot: this.root,
+        title: 'Airdrop'
+      });
+      expect(await this.client.distributor.getAmountLeft(this.distributionId)).to.equal(wei(20));
+    });
+
+    it('should claim with a proof built from the wallet list', async function () {
+      await this.aliceClient.distributor.claim(this.distributionId, { wallets: this.wallets });
+
+      expect(await this.client.distributor.isClaimed(this.distributionId, alice.address)).to.equal(true);
+      expect(await BaseToken.balanceOf(alice.address)).to.equal(wei(10));
+      await expectError(this.aliceClient.distributor.claim(this.distributionId, { wallets: this.wallets }), errors.MerkleDistributor__AlreadyClaimed);
+    });
+
+    it('should throw a typed error on an invalid proof', async function () {
+      await expectError(this.client.distributor.claim(this.distributionId, { proof: [] }), errors.MerkleDistributor__InvalidProof);
+    });
+  }); // MerkleDistributor
+});
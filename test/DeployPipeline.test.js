@@ -0,0 +1,204 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const {
+  PROTOCOL_BENEFICIARY,
+  wei
+} = require('./utils/test-utils');
+const { deploy, loadManifest, saveManifest } = require('../scripts/utils/deploy-pipeline');
+
+const CONTRACTS = ['MCV2_Token', 'MCV2_MultiToken', 'MCV2_BondExtension', 'MCV2_Bond', 'MCV2_BondRouter', 'Locker', 'MerkleDistributor'];
+
+describe('DeployPipeline', function () {
+  beforeEach(function () {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcv2-deploy-'));
+    this.configDir = path.join(this.dir, 'config');
+    fs.mkdirSync(this.configDir);
+
+    this.writeConfig = config => fs.writeFileSync(path.join(this.configDir, 'hardhat.json'), JSON.stringify(config));
+    this.writeConfig({ protocolBeneficiary: PROTOCOL_BENEFICIARY, creationFee: wei(1, 15).toString(), maxSteps: 1000, contracts: CONTRACTS });
+
+    this.deploy = (options = {}) => deploy(hre, { configDir: this.configDir, deploymentsDir: this.dir, log: () => {}, ...options });
+  });
+
+  afterEach(function () {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  });
+
+  describe('Fresh deployment', function () {
+    beforeEach(async function () {
+      this.result = await this.deploy();
+      this.manifest = loadManifest('hardhat', this.dir);
+    });
+
+    it('should record every contract in the manifest', async function () {
+      expect(this.manifest.chainId).to.equal(31337);
+      expect(Object.keys(this.manifest.contracts)).to.deep.equal(CONTRACTS);
+
+      for (const name of CONTRACTS) {
+        const record = this.manifest.contracts[name];
+        expect(record.status).to.equal('deployed');
+        expect(record.address).to.equal(this.result.addresses[name]);
+        expect((await hre.ethers.provider.getTransaction(record.txHash)).blockNumber).to.equal(record.blockNumber);
+      }
+    });
+
+    it('should deploy MCV2_BondExtension with the implementations and maxSteps', async function () {
+      const { addresses } = this.result;
+      expect(this.manifest.contracts.MCV2_BondExtension.args).to.deep.equal([addresses.MCV2_Token, addresses.MCV2_MultiToken, 1000]);
+    });
+
+    it('should deploy MCV2_Bond with the deployed extension', async function () {
+      const { addresses } = this.result;
+      expect(this.manifest.contracts.MCV2_Bond.args).to.deep.equal([
+        addresses.MCV2_BondExtension, PROTOCOL_BENEFICIARY, wei(1, 15).toString()
+      ]);
+
+      const bond = await hre.ethers.getContractAt('MCV2_Bond', addresses.MCV2_Bond);
+      expect(await bond.creationFee()).to.equal(wei(1, 15));
+      expect(await bond.protocolBeneficiary()).to.equal(PROTOCOL_BENEFICIARY);
+    });
+
+    it('should deploy MCV2_BondRouter with the deployed bond', async function () {
+      const { addresses } = this.result;
+      expect(this.manifest.contracts.MCV2_BondRouter.args).to.deep.equal([addresses.MCV2_Bond]);
+
+      const router = await hre.ethers.getContractAt('MCV2_BondRouter', addresses.MCV2_BondRouter);
+      expect(await router.BOND()).to.equal(addresses.MCV2_Bond);
+    });
+
+    it('should emit verify commands with constructor args', async function () {
+      const { addresses, verifyCommands } = this.result;
+
+      expect(verifyCommands.length).to.equal(CONTRACTS.length);
+      expect(verifyCommands[2]).to.equal(
+        `npx hardhat verify --network hardhat ${addresses.MCV2_BondExtension} ${addresses.MCV2_Token} ${addresses.MCV2_MultiToken} 1000`
+      );
+      expect(verifyCommands[3]).to.equal(
+        `npx hardhat verify --network hardhat ${addresses.MCV2_Bond} ${addresses.MCV2_BondExtension} ${PROTOCOL_BENEFICIARY} ${wei(1, 15)}`
+      );
+    });
+
+    it('should reuse all contracts on the second run', async function () {
+      const result = await this.deploy();
+
+      expect(result.addresses).to.deep.equal(this.result.addresses);
+      expect(loadManifest('hardhat', this.dir)).to.deep.equal(this.manifest);
+    });
+
+    it('should redeploy a contract if its constructor args changed', async function () {
+      this.writeConfig({ protocolBeneficiary: PROTOCOL_BENEFICIARY, creationFee: '0', maxSteps: 500, contracts: CONTRACTS });
+      const result = await this.deploy();
+
+      expect(result.addresses.MCV2_Token).to.equal(this.result.addresses.MCV2_Token);
+      expect(result.addresses.MCV2_BondExtension).to.not.equal(this.result.addresses.MCV2_BondExtension);
+      expect(result.addresses.MCV2_Bond).to.not.equal(this.result.addresses.MCV2_Bond);
+      expect(loadManifest('hardhat', this.dir).contracts.MCV2_BondExtension.args[2]).to.equal(500);
+      expect(loadManifest('hardhat', this.dir).contracts.MCV2_Bond.args[0]).to.equal(result.addresses.MCV2_BondExtension);
+    });
+
+    it('should resume a pending deployment from its receipt', async function () {
+      const manifest = loadManifest('hardhat', this.dir);
+      manifest.contracts.Locker.status = 'pending';
+      delete manifest.contracts.Locker.blockNumber;
+      saveManifest(manifest, this.dir);
+
+      const result = await this.deploy();
+      expect(result.addresses.Locker).to.equal(this.result.addresses.Locker);
+      expect(loadManifest('hardhat', this.dir).contracts.Locker).to.deep.equal(this.manifest.contracts.Locker);
+    });
+  }); // Fresh deployment
+
+  describe('Pending deployment', function () {
+    beforeEach(async function () {
+      // Send a Locker deployment that stays in the mempool
+      await hre.network.provider.send('evm_setAutomine', [false]);
+      const locker = await hre.ethers.deployContract('Locker');
+      this.txHash = locker.deploymentTransaction().hash;
+      this.address = locker.target;
+
+      saveManifest({ network: 'hardhat', chainId: null, contracts: {
+        Locker: { address: this.address, args: [], txHash: this.txHash, status: 'pending' }
+      } }, this.dir);
+    });
+
+    afterEach(async function () {
+      await hre.network.provider.send('evm_setAutomine', [true]);
+      await hre.network.provider.send('evm_mine');
+    });
+
+    it('should wait for a pending deployment to be mined instead of deploying it again', async function () {
+      setTimeout(() => hre.network.provider.send('evm_mine'), 500);
+      const result = await this.deploy({ contracts: ['Locker'] });
+
+      expect(result.addresses.Locker).to.equal(this.address);
+      const record = loadManifest('hardhat', this.dir).contracts.Locker;
+      expect(record.status).to.equal('deployed');
+      expect(record.txHash).to.equal(this.txHash);
+    });
+
+    it('should fail with instructions if a pending deployment is not mined in time', async function () {
+      await expect(this.deploy({ contracts: ['Locker'], pendingTimeout: 1 }))
+        .to.be.rejectedWith(`Pending Locker deployment ${this.txHash} was not mined within 1s`);
+
+      const record = loadManifest('hardhat', this.dir).contracts.Locker;
+      expect(record.status).to.equal('pending');
+      expect(record.txHash).to.equal(this.txHash);
+    });
+  }); // Pending deployment
+
+  describe('Partial failure', function () {
+    it('should resume after a failure without redeploying completed contracts', async function () {
+      await expect(this.deploy({ contracts: ['MCV2_Token', 'MCV2_MultiToken', 'Unknown', 'MCV2_Bond'] }))
+        .to.be.rejectedWith('Unknown contract: Unknown');
+
+      const partial = loadManifest('hardhat', this.dir);
+      expect(Object.keys(partial.contracts)).to.deep.equal(['MCV2_Token', 'MCV2_MultiToken']);
+
+      const result = await this.deploy();
+      expect(result.addresses.MCV2_Token).to.equal(partial.contracts.MCV2_Token.address);
+      expect(result.addresses.MCV2_MultiToken).to.equal(partial.contracts.MCV2_MultiToken.address);
+      expect(Object.keys(loadManifest('hardhat', this.dir).contracts)).to.deep.equal(CONTRACTS);
+    });
+
+    it('should fail if the protocol beneficiary is missing', async function () {
+      const env = { a: process.env.PROTOCOL_BENEFICIARY, b: process.env.PROTOCOL_BENEFIARY };
+      delete process.env.PROTOCOL_BENEFICIARY;
+      delete process.env.PROTOCOL_BENEFIARY;
+      this.writeConfig({ maxSteps: 1000, contracts: CONTRACTS });
+
+      try {
+        await expect(this.deploy()).to.be.rejectedWith('Missing constructor arguments for MCV2_Bond');
+      } finally {
+        if (env.a !== undefined) process.env.PROTOCOL_BENEFICIARY = env.a;
+        if (env.b !== undefined) process.env.PROTOCOL_BENEFIARY = env.b;
+      }
+    });
+  }); // Partial failure
+
+  describe('Existing implementations', function () {
+    it('should reuse implementations listed in the config', async function () {
+      const token = await hre.ethers.deployContract('MCV2_Token');
+      const multiToken = await hre.ethers.deployContract('MCV2_MultiToken');
+      this.writeConfig({
+        protocolBeneficiary: PROTOCOL_BENEFICIARY,
+        maxSteps: 1000,
+        contracts: CONTRACTS,
+        existing: { MCV2_Token: token.target, MCV2_MultiToken: multiToken.target }
+      });
+
+      const { addresses, verifyCommands, manifest } = await this.deploy();
+      expect(addresses.MCV2_Token).to.equal(token.target);
+      expect(manifest.contracts.MCV2_Token.reused).to.equal(true);
+      expect(manifest.contracts.MCV2_BondExtension.args.slice(0, 2)).to.deep.equal([token.target, multiToken.target]);
+      expect(verifyCommands.length).to.equal(5);
+    });
+
+    it('should fail if an existing implementation has no code', async function () {
+      this.writeConfig({ protocolBeneficiary: PROTOCOL_BENEFICIARY, maxSteps: 1000, contracts: CONTRACTS, existing: { MCV2_Token: PROTOCOL_BENEFICIARY } });
+      await expect(this.deploy()).to.be.rejectedWith('Existing MCV2_Token has no code');
+    });
+  }); // Existing implementations
+});
@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getMaxSteps, runSilently } = require('./utils/test-utils');
+const { fitLinear, deriveMaxSteps, measureStepGas, mergeFits } = require('../utils/max-steps');
+
+describe('MaxSteps', function () {
+  describe('Helpers', function () {
+    it('should fit an exact linear cost', function () {
+      const points = [10, 20, 40].map(steps => ({ steps, gas: 1000 + 25 * steps }));
+      expect(fitLinear(points)).to.deep.equal({ intercept: 1000, slope: 25 });
+    });
+
+    it('should shift the fit up to cover every sample', function () {
+      const { intercept, slope } = fitLinear([{ steps: 1, gas: 100 }, { steps: 2, gas: 250 }, { steps: 3, gas: 300 }]);
+
+      for (const [steps, gas] of [[1, 100], [2, 250], [3, 300]]) {
+        expect(intercept + slope * steps).to.be.gte(gas);
+      }
+    });
+
+    it('should require at least 2 distinct step counts', function () {
+      expect(() => fitLinear([{ steps: 1, gas: 100 }])).to.throw('At least 2 samples');
+      expect(() => fitLinear([{ steps: 1, gas: 100 }, { steps: 1, gas: 120 }])).to.throw('at least 2 different step counts');
+    });
+
+    it('should derive max steps from the most expensive operation', function () {
+      const fits = {
+        createToken: { intercept: 300000, slope: 25000 },
+        mint: { intercept: 150000, slope: 3000 }
+      };
+
+      expect(deriveMaxSteps(fits, 30000000)).to.deep.equal({ maxSteps: 588, gasBudget: 15000000, limitedBy: 'createToken' });
+      expect(deriveMaxSteps(fits, 30000000, 2000).maxSteps).to.equal(948); // (24M - 300K) / 25K
+    });
+
+    it('should fail if not even a single step fits', function () {
+      expect(() => deriveMaxSteps({ createToken: { intercept: 300000, slope: 25000 } }, 500000)).to.throw('too low for a single step');
+      expect(() => deriveMaxSteps({}, 30000000, 10000)).to.throw('Invalid margin');
+    });
+
+    it('should merge fits by taking the more expensive coefficients', function () {
+      const a = { createToken: { intercept: 10, slope: 5 }, mint: { intercept: 3, slope: 2 }, burn: { intercept: 1, slope: 1 } };
+      const b = { createToken: { intercept: 20, slope: 4 }, mint: { intercept: 1, slope: 3 }, burn: { intercept: 1, slope: 1 } };
+
+      expect(mergeFits(a, b)).to.deep.equal({
+        createToken: { intercept: 20, slope: 5 },
+        mint: { intercept: 3, slope: 3 },
+        burn: { intercept: 1, slope: 1 }
+      });
+    });
+
+    it('should read calibrated max steps from the deploy config', function () {
+      for (const network of ['hardhat', 'base', 'sepolia']) {
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, `../deployments/config/${network}.json`), 'utf8'));
+        expect(getMaxSteps(network)).to.equal(config.maxSteps);
+      }
+      expect(() => getMaxSteps('ethereum')).to.throw('MAX_STEPS is not defined for ethereum');
+      expect(() => getMaxSteps('unknown')).to.throw('MAX_STEPS is not defined for unknown');
+    });
+  }); // Helpers
+
+  describe('Measurement', function () {
+    it('should measure a linear gas cost that grows with the step count', async function () {
+      const { samples, fits } = await measureStepGas(hre, { samples: [5, 20, 40] });
+
+      expect(samples.map(s => s.steps)).to.deep.equal([5, 20, 40]);
+      for (const op of ['createToken', 'mint', 'burn']) {
+        expect(samples[2][op]).to.be.gt(samples[0][op]);
+        expect(fits[op].slope).to.be.gt(0);
+        for (const s of samples) expect(fits[op].intercept + fits[op].slope * s.steps).to.be.gte(s[op]);
+      }
+      // Each step is written to storage on creation
+      expect(fits.createToken.slope).to.be.gt(20000);
+    });
+
+    it('should create a token with the derived max steps within the gas budget', async function () {
+      const { fits } = await measureStepGas(hre, { samples: [20, 80, 160], multiToken: true });
+      const { maxSteps } = deriveMaxSteps(fits, 3000000, 0); // a 3M gas block
+
+      const { samples } = await measureStepGas(hre, { samples: [maxSteps, maxSteps + 1], multiToken: true });
+      expect(samples[0].createToken).to.be.lte(3000000);
+    });
+  }); // Measurement
+
+  describe('bond:max-steps task', function () {
+    beforeEach(function () {
+      this.configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcv2-max-steps-'));
+      fs.writeFileSync(path.join(this.configDir, 'small.json'), JSON.stringify({ blockGasLimit: 6000000, maxSteps: 1000, contracts: [] }));
+      fs.writeFileSync(path.join(this.configDir, 'nolimit.json'), JSON.stringify({ contracts: [] }));
+    });
+
+    afterEach(function () {
+      fs.rmSync(this.configDir, { recursive: true, force: true });
+    });
+
+    it('should derive and write max steps for every config with a block gas limit', async function () {
+      const { results, fits } = await runSilently('bond:max-steps', { configDir: this.configDir, samples: '5,20,40', write: true });
+
+      expect(Object.keys(results)).to.deep.equal(['small']);
+      expect(results.small).to.deep.include({ blockGasLimit: 6000000, margin: 5000 });
+
+      const config = JSON.parse(fs.readFileSync(path.join(this.configDir, 'small.json'), 'utf8'));
+      expect(config.maxSteps).to.equal(results.small.maxSteps);
+      expect(config.maxSteps).to.equal(deriveMaxSteps(fits, 6000000).maxSteps);
+      expect(config.maxStepsCalibration).to.deep.equal({ blockGasLimit: 6000000, margin: 5000, limitedBy: 'createToken', fits });
+    });
+
+    it('should calibrate a custom block gas limit without writing', async function () {
+      const { results } = await runSilently('bond:max-steps', { configDir: this.configDir, samples: '5,20', blockGasLimit: 30000000, margin: 2000 });
+
+      expect(results.custom).to.deep.include({ blockGasLimit: 30000000, margin: 2000, gasBudget: 24000000 });
+      expect(JSON.parse(fs.readFileSync(path.join(this.configDir, 'small.json'), 'utf8')).maxSteps).to.equal(1000);
+    });
+
+    it('should fail if the target has no block gas limit', async function () {
+      await expect(runSilently('bond:max-steps', { configDir: this.configDir, target: 'nolimit' }))
+        .to.be.rejectedWith('No block gas limit for nolimit');
+    });
+  }); // bond:max-steps task
+});
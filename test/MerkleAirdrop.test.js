@@ -0,0 +1,199 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keccak256 = require('keccak256');
+const { MerkleTree } = require('merkletreejs');
+const { runSilently, wei } = require('./utils/test-utils');
+const {
+  parseWalletList,
+  normalizeWallets,
+  getLeaf,
+  buildTree,
+  getProof,
+  verifyProof,
+  computeCIDv0,
+  buildAirdrop
+} = require('../utils/merkle-airdrop');
+
+const ENDTIME = Math.floor(Date.now() / 1000) + 60 * 60 * 24;
+
+describe('MerkleAirdrop', function () {
+  async function deployFixtures() {
+    const Token = await ethers.deployContract('TestToken', [wei(1000000), 'Test Token', 'TEST', 18n]);
+    await Token.waitForDeployment();
+
+    const MerkleDistributor = await ethers.deployContract('MerkleDistributor');
+    await MerkleDistributor.waitForDeployment();
+
+    return [Token, MerkleDistributor];
+  }
+
+  let Token, MerkleDistributor;
+  let alice, bob, carol, david;
+
+  beforeEach(async function () {
+    [Token, MerkleDistributor] = await loadFixture(deployFixtures);
+    [, alice, bob, carol, david] = await ethers.getSigners();
+  });
+
+  describe('Wallet list', function () {
+    it('should parse a CSV with a header', function () {
+      const csv = `name,wallet\nalice,${alice.address}\n\n# comment\nbob, ${bob.address}\n`;
+      expect(parseWalletList(csv)).to.deep.equal([
+        { line: 2, value: alice.address },
+        { line: 5, value: bob.address }
+      ]);
+    });
+
+    it('should parse a CSV without a header', function () {
+      expect(parseWalletList(`${alice.address}\r\n"${bob.address}",1`).map(e => e.value)).to.deep.equal([alice.address, bob.address]);
+    });
+
+    it('should parse a JSON list of addresses or objects', function () {
+      const json = JSON.stringify([alice.address, { address: bob.address }, { wallet: carol.address }]);
+      expect(parseWalletList(json, 'json').map(e => e.value)).to.deep.equal([alice.address, bob.address, carol.address]);
+      expect(() => parseWalletList('{}', 'json')).to.throw('must be a JSON array');
+    });
+
+    it('should checksum, dedupe and report invalid addresses', function () {
+      const lower = alice.address.toLowerCase();
+      const i = bob.address.search(/[a-fA-F]/);
+      const c = bob.address[i];
+      const badChecksum = bob.address.slice(0, i) + (c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase()) + bob.address.slice(i + 1);
+      const { wallets, duplicates, invalid } = normalizeWallets([
+        { line: 1, value: lower },
+        { line: 2, value: alice.address },
+        { line: 3, value: carol.address.toUpperCase().replace('0X', '0x') },
+        { line: 4, value: '0x1234' },
+        { line: 5, value: badChecksum }
+      ]);
+
+      expect(wallets).to.deep.equal([alice.address, carol.address]);
+      expect(duplicates).to.deep.equal([{ line: 2, address: alice.address }]);
+      expect(invalid.map(e => e.line)).to.deep.equal([4, 5]);
+    });
+  }); // Wallet list
+
+  describe('Merkle tree', function () {
+    beforeEach(function () {
+      this.wallets = [alice.address, bob.address, carol.address];
+      this.tree = buildTree(this.wallets);
+    });
+
+    it('should use keccak256(abi.encodePacked(wallet)) leaves', function () {
+      expect(`0x${getLeaf(alice.address).toString('hex')}`).to.equal(ethers.solidityPackedKeccak256(['address'], [alice.address]));
+    });
+
+    it('should match the tree used by the MerkleDistributor tests', function () {
+      const tree = new MerkleTree(this.wallets.map(x => keccak256(x)), keccak256, { sortPairs: true });
+      expect(this.tree.getHexRoot()).to.equal(tree.getHexRoot());
+    });
+
+    it('should verify proofs like MerkleProof.verify', function () {
+      const root = this.tree.getHexRoot();
+      for (const w of this.wallets) expect(verifyProof(root, w, getProof(this.tree, w))).to.equal(true);
+
+      expect(verifyProof(root, david.address, getProof(this.tree, alice.address))).to.equal(false);
+    });
+
+    it('should support a single wallet', function () {
+      const tree = buildTree([alice.address]);
+      expect(getProof(tree, alice.address)).to.deep.equal([]);
+      expect(verifyProof(tree.getHexRoot(), alice.address, [])).to.equal(true);
+    });
+
+    it('should reject an empty list', function () {
+      expect(() => buildTree([])).to.throw('The wallet list is empty');
+    });
+  }); // Merkle tree
+
+  describe('IPFS CIDv0', function () {
+    it('should match ipfs add for small files', function () {
+      expect(computeCIDv0('')).to.equal('QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH');
+      expect(computeCIDv0('hello world\n')).to.equal('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+      expect(computeCIDv0(Buffer.from('hello world\n'))).to.equal('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o');
+    });
+
+    it('should chunk files larger than 256 KiB', function () {
+      const content = Buffer.alloc(262144 + 1, 'a');
+      const cid = computeCIDv0(content);
+
+      expect(cid).to.match(/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/);
+      expect(cid).to.not.equal(computeCIDv0(content.subarray(0, 262144)));
+    });
+  }); // IPFS CIDv0
+
+  describe('Tasks', function () {
+    beforeEach(async function () {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcv2-airdrop-'));
+      this.input = path.join(this.dir, 'wallets.csv');
+      fs.writeFileSync(this.input, `address\n${alice.address}\n${bob.address.toLowerCase()}\n${carol.address}\n${alice.address}\n`);
+
+      this.result = await runSilently('airdrop:build', { input: this.input });
+      this.proofsFile = this.result.proofsFile;
+    });
+
+    afterEach(function () {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    });
+
+    it('should write the published list and the proofs', function () {
+      const expected = buildAirdrop([alice.address, bob.address, carol.address]);
+      const file = JSON.parse(fs.readFileSync(this.proofsFile, 'utf8'));
+
+      expect(this.result).to.deep.include({ root: expected.root, walletCount: 3, ipfsCID: expected.ipfsCID, duplicates: 1, invalid: 0 });
+      expect(this.proofsFile).to.equal(path.join(this.dir, 'wallets-airdrop', 'proofs.json'));
+      expect(file).to.deep.equal({ root: expected.root, walletCount: 3, ipfsCID: expected.ipfsCID, proofs: expected.proofs });
+      expect(computeCIDv0(fs.readFileSync(this.result.addressesFile))).to.equal(expected.ipfsCID);
+    });
+
+    it('should fail on invalid addresses unless skipped', async function () {
+      fs.appendFileSync(this.input, '0xinvalid\n');
+
+      await expect(runSilently('airdrop:build', { input: this.input })).to.be.rejectedWith('Invalid addresses: line 6: 0xinvalid');
+      expect((await runSilently('airdrop:build', { input: this.input, skipInvalid: true })).invalid).to.equal(1);
+    });
+
+    it('should verify a proof file offline', async function () {
+      const result = await runSilently('airdrop:verify', { proofs: this.proofsFile, addresses: this.result.addressesFile });
+      expect(result).to.deep.include({ valid: true, walletCount: 3, errors: [] });
+    });
+
+    it('should detect a tampered proof file', async function () {
+      const file = JSON.parse(fs.readFileSync(this.proofsFile, 'utf8'));
+      file.proofs[david.address] = file.proofs[alice.address];
+      fs.writeFileSync(this.proofsFile, JSON.stringify(file));
+      fs.writeFileSync(this.result.addressesFile, '[]');
+
+      const result = await runSilently('airdrop:verify', { proofs: this.proofsFile, addresses: this.result.addressesFile });
+      expect(result.valid).to.equal(false);
+      expect(result.invalidProofs).to.deep.equal([david.address]);
+      expect(result.errors).to.include('walletCount 3 does not match 4 proofs');
+      expect(result.errors.some(e => e.startsWith('IPFS CID of'))).to.equal(true);
+    });
+
+    it('should verify against isWhitelisted on a distribution', async function () {
+      await Token.approve(MerkleDistributor.target, wei(300));
+      await MerkleDistributor.createDistribution(Token.target, true, wei(100), 3, 0, ENDTIME, this.result.root, 'Airdrop', this.result.ipfsCID);
+
+      const result = await runSilently('airdrop:verify', { proofs: this.proofsFile, distributor: MerkleDistributor.target, distributionId: 0 });
+      expect(result).to.deep.include({ valid: true, notWhitelisted: [] });
+
+      const file = JSON.parse(fs.readFileSync(this.proofsFile, 'utf8'));
+      await expect(MerkleDistributor.connect(bob).claim(0, file.proofs[bob.address])).to.emit(MerkleDistributor, 'Claimed');
+    });
+
+    it('should report a root mismatch with the distribution', async function () {
+      const other = buildAirdrop([david.address]);
+      await Token.approve(MerkleDistributor.target, wei(100));
+      await MerkleDistributor.createDistribution(Token.target, true, wei(100), 1, 0, ENDTIME, other.root, 'Airdrop', '');
+
+      const result = await runSilently('airdrop:verify', { proofs: this.proofsFile, distributor: MerkleDistributor.target, distributionId: 0 });
+      expect(result.valid).to.equal(false);
+      expect(result.notWhitelisted.length).to.equal(3);
+      expect(result.errors[0]).to.equal(`On-chain merkleRoot ${other.root} does not match ${this.result.root}`);
+    });
+  }); // Tasks
+});
@@ -0,0 +1,139 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  wei
+} = require('./utils/test-utils');
+const { CURVES, generateSteps, parseUnits } = require('../utils/step-generator');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+function expectValidSteps({ stepRanges, stepPrices, maxSupply }, tokenDecimals) {
+  const multiFactor = 10n**BigInt(tokenDecimals);
+
+  expect(stepRanges.length).to.equal(stepPrices.length);
+  expect(stepRanges.length).to.be.at.most(MAX_STEPS);
+  expect(stepRanges[stepRanges.length - 1]).to.equal(maxSupply);
+  for (let i = 0; i < stepRanges.length; i++) {
+    expect(stepRanges[i]).to.be.greaterThan(0n);
+    if (stepPrices[i] > 0n) expect(stepRanges[i] * stepPrices[i]).to.be.at.least(multiFactor);
+    if (i > 0) {
+      expect(stepRanges[i]).to.be.greaterThan(stepRanges[i - 1]);
+      expect(stepPrices[i]).to.be.greaterThan(stepPrices[i - 1]);
+    }
+  }
+}
+
+describe('StepGenerator', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000, 6), 'Test Token', 'TEST', 6n]); // supply: 200M
+    await BaseToken.waitForDeployment();
+
+    return [Bond, BaseToken];
+  }
+
+  let Bond, BaseToken;
+
+  beforeEach(async function () {
+    [Bond, BaseToken] = await loadFixture(deployFixtures);
+  });
+
+  describe('parseUnits', function () {
+    it('should convert human-readable amounts', function () {
+      expect(parseUnits('1.5', 6)).to.equal(1500000n);
+      expect(parseUnits(0.0000001, 18)).to.equal(100000000000n);
+      expect(parseUnits(21000000, 18)).to.equal(wei(21000000));
+      expect(parseUnits(123n, 18)).to.equal(123n);
+    });
+
+    it('should reject invalid amounts', function () {
+      expect(() => parseUnits('-1', 18)).to.throw('Invalid amount');
+      expect(() => parseUnits('abc', 18)).to.throw('Invalid amount');
+    });
+  });
+
+  for (const curve of CURVES) {
+    describe(`${curve} curve`, function () {
+      it('should generate valid ERC20 steps that createToken accepts', async function () {
+        const result = generateSteps({ curve, maxSupply: 21000000, startPrice: '0.0001', endPrice: 2, stepCount: 100, reserveDecimals: 6, maxSteps: MAX_STEPS });
+        expectValidSteps(result, 18);
+
+        await Bond.createToken(
+          ['Curve Token', `${curve.toUpperCase()}20`],
+          [100n, 100n, BaseToken.target, result.maxSupply, result.stepRanges, result.stepPrices, 0n, 0n]
+        );
+        const steps = await Bond.getSteps(await Bond.tokens(0));
+        expect(steps.length).to.equal(100);
+      });
+
+      it('should generate valid ERC1155 steps that createMultiToken accepts', async function () {
+        const result = generateSteps({ curve, maxSupply: 500, startPrice: 1, endPrice: 100, stepCount: 200, tokenDecimals: 0, reserveDecimals: 6, maxSteps: MAX_STEPS });
+        expectValidSteps(result, 0);
+
+        await Bond.createMultiToken(
+          ['Curve NFT', `${curve.toUpperCase()}1155`, 'https://mint.club'],
+          [100n, 100n, BaseToken.target, result.maxSupply, result.stepRanges, result.stepPrices, 0n, 0n]
+        );
+        expect(await Bond.tokenCount()).to.equal(1);
+      });
+
+      it('should approximate the ideal reserve closely', function () {
+        const { error } = generateSteps({ curve, maxSupply: 1000000, startPrice: 0, endPrice: 1, stepCount: 500, maxSteps: MAX_STEPS });
+
+        expect(error.reserveError).to.be.below(0.001);
+        expect(error.meanPriceError).to.be.below(0.05);
+      });
+
+      it('should reduce the price error with more steps', function () {
+        const options = { curve, maxSupply: 1000000, startPrice: '0.01', endPrice: 1, maxSteps: MAX_STEPS };
+        const coarse = generateSteps({ ...options, stepCount: 10 }).error;
+        const fine = generateSteps({ ...options, stepCount: MAX_STEPS }).error;
+
+        expect(fine.meanPriceError).to.be.below(coarse.meanPriceError);
+      });
+    });
+  }
+
+  describe('Edge cases', function () {
+    it('should keep prices strictly increasing on flat parts of the curve', function () {
+      const result = generateSteps({ curve: 'sigmoid', steepness: 40, maxSupply: 1000, startPrice: 0, endPrice: 10n, stepCount: MAX_STEPS, maxSteps: MAX_STEPS });
+      expectValidSteps(result, 18);
+    });
+
+    it('should raise tiny prices so that range * price >= 10**decimals', function () {
+      const result = generateSteps({ curve: 'linear', maxSupply: 10n, startPrice: 1n, endPrice: 2n, stepCount: 10, tokenDecimals: 18, maxSteps: MAX_STEPS });
+      expectValidSteps(result, 18);
+    });
+
+    it('should support a custom curve function', function () {
+      const result = generateSteps({ curve: x => x * x, maxSupply: 1000, startPrice: 0, endPrice: 1, stepCount: 10, maxSteps: MAX_STEPS });
+      expectValidSteps(result, 18);
+      expect(result.stepPrices[9]).to.be.greaterThan(result.stepPrices[0] * 10n);
+    });
+
+    it('should reject invalid parameters', function () {
+      const options = { curve: 'linear', maxSupply: 1000, startPrice: 0, endPrice: 1, stepCount: 10, maxSteps: MAX_STEPS };
+
+      expect(() => generateSteps({ ...options, curve: 'cubic' })).to.throw('Unknown curve');
+      expect(() => generateSteps({ ...options, maxSupply: 0 })).to.throw('maxSupply');
+      expect(() => generateSteps({ ...options, endPrice: 0 })).to.throw('endPrice');
+      expect(() => generateSteps({ ...options, stepCount: 0 })).to.throw('stepCount');
+      expect(() => generateSteps({ ...options, stepCount: MAX_STEPS + 1 })).to.throw('max steps');
+      expect(() => generateSteps({ ...options, maxSteps: undefined })).to.throw('maxSteps is required');
+      expect(() => generateSteps({ ...options, maxSupply: 5, tokenDecimals: 0 })).to.throw('exceeds maxSupply');
+    });
+  });
+});
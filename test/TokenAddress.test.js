@@ -0,0 +1,127 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { expect } = require('chai');
+const {
+  PROTOCOL_BENEFICIARY,
+  getMaxSteps,
+  runSilently,
+  wei
+} = require('./utils/test-utils');
+const {
+  getTokenSalt,
+  predictTokenAddress,
+  getCloneImplementation,
+  findImplementation,
+  checkSymbol
+} = require('../utils/token-address');
+
+const MAX_STEPS = getMaxSteps('hardhat');
+
+const BABY_TOKEN = {
+  tokenParams: { name: 'Baby Token', symbol: 'BABY' },
+  bondParams: {
+    mintRoyalty: 100n, // 1%
+    burnRoyalty: 100n, // 1%
+    reserveToken: null, // Should be set later
+    maxSupply: wei(10000000), // supply: 10M
+    stepRanges: [ wei(10000), wei(100000), wei(10000000) ],
+    stepPrices: [ wei(0, 9), wei(2, 9), wei(3, 9) ],
+    mintStartTime: 0n,
+    burnStartTime: 0n
+  }
+};
+
+describe('TokenAddress', function () {
+  async function deployFixtures() {
+    const TokenImplementation = await ethers.deployContract('MCV2_Token');
+    await TokenImplementation.waitForDeployment();
+
+    const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+    await NFTImplementation.waitForDeployment();
+
+    const BondExtension = await ethers.deployContract('MCV2_BondExtension', [TokenImplementation.target, NFTImplementation.target, MAX_STEPS]);
+    await BondExtension.waitForDeployment();
+
+    const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, PROTOCOL_BENEFICIARY, 0n]);
+    await Bond.waitForDeployment();
+
+    const BaseToken = await ethers.deployContract('TestToken', [wei(200000000, 9), 'Test Token', 'TEST', 9n]); // supply: 200M
+    await BaseToken.waitForDeployment();
+
+    return [TokenImplementation, NFTImplementation, Bond, BaseToken];
+  }
+
+  let TokenImplementation, NFTImplementation, Bond, BaseToken;
+
+  beforeEach(async function () {
+    [TokenImplementation, NFTImplementation, Bond, BaseToken] = await loadFixture(deployFixtures);
+    BABY_TOKEN.bondParams.reserveToken = BaseToken.target;
+  });
+
+  describe('Helpers', function () {
+    it('should derive the same salt as MCV2_Bond', function () {
+      expect(getTokenSalt(Bond.target, 'BABY')).to.equal(ethers.solidityPackedKeccak256(['address', 'string'], [Bond.target, 'BABY']));
+    });
+
+    it('should predict the ERC20 and ERC1155 token addresses', async function () {
+      const erc20 = predictTokenAddress(Bond.target, TokenImplementation.target, 'BABY');
+      const erc1155 = predictTokenAddress(Bond.target, NFTImplementation.target, 'BABY');
+
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      await Bond.createMultiToken(['Baby NFT', 'BABY', 'https://mint.club'], [100n, 100n, BaseToken.target, 100n, [10n, 100n], [0n, wei(1, 9)], 0n, 0n]);
+
+      expect(await Bond.tokens(0)).to.equal(erc20);
+      expect(await Bond.tokens(1)).to.equal(erc1155);
+    });
+
+    it('should read the implementation address from a clone', async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+
+      expect(getCloneImplementation(await ethers.provider.getCode(await Bond.tokens(0)))).to.equal(TokenImplementation.target);
+      expect(getCloneImplementation(await ethers.provider.getCode(Bond.target))).to.equal(null);
+    });
+
+    it('should find the implementation by token type', async function () {
+      expect(await findImplementation(Bond, false)).to.equal(null);
+
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+      await Bond.createMultiToken(['Baby NFT', 'BABYNFT', 'https://mint.club'], [100n, 100n, BaseToken.target, 100n, [10n, 100n], [0n, wei(1, 9)], 0n, 0n]);
+
+      expect(await findImplementation(Bond, false)).to.equal(TokenImplementation.target);
+      expect(await findImplementation(Bond, true)).to.equal(NFTImplementation.target);
+    });
+
+    it('should check the symbol availability', async function () {
+      const before = await checkSymbol(Bond, 'BABY', TokenImplementation.target);
+      expect(before.available).to.equal(true);
+
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+
+      const after = await checkSymbol(Bond, 'BABY', TokenImplementation.target);
+      expect(after).to.deep.equal({ symbol: 'BABY', tokenAddress: before.tokenAddress, available: false });
+      expect((await checkSymbol(Bond, 'BABY', NFTImplementation.target)).available).to.equal(true);
+    });
+  }); // Helpers
+
+  describe('bond:check-symbol task', function () {
+    it('should require an implementation if the bond has no tokens', async function () {
+      await expect(runSilently('bond:check-symbol', { symbol: 'BABY', bond: Bond.target }))
+        .to.be.rejectedWith('Please provide --implementation');
+    });
+
+    it('should use the given implementation', async function () {
+      const result = await runSilently('bond:check-symbol', { symbol: 'BABY', bond: Bond.target, implementation: TokenImplementation.target });
+
+      expect(result.available).to.equal(true);
+      expect(result.tokenAddress).to.equal(predictTokenAddress(Bond.target, TokenImplementation.target, 'BABY'));
+    });
+
+    it('should report a taken symbol using the implementation of existing tokens', async function () {
+      await Bond.createToken(Object.values(BABY_TOKEN.tokenParams), Object.values(BABY_TOKEN.bondParams));
+
+      const result = await runSilently('bond:check-symbol', { symbol: 'BABY', bond: Bond.target });
+      expect(result.available).to.equal(false);
+      expect(result.tokenAddress).to.equal(await Bond.tokens(0));
+      expect(result.implementation).to.equal(TokenImplementation.target);
+    });
+  }); // bond:check-symbol task
+});
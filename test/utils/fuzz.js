@@ -0,0 +1,160 @@
+/**
+ * Minimal stateful fuzzing harness for Hardhat tests.
+ *
+ * A run generates a random sequence of actions (plain data, independent of the chain state so it can be replayed),
+ * executes them one by one on a fresh setup and checks the invariants after every action.
+ * When a run fails, the sequence is shrunk by removing actions and simplifying the remaining ones until no smaller
+ * sequence fails, and the error reports the seed and the minimal reproducing sequence.
+ *
+ * Set FUZZ_SEED, FUZZ_RUNS and FUZZ_LENGTH to replay a failure or to fuzz longer locally.
+ */
+
+// mulberry32
+exports.createRandom = function(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)), // inclusive
+    bigint: (min, max) => {
+      const range = BigInt(max) - BigInt(min) + 1n;
+      let r = 0n;
+      for (let i = 0; i < 4; i++) r = (r << 32n) | BigInt(Math.floor(next() * 4294967296));
+      return BigInt(min) + r % range;
+    },
+    pick: list => list[Math.floor(next() * list.length)],
+    bool: (p = 0.5) => next() < p
+  };
+};
+
+exports.getFuzzOptions = function(defaults = {}) {
+  return {
+    seed: process.env.FUZZ_SEED !== undefined ? Number(process.env.FUZZ_SEED) : (defaults.seed ?? 1),
+    runs: Number(process.env.FUZZ_RUNS || defaults.runs || 10),
+    length: Number(process.env.FUZZ_LENGTH || defaults.length || 20)
+  };
+};
+
+function formatAction(action) {
+  return JSON.stringify(action, (_, v) => typeof v === 'bigint' ? `${v}n` : v);
+}
+
+/**
+ * Executes a sequence of actions on a fresh setup.
+ * @return null if every invariant holds, otherwise { error, index } (index: the failing action, -1 for the initial state)
+ */
+async function replay(property, seed, actions) {
+  const ctx = await property.setup(exports.createRandom(seed));
+
+  try {
+    await property.invariants(ctx);
+  } catch (error) {
+    return { error, index: -1 };
+  }
+
+  for (let i = 0; i < actions.length; i++) {
+    try {
+      await property.execute(ctx, actions[i]);
+      await property.invariants(ctx);
+    } catch (error) {
+      return { error, index: i };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shrinks a failing sequence: removes chunks of actions (halving the chunk size down to single actions),
+ * then replaces actions with the simpler candidates from `property.shrinkAction`, until nothing changes.
+ */
+async function shrink(property, seed, actions, failure, maxAttempts) {
+  let attempts = 0;
+  // Actions after the failing one are never needed
+  let current = actions.slice(0, failure.index + 1);
+  let currentFailure = failure;
+
+  const tryCandidate = async candidate => {
+    if (attempts++ >= maxAttempts) return false;
+
+    const result = await replay(property, seed, candidate);
+    if (result === null) return false;
+
+    current = candidate.slice(0, result.index + 1);
+    currentFailure = result;
+    return true;
+  };
+
+  let progress = true;
+  while (progress && attempts < maxAttempts) {
+    progress = false;
+
+    for (let size = Math.max(1, current.length >> 1); size >= 1; size >>= 1) {
+      for (let start = 0; start < current.length;) {
+        const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+        if (await tryCandidate(candidate)) {
+          progress = true;
+        } else {
+          start += size;
+        }
+      }
+    }
+
+    if (!property.shrinkAction) continue;
+
+    for (let i = 0; i < current.length; i++) {
+      for (const simpler of property.shrinkAction(current[i])) {
+        if (await tryCandidate([...current.slice(0, i), simpler, ...current.slice(i + 1)])) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { actions: current, failure: currentFailure };
+}
+
+/**
+ * Runs a stateful property.
+ * @param property.setup async (random) => ctx, must start from a fresh state (e.g. with `loadFixture`)
+ * @param property.generate (random) => action
+ * @param property.execute async (ctx, action), skips actions whose preconditions don't hold
+ * @param property.invariants async (ctx), throws if an invariant is broken
+ * @param property.shrinkAction action => [simpler actions] (optional)
+ * @param options.seed The seed of the first run (run i uses seed + i)
+ * @param options.runs The number of random sequences
+ * @param options.length The number of actions per sequence
+ * @param options.maxShrinkAttempts The maximum number of replays while shrinking (default: 300)
+ */
+exports.checkProperty = async function(property, options) {
+  const { seed, runs, length, maxShrinkAttempts = 300 } = options;
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    // Separate generator for actions, so the setup stays identical while the sequence is shrunk
+    const random = exports.createRandom(runSeed ^ 0x5bd1e995);
+    const actions = Array.from({ length }, () => property.generate(random));
+
+    const failure = await replay(property, runSeed, actions);
+    if (failure === null) continue;
+
+    const minimal = await shrink(property, runSeed, actions, failure, maxShrinkAttempts);
+    const steps = minimal.actions.map((a, i) => `  ${i + 1}. ${formatAction(a)}`).join('\n');
+
+    const error = new Error(
+      `Property failed with FUZZ_SEED=${runSeed} (shrunk from ${failure.index + 1} to ${minimal.actions.length} actions):\n` +
+      `${steps || '  (initial state)'}\n${minimal.failure.error.message}`
+    );
+    error.actions = minimal.actions;
+    error.seed = runSeed;
+    throw error;
+  }
+};
@@ -1,28 +1,30 @@
-const web3 = require('web3');
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const { time, takeSnapshot } = require('@nomicfoundation/hardhat-network-helpers');
 
 exports.MAX_INT_256 = 2n**256n - 1n;
 exports.NULL_ADDRESS = '0x0000000000000000000000000000000000000000';
 exports.ZERO_BYTES32 = '0x0000000000000000000000000000000000000000000000000000000000000000';
 exports.DEAD_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+exports.NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
 
 exports.PROTOCOL_BENEFICIARY = '0x00000B655d573662B9921e14eDA96DBC9311fDe6'; // a random address for testing
 exports.MAX_ROYALTY_RANGE = 5000n; // 50%
+
+// MCV2_Royalty.Parameter
+exports.Parameter = { PROTOCOL_CUT: 0, PROTOCOL_BENEFICIARY: 1, CREATION_FEE: 2, MAX_REFERRAL_FEE: 3 };
 const PROTOCOL_CUT = 2000n; // 20% of the royalty
 
+// MAX_STEPS of the bonds on a network, as calibrated in its deploy config (`npx hardhat bond:max-steps`)
 exports.getMaxSteps = function(network) {
-  // 1,000 steps reqruies about 15M gas
-  const MAX_STEPS = {
-    ethereum: 1000, // 30M max
-    base: 1000,  // 30M max
-    sepolia: 1000, // 30M max
-
-    // TODO: add more networks
-  };
-  if (!MAX_STEPS[network]) {
+  const configFile = path.join(__dirname, '../../deployments/config', `${network}.json`);
+  const maxSteps = fs.existsSync(configFile) && JSON.parse(fs.readFileSync(configFile, 'utf8')).maxSteps;
+  if (!maxSteps) {
     throw new Error(`MAX_STEPS is not defined for ${network}`);
   }
 
-  return MAX_STEPS[network];
+  return maxSteps;
 };
 
 exports.wei = function(num, decimals = 18) {
@@ -33,21 +35,7 @@ exports.modifiedValues = function(object, overrides) {
   return Object.values(Object.assign({}, object, overrides));
 };
 
-// Calculate deterministic address for create2
-// NOTE: https://github.com/OpenZeppelin/openzeppelin-contracts/blob/master/contracts/proxy/Clones.sol#L68
-exports.computeCreate2Address = function(saltHex, implementation, deployer) {
-  const creationCode = [
-    '0x3d602d80600a3d3981f3363d3d373d3d3d363d73',
-    implementation.replace(/0x/, '').toLowerCase(),
-    '5af43d82803e903d91602b57fd5bf3',
-  ].join('');
-
-  return web3.utils.toChecksumAddress(
-    `0x${web3.utils
-      .sha3(`0x${['ff', deployer, saltHex, web3.utils.soliditySha3(creationCode)].map(x => x.replace(/0x/, '')).join('')}`)
-      .slice(-40)}`,
-  );
-};
+exports.computeCreate2Address = require('../../utils/token-address').computeCreate2Address;
 
 exports.calculateMint = function(tokensToMint, stepPrice, royaltyRatio, tokenDecimals = 18n) {
   const reserveToBond = tokensToMint * stepPrice / 10n**tokenDecimals; // assume BASE token has 18 decimals
@@ -76,3 +64,29 @@ exports.calculateRoyalty = function(reserveAmount, royaltyRatio) {
 
   return { total, creatorCut, protocolCut };
 };
+
+// Queues a parameter change of the bond and executes it after the timelock
+exports.changeParameter = async function(bond, parameter, value, reserveToken = exports.NULL_ADDRESS) {
+  await bond.queueParameterChange(parameter, reserveToken, value);
+  await time.increase(await bond.PARAMETER_CHANGE_DELAY());
+  await bond.executeParameterChange(parameter, reserveToken);
+};
+
+// Rewinds the chain after the tests of the calling describe block, so the timelock delays it waited for don't leak into
+// later test files scheduling from the wall clock (e.g. the unlock time of Locker tests)
+exports.rewindChainAfterAll = function() {
+  let snapshot;
+  before(async () => { snapshot = await takeSnapshot(); });
+  after(async () => { await snapshot.restore(); });
+};
+
+// Runs a Hardhat task without its console output, restoring console.log even if the task throws
+exports.runSilently = async function(taskName, args) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await hre.run(taskName, args);
+  } finally {
+    console.log = log;
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * ABIs of the contracts wrapped by `utils/client.js`.
+ *
+ * The JSON files are committed with the package, so the client works without compiling the contracts.
+ * Regenerate them with `npx hardhat abi:export` after changing a contract.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bond tokens are included as their errors bubble up through the bond on mint / burn
+exports.CONTRACTS = ['MCV2_Bond', 'MCV2_BondRouter', 'MCV2_Royalty', 'MCV2_Token', 'MCV2_MultiToken', 'Locker', 'MerkleDistributor', 'MCV1_Wrapper'];
+
+exports.getAbi = function(contractName) {
+  const file = path.join(__dirname, `${contractName}.json`);
+  if (!fs.existsSync(file)) throw new Error(`ABI of ${contractName} not found, please run \`npx hardhat abi:export\` first`);
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
@@ -0,0 +1,314 @@
+/**
+ * Off-chain mirror of the MCV2_Bond pricing logic.
+ * All amounts are BigInt and every rounding step follows the contract, so the results match to the wei.
+ * This module has no dependency on Hardhat or a node connection and can be bundled into a front-end.
+ */
+
+const RATIO_BASE = 10000n; // 100.00%
+// 20% of the royalty - the initial default of MCV2_Bond, which the owner can change per reserve token after a timelock.
+// Pass `protocolCut: await bond.getProtocolCut(reserveToken)` in the bond params to match a live bond.
+const PROTOCOL_CUT = 2000n;
+const MAX_ROYALTY_RANGE = 5000n; // 50%
+
+exports.RATIO_BASE = RATIO_BASE;
+exports.PROTOCOL_CUT = PROTOCOL_CUT;
+exports.MAX_ROYALTY_RANGE = MAX_ROYALTY_RANGE;
+
+// Same as OpenZeppelin's Math.ceilDiv for unsigned integers
+function ceilDiv(a, b) {
+  return a === 0n ? 0n : (a - 1n) / b + 1n;
+}
+exports.ceilDiv = ceilDiv;
+
+/**
+ * Converts `stepRanges` / `stepPrices` arrays (BondParams format) into `BondStep[]`.
+ */
+exports.toSteps = function(stepRanges, stepPrices) {
+  if (stepRanges.length !== stepPrices.length) throw new Error('STEP_LENGTH_DO_NOT_MATCH');
+
+  return stepRanges.map((rangeTo, i) => ({ rangeTo: BigInt(rangeTo), price: BigInt(stepPrices[i]) }));
+};
+
+/**
+ * Normalizes a bond definition into `{ steps, mintRoyalty, burnRoyalty, decimals }` with BigInt fields.
+ * Accepts either `steps` (as returned by `getSteps`, tuples or objects) or `stepRanges` / `stepPrices`.
+ * `royalty` sets both `mintRoyalty` and `burnRoyalty` unless they are given.
+ * `decimals` is the decimals of the bond token (18 for MCV2_Token, 0 for MCV2_MultiToken).
+ */
+function normalizeBond(bond) {
+  const steps = bond.steps ?
+    bond.steps.map(s => ({ rangeTo: BigInt(s.rangeTo ?? s[0]), price: BigInt(s.price ?? s[1]) })) :
+    exports.toSteps(bond.stepRanges, bond.stepPrices);
+
+  if (steps.length === 0) throw new Error('INVALID_STEP_LENGTH');
+
+  return {
+    steps,
+    mintRoyalty: BigInt(bond.mintRoyalty ?? bond.royalty ?? 0),
+    burnRoyalty: BigInt(bond.burnRoyalty ?? bond.royalty ?? 0),
+    decimals: BigInt(bond.decimals ?? 18),
+    protocolCut: BigInt(bond.protocolCut ?? PROTOCOL_CUT)
+  };
+}
+exports.normalizeBond = normalizeBond;
+
+exports.maxSupply = function(bond) {
+  const { steps } = normalizeBond(bond);
+  return steps[steps.length - 1].rangeTo;
+};
+
+/**
+ * Mirrors `MCV2_Royalty._getRoyalty`
+ */
+exports.getRoyalty = function(reserveAmount, royaltyRatio) {
+  return BigInt(reserveAmount) * BigInt(royaltyRatio) / RATIO_BASE;
+};
+
+/**
+ * Mirrors the split in `MCV2_Royalty._addRoyalty`
+ */
+exports.splitRoyalty = function(royalty, protocolCutRatio = PROTOCOL_CUT) {
+  const protocolCut = BigInt(royalty) * BigInt(protocolCutRatio) / RATIO_BASE;
+  return { creatorCut: BigInt(royalty) - protocolCut, protocolCut };
+};
+
+/**
+ * Mirrors the royalty split in `MCV2_Bond._addBondRoyalty`: each beneficiary gets its share of the creator cut
+ * rounded down, and the last one also gets the remainder
+ * @param creatorCut The creator cut of the royalty (see `splitRoyalty`)
+ * @param split [{ beneficiary, share }] as returned by `getRoyaltySplit` (empty if the creator gets the whole cut)
+ * @return [{ beneficiary, amount }]
+ */
+exports.splitCreatorCut = function(creatorCut, split) {
+  let left = BigInt(creatorCut);
+
+  return split.map(({ beneficiary, share }, i) => {
+    const amount = i === split.length - 1 ? left : BigInt(creatorCut) * BigInt(share) / RATIO_BASE;
+    left -= amount;
+    return { beneficiary, amount };
+  });
+};
+
+/**
+ * Mirrors `MCV2_Bond.getCurrentStep`
+ */
+function getCurrentStep(steps, currentSupply) {
+  for (let i = 0; i < steps.length; ++i) {
+    if (currentSupply <= steps[i].rangeTo) return i;
+  }
+  throw new Error('MCV2_Bond__InvalidCurrentSupply');
+}
+exports.getCurrentStep = function(bond, currentSupply) {
+  return getCurrentStep(normalizeBond(bond).steps, BigInt(currentSupply));
+};
+
+/**
+ * Mirrors `MCV2_Bond.currentPrice`
+ */
+exports.currentPrice = function(bond, currentSupply) {
+  const { steps } = normalizeBond(bond);
+  let supply = BigInt(currentSupply);
+  if (supply < steps[steps.length - 1].rangeTo) ++supply;
+
+  return steps[getCurrentStep(steps, supply)].price;
+};
+
+/**
+ * Mirrors `MCV2_Bond.getReserveForToken`, or `getReserveForTokenWithReferral` with a referral fee
+ * @param bond The bond definition (see `normalizeBond`)
+ * @param currentSupply The current total supply of the bond token
+ * @param tokensToMint The amount of tokens to mint
+ * @param referralFeeRatio The referral fee of `mintWithReferral` in basis points (default: 0)
+ * @return { reserveAmount, royalty, referralFee, reserveToBond, creatorCut, protocolCut }
+ *   (`reserveAmount` includes the royalty and the referral fee)
+ */
+exports.getReserveForToken = function(bond, currentSupply, tokensToMint, referralFeeRatio = 0) {
+  const { steps, mintRoyalty: royaltyRatio, decimals, protocolCut: protocolCutRatio } = normalizeBond(bond);
+  let supply = BigInt(currentSupply);
+  tokensToMint = BigInt(tokensToMint);
+
+  if (tokensToMint === 0n) throw new Error('MCV2_Bond__InvalidTokenAmount');
+  if (supply + tokensToMint > steps[steps.length - 1].rangeTo) throw new Error('MCV2_Bond__ExceedMaxSupply');
+
+  const multiFactor = 10n**decimals;
+  let tokensLeft = tokensToMint;
+  let reserveToBond = 0n;
+  for (let i = getCurrentStep(steps, supply); i < steps.length; ++i) {
+    const step = steps[i];
+    const supplyLeft = step.rangeTo - supply;
+
+    if (supplyLeft < tokensLeft) {
+      if (supplyLeft === 0n) continue;
+
+      reserveToBond += ceilDiv(supplyLeft * step.price, multiFactor);
+      supply += supplyLeft;
+      tokensLeft -= supplyLeft;
+    } else {
+      reserveToBond += ceilDiv(tokensLeft * step.price, multiFactor);
+      tokensLeft = 0n;
+      break;
+    }
+  }
+
+  if (reserveToBond === 0n || tokensLeft > 0n) throw new Error('MCV2_Bond__InvalidTokenAmount');
+
+  const royalty = exports.getRoyalty(reserveToBond, royaltyRatio);
+  const referralFee = exports.getRoyalty(reserveToBond, referralFeeRatio);
+
+  return {
+    reserveAmount: reserveToBond + royalty + referralFee,
+    royalty,
+    referralFee,
+    reserveToBond,
+    ...exports.splitRoyalty(royalty, protocolCutRatio)
+  };
+};
+
+/**
+ * Mirrors `MCV2_Bond.getTokensForReserve`
+ * @param bond The bond definition (see `normalizeBond`)
+ * @param currentSupply The current total supply of the bond token
+ * @param reserveAmount The reserve amount to spend, including the royalty
+ * @return { tokensToMint, reserveAmount, royalty, reserveToBond, creatorCut, protocolCut }
+ *   (`reserveAmount` is the amount actually used, which can be slightly less than the input due to rounding)
+ */
+exports.getTokensForReserve = function(bond, currentSupply, reserveAmount) {
+  const { steps, mintRoyalty: royaltyRatio, decimals, protocolCut: protocolCutRatio } = normalizeBond(bond);
+  let supply = BigInt(currentSupply);
+  reserveAmount = BigInt(reserveAmount);
+
+  if (reserveAmount === 0n) throw new Error('MCV2_Bond__InvalidReserveAmount');
+  if (supply >= steps[steps.length - 1].rangeTo) throw new Error('MCV2_Bond__ExceedMaxSupply');
+
+  let budget = reserveAmount * RATIO_BASE / (RATIO_BASE + royaltyRatio);
+  if (budget + 1n + exports.getRoyalty(budget + 1n, royaltyRatio) <= reserveAmount) ++budget;
+
+  const multiFactor = 10n**decimals;
+  let tokensToMint = 0n;
+  let reserveToBond = 0n;
+  for (let i = getCurrentStep(steps, supply); i < steps.length; ++i) {
+    const step = steps[i];
+    const supplyLeft = step.rangeTo - supply;
+    if (supplyLeft === 0n) continue;
+
+    const stepReserve = ceilDiv(supplyLeft * step.price, multiFactor);
+    if (reserveToBond + stepReserve <= budget) {
+      reserveToBond += stepReserve;
+      tokensToMint += supplyLeft;
+      supply += supplyLeft;
+    } else {
+      const tokens = (budget - reserveToBond) * multiFactor / step.price;
+      reserveToBond += ceilDiv(tokens * step.price, multiFactor);
+      tokensToMint += tokens;
+      break;
+    }
+  }
+
+  if (tokensToMint === 0n || reserveToBond === 0n) throw new Error('MCV2_Bond__InvalidReserveAmount');
+
+  const royalty = exports.getRoyalty(reserveToBond, royaltyRatio);
+
+  return {
+    tokensToMint,
+    reserveAmount: reserveToBond + royalty,
+    royalty,
+    reserveToBond,
+    ...exports.splitRoyalty(royalty, protocolCutRatio)
+  };
+};
+
+/**
+ * Mirrors `MCV2_Bond.getRefundForTokens`, or `getRefundForTokensWithReferral` with a referral fee
+ * @param bond The bond definition (see `normalizeBond`)
+ * @param currentSupply The current total supply of the bond token
+ * @param tokensToBurn The amount of tokens to burn
+ * @param referralFeeRatio The referral fee of `burnWithReferral` in basis points (default: 0)
+ * @return { refundAmount, royalty, referralFee, reserveFromBond, creatorCut, protocolCut }
+ *   (`refundAmount` is after the royalty and the referral fee)
+ */
+exports.getRefundForTokens = function(bond, currentSupply, tokensToBurn, referralFeeRatio = 0) {
+  const { steps, burnRoyalty: royaltyRatio, decimals, protocolCut: protocolCutRatio } = normalizeBond(bond);
+  let supply = BigInt(currentSupply);
+  tokensToBurn = BigInt(tokensToBurn);
+
+  if (tokensToBurn === 0n) throw new Error('MCV2_Bond__InvalidTokenAmount');
+  if (tokensToBurn > supply) throw new Error('MCV2_Bond__ExceedTotalSupply');
+
+  const multiFactor = 10n**decimals;
+  let reserveFromBond = 0n;
+  let tokensLeft = tokensToBurn;
+  let i = getCurrentStep(steps, supply);
+  while (tokensLeft > 0n) {
+    const supplyLeft = i === 0 ? supply : supply - steps[i - 1].rangeTo;
+
+    const tokensToProcess = tokensLeft < supplyLeft ? tokensLeft : supplyLeft;
+    reserveFromBond += tokensToProcess * steps[i].price / multiFactor;
+
+    tokensLeft -= tokensToProcess;
+    supply -= tokensToProcess;
+
+    if (i > 0) --i;
+  }
+
+  const royalty = exports.getRoyalty(reserveFromBond, royaltyRatio);
+  const referralFee = exports.getRoyalty(reserveFromBond, referralFeeRatio);
+
+  return {
+    refundAmount: reserveFromBond - royalty - referralFee,
+    royalty,
+    referralFee,
+    reserveFromBond,
+    ...exports.splitRoyalty(royalty, protocolCutRatio)
+  };
+};
+
+/**
+ * Mirrors `MCV2_Bond.getTokensForRefund`
+ * @param bond The bond definition (see `normalizeBond`)
+ * @param currentSupply The current total supply of the bond token
+ * @param refundAmount The exact refund amount to receive, after the royalty
+ * @return { tokensToBurn, royalty, reserveFromBond, creatorCut, protocolCut }
+ *   (`reserveFromBond - royalty` can be slightly more than `refundAmount`, the difference stays in the reserve)
+ */
+exports.getTokensForRefund = function(bond, currentSupply, refundAmount) {
+  const { steps, burnRoyalty: royaltyRatio, decimals, protocolCut: protocolCutRatio } = normalizeBond(bond);
+  let supply = BigInt(currentSupply);
+  refundAmount = BigInt(refundAmount);
+
+  if (refundAmount === 0n) throw new Error('MCV2_Bond__InvalidReserveAmount');
+
+  let target = ceilDiv(refundAmount * RATIO_BASE, RATIO_BASE - royaltyRatio);
+  while (target - 1n - exports.getRoyalty(target - 1n, royaltyRatio) >= refundAmount) --target;
+
+  const multiFactor = 10n**decimals;
+  let tokensToBurn = 0n;
+  let reserveFromBond = 0n;
+  let i = getCurrentStep(steps, supply);
+  while (true) {
+    const supplyLeft = i === 0 ? supply : supply - steps[i - 1].rangeTo;
+    const stepRefund = supplyLeft * steps[i].price / multiFactor;
+
+    if (reserveFromBond + stepRefund < target) {
+      if (i === 0) throw new Error('MCV2_Bond__ExceedTotalSupply');
+
+      reserveFromBond += stepRefund;
+      tokensToBurn += supplyLeft;
+      supply -= supplyLeft;
+      --i;
+    } else {
+      const tokens = ceilDiv((target - reserveFromBond) * multiFactor, steps[i].price);
+      reserveFromBond += tokens * steps[i].price / multiFactor;
+      tokensToBurn += tokens;
+      break;
+    }
+  }
+
+  const royalty = exports.getRoyalty(reserveFromBond, royaltyRatio);
+
+  return {
+    tokensToBurn,
+    royalty,
+    reserveFromBond,
+    ...exports.splitRoyalty(royalty, protocolCutRatio)
+  };
+};
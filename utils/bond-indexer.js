@@ -0,0 +1,324 @@
+/**
+ * Local event indexer for MCV2_Bond.
+ *
+ * Replays the bond logs of a block range into a JSON store and reconstructs per-token supply, reserve balance and
+ * the executed price of every trade. The steps and royalties of a bond are immutable, so the royalty of each trade is
+ * re-derived with `utils/bond-curve.js` from the indexed supply and checked against the amounts in the events.
+ * The referral fee of a trade (`mintWithReferral` / `burnWithReferral`) comes from the ReferralFeePaid event logged
+ * right before its Mint / Burn event.
+ * A trade whose amounts do not match the re-derived quote is still applied with the amounts of its event and recorded
+ * in `mismatches`, so a single unexpected log never blocks the indexer on resume.
+ *
+ * All amounts in the store are decimal strings so it can be written to JSON as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReserveForToken, getRefundForTokens, getTokensForRefund, currentPrice } = require('./bond-curve');
+
+const DEFAULT_BATCH_SIZE = 2000;
+
+exports.emptyStore = function(bond) {
+  return {
+    bond,
+    chainId: null,
+    lastBlock: null,
+    tokens: {},
+    trades: [],
+    royaltyClaims: [],
+    mismatches: []
+  };
+};
+
+exports.loadStore = function(file, bond) {
+  if (!fs.existsSync(file)) return exports.emptyStore(bond);
+
+  const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (bond && store.bond.toLowerCase() !== bond.toLowerCase()) {
+    throw new Error(`Store ${file} belongs to bond ${store.bond}`);
+  }
+
+  return store;
+};
+
+// Writes to a temporary file first, so an interrupted run never leaves a partial store behind
+exports.saveStore = function(store, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(store, null, 2) + '\n');
+  fs.renameSync(`${file}.tmp`, file);
+};
+
+// MARK: - Event handlers
+
+function curveOf(token) {
+  return { steps: token.steps, mintRoyalty: token.mintRoyalty, burnRoyalty: token.burnRoyalty, decimals: token.decimals };
+}
+
+// Executed price of a trade in reserve token units per 1 whole bond token (10**decimals)
+function executedPrice(reserveAmount, amount, decimals) {
+  return (reserveAmount * 10n ** BigInt(decimals) / amount).toString();
+}
+
+async function onTokenCreated(store, bond, log, event) {
+  const isMultiToken = event.name === 'MultiTokenCreated';
+  const address = event.args.token;
+  const provider = bond.runner.provider;
+
+  const [steps, tokenBond] = await Promise.all([bond.getSteps(address), bond.tokenBond(address)]);
+
+  // The creator may have been updated since, so read it at the creation block (falls back to the tx sender without an archive node)
+  let creator;
+  try {
+    creator = (await bond.tokenBond(address, { blockTag: log.blockNumber })).creator;
+  } catch (e) {
+    creator = (await provider.getTransaction(log.transactionHash)).from;
+  }
+
+  const token = {
+    address,
+    name: event.args.name,
+    symbol: event.args.symbol,
+    isMultiToken,
+    decimals: isMultiToken ? 0 : 18,
+    reserveToken: event.args.reserveToken,
+    creator,
+    royaltySplit: [],
+    mintRoyalty: Number(tokenBond.mintRoyalty),
+    burnRoyalty: Number(tokenBond.burnRoyalty),
+    steps: steps.map(s => ({ rangeTo: s.rangeTo.toString(), price: s.price.toString() })),
+    createdAtBlock: log.blockNumber,
+    logo: '',
+    website: '',
+    currentSupply: '0',
+    reserveBalance: '0',
+    currentPrice: '0',
+    lastPrice: null,
+    mintCount: 0,
+    burnCount: 0,
+    volume: '0'
+  };
+
+  if (isMultiToken) token.uri = event.args.uri;
+
+  // Free tokens minted to the creator on creation (no Mint event)
+  if (BigInt(token.steps[0].price) === 0n) token.currentSupply = token.steps[0].rangeTo;
+  token.currentPrice = currentPrice(curveOf(token), BigInt(token.currentSupply)).toString();
+
+  store.tokens[address] = token;
+}
+
+function isExactOutputBurn(token, supply, amount, refundAmount) {
+  try {
+    return getTokensForRefund(curveOf(token), supply, refundAmount).tokensToBurn === amount;
+  } catch (e) {
+    return false;
+  }
+}
+
+function onTrade(store, log, event, timestamp, referral) {
+  const isMint = event.name === 'Mint';
+  const token = store.tokens[event.args.token];
+  if (!token) throw new Error(`${event.name} of unknown token ${event.args.token} at block ${log.blockNumber}`);
+
+  const supply = BigInt(token.currentSupply);
+  const amount = isMint ? event.args.amountMinted : event.args.amountBurned;
+  const reserveAmount = isMint ? event.args.reserveAmount : event.args.refundAmount;
+  const referralFee = referral ? referral.amount : 0n;
+
+  let quote, expected;
+  if (isMint) {
+    quote = getReserveForToken(curveOf(token), supply, amount);
+    expected = quote.reserveAmount + referralFee;
+  } else {
+    quote = getRefundForTokens(curveOf(token), supply, amount);
+    expected = quote.refundAmount - referralFee;
+    // burnForRefund pays the exact refund requested and leaves the rounding surplus in the reserve
+    if (expected !== reserveAmount && isExactOutputBurn(token, supply, amount, reserveAmount)) expected = reserveAmount;
+  }
+
+  if (expected !== reserveAmount) {
+    store.mismatches.push({
+      token: token.address,
+      type: isMint ? 'mint' : 'burn',
+      expected: expected.toString(),
+      actual: reserveAmount.toString(),
+      supply: supply.toString(),
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index
+    });
+  }
+
+  const { royalty } = quote;
+  const reserveDelta = isMint ? reserveAmount - royalty - referralFee : -(reserveAmount + royalty + referralFee);
+
+  const supplyAfter = isMint ? supply + amount : supply - amount;
+  const reserveBalanceAfter = BigInt(token.reserveBalance) + reserveDelta;
+  const price = executedPrice(reserveAmount, amount, token.decimals);
+
+  store.trades.push({
+    token: token.address,
+    type: isMint ? 'mint' : 'burn',
+    user: event.args.user,
+    receiver: event.args.receiver,
+    amount: amount.toString(),
+    reserveAmount: reserveAmount.toString(),
+    royalty: royalty.toString(),
+    referrer: referral ? referral.referrer : null,
+    referralFee: referralFee.toString(),
+    price,
+    supplyAfter: supplyAfter.toString(),
+    reserveBalanceAfter: reserveBalanceAfter.toString(),
+    blockNumber: log.blockNumber,
+    timestamp,
+    txHash: log.transactionHash,
+    logIndex: log.index
+  });
+
+  token.currentSupply = supplyAfter.toString();
+  token.reserveBalance = reserveBalanceAfter.toString();
+  token.currentPrice = currentPrice(curveOf(token), supplyAfter).toString();
+  token.lastPrice = price;
+  token.volume = (BigInt(token.volume) + reserveAmount).toString();
+  token[isMint ? 'mintCount' : 'burnCount'] += 1;
+}
+
+function applyEvent(store, log, event, timestamp, referral) {
+  switch (event.name) {
+    case 'Mint':
+    case 'Burn':
+      return onTrade(store, log, event, timestamp, referral);
+    case 'BondCreatorUpdated':
+      store.tokens[event.args.token].creator = event.args.creator;
+      return;
+    case 'RoyaltySplitUpdated':
+      store.tokens[event.args.token].royaltySplit = event.args.beneficiaries.map((beneficiary, i) => ({
+        beneficiary,
+        share: Number(event.args.shares[i])
+      }));
+      return;
+    case 'TokenMetaDataUpdated':
+      Object.assign(store.tokens[event.args.token], { logo: event.args.logo, website: event.args.website });
+      return;
+    case 'RoyaltyClaimed':
+      store.royaltyClaims.push({
+        user: event.args.user,
+        reserveToken: event.args.reserveToken,
+        amount: event.args.amount.toString(),
+        blockNumber: log.blockNumber,
+        timestamp,
+        txHash: log.transactionHash
+      });
+  }
+}
+
+// MARK: - Indexer
+
+/**
+ * Indexes the bond logs into the store, resuming from `store.lastBlock + 1`.
+ * The store is saved after every batch, so an interrupted run can be resumed from the last processed block.
+ * @param bond The MCV2_Bond contract (ethers v6, connected to a provider)
+ * @param store The store (see `loadStore`)
+ * @param options.fromBlock The first block to index if the store is empty (default: 0)
+ * @param options.toBlock The last block to index (default: the latest block minus `confirmations`)
+ * @param options.confirmations Blocks to stay behind the chain head to avoid reorgs (default: 0)
+ * @param options.batchSize Blocks per `eth_getLogs` request (default: 2000)
+ * @param options.file Saves the store to this file after every batch
+ * @param options.onBatch Called with `{ fromBlock, toBlock, logs }` after every batch
+ * @return The store
+ */
+exports.indexBond = async function(bond, store, options = {}) {
+  const { confirmations = 0, batchSize = DEFAULT_BATCH_SIZE, file, onBatch } = options;
+  const provider = bond.runner.provider;
+  const bondAddress = await bond.getAddress();
+
+  const { chainId } = await provider.getNetwork();
+  if (store.chainId !== null && store.chainId !== Number(chainId)) {
+    throw new Error(`Store was indexed on chain ${store.chainId}, not ${chainId}`);
+  }
+  store.chainId = Number(chainId);
+
+  const head = await provider.getBlockNumber();
+  const toBlock = options.toBlock ?? Math.max(head - confirmations, 0);
+  let fromBlock = store.lastBlock === null ? (options.fromBlock ?? 0) : store.lastBlock + 1;
+
+  while (fromBlock <= toBlock) {
+    const batchTo = Math.min(fromBlock + batchSize - 1, toBlock);
+    const logs = await provider.getLogs({ address: bondAddress, fromBlock, toBlock: batchTo });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    let referral = null; // ReferralFeePaid of the next trade
+    for (const log of logs) {
+      const event = bond.interface.parseLog(log);
+      if (!event) continue;
+
+      if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+
+      if (event.name === 'TokenCreated' || event.name === 'MultiTokenCreated') {
+        await onTokenCreated(store, bond, log, event);
+      } else if (event.name === 'ReferralFeePaid') {
+        referral = { txHash: log.transactionHash, referrer: event.args.referrer, amount: event.args.amount };
+      } else {
+        const isReferred = referral && referral.txHash === log.transactionHash && (event.name === 'Mint' || event.name === 'Burn');
+        applyEvent(store, log, event, timestamps.get(log.blockNumber), isReferred ? referral : null);
+        if (isReferred) referral = null;
+      }
+    }
+
+    store.lastBlock = batchTo;
+    if (file) exports.saveStore(store, file);
+    if (onBatch) onBatch({ fromBlock, toBlock: batchTo, logs: logs.length });
+
+    fromBlock = batchTo + 1;
+  }
+
+  return store;
+};
+
+// MARK: - Queries
+
+/**
+ * Aggregates the executed trade prices of a token into OHLC candles.
+ * Intervals without trades are skipped.
+ * @param store The store
+ * @param token The token address
+ * @param interval The candle interval in seconds (default: 1 hour)
+ * @param options.from The first timestamp to include
+ * @param options.to The last timestamp to include
+ * @return [{ time, open, high, low, close, volume, tokenVolume, trades }] (volume in reserve token, decimal strings)
+ */
+exports.getCandles = function(store, token, interval = 3600, options = {}) {
+  const { from = 0, to = Infinity } = options;
+  const candles = [];
+
+  for (const trade of store.trades) {
+    if (trade.token.toLowerCase() !== token.toLowerCase() || trade.timestamp < from || trade.timestamp > to) continue;
+
+    const time = trade.timestamp - trade.timestamp % interval;
+    const price = BigInt(trade.price);
+    let candle = candles[candles.length - 1];
+
+    if (!candle || candle.time !== time) {
+      candle = { time, open: price, high: price, low: price, close: price, volume: 0n, tokenVolume: 0n, trades: 0 };
+      candles.push(candle);
+    }
+
+    if (price > candle.high) candle.high = price;
+    if (price < candle.low) candle.low = price;
+    candle.close = price;
+    candle.volume += BigInt(trade.reserveAmount);
+    candle.tokenVolume += BigInt(trade.amount);
+    candle.trades += 1;
+  }
+
+  return candles.map(c => ({
+    ...c,
+    open: c.open.toString(),
+    high: c.high.toString(),
+    low: c.low.toString(),
+    close: c.close.toString(),
+    volume: c.volume.toString(),
+    tokenVolume: c.tokenVolume.toString()
+  }));
+};
@@ -0,0 +1,157 @@
+/**
+ * Offline validator for `MCV2_Bond.createToken` / `MCV2_Bond.createMultiToken` parameters.
+ * Checks are performed in the same order as the contract, and failures are reported with the same custom error
+ * and reason string that the contract would revert with.
+ */
+
+const { predictTokenAddress } = require('./token-address');
+
+const MAX_ROYALTY_RANGE = 5000n;
+const NULL_ADDRESS = '0x0000000000000000000000000000000000000000';
+const NATIVE_TOKEN = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+function fail(error, reason, index) {
+  const result = { valid: false, error };
+  if (reason !== undefined) result.reason = reason;
+  if (index !== undefined) result.index = index;
+  return result;
+}
+
+/**
+ * Mirrors `MCV2_Bond._validateTokenParams` and `MCV2_Bond._validateMultiTokenParams`
+ */
+function validateTokenParams(tp, isMultiToken) {
+  if (!tp.name) return fail('MCV2_Bond__InvalidTokenCreationParams', 'name');
+  if (!tp.symbol) return fail('MCV2_Bond__InvalidTokenCreationParams', 'symbol');
+  if (isMultiToken && !tp.uri) return fail('MCV2_Bond__InvalidTokenCreationParams', 'uri');
+
+  return null;
+}
+
+/**
+ * Mirrors `MCV2_Bond._validateBondParams`
+ * The reserve token interface checks are only performed when `reserveTokenInfo` ({ decimals, name, symbol }) is given,
+ * and never for the native coin (NATIVE_TOKEN).
+ */
+function validateBondParams(bp, { maxSteps, reserveTokenInfo, timestamp }) {
+  if (BigInt(bp.mintRoyalty) > MAX_ROYALTY_RANGE) return fail('MCV2_Bond__InvalidTokenCreationParams', 'mintRoyalty');
+  if (BigInt(bp.burnRoyalty) > MAX_ROYALTY_RANGE) return fail('MCV2_Bond__InvalidTokenCreationParams', 'burnRoyalty');
+
+  if (!bp.reserveToken || bp.reserveToken.toLowerCase() === NULL_ADDRESS) return fail('MCV2_Bond__InvalidTokenCreationParams', 'reserveToken');
+  if (reserveTokenInfo && bp.reserveToken.toLowerCase() !== NATIVE_TOKEN) {
+    if (reserveTokenInfo.decimals === undefined || reserveTokenInfo.decimals === null) return fail('MCV2_Bond__InvalidReserveToken', 'decimals');
+    if (!reserveTokenInfo.name) return fail('MCV2_Bond__InvalidReserveToken', 'name');
+    if (!reserveTokenInfo.symbol) return fail('MCV2_Bond__InvalidReserveToken', 'symbol');
+  }
+
+  if (BigInt(bp.maxSupply) === 0n) return fail('MCV2_Bond__InvalidTokenCreationParams', 'maxSupply');
+  if (bp.stepRanges.length === 0 || bp.stepRanges.length > maxSteps) return fail('MCV2_Bond__InvalidStepParams', 'INVALID_STEP_LENGTH');
+  if (bp.stepRanges.length !== bp.stepPrices.length) return fail('MCV2_Bond__InvalidStepParams', 'STEP_LENGTH_DO_NOT_MATCH');
+
+  const lastIndex = bp.stepRanges.length - 1;
+  if (BigInt(bp.stepRanges[lastIndex]) !== BigInt(bp.maxSupply)) return fail('MCV2_Bond__InvalidStepParams', 'MAX_SUPPLY_MISMATCH', lastIndex);
+
+  // Burning can't open after minting (`_burnStartsAfterMint`)
+  const burnStartTime = BigInt(bp.burnStartTime ?? 0);
+  if (burnStartTime > BigInt(timestamp) && burnStartTime > BigInt(bp.mintStartTime ?? 0)) return fail('MCV2_Bond__InvalidTokenCreationParams', 'burnStartTime');
+
+  return null;
+}
+
+/**
+ * Mirrors the per-step checks in `MCV2_Bond._setBond`
+ * @param tokenDecimals 18 for MCV2_Token, 0 for MCV2_MultiToken
+ */
+function validateSteps(bp, tokenDecimals) {
+  const multiFactor = 10n**BigInt(tokenDecimals);
+
+  for (let i = 0; i < bp.stepRanges.length; ++i) {
+    const stepRange = BigInt(bp.stepRanges[i]);
+    const stepPrice = BigInt(bp.stepPrices[i]);
+
+    if (stepRange === 0n) {
+      return fail('MCV2_Bond__InvalidStepParams', 'STEP_CANNOT_BE_ZERO', i);
+    } else if (stepPrice > 0n && stepRange * stepPrice < multiFactor) {
+      return fail('MCV2_Bond__InvalidStepParams', 'STEP_RANG_OR_PRICE_TOO_SMALL', i);
+    }
+
+    if (i > 0) {
+      if (stepRange <= BigInt(bp.stepRanges[i - 1])) return fail('MCV2_Bond__InvalidStepParams', 'DECREASING_RANGE', i);
+      if (stepPrice <= BigInt(bp.stepPrices[i - 1])) return fail('MCV2_Bond__InvalidStepParams', 'DECREASING_PRICE', i);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Mirrors `MCV2_Bond._setPresale`
+ */
+function validatePresale(presale, timestamp) {
+  if (!presale.merkleRoot || BigInt(presale.merkleRoot) === 0n) return fail('MCV2_Bond__InvalidTokenCreationParams', 'presaleMerkleRoot');
+  if (BigInt(presale.endTime) <= BigInt(timestamp)) return fail('MCV2_Bond__InvalidTokenCreationParams', 'presaleEndTime');
+
+  return null;
+}
+
+function validate(tp, bp, options, isMultiToken) {
+  const {
+    maxSteps,
+    creationFee,
+    value = 0n,
+    bond,
+    implementation,
+    existingTokens,
+    presale,
+    timestamp = Math.floor(Date.now() / 1000)
+  } = options;
+  if (maxSteps === undefined) throw new Error('maxSteps is required');
+
+  const result = validateTokenParams(tp, isMultiToken) || validateBondParams(bp, { ...options, timestamp });
+  if (result) return result;
+
+  if (creationFee !== undefined && BigInt(value) !== BigInt(creationFee)) return fail('MCV2_Royalty__InvalidCreationFee');
+
+  // Symbol collision check (`_clone`) - only when the bond and implementation addresses are known
+  let tokenAddress;
+  if (bond && implementation) {
+    tokenAddress = predictTokenAddress(bond, implementation, tp.symbol);
+    const taken = [...(existingTokens || [])].some(t => t.toLowerCase() === tokenAddress.toLowerCase());
+    if (taken) return { ...fail('MCV2_Bond__TokenSymbolAlreadyExists'), tokenAddress };
+  }
+
+  const stepResult = validateSteps(bp, isMultiToken ? 0 : 18);
+  if (stepResult) return stepResult;
+
+  const presaleResult = presale && validatePresale(presale, timestamp);
+  if (presaleResult) return presaleResult;
+
+  return tokenAddress ? { valid: true, tokenAddress } : { valid: true };
+}
+
+/**
+ * Validates `createToken` parameters offline.
+ * @param tp Token params { name, symbol }
+ * @param bp Bond params { mintRoyalty, burnRoyalty, reserveToken, maxSupply, stepRanges, stepPrices, mintStartTime, burnStartTime }
+ * @param options.maxSteps The MAX_STEPS of the target bond contract (required)
+ * @param options.reserveTokenInfo Optional { decimals, name, symbol } of the reserve token
+ * @param options.creationFee Optional current `creationFee` of the bond, checked against `options.value`
+ * @param options.value The msg.value that will be sent (default: 0)
+ * @param options.bond Optional bond address, required for the symbol collision check
+ * @param options.implementation Optional token implementation address, required for the symbol collision check
+ * @param options.existingTokens Optional list of existing token addresses (e.g. `tokens(i)` of the bond)
+ * @param options.presale Optional { merkleRoot, endTime, maxMintPerWallet } of `createTokenWithPresale`
+ * @param options.timestamp The block timestamp the presale end time and the burn start time are checked against (default: now)
+ * @return { valid: true, tokenAddress? } or { valid: false, error, reason?, index? }
+ */
+exports.validateCreateToken = function(tp, bp, options) {
+  return validate(tp, bp, options, false);
+};
+
+/**
+ * Validates `createMultiToken` parameters offline.
+ * Same as `validateCreateToken` but `tp` also requires `uri`, and the step checks use a multiFactor of 1 (decimals = 0).
+ */
+exports.validateCreateMultiToken = function(tp, bp, options) {
+  return validate(tp, bp, options, true);
+};
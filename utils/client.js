@@ -0,0 +1,850 @@
+/**
+ * JS client for the Mint Club V2 contracts (ethers v6).
+ *
+ * Wraps MCV2_Bond (including MCV2_Royalty and MCV2_BondExtension), MCV2_BondRouter, Locker, MerkleDistributor and MCV1_Wrapper with
+ * high-level methods: quotes, mints / burns / swaps with slippage protection and approvals, lock-ups and Merkle claims.
+ * Structs are returned as plain objects with BigInt fields, and reverts are rethrown as the typed errors of
+ * `utils/contract-errors.js`.
+ *
+ * const client = createClient(signer, { bond: '0x...', locker: '0x...' }, { deadline: 600 });
+ * const { reserveAmount } = await client.bond.quoteMint(token, wei(100));
+ * await client.bond.mint(token, wei(100), { slippage: 50 });
+ */
+
+const { Contract, Signature, ZeroAddress } = require('ethers');
+const { getAbi, parseError } = require('./contract-errors');
+const { buildTree, getProof } = require('./merkle-airdrop');
+
+const RATIO_BASE = 10000n;
+const DEFAULT_SLIPPAGE = 100; // 1.00%
+const DEFAULT_DEADLINE = 1200; // 20 minutes
+// Reserve token address of bonds backed by the native coin (MCV2_Royalty.NATIVE_TOKEN)
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+const ERC20_PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const ERC1155_ABI = [
+  'function isApprovedForAll(address account, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)'
+];
+
+exports.DEFAULT_SLIPPAGE = DEFAULT_SLIPPAGE;
+exports.DEFAULT_DEADLINE = DEFAULT_DEADLINE;
+exports.NATIVE_TOKEN = NATIVE_TOKEN;
+
+// MCV2_Royalty.Parameter - owner parameters changed through the timelock
+exports.Parameter = { PROTOCOL_CUT: 0, PROTOCOL_BENEFICIARY: 1, CREATION_FEE: 2, MAX_REFERRAL_FEE: 3 };
+
+exports.isNativeToken = function(reserveToken) {
+  return typeof reserveToken === 'string' && reserveToken.toLowerCase() === NATIVE_TOKEN.toLowerCase();
+};
+
+// MARK: - Struct mapping
+
+/**
+ * @typedef {Object} BondStep
+ * @property {bigint} rangeTo
+ * @property {bigint} price
+ */
+
+/**
+ * @typedef {Object} BondInfo
+ * @property {string} creator
+ * @property {string} token
+ * @property {bigint} decimals
+ * @property {string} symbol
+ * @property {string} name
+ * @property {string} logo
+ * @property {string} website
+ * @property {bigint} createdAt
+ * @property {bigint} mintStartTime
+ * @property {bigint} burnStartTime
+ * @property {bigint} currentSupply
+ * @property {bigint} maxSupply
+ * @property {bigint} currentPrice
+ * @property {string} reserveToken
+ * @property {bigint} reserveDecimals
+ * @property {string} reserveSymbol
+ * @property {string} reserveName
+ * @property {bigint} reserveBalance
+ */
+
+/**
+ * @typedef {Object} BondDetail
+ * @property {bigint} mintRoyalty
+ * @property {bigint} burnRoyalty
+ * @property {BondInfo} info
+ * @property {BondStep[]} steps
+ */
+
+/**
+ * @typedef {Object} Presale
+ * @property {string} merkleRoot of the allowlist, with `keccak256(abi.encodePacked(wallet))` leaves
+ * @property {bigint} endTime minting is public from this timestamp on (0 without a presale)
+ * @property {bigint} maxMintPerWallet 0 for no cap
+ */
+
+/**
+ * @typedef {Object} MintLimits
+ * @property {bigint} maxTokensPerTx 0 for no limit
+ * @property {bigint} maxTokensPerWallet cumulative tokens minted by each wallet, 0 for no limit
+ * @property {bigint} mintInterval min seconds between two mints of a wallet, 0 for no limit
+ */
+
+/**
+ * @typedef {Object} RoyaltySplit
+ * @property {string} beneficiary
+ * @property {bigint} share in basis points
+ */
+
+exports.toBondStep = function(step) {
+  return { rangeTo: step.rangeTo, price: step.price };
+};
+
+// BondParams with trading open on creation unless `mintStartTime` / `burnStartTime` are given
+exports.toBondParams = function(bp) {
+  return { mintStartTime: 0n, burnStartTime: 0n, ...bp };
+};
+
+/** @return {RoyaltySplit} */
+exports.toRoyaltySplit = function(split) {
+  return { beneficiary: split.beneficiary, share: split.share };
+};
+
+/** @return {BondInfo} */
+exports.toBondInfo = function(info) {
+  return {
+    creator: info.creator,
+    token: info.token,
+    decimals: info.decimals,
+    symbol: info.symbol,
+    name: info.name,
+    logo: info.logo,
+    website: info.website,
+    createdAt: info.createdAt,
+    mintStartTime: info.mintStartTime,
+    burnStartTime: info.burnStartTime,
+    currentSupply: info.currentSupply,
+    maxSupply: info.maxSupply,
+    currentPrice: info.currentPrice,
+    reserveToken: info.reserveToken,
+    reserveDecimals: info.reserveDecimals,
+    reserveSymbol: info.reserveSymbol,
+    reserveName: info.reserveName,
+    reserveBalance: info.reserveBalance
+  };
+};
+
+/** @return {BondDetail} */
+exports.toBondDetail = function(detail) {
+  return {
+    mintRoyalty: detail.mintRoyalty,
+    burnRoyalty: detail.burnRoyalty,
+    info: exports.toBondInfo(detail.info),
+    steps: detail.steps.map(exports.toBondStep)
+  };
+};
+
+// MCV1_Wrapper.BondInfo only has the on-chain fields of V1
+exports.toV1BondInfo = function(info) {
+  return {
+    token: info.token,
+    symbol: info.symbol,
+    name: info.name,
+    currentSupply: info.currentSupply,
+    maxSupply: info.maxSupply,
+    currentPrice: info.currentPrice,
+    reserveBalance: info.reserveBalance
+  };
+};
+
+exports.toV1BondDetail = function(detail) {
+  return {
+    buyRoyalty: detail.buyRoyalty,
+    sellRoyalty: detail.sellRoyalty,
+    info: exports.toV1BondInfo(detail.info)
+  };
+};
+
+/** @return {Presale} */
+exports.toPresale = function(presale) {
+  return { merkleRoot: presale.merkleRoot, endTime: presale.endTime, maxMintPerWallet: presale.maxMintPerWallet };
+};
+
+/** @return {MintLimits} */
+exports.toMintLimits = function(limits) {
+  return { maxTokensPerTx: limits.maxTokensPerTx, maxTokensPerWallet: limits.maxTokensPerWallet, mintInterval: limits.mintInterval };
+};
+
+exports.toParameterChange = function(change) {
+  return { value: change.value, executableAt: change.executableAt };
+};
+
+exports.toLockUp = function(lockUp) {
+  return {
+    token: lockUp.token,
+    isERC20: lockUp.isERC20,
+    unlockTime: lockUp.unlockTime,
+    unlocked: lockUp.unlocked,
+    amount: lockUp.amount,
+    receiver: lockUp.receiver,
+    title: lockUp.title
+  };
+};
+
+exports.toDistribution = function(distribution) {
+  return {
+    token: distribution.token,
+    isERC20: distribution.isERC20,
+    walletCount: distribution.walletCount,
+    claimedCount: distribution.claimedCount,
+    amountPerClaim: distribution.amountPerClaim,
+    startTime: distribution.startTime,
+    endTime: distribution.endTime,
+    owner: distribution.owner,
+    refundedAt: distribution.refundedAt,
+    merkleRoot: distribution.merkleRoot,
+    title: distribution.title,
+    ipfsCID: distribution.ipfsCID
+  };
+};
+
+// MARK: - Helpers
+
+exports.applySlippage = function(amount, slippage, increase) {
+  const bps = BigInt(slippage);
+  return increase ? amount * (RATIO_BASE + bps) / RATIO_BASE : amount * (RATIO_BASE - bps) / RATIO_BASE;
+};
+
+// Rethrows reverts as typed errors
+function withErrors(methods) {
+  return Object.fromEntries(Object.entries(methods).map(([name, fn]) => [name, async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (e) {
+      throw parseError(e);
+    }
+  }]));
+}
+
+async function send(txPromise) {
+  const tx = await txPromise;
+  return tx.wait();
+}
+
+function findEvent(contract, receipt, eventName) {
+  for (const log of receipt.logs) {
+    const event = contract.interface.parseLog(log);
+    if (event && event.name === eventName) return event;
+  }
+
+  return null;
+}
+
+async function getSignerAddress(runner) {
+  if (!runner || typeof runner.getAddress !== 'function') throw new Error('A signer is required to send transactions');
+  return runner.getAddress();
+}
+
+async function approveERC20(runner, token, spender, amount) {
+  const erc20 = new Contract(token, ERC20_ABI, runner);
+  if (await erc20.allowance(await getSignerAddress(runner), spender) < amount) {
+    await send(erc20.approve(spender, amount));
+  }
+}
+
+/**
+ * Approves up to `amount` of the reserve token, or returns the value to send along for a native reserve.
+ * @return The transaction overrides of the mint
+ */
+async function payReserve(runner, reserveToken, spender, amount) {
+  if (exports.isNativeToken(reserveToken)) return { value: amount }; // The excess is refunded by the bond
+
+  await approveERC20(runner, reserveToken, spender, amount);
+  return {};
+}
+
+/**
+ * Signs an EIP-2612 permit of the signer for `spender`.
+ * The domain is read from `eip712Domain` (EIP-5267) if the token supports it, otherwise it is the token name with version 1.
+ * @return { v, r, s }
+ */
+async function signPermit(runner, token, spender, value, deadline) {
+  const erc20 = new Contract(token, ERC20_PERMIT_ABI, runner);
+  const owner = await getSignerAddress(runner);
+
+  let domain;
+  try {
+    const { name, version, chainId, verifyingContract } = await erc20.eip712Domain();
+    domain = { name, version, chainId, verifyingContract };
+  } catch (e) {
+    const { chainId } = await runner.provider.getNetwork();
+    domain = { name: await erc20.name(), version: '1', chainId, verifyingContract: token };
+  }
+
+  const nonce = await erc20.nonces(owner);
+  const { v, r, s } = Signature.from(await runner.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline }));
+
+  return { v, r, s };
+}
+
+// Relative to the latest block rather than the local clock, which can be off from the chain
+async function getDeadlineFromNow(runner, seconds) {
+  const { timestamp } = await runner.provider.getBlock('latest');
+  return BigInt(timestamp) + BigInt(seconds);
+}
+
+// MCV2_MultiToken has 0 decimals
+async function isMultiTokenOf(runner, token) {
+  return (await new Contract(token, getAbi('MCV2_Token'), runner).decimals()) === 0n;
+}
+
+async function approveERC1155(runner, token, operator) {
+  const erc1155 = new Contract(token, ERC1155_ABI, runner);
+  if (!(await erc1155.isApprovedForAll(await getSignerAddress(runner), operator))) {
+    await send(erc1155.setApprovalForAll(operator, true));
+  }
+}
+
+// MARK: - MCV2_Bond
+
+/**
+ * @param address The MCV2_Bond contract address
+ * @param runner An ethers signer (or a provider for read-only use)
+ * @param clientOptions.deadline Seconds after the latest block until mints, burns and creations expire (default: 1200)
+ */
+exports.createBondClient = function(address, runner, clientOptions = {}) {
+  const bond = new Contract(address, getAbi('MCV2_Bond'), runner);
+
+  const getDeadline = options => getDeadlineFromNow(runner, options.deadline ?? clientOptions.deadline ?? DEFAULT_DEADLINE);
+  const isMultiToken = token => isMultiTokenOf(runner, token);
+
+  async function createToken(method, eventName, tp, bp, options) {
+    const creationFee = await bond.creationFee();
+    const deadline = await getDeadline(options);
+    const params = exports.toBondParams(bp);
+    const receipt = await send(options.presale ?
+      bond[`${method}WithPresale`](tp, params, options.presale, deadline, { value: creationFee }) :
+      bond[`${method}WithDeadline`](tp, params, deadline, { value: creationFee }));
+
+    return { receipt, token: findEvent(bond, receipt, eventName).args.token, deadline };
+  }
+
+  return {
+    contract: bond,
+    ...withErrors({
+      exists: token => bond.exists(token),
+      tokenCount: () => bond.tokenCount(),
+      currentPrice: token => bond.currentPrice(token),
+      maxSupply: token => bond.maxSupply(token),
+      getSteps: async token => (await bond.getSteps(token)).map(exports.toBondStep),
+      getRoyaltySplit: async token => (await bond.getRoyaltySplit(token)).map(exports.toRoyaltySplit),
+      getPresale: async token => exports.toPresale(await bond.tokenPresale(token)),
+      presaleMinted: (token, wallet) => bond.presaleMinted(token, wallet),
+      getMintLimits: async token => exports.toMintLimits(await bond.tokenMintLimits(token)),
+
+      /**
+       * Returns how much a wallet can mint now.
+       * @return { maxTokens, nextMintAt } maxTokens is MaxUint256 without limits, nextMintAt is 0 if the wallet can mint now
+       */
+      getMintAllowance: async (token, wallet) => {
+        const [maxTokens, nextMintAt] = await bond.getMintAllowance(token, wallet);
+        return { maxTokens, nextMintAt };
+      },
+      getDetail: async token => exports.toBondDetail(await bond.getDetail(token)),
+      getList: async (start, stop) => (await bond.getList(start, stop)).map(exports.toBondInfo),
+      getTokensByReserveToken: async (reserveToken, start, stop) => [...await bond.getTokensByReserveToken(reserveToken, start, stop)],
+      getTokensByCreator: async (creator, start, stop) => [...await bond.getTokensByCreator(creator, start, stop)],
+
+      /**
+       * @param referralFee The referral fee of `mint` with a referrer in basis points (default: 0)
+       * @return { reserveAmount, royalty, referralFee } to mint `tokensToMint` (including the royalty and the referral fee)
+       */
+      quoteMint: async (token, tokensToMint, referralFee = 0) => {
+        const [reserveAmount, royalty, referralFeeAmount] = await bond.getReserveForTokenWithReferral(token, tokensToMint, referralFee);
+        return { reserveAmount, royalty, referralFee: referralFeeAmount };
+      },
+
+      /** @return { tokensToMint, reserveUsed, royalty } for spending `reserveAmount` (including the royalty) */
+      quoteMintWithReserve: async (token, reserveAmount) => {
+        const [tokensToMint, reserveUsed, royalty] = await bond.getTokensForReserve(token, reserveAmount);
+        return { tokensToMint, reserveUsed, royalty };
+      },
+
+      /**
+       * @param referralFee The referral fee of `burn` with a referrer in basis points (default: 0)
+       * @return { refundAmount, royalty, referralFee } for burning `tokensToBurn` (after the royalty and the referral fee)
+       */
+      quoteBurn: async (token, tokensToBurn, referralFee = 0) => {
+        const [refundAmount, royalty, referralFeeAmount] = await bond.getRefundForTokensWithReferral(token, tokensToBurn, referralFee);
+        return { refundAmount, royalty, referralFee: referralFeeAmount };
+      },
+
+      /** @return { tokensToBurn, royalty } to receive exactly `refundAmount` (after the royalty) */
+      quoteBurnForRefund: async (token, refundAmount) => {
+        const [tokensToBurn, royalty] = await bond.getTokensForRefund(token, refundAmount);
+        return { tokensToBurn, royalty };
+      },
+
+      /**
+       * Mints tokens, approving the reserve token if needed (or sending `maxReserveAmount` for a native reserve).
+       * @param options.slippage Max slippage in basis points over the quote (default: 100)
+       * @param options.maxReserveAmount Overrides the slippage
+       * @param options.receiver Mints to another address (default: the signer)
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       * @param options.permit Signs an EIP-2612 permit for the reserve token instead of sending an approval
+       * @param options.referrer Credits a referral fee to this address (`mintWithReferral`, cannot be used with a permit)
+       * @param options.referralFee The referral fee in basis points, up to `maxReferralFee` of the bond (default: 0, requires a referrer)
+       * @param options.presaleProof Mints during the presale of the token with the Merkle proof of the signer (`mintWithPresaleProof`)
+       * @param options.allowlist The presale wallet list to build `presaleProof` from
+       */
+      mint: async (token, tokensToMint, options = {}) => {
+        const { slippage = DEFAULT_SLIPPAGE, referrer } = options;
+        const referralFee = referrer ? options.referralFee ?? 0 : 0;
+        if (options.permit && referrer) throw new Error('Referral mints do not support permits');
+
+        let { presaleProof } = options;
+        if (options.allowlist) presaleProof = getProof(buildTree(options.allowlist), await getSignerAddress(runner));
+        if (presaleProof && (options.permit || referrer)) throw new Error('Presale mints do not support permits or referrals');
+
+        const [reserveAmount, royalty, referralFeeAmount] = await bond.getReserveForTokenWithReferral(token, tokensToMint, referralFee);
+        const maxReserveAmount = options.maxReserveAmount ?? exports.applySlippage(reserveAmount, slippage, true);
+
+        const { reserveToken } = await bond.tokenBond(token);
+        const receiver = options.receiver ?? await getSignerAddress(runner);
+
+        let receipt, deadline;
+        if (options.permit) {
+          deadline = await getDeadline(options);
+          const { v, r, s } = await signPermit(runner, reserveToken, address, maxReserveAmount, deadline);
+          receipt = await send(bond.mintWithPermit(token, tokensToMint, maxReserveAmount, receiver, deadline, v, r, s));
+        } else {
+          const overrides = await payReserve(runner, reserveToken, address, maxReserveAmount);
+          deadline = await getDeadline(options);
+          if (presaleProof) {
+            receipt = await send(bond.mintWithPresaleProof(token, tokensToMint, maxReserveAmount, receiver, deadline, presaleProof, overrides));
+          } else {
+            receipt = await send(referrer ?
+              bond.mintWithReferral(token, tokensToMint, maxReserveAmount, receiver, deadline, referrer, referralFee, overrides) :
+              bond.mintWithDeadline(token, tokensToMint, maxReserveAmount, receiver, deadline, overrides));
+          }
+        }
+        return { receipt, reserveAmount, royalty, referralFee: referralFeeAmount, maxReserveAmount, deadline };
+      },
+
+      /**
+       * Mints the maximum amount of tokens affordable with `reserveAmount`, approving the reserve token if needed.
+       * Only `reserveUsed` is transferred (see `getTokensForReserve`), a native reserve sends `reserveAmount` and gets
+       * the rest back.
+       * @param options.slippage Max slippage in basis points under the quoted token amount (default: 100)
+       * @param options.minTokensOut Overrides the slippage
+       * @param options.receiver Mints to another address (default: the signer)
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       */
+      mintWithReserveAmount: async (token, reserveAmount, options = {}) => {
+        const { slippage = DEFAULT_SLIPPAGE } = options;
+        const [tokensToMint, reserveUsed, royalty] = await bond.getTokensForReserve(token, reserveAmount);
+        const minTokensOut = options.minTokensOut ?? exports.applySlippage(tokensToMint, slippage, false);
+
+        const receiver = options.receiver ?? await getSignerAddress(runner);
+        const { reserveToken } = await bond.tokenBond(token);
+        const overrides = await payReserve(runner, reserveToken, address, BigInt(reserveAmount));
+        const deadline = await getDeadline(options);
+
+        const receipt = await send(bond.mintWithReserveAmountWithDeadline(token, reserveAmount, minTokensOut, receiver, deadline, overrides));
+        return { receipt, tokensToMint, reserveUsed, royalty, minTokensOut, deadline };
+      },
+
+      /**
+       * Burns tokens, approving the bond token if needed (allowance for ERC20, operator approval for ERC1155).
+       * @param options.slippage Max slippage in basis points under the quote (default: 100)
+       * @param options.minRefund Overrides the slippage
+       * @param options.receiver Sends the refund to another address (default: the signer)
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       * @param options.permit Signs an EIP-2612 permit for the bond token instead of sending an approval (ERC20 only)
+       * @param options.referrer Credits a referral fee to this address (`burnWithReferral`, cannot be used with a permit)
+       * @param options.referralFee The referral fee in basis points, up to `maxReferralFee` of the bond (default: 0, requires a referrer)
+       */
+      burn: async (token, tokensToBurn, options = {}) => {
+        const { slippage = DEFAULT_SLIPPAGE, referrer } = options;
+        const referralFee = referrer ? options.referralFee ?? 0 : 0;
+        if (options.permit && referrer) throw new Error('Referral burns do not support permits');
+
+        const [refundAmount, royalty, referralFeeAmount] = await bond.getRefundForTokensWithReferral(token, tokensToBurn, referralFee);
+        const minRefund = options.minRefund ?? exports.applySlippage(refundAmount, slippage, false);
+
+        const receiver = options.receiver ?? await getSignerAddress(runner);
+        const multiToken = await isMultiToken(token);
+        if (options.permit && multiToken) throw new Error('ERC1155 tokens do not support permits');
+
+        let receipt, deadline;
+        if (options.permit) {
+          deadline = await getDeadline(options);
+          const { v, r, s } = await signPermit(runner, token, address, tokensToBurn, deadline);
+          receipt = await send(bond.burnWithPermit(token, tokensToBurn, minRefund, receiver, deadline, v, r, s));
+        } else {
+          if (multiToken) {
+            await approveERC1155(runner, token, address);
+          } else {
+            await approveERC20(runner, token, address, tokensToBurn);
+          }
+          deadline = await getDeadline(options);
+          receipt = await send(referrer ?
+            bond.burnWithReferral(token, tokensToBurn, minRefund, receiver, deadline, referrer, referralFee) :
+            bond.burnWithDeadline(token, tokensToBurn, minRefund, receiver, deadline));
+        }
+        return { receipt, refundAmount, royalty, referralFee: referralFeeAmount, minRefund, deadline };
+      },
+
+      /**
+       * Burns the minimum amount of tokens to receive exactly `refundAmount`, approving the bond token if needed.
+       * @param options.slippage Max slippage in basis points over the quoted token amount (default: 100)
+       * @param options.maxTokensIn Overrides the slippage
+       * @param options.receiver Sends the refund to another address (default: the signer)
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       */
+      burnForRefund: async (token, refundAmount, options = {}) => {
+        const { slippage = DEFAULT_SLIPPAGE } = options;
+        const [tokensToBurn, royalty] = await bond.getTokensForRefund(token, refundAmount);
+        const maxTokensIn = options.maxTokensIn ?? exports.applySlippage(tokensToBurn, slippage, true);
+
+        const receiver = options.receiver ?? await getSignerAddress(runner);
+        if (await isMultiToken(token)) {
+          await approveERC1155(runner, token, address);
+        } else {
+          await approveERC20(runner, token, address, maxTokensIn);
+        }
+        const deadline = await getDeadline(options);
+
+        const receipt = await send(bond.burnForRefundWithDeadline(token, refundAmount, maxTokensIn, receiver, deadline));
+        return { receipt, tokensToBurn, royalty, maxTokensIn, deadline };
+      },
+
+      /**
+       * Creates an ERC20 bond token, paying the creation fee.
+       * @param tp { name, symbol }
+       * @param bp { mintRoyalty, burnRoyalty, reserveToken, maxSupply, stepRanges, stepPrices, mintStartTime?, burnStartTime? }
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       * @param options.presale { merkleRoot, endTime, maxMintPerWallet } to only let allowlisted wallets mint until `endTime`
+       */
+      createToken: (tp, bp, options = {}) => createToken('createToken', 'TokenCreated', tp, bp, options),
+
+      /**
+       * Creates an ERC1155 bond token, paying the creation fee.
+       * @param tp { name, symbol, uri }
+       * @param bp { mintRoyalty, burnRoyalty, reserveToken, maxSupply, stepRanges, stepPrices, mintStartTime?, burnStartTime? }
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       * @param options.presale { merkleRoot, endTime, maxMintPerWallet } to only let allowlisted wallets mint until `endTime`
+       */
+      createMultiToken: (tp, bp, options = {}) => createToken('createMultiToken', 'MultiTokenCreated', tp, bp, options),
+
+      updateBondCreator: (token, creator) => send(bond.updateBondCreator(token, creator)),
+      updateTradingStartTimes: (token, mintStartTime, burnStartTime) => send(bond.updateTradingStartTimes(token, mintStartTime, burnStartTime)),
+
+      /**
+       * Sets the anti-bot mint limits of a token (creator only), 0 for no limit.
+       * @param limits { maxTokensPerTx, maxTokensPerWallet, mintInterval }
+       */
+      updateMintLimits: (token, limits) => {
+        const { maxTokensPerTx, maxTokensPerWallet, mintInterval } = exports.toMintLimits({
+          maxTokensPerTx: 0n, maxTokensPerWallet: 0n, mintInterval: 0n, ...limits
+        });
+        return send(bond.updateMintLimits(token, maxTokensPerTx, maxTokensPerWallet, mintInterval));
+      },
+
+      updateTokenMetaData: (token, logo, website) => send(bond.updateTokenMetaData(token, logo, website)),
+
+      /**
+       * Splits the creator royalty of a token among beneficiaries (creator only).
+       * @param split [{ beneficiary, share }] with shares in basis points summing to 10000, or [] to remove the split
+       */
+      updateRoyaltySplit: (token, split) =>
+        send(bond.updateRoyaltySplit(token, split.map(s => s.beneficiary), split.map(s => s.share))),
+
+      maxReferralFee: () => bond.maxReferralFee(),
+
+      // MCV2_Royalty
+      getRoyaltyInfo: async (wallet, reserveToken) => {
+        const [balance, claimed] = await bond.getRoyaltyInfo(wallet, reserveToken);
+        return { balance, claimed };
+      },
+      claimRoyalties: reserveToken => send(bond.claimRoyalties(reserveToken)),
+      burnRoyalties: reserveToken => send(bond.burnRoyalties(reserveToken)),
+      getProtocolCut: reserveToken => bond.getProtocolCut(reserveToken),
+
+      /**
+       * Owner parameter changes are queued, then executed after PARAMETER_CHANGE_DELAY (owner only).
+       * @param parameter One of `Parameter`
+       * @param value The protocol cut (or NO_OVERRIDE), the protocol beneficiary, the creation fee or the max referral fee
+       * @param reserveToken The reserve token to override the protocol cut for (default: none)
+       */
+      queueParameterChange: (parameter, value, reserveToken = ZeroAddress) =>
+        send(bond.queueParameterChange(parameter, reserveToken, value)),
+      cancelParameterChange: (parameter, reserveToken = ZeroAddress) => send(bond.cancelParameterChange(parameter, reserveToken)),
+      executeParameterChange: (parameter, reserveToken = ZeroAddress) => send(bond.executeParameterChange(parameter, reserveToken)),
+      getParameterChange: async (parameter, reserveToken = ZeroAddress) =>
+        exports.toParameterChange(await bond.getParameterChange(parameter, reserveToken))
+    })
+  };
+};
+
+// MARK: - Locker
+
+exports.createLockerClient = function(address, runner) {
+  const locker = new Contract(address, getAbi('Locker'), runner);
+
+  return {
+    contract: locker,
+    ...withErrors({
+      lockUpCount: () => locker.lockUpCount(),
+      getLockUp: async lockUpId => exports.toLockUp(await locker.lockUps(lockUpId)),
+      getLockUpIdsByToken: async (token, start, stop) => [...await locker.getLockUpIdsByToken(token, start, stop)],
+      getLockUpIdsByReceiver: async (receiver, start, stop) => [...await locker.getLockUpIdsByReceiver(receiver, start, stop)],
+
+      /**
+       * Locks up tokens, approving the token if needed.
+       * @param params { token, isERC20, amount, unlockTime, receiver, title }
+       * @return { receipt, lockUpId }
+       */
+      createLockUp: async ({ token, isERC20, amount, unlockTime, receiver, title = '' }) => {
+        if (isERC20) {
+          await approveERC20(runner, token, address, amount);
+        } else {
+          await approveERC1155(runner, token, address);
+        }
+
+        const receipt = await send(locker.createLockUp(token, isERC20, amount, unlockTime, receiver, title));
+        return { receipt, lockUpId: findEvent(locker, receipt, 'LockedUp').args.lockUpId };
+      },
+
+      unlock: lockUpId => send(locker.unlock(lockUpId))
+    })
+  };
+};
+
+// MARK: - MerkleDistributor
+
+exports.createDistributorClient = function(address, runner) {
+  const distributor = new Contract(address, getAbi('MerkleDistributor'), runner);
+
+  return {
+    contract: distributor,
+    ...withErrors({
+      distributionCount: () => distributor.distributionCount(),
+      getDistribution: async distributionId => exports.toDistribution(await distributor.distributions(distributionId)),
+      getDistributionIdsByToken: async (token, start, stop) => [...await distributor.getDistributionIdsByToken(token, start, stop)],
+      getDistributionIdsByOwner: async (owner, start, stop) => [...await distributor.getDistributionIdsByOwner(owner, start, stop)],
+      isWhitelistOnly: distributionId => distributor.isWhitelistOnly(distributionId),
+      isWhitelisted: (distributionId, wallet, proof) => distributor.isWhitelisted(distributionId, wallet, proof),
+      isClaimed: (distributionId, wallet) => distributor.isClaimed(distributionId, wallet),
+      getAmountLeft: distributionId => distributor.getAmountLeft(distributionId),
+      getAmountClaimed: distributionId => distributor.getAmountClaimed(distributionId),
+
+      /**
+       * Creates a distribution, approving the total amount of tokens if needed.
+       * @param params { token, isERC20, amountPerClaim, walletCount, startTime, endTime, merkleRoot, title, ipfsCID }
+       * @return { receipt, distributionId }
+       */
+      createDistribution: async params => {
+        const { token, isERC20, amountPerClaim, walletCount, startTime, endTime } = params;
+        const { merkleRoot = `0x${'0'.repeat(64)}`, title = '', ipfsCID = '' } = params;
+
+        if (isERC20) {
+          await approveERC20(runner, token, address, BigInt(amountPerClaim) * BigInt(walletCount));
+        } else {
+          await approveERC1155(runner, token, address);
+        }
+
+        const receipt = await send(distributor.createDistribution(
+          token, isERC20, amountPerClaim, walletCount, startTime, endTime, merkleRoot, title, ipfsCID
+        ));
+        return { receipt, distributionId: findEvent(distributor, receipt, 'Created').args.distributionId };
+      },
+
+      /**
+       * Claims from a distribution.
+       * @param options.proof The Merkle proof of the signer (see `airdrop:build`)
+       * @param options.wallets The full wallet list, to build the proof of the signer instead
+       */
+      claim: async (distributionId, options = {}) => {
+        let { proof = [] } = options;
+        if (options.wallets) proof = getProof(buildTree(options.wallets), await getSignerAddress(runner));
+
+        return send(distributor.claim(distributionId, proof));
+      },
+
+      refund: distributionId => send(distributor.refund(distributionId))
+    })
+  };
+};
+
+// MARK: - MCV1_Wrapper
+
+exports.createV1WrapperClient = function(address, runner) {
+  const wrapper = new Contract(address, getAbi('MCV1_Wrapper'), runner);
+
+  return {
+    contract: wrapper,
+    ...withErrors({
+      tokenCount: () => wrapper.tokenCount(),
+      tokens: index => wrapper.tokens(index),
+      getDetail: async token => exports.toV1BondDetail(await wrapper.getDetail(token)),
+      getList: async (start, stop) => (await wrapper.getList(start, stop)).map(exports.toV1BondInfo),
+      quoteMint: async (token, tokensToMint) => {
+        const [reserveAmount, royalty] = await wrapper.getReserveForToken(token, tokensToMint);
+        return { reserveAmount, royalty };
+      },
+      quoteMintWithReserve: async (token, reserveAmount) => {
+        const [tokensToMint, reserveUsed, royalty] = await wrapper.getTokensForReserve(token, reserveAmount);
+        return { tokensToMint, reserveUsed, royalty };
+      },
+      quoteBurn: async (token, tokensToBurn) => {
+        const [refundAmount, royalty] = await wrapper.getRefundForTokens(token, tokensToBurn);
+        return { refundAmount, royalty };
+      }
+    })
+  };
+};
+
+// MARK: - MCV2_BondRouter
+
+/**
+ * @param address The MCV2_BondRouter contract address
+ * @param runner An ethers signer (or a provider for read-only use)
+ * @param clientOptions.deadline Seconds after the latest block until swaps expire (default: 1200)
+ */
+exports.createRouterClient = function(address, runner, clientOptions = {}) {
+  const router = new Contract(address, getAbi('MCV2_BondRouter'), runner);
+  let bond;
+
+  async function getBond() {
+    if (!bond) bond = new Contract(await router.BOND(), getAbi('MCV2_Bond'), runner);
+    return bond;
+  }
+
+  // [token, reserve of token, reserve of the reserve, ...] up to a token that is not a bond token
+  async function getReserveChain(token) {
+    const chain = [token];
+    for (;;) {
+      const { reserveToken } = await (await getBond()).tokenBond(chain[chain.length - 1]);
+      if (reserveToken === ZeroAddress) return chain;
+      chain.push(reserveToken);
+    }
+  }
+
+  async function findPath(tokenIn, tokenOut) {
+    const chainIn = await getReserveChain(tokenIn);
+    const chainOut = await getReserveChain(tokenOut);
+    const chainOutKeys = chainOut.map(t => t.toLowerCase());
+
+    for (let i = 0; i < chainIn.length; i++) {
+      const j = chainOutKeys.indexOf(chainIn[i].toLowerCase());
+      if (j === -1) continue;
+      if (i === 0 && j === 0) break; // Same token
+
+      // The router can't mint tokens with per-wallet mint limits (MCV2_BondRouter__MintLimited)
+      for (const token of chainOut.slice(0, j)) {
+        const { maxTokensPerWallet, mintInterval } = await (await getBond()).tokenMintLimits(token);
+        if (maxTokensPerWallet !== 0n || mintInterval !== 0n) throw new Error(`${token} has per-wallet mint limits and can't be minted through the router`);
+      }
+
+      // Burn up to the closest common token, then mint down to tokenOut
+      return [...chainIn.slice(0, i + 1), ...chainOut.slice(0, j).reverse()];
+    }
+
+    throw new Error(`No swap path from ${tokenIn} to ${tokenOut}`);
+  }
+
+  async function payTokenIn(tokenIn, amountIn) {
+    if (exports.isNativeToken(tokenIn)) return { value: amountIn };
+
+    if (await (await getBond()).exists(tokenIn) && await isMultiTokenOf(runner, tokenIn)) {
+      await approveERC1155(runner, tokenIn, address);
+    } else {
+      await approveERC20(runner, tokenIn, address, amountIn);
+    }
+    return {};
+  }
+
+  return {
+    contract: router,
+    ...withErrors({
+      /**
+       * Finds the path burning `tokenIn` up to the closest reserve it shares with `tokenOut`, then minting down to `tokenOut`.
+       * e.g. [A, R, B] for siblings sharing the reserve R, or [A, R, B, C] if the reserve of C is B.
+       * Throws if a token to mint has a wallet cap or a mint interval, as the router can't mint it.
+       */
+      findPath,
+
+      /** @return { amounts, amountOut } of swapping `amountIn` along `path` */
+      quoteSwap: async (path, amountIn) => {
+        const amounts = [...await router.getAmountsOut(path, amountIn)];
+        return { amounts, amountOut: amounts[amounts.length - 1] };
+      },
+
+      /**
+       * Swaps along `path`, approving `path[0]` if needed (or sending `amountIn` for the native coin).
+       * The rounding dust of each mint hop is refunded in the reserve token of the hop.
+       * @param options.slippage Max slippage in basis points under the quoted output (default: 100)
+       * @param options.minOut Overrides the slippage
+       * @param options.receiver Sends the output to another address (default: the signer)
+       * @param options.deadline Overrides the deadline of the client (seconds after the latest block)
+       */
+      swap: async (path, amountIn, options = {}) => {
+        const { slippage = DEFAULT_SLIPPAGE } = options;
+        const amounts = [...await router.getAmountsOut(path, amountIn)];
+        const amountOut = amounts[amounts.length - 1];
+        const minOut = options.minOut ?? exports.applySlippage(amountOut, slippage, false);
+
+        const receiver = options.receiver ?? await getSignerAddress(runner);
+        const overrides = await payTokenIn(path[0], BigInt(amountIn));
+        const deadline = await getDeadlineFromNow(runner, options.deadline ?? clientOptions.deadline ?? DEFAULT_DEADLINE);
+
+        const receipt = await send(router.swap(path, amountIn, minOut, receiver, deadline, overrides));
+        return { receipt, amounts, amountOut, minOut, deadline };
+      }
+    })
+  };
+};
+
+/**
+ * Creates the clients of the given contract addresses.
+ * @param runner An ethers signer (or a provider for read-only use)
+ * @param addresses { bond, router, locker, distributor, v1Wrapper } (all optional)
+ * @param options { deadline } passed to the bond and router clients
+ * @return { bond, router, locker, distributor, v1Wrapper } (only the given ones)
+ */
+exports.createClient = function(runner, addresses, options = {}) {
+  const factories = {
+    bond: exports.createBondClient,
+    router: exports.createRouterClient,
+    locker: exports.createLockerClient,
+    distributor: exports.createDistributorClient,
+    v1Wrapper: exports.createV1WrapperClient
+  };
+
+  return Object.fromEntries(
+    Object.entries(addresses)
+      .filter(([, address]) => address)
+      .map(([name, address]) => {
+        if (!factories[name]) throw new Error(`Unknown contract: ${name}`);
+        return [name, factories[name](address, runner, options)];
+      })
+  );
+};
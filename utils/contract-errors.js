@@ -0,0 +1,106 @@
+/**
+ * Typed JS errors for the custom errors of the Mint Club V2 contracts.
+ *
+ * Ethers can only decode a revert with the interface of the contract that was called, so errors bubbling up from
+ * another contract (e.g. `ERC20InsufficientAllowance` of a reserve token during a mint) surface as raw `0x...` data.
+ * This builds one error class per custom error of the contracts in `utils/abi`, including the OpenZeppelin errors they inherit,
+ * and looks them up by selector.
+ *
+ * e.g. `MCV2_Bond__InvalidStepParams("DECREASING_RANGE")` is thrown as an instance of
+ * `errors.MCV2_Bond__InvalidStepParams` (and `ContractError`) with `params.reason === 'DECREASING_RANGE'`.
+ */
+
+const { Interface } = require('ethers');
+const { CONTRACTS, getAbi } = require('./abi');
+
+exports.CONTRACTS = CONTRACTS;
+exports.getAbi = getAbi;
+
+function formatArg(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+class ContractError extends Error {
+  /**
+   * @param fragment The ethers ErrorFragment
+   * @param args The decoded arguments
+   * @param data The raw revert data
+   * @param cause The original error thrown by ethers (optional)
+   */
+  constructor(fragment, args, data, cause) {
+    super(`${fragment.name}(${args.map(formatArg).join(', ')})`, cause ? { cause } : undefined);
+
+    this.name = fragment.name;
+    this.signature = fragment.format('sighash');
+    this.selector = fragment.selector;
+    this.args = [...args];
+    this.params = Object.fromEntries(fragment.inputs.map((input, i) => [input.name || String(i), args[i]]));
+    this.data = data;
+  }
+}
+exports.ContractError = ContractError;
+
+// MARK: - Error registry
+
+const iface = new Interface([]);
+const fragments = new Map(); // selector => ErrorFragment
+
+/** Error classes by name, e.g. `errors.LockUp__InvalidParams` */
+exports.errors = {};
+
+for (const contractName of exports.CONTRACTS) {
+  new Interface(exports.getAbi(contractName)).forEachError(fragment => {
+    if (fragments.has(fragment.selector)) return; // inherited by several contracts
+
+    fragments.set(fragment.selector, fragment);
+    // Named class, so the error name shows up in stack traces and `constructor.name`
+    exports.errors[fragment.name] = { [fragment.name]: class extends ContractError {} }[fragment.name];
+  });
+}
+
+// MARK: - Decoding
+
+/**
+ * Decodes revert data into a typed error.
+ * @param data The revert data (0x-prefixed hex)
+ * @param cause The original error (optional)
+ * @return A ContractError, or null if the data is not a known custom error
+ */
+exports.decodeError = function(data, cause) {
+  if (typeof data !== 'string' || data.length < 10) return null;
+
+  const fragment = fragments.get(data.slice(0, 10).toLowerCase());
+  if (!fragment) return null;
+
+  let args;
+  try {
+    args = iface.decodeErrorResult(fragment, data);
+  } catch (e) {
+    return null; // selector collision with malformed data
+  }
+
+  return new exports.errors[fragment.name](fragment, args, data, cause);
+};
+
+// Revert data is nested differently depending on the provider (JSON-RPC, Hardhat network, ethers wrappers)
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 5) return null;
+  if (typeof error.data === 'string' && /^0x[0-9a-f]{8}/i.test(error.data)) return error.data;
+
+  for (const key of ['data', 'error', 'info', 'cause']) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+
+  return null;
+}
+
+/**
+ * Converts an error thrown by ethers into a typed error if it carries a known custom error.
+ * @return The typed ContractError, otherwise the original error
+ */
+exports.parseError = function(error) {
+  if (error instanceof ContractError) return error;
+
+  return exports.decodeError(findRevertData(error), error) || error;
+};
@@ -0,0 +1,164 @@
+/**
+ * Gas calibration for the MAX_STEPS constructor argument of MCV2_BondExtension.
+ *
+ * `createToken` stores every step and `mint` / `burn` walk every step they cross, so the gas of all three grows linearly
+ * with the step count. We measure them on a local bond for a few step counts, fit `gas = intercept + slope * steps`
+ * and take the largest step count whose most expensive operation still fits in the block gas limit minus a safety margin.
+ */
+
+const RATIO_BASE = 10000n;
+// Spans the typical results, as the per-step cost creeps up slightly with the step count and extrapolation underestimates it
+exports.DEFAULT_SAMPLES = [10, 100, 250, 500, 750];
+// A single transaction should not take more than half of a block to be included reliably
+exports.DEFAULT_MARGIN = 5000; // 50.00%
+
+const OPERATIONS = ['createToken', 'mint', 'burn'];
+exports.OPERATIONS = OPERATIONS;
+
+/**
+ * Least squares fit of `gas = intercept + slope * steps`.
+ * Both coefficients are rounded up so the fit never underestimates the measured cost by rounding.
+ * @param points [{ steps, gas }]
+ * @return { intercept, slope }
+ */
+exports.fitLinear = function(points) {
+  if (points.length < 2) throw new Error('At least 2 samples are required to fit the gas cost');
+
+  const n = points.length;
+  const xs = points.map(p => Number(p.steps));
+  const ys = points.map(p => Number(p.gas));
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sxy = 0, sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+  }
+  if (sxx === 0) throw new Error('Samples must have at least 2 different step counts');
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  // Make sure the fitted line covers every measured point, so the curve is an upper bound of the samples
+  const offset = Math.max(0, ...xs.map((x, i) => ys[i] - (intercept + slope * x)));
+
+  return { intercept: Math.ceil(intercept + offset), slope: Math.ceil(slope) };
+};
+
+/**
+ * Derives the maximum step count that keeps every operation under `blockGasLimit * (1 - margin)`.
+ * @param fits { [operation]: { intercept, slope } }
+ * @param blockGasLimit The block gas limit of the target network
+ * @param margin The safety margin in basis points (default: 5000 = 50%)
+ * @return { maxSteps, gasBudget, limitedBy }
+ */
+exports.deriveMaxSteps = function(fits, blockGasLimit, margin = exports.DEFAULT_MARGIN) {
+  if (margin < 0 || margin >= Number(RATIO_BASE)) throw new Error(`Invalid margin: ${margin}`);
+
+  const gasBudget = Number(BigInt(blockGasLimit) * (RATIO_BASE - BigInt(margin)) / RATIO_BASE);
+
+  let maxSteps = Infinity, limitedBy = null;
+  for (const [operation, { intercept, slope }] of Object.entries(fits)) {
+    const steps = slope > 0 ? Math.floor((gasBudget - intercept) / slope) : Infinity;
+    if (steps < maxSteps) {
+      maxSteps = steps;
+      limitedBy = operation;
+    }
+  }
+  if (!(maxSteps >= 1)) throw new Error(`Block gas limit ${blockGasLimit} is too low for a single step`);
+
+  return { maxSteps, gasBudget, limitedBy };
+};
+
+// Strictly increasing steps with a non-zero price, so every step is written on creation and crossed on mint / burn
+function buildSteps(count, decimals) {
+  const unit = 10n ** BigInt(decimals);
+  const stepRanges = [], stepPrices = [];
+  for (let i = 1n; i <= BigInt(count); i++) {
+    stepRanges.push(i * unit);
+    stepPrices.push(i * 10n ** 15n);
+  }
+
+  return { maxSupply: stepRanges[stepRanges.length - 1], stepRanges, stepPrices };
+}
+
+async function gasUsed(txPromise) {
+  const receipt = await (await txPromise).wait();
+  return Number(receipt.gasUsed);
+}
+
+/**
+ * Measures the gas of `createToken` and worst-case `mint` / `burn` (crossing every step at once) on a fresh local bond.
+ * Must run on a local network, as it deploys contracts and creates tokens.
+ * @param hre The Hardhat runtime environment
+ * @param options.samples The step counts to measure (default: DEFAULT_SAMPLES)
+ * @param options.multiToken Measure ERC1155 tokens instead of ERC20 ones
+ * @return { samples: [{ steps, createToken, mint, burn }], fits: { createToken, mint, burn } }
+ */
+exports.measureStepGas = async function(hre, options = {}) {
+  const { samples = exports.DEFAULT_SAMPLES, multiToken = false } = options;
+  const { ethers } = hre;
+  const [signer] = await ethers.getSigners();
+
+  const TokenImplementation = await ethers.deployContract('MCV2_Token');
+  const NFTImplementation = await ethers.deployContract('MCV2_MultiToken');
+  const BondExtension = await ethers.deployContract('MCV2_BondExtension', [
+    TokenImplementation.target, NFTImplementation.target, Math.max(...samples)
+  ]);
+  const Bond = await ethers.deployContract('MCV2_Bond', [BondExtension.target, signer.address, 0n]);
+  const ReserveToken = await ethers.deployContract('TestToken', [ethers.MaxUint256 / 2n, 'Gas Reserve', 'GAS', 18n]);
+  await (await ReserveToken.approve(Bond.target, ethers.MaxUint256)).wait();
+
+  async function createToken(count, i) {
+    const { maxSupply, stepRanges, stepPrices } = buildSteps(count, multiToken ? 0 : 18);
+    const symbol = `GAS${i}`;
+    const bp = [0n, 0n, ReserveToken.target, maxSupply, stepRanges, stepPrices, 0n, 0n];
+
+    const gas = multiToken ?
+      await gasUsed(Bond.createMultiToken([`Gas ${count}`, symbol, 'https://mint.club'], bp)) :
+      await gasUsed(Bond.createToken([`Gas ${count}`, symbol], bp));
+
+    return { gas, maxSupply, tokenAddress: await Bond.tokens(i) };
+  }
+
+  // The first token of a bond also initializes its token lists, so it's measured apart and added to the createToken fit
+  const firstCreation = await createToken(1, 0);
+  const secondCreation = await createToken(1, 1);
+  const firstTokenOverhead = Math.max(0, firstCreation.gas - secondCreation.gas);
+
+  const results = [];
+  for (const [i, count] of samples.entries()) {
+    const { gas: createTokenGas, maxSupply, tokenAddress } = await createToken(count, i + 2);
+
+    const token = await ethers.getContractAt(multiToken ? 'MCV2_MultiToken' : 'MCV2_Token', tokenAddress);
+    if (multiToken) {
+      await (await token.setApprovalForAll(Bond.target, true)).wait();
+    } else {
+      await (await token.approve(Bond.target, ethers.MaxUint256)).wait();
+    }
+
+    const mint = await gasUsed(Bond.mint(tokenAddress, maxSupply, ethers.MaxUint256));
+    const burn = await gasUsed(Bond.burn(tokenAddress, maxSupply, 0n));
+
+    results.push({ steps: count, createToken: createTokenGas, mint, burn });
+  }
+
+  const fits = Object.fromEntries(OPERATIONS.map(op => [
+    op,
+    exports.fitLinear(results.map(r => ({ steps: r.steps, gas: r[op] })))
+  ]));
+  fits.createToken.intercept += firstTokenOverhead;
+
+  return { samples: results, fits };
+};
+
+/**
+ * Merges the ERC20 and ERC1155 fits, taking the more expensive coefficients of each operation.
+ */
+exports.mergeFits = function(...fitsList) {
+  return Object.fromEntries(OPERATIONS.map(op => [op, {
+    intercept: Math.max(...fitsList.map(f => f[op].intercept)),
+    slope: Math.max(...fitsList.map(f => f[op].slope))
+  }]));
+};
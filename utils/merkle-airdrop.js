@@ -0,0 +1,226 @@
+/**
+ * Merkle airdrop helpers for MerkleDistributor.
+ *
+ * `MerkleDistributor.claim` / `isWhitelisted` verify `keccak256(abi.encodePacked(wallet))` leaves with OpenZeppelin's
+ * `MerkleProof.verify`, which hashes sorted pairs, so the tree is built with `sortPairs: true` on the 20-byte addresses.
+ */
+
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const keccak256 = require('keccak256');
+const { MerkleTree } = require('merkletreejs');
+const web3 = require('web3');
+
+const MAX_WALLET_COUNT = 2 ** 24 - 1; // uint24 walletCount
+
+// IPFS defaults of `ipfs add` for CIDv0 (dag-pb + UnixFS, fixed-size chunker, balanced layout)
+const CHUNK_SIZE = 262144;
+const MAX_LINKS = 174;
+
+function bufferToHex(x) {
+  return `0x${x.toString('hex')}`;
+}
+
+// MARK: - Wallet list
+
+/**
+ * Parses a wallet list from a CSV or JSON string.
+ * - CSV: one wallet per line, the `address` (or `wallet`) column if there is a header row, otherwise the first column
+ * - JSON: an array of addresses or of objects with an `address` (or `wallet`) field
+ * @return An array of raw (not normalized) entries: [{ line, value }]
+ */
+exports.parseWalletList = function(content, format = 'csv') {
+  if (format === 'json') {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) throw new Error('The wallet list must be a JSON array');
+
+    return list.map((entry, i) => ({
+      line: i + 1,
+      value: typeof entry === 'string' ? entry : entry?.address || entry?.wallet
+    }));
+  }
+
+  const rows = content.split(/\r?\n/).map((row, i) => ({ line: i + 1, cells: row.split(',').map(c => c.trim().replace(/^"|"$/g, '')) }));
+  const nonEmpty = rows.filter(r => r.cells.some(c => c !== '') && !r.cells[0].startsWith('#'));
+  if (nonEmpty.length === 0) return [];
+
+  // Header row: the first row without an address in it
+  let column = 0;
+  const header = nonEmpty[0].cells.map(c => c.toLowerCase());
+  if (!header.some(c => /^0x/.test(c))) {
+    column = Math.max(header.indexOf('address'), header.indexOf('wallet'), 0);
+    nonEmpty.shift();
+  }
+
+  return nonEmpty.map(r => ({ line: r.line, value: r.cells[column] }));
+};
+
+/**
+ * Normalizes the entries to checksummed addresses and removes duplicates (case-insensitive), keeping the first occurrence.
+ * Entries with a mixed case address must have a valid checksum.
+ * @return { wallets, duplicates: [{ line, address }], invalid: [{ line, value }] }
+ */
+exports.normalizeWallets = function(entries) {
+  const wallets = [], duplicates = [], invalid = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const { line, value } = typeof entry === 'string' ? { line: undefined, value: entry } : entry;
+    const address = typeof value === 'string' ? value.trim() : value;
+
+    if (!address || !web3.utils.isAddress(address)) {
+      invalid.push({ line, value });
+      continue;
+    }
+
+    const checksummed = web3.utils.toChecksumAddress(address);
+    if (seen.has(checksummed)) {
+      duplicates.push({ line, address: checksummed });
+      continue;
+    }
+
+    seen.add(checksummed);
+    wallets.push(checksummed);
+  }
+
+  return { wallets, duplicates, invalid };
+};
+
+// MARK: - Merkle tree
+
+exports.getLeaf = function(wallet) {
+  return keccak256(web3.utils.toChecksumAddress(wallet));
+};
+
+exports.buildTree = function(wallets) {
+  if (wallets.length === 0) throw new Error('The wallet list is empty');
+  if (wallets.length > MAX_WALLET_COUNT) throw new Error(`Too many wallets: ${wallets.length} (max: ${MAX_WALLET_COUNT})`);
+
+  return new MerkleTree(wallets.map(exports.getLeaf), keccak256, { sortPairs: true });
+};
+
+exports.getProof = function(tree, wallet) {
+  return tree.getProof(exports.getLeaf(wallet)).map(x => bufferToHex(x.data));
+};
+
+/**
+ * Mirrors `MerkleProof.verify(proof, root, keccak256(abi.encodePacked(wallet)))`
+ */
+exports.verifyProof = function(root, wallet, proof) {
+  let hash = exports.getLeaf(wallet);
+  for (const p of proof) {
+    const node = Buffer.from(p.replace(/^0x/, ''), 'hex');
+    hash = keccak256(Buffer.compare(hash, node) <= 0 ? Buffer.concat([hash, node]) : Buffer.concat([node, hash]));
+  }
+
+  return bufferToHex(hash) === root.toLowerCase();
+};
+
+// MARK: - IPFS CIDv0
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+
+  return Buffer.from(bytes);
+}
+
+// Length-delimited protobuf field (wire type 2)
+function bytesField(fieldNumber, value) {
+  return Buffer.concat([varint((fieldNumber << 3) | 2), varint(value.length), value]);
+}
+
+// Varint protobuf field (wire type 0)
+function varintField(fieldNumber, value) {
+  return Buffer.concat([varint(fieldNumber << 3), varint(value)]);
+}
+
+// UnixFS `Data` message of a file node
+function unixfsFile(data, filesize, blocksizes = []) {
+  return Buffer.concat([
+    varintField(1, 2), // Type: File
+    data.length > 0 ? bytesField(2, data) : Buffer.alloc(0),
+    varintField(3, filesize),
+    ...blocksizes.map(size => varintField(4, size))
+  ]);
+}
+
+// dag-pb `PBNode` (links are serialized before the data)
+function dagNode(unixfs, links = []) {
+  return Buffer.concat([
+    ...links.map(link => bytesField(2, Buffer.concat([
+      bytesField(1, link.multihash),
+      bytesField(2, Buffer.alloc(0)), // Name: ''
+      varintField(3, link.tsize)
+    ]))),
+    bytesField(1, unixfs)
+  ]);
+}
+
+function sha256Multihash(block) {
+  return Buffer.concat([Buffer.from([0x12, 0x20]), crypto.createHash('sha256').update(block).digest()]);
+}
+
+/**
+ * Computes the CIDv0 that `ipfs add` (default chunker and layout) would return for the given content, without a node.
+ * @param content A Buffer or a string
+ * @return The base58 CIDv0 (Qm...)
+ */
+exports.computeCIDv0 = function(content) {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+  // Leaves: one UnixFS file node per chunk
+  let nodes = [];
+  for (let offset = 0; offset < data.length || nodes.length === 0; offset += CHUNK_SIZE) {
+    const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+    const block = dagNode(unixfsFile(chunk, chunk.length));
+    nodes.push({ multihash: sha256Multihash(block), tsize: block.length, filesize: chunk.length });
+  }
+
+  // Balanced layout: group up to MAX_LINKS children per parent until a single root is left
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+      const children = nodes.slice(i, i + MAX_LINKS);
+      const filesize = children.reduce((sum, c) => sum + c.filesize, 0);
+      const block = dagNode(unixfsFile(Buffer.alloc(0), filesize, children.map(c => c.filesize)), children);
+      parents.push({
+        multihash: sha256Multihash(block),
+        tsize: block.length + children.reduce((sum, c) => sum + c.tsize, 0),
+        filesize
+      });
+    }
+    nodes = parents;
+  }
+
+  return bs58.encode(nodes[0].multihash);
+};
+
+// MARK: - Airdrop
+
+/**
+ * Serializes the wallet list published to IPFS (its CID is passed as `ipfsCID` to `createDistribution`)
+ */
+exports.serializeWalletList = function(wallets) {
+  return JSON.stringify(wallets);
+};
+
+/**
+ * Builds the Merkle tree and the proofs of a wallet list.
+ * @return { root, walletCount, ipfsCID, wallets, proofs: { [wallet]: proof } }
+ */
+exports.buildAirdrop = function(wallets) {
+  const tree = exports.buildTree(wallets);
+
+  return {
+    root: tree.getHexRoot(),
+    walletCount: wallets.length,
+    ipfsCID: exports.computeCIDv0(exports.serializeWalletList(wallets)),
+    wallets,
+    proofs: Object.fromEntries(wallets.map(w => [w, exports.getProof(tree, w)]))
+  };
+};
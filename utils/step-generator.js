@@ -0,0 +1,163 @@
+/**
+ * Generates `stepRanges` / `stepPrices` arrays that approximate a continuous bonding curve.
+ * The output always satisfies the step rules of `MCV2_Bond._validateBondParams` and `MCV2_Bond._setBond`.
+ */
+
+const MAX_UINT128 = 2n**128n - 1n;
+const SAMPLES_PER_STEP = 16; // Simpson's rule samples (must be even)
+
+// Normalized curve shapes: f(0) = 0, f(1) = 1, monotonically increasing on [0, 1]
+const CURVES = {
+  linear: () => x => x,
+  exponential: ({ steepness = 5 }) => x => Math.expm1(steepness * x) / Math.expm1(steepness),
+  logarithmic: ({ steepness = 10 }) => x => Math.log1p(steepness * x) / Math.log1p(steepness),
+  sigmoid: ({ steepness = 10, midpoint = 0.5 }) => {
+    const s = x => 1 / (1 + Math.exp(-steepness * (x - midpoint)));
+    const lo = s(0);
+    const hi = s(1);
+    return x => (s(x) - lo) / (hi - lo);
+  }
+};
+exports.CURVES = Object.keys(CURVES);
+
+/**
+ * Converts a human-readable amount (e.g. '1.5' or 1.5) into a BigInt with the given decimals.
+ * BigInt values are considered to be already in the smallest unit and returned as-is.
+ */
+function parseUnits(value, decimals) {
+  if (typeof value === 'bigint') return value;
+
+  const str = typeof value === 'number' ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 }) : String(value);
+  if (!/^\d+(\.\d+)?$/.test(str)) throw new Error(`Invalid amount: ${value}`);
+
+  const [whole, fraction = ''] = str.split('.');
+  return BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+}
+exports.parseUnits = parseUnits;
+
+function simpson(f, a, b, n = SAMPLES_PER_STEP) {
+  const h = (b - a) / n;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < n; i++) {
+    sum += f(a + i * h) * (i % 2 === 0 ? 2 : 4);
+  }
+  return sum * h / 3;
+}
+
+/**
+ * Generates bond steps for a curve.
+ * @param options.curve 'linear' | 'exponential' | 'logarithmic' | 'sigmoid' or a custom normalized function f: [0, 1] -> [0, 1]
+ * @param options.maxSupply The max supply of the token in human-readable units (or BigInt in the smallest unit)
+ * @param options.startPrice The price at supply = 0 in reserve token units (or BigInt in reserve wei)
+ * @param options.endPrice The price at supply = maxSupply in reserve token units (or BigInt in reserve wei)
+ * @param options.stepCount The number of steps to generate
+ * @param options.tokenDecimals 18 for ERC20 (MCV2_Token), 0 for ERC1155 (MCV2_MultiToken)
+ * @param options.reserveDecimals The decimals of the reserve token
+ * @param options.maxSteps The MAX_STEPS value of the target bond contract (required)
+ * @param options.steepness Shape parameter for exponential, logarithmic and sigmoid curves
+ * @param options.midpoint Relative position of the sigmoid inflection point
+ * @return { stepRanges, stepPrices, maxSupply, error }
+ */
+exports.generateSteps = function(options) {
+  const {
+    curve = 'linear',
+    stepCount,
+    tokenDecimals = 18,
+    reserveDecimals = 18,
+    maxSteps
+  } = options;
+  if (maxSteps === undefined) throw new Error('maxSteps is required');
+
+  const shape = typeof curve === 'function' ? curve : CURVES[curve]?.(options);
+  if (!shape) throw new Error(`Unknown curve: ${curve}`);
+
+  const maxSupply = parseUnits(options.maxSupply, tokenDecimals);
+  const startPrice = parseUnits(options.startPrice, reserveDecimals);
+  const endPrice = parseUnits(options.endPrice, reserveDecimals);
+
+  if (maxSupply <= 0n) throw new Error('maxSupply must be greater than 0');
+  if (maxSupply > MAX_UINT128 || endPrice > MAX_UINT128) throw new Error('maxSupply and prices must fit in uint128');
+  if (endPrice <= startPrice) throw new Error('endPrice must be greater than startPrice');
+  if (!Number.isInteger(stepCount) || stepCount <= 0) throw new Error('stepCount must be a positive integer');
+  if (stepCount > maxSteps) throw new Error(`stepCount exceeds the max steps (${maxSteps})`);
+  if (BigInt(stepCount) > maxSupply) throw new Error('stepCount exceeds maxSupply');
+
+  const start = Number(startPrice);
+  const delta = Number(endPrice - startPrice);
+  const idealPrice = x => start + delta * shape(x); // x is normalized supply in [0, 1]
+
+  const multiFactor = 10n**BigInt(tokenDecimals);
+  const stepRanges = [];
+  const stepPrices = [];
+  for (let i = 0; i < stepCount; i++) {
+    const rangeFrom = i === 0 ? 0n : stepRanges[i - 1];
+    const rangeTo = maxSupply * BigInt(i + 1) / BigInt(stepCount);
+
+    // Use the average ideal price over the step, so the reserve of each step matches the area under the curve
+    const a = Number(rangeFrom) / Number(maxSupply);
+    const b = Number(rangeTo) / Number(maxSupply);
+    let price = BigInt(Math.round(simpson(idealPrice, a, b) / (b - a)));
+
+    // Prices must be strictly increasing
+    if (i > 0 && price <= stepPrices[i - 1]) price = stepPrices[i - 1] + 1n;
+
+    // rangeTo * price >= multiFactor, otherwise STEP_RANG_OR_PRICE_TOO_SMALL
+    if (price > 0n && rangeTo * price < multiFactor) {
+      price = (multiFactor + rangeTo - 1n) / rangeTo;
+    }
+
+    stepRanges.push(rangeTo);
+    stepPrices.push(price);
+  }
+
+  return {
+    stepRanges,
+    stepPrices,
+    maxSupply,
+    error: exports.approximationError({ stepRanges, stepPrices, tokenDecimals }, idealPrice)
+  };
+};
+
+/**
+ * Measures how far the steps are from the ideal continuous curve.
+ * @param steps { stepRanges, stepPrices, tokenDecimals }
+ * @param idealPrice The ideal price function over normalized supply x in [0, 1], in reserve wei
+ * @return { maxPriceError, meanPriceError, idealReserve, stepReserve, reserveError }
+ *   (price errors are relative to the ideal price, reserve amounts are in reserve wei)
+ */
+exports.approximationError = function({ stepRanges, stepPrices, tokenDecimals = 18 }, idealPrice) {
+  const maxSupply = Number(stepRanges[stepRanges.length - 1]);
+  const multiFactor = 10 ** tokenDecimals;
+
+  let maxPriceError = 0;
+  let sumPriceError = 0;
+  let samples = 0;
+  let stepReserve = 0;
+  for (let i = 0; i < stepRanges.length; i++) {
+    const a = i === 0 ? 0 : Number(stepRanges[i - 1]) / maxSupply;
+    const b = Number(stepRanges[i]) / maxSupply;
+    const price = Number(stepPrices[i]);
+
+    stepReserve += (b - a) * maxSupply * price / multiFactor;
+
+    for (let j = 0; j <= SAMPLES_PER_STEP; j++) {
+      const ideal = idealPrice(a + (b - a) * j / SAMPLES_PER_STEP);
+      if (ideal === 0) continue;
+
+      const error = Math.abs(price - ideal) / ideal;
+      maxPriceError = Math.max(maxPriceError, error);
+      sumPriceError += error;
+      samples++;
+    }
+  }
+
+  const idealReserve = simpson(idealPrice, 0, 1, Math.max(SAMPLES_PER_STEP * stepRanges.length, 1000)) * maxSupply / multiFactor;
+
+  return {
+    maxPriceError,
+    meanPriceError: samples === 0 ? 0 : sumPriceError / samples,
+    idealReserve,
+    stepReserve,
+    reserveError: idealReserve === 0 ? 0 : Math.abs(stepReserve - idealReserve) / idealReserve
+  };
+};
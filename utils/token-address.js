@@ -0,0 +1,92 @@
+/**
+ * Deterministic token address helpers for MCV2_Bond clones.
+ * `MCV2_Bond._clone` deploys EIP-1167 minimal proxies with CREATE2 using `keccak256(abi.encodePacked(bond, symbol))` as the salt,
+ * so a token address only depends on the bond address, the implementation address and the symbol.
+ */
+
+const web3 = require('web3');
+
+const DECIMALS_SELECTOR = '0x313ce567'; // decimals()
+
+// Calculate deterministic address for create2
+// NOTE: https://github.com/OpenZeppelin/openzeppelin-contracts/blob/master/contracts/proxy/Clones.sol#L68
+exports.computeCreate2Address = function(saltHex, implementation, deployer) {
+  const creationCode = [
+    '0x3d602d80600a3d3981f3363d3d373d3d3d363d73',
+    implementation.replace(/0x/, '').toLowerCase(),
+    '5af43d82803e903d91602b57fd5bf3',
+  ].join('');
+
+  return web3.utils.toChecksumAddress(
+    `0x${web3.utils
+      .sha3(`0x${['ff', deployer, saltHex, web3.utils.soliditySha3(creationCode)].map(x => x.replace(/0x/, '')).join('')}`)
+      .slice(-40)}`,
+  );
+};
+
+/**
+ * Mirrors the salt derivation in `MCV2_Bond._clone`
+ */
+exports.getTokenSalt = function(bondAddress, symbol) {
+  return web3.utils.soliditySha3(
+    { t: 'address', v: bondAddress },
+    { t: 'string', v: symbol }
+  );
+};
+
+/**
+ * Predicts the address of a token created by `createToken` / `createMultiToken`.
+ * @param bondAddress The address of the MCV2_Bond contract
+ * @param implementation The token implementation (MCV2_Token for ERC20, MCV2_MultiToken for ERC1155)
+ * @param symbol The token symbol
+ */
+exports.predictTokenAddress = function(bondAddress, implementation, symbol) {
+  return exports.computeCreate2Address(exports.getTokenSalt(bondAddress, symbol), implementation, bondAddress);
+};
+
+/**
+ * Extracts the implementation address from the runtime code of an EIP-1167 minimal proxy.
+ * @return The checksummed implementation address, or null if the code is not a minimal proxy
+ */
+exports.getCloneImplementation = function(code) {
+  const match = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i.exec(code);
+  return match ? web3.utils.toChecksumAddress(`0x${match[1]}`) : null;
+};
+
+/**
+ * Finds the ERC20 (MCV2_Token) or ERC1155 (MCV2_MultiToken) implementation used by a bond,
+ * by looking up the code of the tokens it has already created.
+ * @param bond An ethers contract instance of MCV2_Bond
+ * @param isMultiToken Whether to look for the MCV2_MultiToken implementation
+ * @param maxLookup The maximum number of tokens to inspect
+ * @return The implementation address, or null if no token of the given type is found
+ */
+exports.findImplementation = async function(bond, isMultiToken, maxLookup = 100) {
+  const provider = bond.runner.provider;
+  const count = await bond.tokenCount();
+
+  for (let i = 0n; i < count && i < BigInt(maxLookup); i++) {
+    const token = await bond.tokens(i);
+    const decimals = BigInt(await provider.call({ to: token, data: DECIMALS_SELECTOR }));
+    if ((decimals === 0n) !== isMultiToken) continue;
+
+    const implementation = exports.getCloneImplementation(await provider.getCode(token));
+    if (implementation) return implementation;
+  }
+
+  return null;
+};
+
+/**
+ * Predicts the token address for a symbol and checks whether it is already taken on the bond.
+ * @param bond An ethers contract instance of MCV2_Bond
+ * @param symbol The token symbol
+ * @param implementation The token implementation address
+ * @return { symbol, tokenAddress, available }
+ */
+exports.checkSymbol = async function(bond, symbol, implementation) {
+  const tokenAddress = exports.predictTokenAddress(await bond.getAddress(), implementation, symbol);
+  const available = !(await bond.exists(tokenAddress));
+
+  return { symbol, tokenAddress, available };
+};